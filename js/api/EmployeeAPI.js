@@ -1,185 +1,517 @@
 import { Employee } from '../models/Employee.js';
+import { RestAdapter } from './adapters/RestAdapter.js';
+import { ResponseCache } from './ResponseCache.js';
+import { NetworkError, TimeoutError, AbortError, createHttpError } from '../utils/errors.js';
 
 /**
- * Employee API class for handling HTTP requests
+ * HTTP methods that are safe to repeat automatically
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Employee API class for handling HTTP requests.
+ * Employee operations are delegated to a backend adapter
+ * (see js/api/adapters); JSONPlaceholder is used when none is given.
  */
 export class EmployeeAPI {
-    constructor() {
-        this.baseURL = 'https://jsonplaceholder.typicode.com';
-        this.endpoints = {
-            users: '/users',
-            posts: '/posts',
-            albums: '/albums'
+    /**
+     * @param {Object} options - API options
+     * @param {BaseAdapter} options.adapter - Backend adapter
+     * @param {string} options.baseURL - Override the adapter's base URL
+     * @param {number} options.timeout - Default per-attempt timeout in ms (0 disables)
+     * @param {Object} options.retry - Retry policy overrides (retries, baseDelay, maxDelay, factor, maxRetryAfter)
+     * @param {Object} options.cache - Response cache options (maxEntries, ttl, ttls, staleTtl, persist; see ResponseCache)
+     */
+    constructor(options = {}) {
+        this.adapter = options.adapter || new RestAdapter();
+        this.baseURL = options.baseURL || this.adapter.baseURL;
+        this.cache = new ResponseCache(options.cache);
+        this.revalidations = new Map();
+        this.observers = [];
+        this.requestTimeout = options.timeout ?? 10000;
+        this.retryOptions = {
+            retries: 3,
+            baseDelay: 300,
+            maxDelay: 5000,
+            factor: 2,
+            maxRetryAfter: 60000,
+            ...options.retry
         };
-        this.cache = new Map();
-        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+        this.inflightRequests = new Map();
+
+        this.adapter.setClient(this);
+    }
+
+    /**
+     * Add observer for cache events
+     * @param {Function} callback - Callback function
+     */
+    addObserver(callback) {
+        this.observers.push(callback);
+    }
+
+    /**
+     * Remove observer
+     * @param {Function} callback - Callback function to remove
+     */
+    removeObserver(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    /**
+     * Notify observers of cache events
+     * @param {string} event - Event type
+     * @param {*} data - Event data
+     */
+    notifyObservers(event, data) {
+        this.observers.forEach(callback => {
+            try {
+                callback(event, data);
+            } catch (error) {
+                console.error('Observer callback error:', error);
+            }
+        });
     }
 
     /**
-     * Generic HTTP request method
+     * Check whether an error was caused by cancelling a request
+     * @param {Error} error - Error to check
+     * @returns {boolean} True for aborted requests
+     */
+    static isAbortError(error) {
+        return error instanceof AbortError || error?.name === 'AbortError';
+    }
+
+    /**
+     * Generic HTTP request method with timeouts, retries and cancellation.
+     *
+     * Idempotent methods are retried on network errors, timeouts and
+     * 5xx/429 responses using exponential backoff with jitter; a Retry-After
+     * header takes precedence over the computed delay. Passing a cancelKey
+     * aborts any earlier request still in flight under the same key.
+     *
      * @param {string} url - Request URL
-     * @param {Object} options - Request options
+     * @param {Object} options - fetch options plus timeout, retries, signal, cancelKey
+     *                           and withHeaders (resolve to { data, headers } instead of data)
      * @returns {Promise} Response promise
+     * @throws {NetworkError|TimeoutError|AbortError|HttpError|ValidationError} On failure
      */
     async request(url, options = {}) {
+        const { timeout = this.requestTimeout, retries, signal, cancelKey, withHeaders, ...fetchOptions } = options;
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const maxRetries = retries ?? (IDEMPOTENT_METHODS.includes(method) ? this.retryOptions.retries : 0);
         const config = {
+            ...fetchOptions,
+            method,
             headers: {
                 'Content-Type': 'application/json',
-                ...options.headers
-            },
-            ...options
+                ...fetchOptions.headers
+            }
         };
 
+        if (signal?.aborted) {
+            throw this.createAbortError(url);
+        }
+
+        const controller = new AbortController();
+        const abortFromCaller = () => controller.abort();
+        signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+        if (cancelKey) {
+            this.cancel(cancelKey);
+            this.inflightRequests.set(cancelKey, controller);
+        }
+
         try {
-            const response = await fetch(url, config);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP Error: ${response.status} ${response.statusText}`);
+            for (let attempt = 0; ; attempt++) {
+                let response;
+
+                try {
+                    response = await this.fetchWithTimeout(url, config, controller.signal, timeout);
+                } catch (error) {
+                    if (controller.signal.aborted) {
+                        throw this.createAbortError(url);
+                    }
+                    if (attempt < maxRetries) {
+                        console.warn(`Request to ${url} failed (${error.message}), retrying...`);
+                        await this.wait(this.getBackoffDelay(attempt), controller.signal, url);
+                        continue;
+                    }
+                    console.error('API Request Error:', error);
+                    if (error instanceof TimeoutError) {
+                        throw error;
+                    }
+                    throw new NetworkError(`Network request failed: ${error.message}`, { url, cause: error });
+                }
+
+                if (!response.ok) {
+                    if (attempt < maxRetries && this.isRetryableStatus(response.status)) {
+                        const retryAfter = this.parseRetryAfter(response.headers?.get('Retry-After'));
+                        const delay = retryAfter ?? this.getBackoffDelay(attempt);
+                        if (delay <= this.retryOptions.maxRetryAfter) {
+                            console.warn(`Request to ${url} returned ${response.status}, retrying in ${delay}ms...`);
+                            await this.wait(delay, controller.signal, url);
+                            continue;
+                        }
+                    }
+                    const error = createHttpError({
+                        status: response.status,
+                        statusText: response.statusText,
+                        url,
+                        body: await this.parseErrorBody(response)
+                    });
+                    console.error('API Request Error:', error);
+                    throw error;
+                }
+
+                const data = await this.parseResponse(response);
+                return withHeaders ? { data, headers: response.headers } : data;
+            }
+        } finally {
+            signal?.removeEventListener('abort', abortFromCaller);
+            if (cancelKey && this.inflightRequests.get(cancelKey) === controller) {
+                this.inflightRequests.delete(cancelKey);
             }
+        }
+    }
+
+    /**
+     * Perform a single fetch attempt that aborts after the given timeout
+     * @param {string} url - Request URL
+     * @param {Object} config - fetch options
+     * @param {AbortSignal} signal - Signal for the whole request
+     * @param {number} timeout - Timeout in milliseconds (0 disables)
+     * @returns {Promise<Response>} fetch response
+     */
+    async fetchWithTimeout(url, config, signal, timeout) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        signal.addEventListener('abort', abort, { once: true });
+        // 'abort' does not fire again for a signal that is already aborted
+        if (signal.aborted) controller.abort();
+
+        let timedOut = false;
+        const timer = timeout > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout)
+            : null;
 
-            const data = await response.json();
-            return data;
+        try {
+            return await fetch(url, { ...config, signal: controller.signal });
         } catch (error) {
-            console.error('API Request Error:', error);
-            throw new Error(`Network request failed: ${error.message}`);
+            if (timedOut) {
+                throw new TimeoutError(`Request timed out after ${timeout}ms`, { url, timeout, cause: error });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', abort);
         }
     }
 
     /**
-     * GET request with caching
+     * Parse a successful response body
+     * @param {Response} response - fetch response
+     * @returns {Promise<*>} Parsed JSON, or null for empty bodies
+     */
+    async parseResponse(response) {
+        if (response.status === 204) return null;
+
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * Parse the body of an error response, if it has one
+     * @param {Response} response - fetch response
+     * @returns {Promise<*>} Parsed JSON, raw text, or null
+     */
+    async parseErrorBody(response) {
+        try {
+            const text = await response.text();
+            if (!text) return null;
+            try {
+                return JSON.parse(text);
+            } catch {
+                return text;
+            }
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether an HTTP status is worth retrying
+     * @param {number} status - HTTP status code
+     * @returns {boolean} True for 429 and 5xx responses
+     */
+    isRetryableStatus(status) {
+        return status === 429 || status >= 500;
+    }
+
+    /**
+     * Compute the exponential backoff delay for an attempt, with jitter
+     * @param {number} attempt - Zero-based attempt number
+     * @returns {number} Delay in milliseconds
+     */
+    getBackoffDelay(attempt) {
+        const { baseDelay, maxDelay, factor } = this.retryOptions;
+        const exponential = Math.min(maxDelay, baseDelay * Math.pow(factor, attempt));
+        // "Equal jitter": keep half the delay, randomise the other half
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    /**
+     * Parse a Retry-After header (seconds or HTTP date)
+     * @param {string|null} value - Header value
+     * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Wait before the next attempt, stopping early if the request is cancelled
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal} signal - Request signal
+     * @param {string} url - Request URL (for the abort error)
+     * @returns {Promise} Delay promise
+     */
+    wait(ms, signal, url) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createAbortError(url));
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+            if (signal.aborted) onAbort();
+        });
+    }
+
+    /**
+     * Create the error thrown for cancelled requests
+     * @param {string} url - Request URL
+     * @returns {AbortError} Abort error
+     */
+    createAbortError(url) {
+        return new AbortError(`Request to ${url} was cancelled`, { url });
+    }
+
+    /**
+     * Cancel the in-flight request registered under a key
+     * @param {string} cancelKey - Key passed to request()
+     * @returns {boolean} True if a request was cancelled
+     */
+    cancel(cancelKey) {
+        const controller = this.inflightRequests.get(cancelKey);
+        if (!controller) return false;
+
+        controller.abort();
+        this.inflightRequests.delete(cancelKey);
+        return true;
+    }
+
+    /**
+     * Cancel every keyed in-flight request
+     */
+    cancelAll() {
+        this.inflightRequests.forEach(controller => controller.abort());
+        this.inflightRequests.clear();
+    }
+
+    /**
+     * GET request with caching.
+     * Fresh cached data is returned as is. Stale cached data is returned
+     * immediately while a fresh copy is fetched in the background; if it
+     * differs, observers receive a 'cache_updated' event.
+     * Responses requested with `withHeaders` are never cached.
      * @param {string} endpoint - API endpoint
      * @param {boolean} useCache - Whether to use cache
+     * @param {Object} requestOptions - Extra request options (timeout, retries, signal, cancelKey)
      * @returns {Promise} Response data
      */
-    async get(endpoint, useCache = true) {
+    async get(endpoint, useCache = true, requestOptions = {}) {
         const url = `${this.baseURL}${endpoint}`;
         const cacheKey = `GET_${url}`;
+        const cacheable = useCache && !requestOptions.withHeaders;
 
         // Check cache first
-        if (useCache && this.cache.has(cacheKey)) {
+        if (cacheable) {
+            await this.cache.load();
             const cached = this.cache.get(cacheKey);
-            if (Date.now() - cached.timestamp < this.cacheTimeout) {
-                console.log('Returning cached data for:', endpoint);
+            if (cached) {
+                console.log(`Returning ${cached.isStale ? 'stale' : 'cached'} data for:`, endpoint);
+                if (cached.isStale) {
+                    this.revalidate(endpoint, cacheKey, cached.data);
+                }
                 return cached.data;
             }
         }
 
-        const data = await this.request(url, { method: 'GET' });
+        const data = await this.request(url, { ...requestOptions, method: 'GET' });
 
         // Cache the result
-        if (useCache) {
-            this.cache.set(cacheKey, {
-                data,
-                timestamp: Date.now()
-            });
+        if (cacheable) {
+            this.cache.set(cacheKey, endpoint, data);
         }
 
         return data;
     }
 
+    /**
+     * Refresh a stale cache entry in the background (once per key at a time)
+     * @param {string} endpoint - API endpoint
+     * @param {string} cacheKey - Cache key
+     * @param {*} staleData - Data that was served from the cache
+     * @returns {Promise} Revalidation promise (never rejects)
+     */
+    revalidate(endpoint, cacheKey, staleData) {
+        if (this.revalidations.has(cacheKey)) {
+            return this.revalidations.get(cacheKey);
+        }
+
+        const promise = this.request(`${this.baseURL}${endpoint}`, { method: 'GET' })
+            .then(data => {
+                this.cache.set(cacheKey, endpoint, data);
+                if (JSON.stringify(data) !== JSON.stringify(staleData)) {
+                    this.notifyObservers('cache_updated', { endpoint, data });
+                }
+            })
+            .catch(error => {
+                console.warn('Background revalidation failed for:', endpoint, error.message);
+            })
+            .finally(() => this.revalidations.delete(cacheKey));
+
+        this.revalidations.set(cacheKey, promise);
+        return promise;
+    }
+
+    /**
+     * Drop cached responses affected by a write to an endpoint.
+     * A write to /users/5 invalidates everything cached under /users.
+     * @param {string} endpoint - Endpoint that was written to
+     */
+    invalidateCacheFor(endpoint) {
+        const resource = endpoint.split('?')[0].split('/').slice(0, 2).join('/');
+        const removed = this.cache.invalidate(resource);
+        if (removed > 0) {
+            console.log(`Invalidated ${removed} cached response${removed === 1 ? '' : 's'} for:`, resource);
+        }
+    }
+
     /**
      * POST request
      * @param {string} endpoint - API endpoint
      * @param {Object} data - Request body data
+     * @param {Object} requestOptions - Extra request options (timeout, retries, signal, cancelKey)
      * @returns {Promise} Response data
      */
-    async post(endpoint, data) {
+    async post(endpoint, data, requestOptions = {}) {
         const url = `${this.baseURL}${endpoint}`;
-        return await this.request(url, {
+        const response = await this.request(url, {
+            ...requestOptions,
             method: 'POST',
             body: JSON.stringify(data)
         });
+        this.invalidateCacheFor(endpoint);
+        return response;
     }
 
     /**
      * PUT request
      * @param {string} endpoint - API endpoint
      * @param {Object} data - Request body data
+     * @param {Object} requestOptions - Extra request options (timeout, retries, signal, cancelKey)
      * @returns {Promise} Response data
      */
-    async put(endpoint, data) {
+    async put(endpoint, data, requestOptions = {}) {
         const url = `${this.baseURL}${endpoint}`;
-        return await this.request(url, {
+        const response = await this.request(url, {
+            ...requestOptions,
             method: 'PUT',
             body: JSON.stringify(data)
         });
+        this.invalidateCacheFor(endpoint);
+        return response;
     }
 
     /**
      * DELETE request
      * @param {string} endpoint - API endpoint
+     * @param {Object} requestOptions - Extra request options (timeout, retries, signal, cancelKey)
      * @returns {Promise} Response data
      */
-    async delete(endpoint) {
+    async delete(endpoint, requestOptions = {}) {
         const url = `${this.baseURL}${endpoint}`;
-        return await this.request(url, { method: 'DELETE' });
+        const response = await this.request(url, { ...requestOptions, method: 'DELETE' });
+        this.invalidateCacheFor(endpoint);
+        return response;
     }
 
     /**
-     * Fetch all users from JSONPlaceholder
-     * @returns {Promise<Array>} Array of user data
+     * Fetch all employees through the adapter
+     * @param {Object} requestOptions - Extra request options (timeout, signal, cancelKey)
+     * @returns {Promise<Array>} Array of Employee instances
      */
-    async fetchUsers() {
+    async fetchEmployees(requestOptions = {}) {
         try {
-            console.log('Fetching users from JSONPlaceholder API...');
-            const users = await this.get(this.endpoints.users);
-            console.log(`Successfully fetched ${users.length} users`);
-            return users;
+            const employees = await this.adapter.fetchEmployees(requestOptions);
+            
+            console.log(`Fetched ${employees.length} employees via ${this.adapter.name} adapter`);
+            return employees;
         } catch (error) {
-            console.error('Failed to fetch users:', error);
-            throw error;
+            if (EmployeeAPI.isAbortError(error)) {
+                throw error;
+            }
+            console.error('Failed to fetch employees:', error);
+            // Return mock data if API fails
+            return this.getMockEmployees();
         }
     }
 
     /**
-     * Fetch single user by ID
-     * @param {number} id - User ID
-     * @returns {Promise<Object>} User data
+     * Fetch one page of employees, filtered and sorted by the backend
+     * @param {Object} query - search, departments, sortField, sortDirection, page, pageSize
+     * @param {Object} requestOptions - Extra request options (timeout, signal, cancelKey)
+     * @returns {Promise<Object>} { items: Array<Employee>, total: number }
      */
-    async fetchUser(id) {
+    async queryEmployees(query, requestOptions = {}) {
         try {
-            const user = await this.get(`${this.endpoints.users}/${id}`);
-            return user;
+            const result = await this.adapter.queryEmployees(query, requestOptions);
+            console.log(`Fetched page ${query.page} (${result.items.length} of ${result.total}) via ${this.adapter.name} adapter`);
+            return result;
         } catch (error) {
-            console.error(`Failed to fetch user ${id}:`, error);
+            if (!EmployeeAPI.isAbortError(error)) {
+                console.error('Failed to query employees:', error);
+            }
             throw error;
         }
     }
 
     /**
-     * Convert API users to Employee instances
-     * @returns {Promise<Array>} Array of Employee instances
-     */
-    async fetchEmployees() {
-        try {
-            const users = await this.fetchUsers();
-            const employees = users.map(user => Employee.fromApiData(user));
-            
-            console.log(`Converted ${employees.length} users to employees`);
-            return employees;
-        } catch (error) {
-            console.error('Failed to fetch employees:', error);
-            // Return mock data if API fails
-            return this.getMockEmployees();
-        }
-    }
-
-    /**
-     * Simulate creating a new employee (JSONPlaceholder doesn't persist)
+     * Create a new employee through the adapter
      * @param {Object} employeeData - Employee data
      * @returns {Promise<Object>} Created employee data
      */
     async createEmployee(employeeData) {
         try {
-            // Simulate API call
-            const response = await this.post(this.endpoints.users, employeeData);
-            console.log('Employee created (simulated):', response);
-            
-            // Since JSONPlaceholder doesn't persist, return the data with a fake ID
-            return {
-                ...employeeData,
-                id: Date.now() // Use timestamp as fake ID
-            };
+            const created = await this.adapter.createEmployee(employeeData);
+            console.log(`Employee created via ${this.adapter.name} adapter:`, created);
+            return created;
         } catch (error) {
             console.error('Failed to create employee:', error);
             throw error;
@@ -187,16 +519,16 @@ export class EmployeeAPI {
     }
 
     /**
-     * Simulate updating an employee
+     * Update an employee through the adapter
      * @param {string} id - Employee ID
      * @param {Object} employeeData - Updated employee data
      * @returns {Promise<Object>} Updated employee data
      */
     async updateEmployee(id, employeeData) {
         try {
-            const response = await this.put(`${this.endpoints.users}/${id}`, employeeData);
-            console.log('Employee updated (simulated):', response);
-            return { ...employeeData, id };
+            const updated = await this.adapter.updateEmployee(id, employeeData);
+            console.log(`Employee ${id} updated via ${this.adapter.name} adapter`);
+            return updated;
         } catch (error) {
             console.error(`Failed to update employee ${id}:`, error);
             throw error;
@@ -204,14 +536,14 @@ export class EmployeeAPI {
     }
 
     /**
-     * Simulate deleting an employee
+     * Delete an employee through the adapter
      * @param {string} id - Employee ID
      * @returns {Promise<boolean>} Success status
      */
     async deleteEmployee(id) {
         try {
-            await this.delete(`${this.endpoints.users}/${id}`);
-            console.log(`Employee ${id} deleted (simulated)`);
+            await this.adapter.deleteEmployee(id);
+            console.log(`Employee ${id} deleted via ${this.adapter.name} adapter`);
             return true;
         } catch (error) {
             console.error(`Failed to delete employee ${id}:`, error);
@@ -286,17 +618,18 @@ export class EmployeeAPI {
      */
     clearCache() {
         this.cache.clear();
+        this.revalidations.clear();
         console.log('API cache cleared');
     }
 
     /**
      * Get cache statistics
-     * @returns {Object} Cache stats
+     * @returns {Object} Cache stats (size, keys, hits, staleHits, misses, evictions, invalidations, hitRate)
      */
     getCacheStats() {
         return {
-            size: this.cache.size,
-            keys: Array.from(this.cache.keys())
+            ...this.cache.getStats(),
+            revalidating: this.revalidations.size
         };
     }
 
@@ -315,8 +648,7 @@ export class EmployeeAPI {
      */
     async healthCheck() {
         try {
-            await this.get('/posts/1', false); // Don't use cache for health check
-            return true;
+            return await this.adapter.healthCheck();
         } catch (error) {
             console.warn('API health check failed:', error.message);
             return false;
@@ -0,0 +1,206 @@
+import { StoreFactory } from '../storage/StoreFactory.js';
+
+/**
+ * Bounded LRU cache for GET responses.
+ *
+ * Every entry records when it was fetched and the TTL of its endpoint.
+ * Entries past their TTL are "stale": they can still be served while a
+ * fresh copy is fetched (stale-while-revalidate) until they are older than
+ * TTL + staleTtl, after which they count as a miss. When `persist` is set,
+ * entries are mirrored to the 'apiCache' store so they survive reloads.
+ */
+export class ResponseCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.maxEntries - Maximum number of entries before evicting the least recently used
+     * @param {number} options.ttl - Default time-to-live in ms
+     * @param {Object} options.ttls - Per-endpoint TTLs, keyed by endpoint prefix (longest prefix wins)
+     * @param {number} options.staleTtl - How long past its TTL an entry may still be served stale
+     * @param {boolean} options.persist - Mirror entries to IndexedDB (localStorage fallback)
+     * @param {Object} options.store - Store to persist to (defaults to the 'apiCache' store)
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 100;
+        this.defaultTtl = options.ttl ?? 5 * 60 * 1000;
+        this.ttls = options.ttls || {};
+        this.staleTtl = options.staleTtl ?? 24 * 60 * 60 * 1000;
+        this.persist = Boolean(options.persist || options.store);
+        this.store = options.store || null;
+        this.loadPromise = null;
+        this.entries = new Map();
+        this.resetStats();
+    }
+
+    /**
+     * Reset hit/miss/eviction counters
+     */
+    resetStats() {
+        this.stats = { hits: 0, staleHits: 0, misses: 0, evictions: 0, invalidations: 0 };
+    }
+
+    /**
+     * Get the TTL for an endpoint
+     * @param {string} endpoint - API endpoint (path and query)
+     * @returns {number} TTL in ms
+     */
+    getTtl(endpoint) {
+        const prefix = Object.keys(this.ttls)
+            .filter(candidate => endpoint.startsWith(candidate))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? this.ttls[prefix] : this.defaultTtl;
+    }
+
+    /**
+     * Load persisted entries (once). Storage failures leave the cache memory-only.
+     * @returns {Promise} Load promise
+     */
+    load() {
+        if (!this.persist) return Promise.resolve();
+
+        if (!this.loadPromise) {
+            this.loadPromise = (async () => {
+                try {
+                    if (!this.store) {
+                        this.store = await StoreFactory.create('apiCache');
+                    }
+                    const records = await this.store.getAll();
+                    records
+                        .sort((a, b) => a.lastAccess - b.lastAccess)
+                        .forEach(record => {
+                            if (!this.entries.has(record.id)) {
+                                this.entries.set(record.id, record);
+                            }
+                        });
+                    this.evictOverflow();
+                } catch (error) {
+                    console.warn('Failed to load persisted API cache:', error);
+                    this.persist = false;
+                }
+            })();
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Look up an entry and count the hit or miss
+     * @param {string} key - Cache key
+     * @returns {Object|null} { data, isStale } or null on a miss
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        const age = entry ? Date.now() - entry.timestamp : Infinity;
+
+        if (!entry || age >= entry.ttl + this.staleTtl) {
+            if (entry) this.delete(key);
+            this.stats.misses++;
+            return null;
+        }
+
+        // Move to the most recently used position
+        entry.lastAccess = Date.now();
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        const isStale = age >= entry.ttl;
+        if (isStale) {
+            this.stats.staleHits++;
+        } else {
+            this.stats.hits++;
+        }
+        return { data: entry.data, isStale };
+    }
+
+    /**
+     * Store an entry
+     * @param {string} key - Cache key
+     * @param {string} endpoint - Endpoint the data was fetched from (selects the TTL)
+     * @param {*} data - Response data (must be structured-cloneable when persisting)
+     */
+    set(key, endpoint, data) {
+        const entry = {
+            id: key,
+            endpoint,
+            data,
+            ttl: this.getTtl(endpoint),
+            timestamp: Date.now(),
+            lastAccess: Date.now()
+        };
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.evictOverflow();
+        this.write(store => store.put(entry));
+    }
+
+    /**
+     * Remove an entry
+     * @param {string} key - Cache key
+     */
+    delete(key) {
+        if (this.entries.delete(key)) {
+            this.write(store => store.delete(key));
+        }
+    }
+
+    /**
+     * Remove every entry whose endpoint starts with a prefix
+     * @param {string} prefix - Endpoint prefix, e.g. '/users'
+     * @returns {number} Number of removed entries
+     */
+    invalidate(prefix) {
+        const keys = Array.from(this.entries.values())
+            .filter(entry => entry.endpoint.startsWith(prefix))
+            .map(entry => entry.id);
+
+        keys.forEach(key => this.delete(key));
+        this.stats.invalidations += keys.length;
+        return keys.length;
+    }
+
+    /**
+     * Evict least recently used entries beyond maxEntries
+     */
+    evictOverflow() {
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.delete(oldestKey);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Remove all entries
+     */
+    clear() {
+        this.entries.clear();
+        this.write(store => store.clear());
+    }
+
+    /**
+     * Mirror a change to the persistent store without blocking the caller
+     * @param {Function} operation - Receives the store
+     */
+    write(operation) {
+        if (!this.persist || !this.store) return;
+
+        Promise.resolve()
+            .then(() => operation(this.store))
+            .catch(error => console.warn('Failed to persist API cache:', error));
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Size, limits, keys and hit/miss/eviction counters
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+        return {
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            persistent: this.persist,
+            keys: Array.from(this.entries.keys()),
+            ...this.stats,
+            hitRate: lookups > 0 ? (this.stats.hits + this.stats.staleHits) / lookups : 0
+        };
+    }
+}
@@ -0,0 +1,114 @@
+import { Helpers } from '../../utils/helpers.js';
+import { Employee } from '../../models/Employee.js';
+
+/**
+ * Base class for employee backend adapters.
+ *
+ * An adapter knows how to talk to one particular backend (a REST service,
+ * browser storage, an in-memory array...). EmployeeAPI delegates all employee
+ * operations to its adapter, so DataService never needs to know where the
+ * data actually lives.
+ *
+ * Adapters that need HTTP receive the owning EmployeeAPI instance through
+ * setClient() and should go through its get/post/put/delete helpers.
+ */
+export class BaseAdapter {
+    constructor(options = {}) {
+        this.name = options.name || 'base';
+        this.baseURL = options.baseURL || '';
+        this.client = null;
+    }
+
+    /**
+     * Attach the HTTP client used by this adapter
+     * @param {EmployeeAPI} client - Owning API instance
+     */
+    setClient(client) {
+        this.client = client;
+    }
+
+    /**
+     * Fetch all employees
+     * @param {Object} requestOptions - Request options for HTTP adapters (timeout, signal, cancelKey)
+     * @returns {Promise<Array<Employee>>} Array of Employee instances
+     */
+    async fetchEmployees(requestOptions = {}) {
+        throw new Error(`${this.constructor.name} does not implement fetchEmployees()`);
+    }
+
+    /**
+     * Fetch one page of employees matching a query.
+     * The default implementation fetches everything and filters locally;
+     * adapters for large backends should override it.
+     * @param {Object} query - search, departments, sortField, sortDirection, page, pageSize
+     * @param {Object} requestOptions - Request options for HTTP adapters (timeout, signal, cancelKey)
+     * @returns {Promise<Object>} { items: Array<Employee>, total: number }
+     */
+    async queryEmployees(query = {}, requestOptions = {}) {
+        const employees = await this.fetchEmployees(requestOptions);
+        return BaseAdapter.queryLocally(employees, query);
+    }
+
+    /**
+     * Filter, sort and paginate employees in memory
+     * @param {Array<Employee>} employees - All employees
+     * @param {Object} query - search, departments, sortField, sortDirection, page, pageSize
+     * @returns {Object} { items: Array<Employee>, total: number }
+     */
+    static queryLocally(employees, query = {}) {
+        const { search, departments = [], sortField, sortDirection = 'asc', page = 1, pageSize = 25 } = query;
+        let results = employees.filter(emp => emp.isActive);
+
+        if (search) {
+            results = results.filter(emp => emp.matchesSearch(search));
+        }
+        if (departments.length > 0) {
+            results = results.filter(emp => departments.includes(emp.department));
+        }
+        if (sortField) {
+            results = Helpers.sortByProperty(results, Employee.sortKey(sortField), sortDirection);
+        }
+
+        const start = (page - 1) * pageSize;
+        return {
+            items: results.slice(start, start + pageSize),
+            total: results.length
+        };
+    }
+
+    /**
+     * Create a new employee
+     * @param {Object} employeeData - Employee data
+     * @returns {Promise<Object>} Created employee data
+     */
+    async createEmployee(employeeData) {
+        throw new Error(`${this.constructor.name} does not implement createEmployee()`);
+    }
+
+    /**
+     * Update an existing employee
+     * @param {string} id - Employee ID
+     * @param {Object} employeeData - Updated employee data
+     * @returns {Promise<Object>} Updated employee data
+     */
+    async updateEmployee(id, employeeData) {
+        throw new Error(`${this.constructor.name} does not implement updateEmployee()`);
+    }
+
+    /**
+     * Delete an employee
+     * @param {string} id - Employee ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteEmployee(id) {
+        throw new Error(`${this.constructor.name} does not implement deleteEmployee()`);
+    }
+
+    /**
+     * Check whether the backend is reachable
+     * @returns {Promise<boolean>} Backend health status
+     */
+    async healthCheck() {
+        return true;
+    }
+}
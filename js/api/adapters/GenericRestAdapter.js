@@ -0,0 +1,139 @@
+import { RestAdapter } from './RestAdapter.js';
+import { Employee } from '../../models/Employee.js';
+import { Helpers } from '../../utils/helpers.js';
+
+/**
+ * Configurable REST adapter for arbitrary HR backends.
+ *
+ * Example:
+ *   new GenericRestAdapter({
+ *       baseURL: 'https://hr.example.com/api',
+ *       endpoints: { users: '/people', health: '/status' },
+ *       listPath: 'data.items',
+ *       totalPath: 'data.total',
+ *       fieldMap: { id: 'personId', name: 'fullName', email: 'contact.email' }
+ *   });
+ *
+ * fieldMap keys are Employee fields, values are (optionally dotted) paths in
+ * the remote record. Fields without a mapping are read and written under
+ * their own name. Query parameter names can be changed through
+ * `queryParams` (see RestAdapter); the total match count is read from
+ * `totalPath` in the body, or from the X-Total-Count header.
+ */
+export class GenericRestAdapter extends RestAdapter {
+    constructor(options = {}) {
+        if (!options.baseURL) {
+            throw new Error('GenericRestAdapter requires a baseURL');
+        }
+
+        super({
+            name: options.name || 'generic-rest',
+            baseURL: options.baseURL,
+            endpoints: {
+                health: options.endpoints?.users || '/users',
+                ...options.endpoints
+            },
+            queryParams: options.queryParams,
+            totalHeader: options.totalHeader
+        });
+
+        this.fieldMap = options.fieldMap || {};
+        this.listPath = options.listPath || null;
+        this.totalPath = options.totalPath || null;
+        this.fields = [
+            'id', 'name', 'email', 'phone', 'phoneExtension', 'department',
+            'position', 'salary', 'hireDate', 'managerId', 'location',
+            'employmentType', 'costCenter', 'status', 'terminationDate',
+            'customFields', 'compensationHistory', 'deletedAt', 'deletedBy', 'isActive', 'avatar'
+        ];
+    }
+
+    /**
+     * Get the remote path for an Employee field
+     * @param {string} field - Employee field name
+     * @returns {string} Remote path
+     */
+    remotePath(field) {
+        return this.fieldMap[field] || field;
+    }
+
+    /**
+     * Get the remote name of an Employee field (used for sorting and filtering)
+     * @param {string} field - Employee field name
+     * @returns {string} Remote field name
+     */
+    remoteField(field) {
+        return this.remotePath(field);
+    }
+
+    /**
+     * Convert a remote record into an Employee
+     * @param {Object} record - Remote record
+     * @returns {Employee} Employee instance
+     */
+    toEmployee(record) {
+        const data = {};
+        this.fields.forEach(field => {
+            const value = Helpers.getNestedValue(record, this.remotePath(field));
+            if (value !== undefined) {
+                data[field] = value;
+            }
+        });
+        return new Employee(data);
+    }
+
+    /**
+     * Convert employee data into a remote record
+     * @param {Object} employeeData - Employee data
+     * @returns {Object} Remote record
+     */
+    toPayload(employeeData) {
+        const payload = {};
+        this.fields.forEach(field => {
+            if (employeeData[field] !== undefined) {
+                Helpers.setNestedValue(payload, this.remotePath(field), employeeData[field]);
+            }
+        });
+        return payload;
+    }
+
+    /**
+     * Extract the record list from a list response
+     * @param {*} body - Response body
+     * @returns {Array} Array of remote records
+     */
+    extractList(body) {
+        const list = this.listPath ? Helpers.getNestedValue(body, this.listPath) : body;
+        return Array.isArray(list) ? list : [];
+    }
+
+    /**
+     * Read the total number of matches for a page request
+     * @param {*} body - Response body
+     * @param {Headers} headers - Response headers
+     * @param {number} fallback - Value to use when the backend sends no total
+     * @returns {number} Total matches
+     */
+    extractTotal(body, headers, fallback) {
+        if (this.totalPath) {
+            const total = parseInt(Helpers.getNestedValue(body, this.totalPath), 10);
+            if (!isNaN(total)) return total;
+        }
+        return super.extractTotal(body, headers, fallback);
+    }
+
+    /**
+     * Create a new employee
+     * @param {Object} employeeData - Employee data
+     * @returns {Promise<Object>} Created employee data
+     */
+    async createEmployee(employeeData) {
+        const response = await this.client.post(this.endpoints.users, this.toPayload(employeeData));
+        const remoteId = response ? Helpers.getNestedValue(response, this.remotePath('id')) : undefined;
+
+        return {
+            ...employeeData,
+            id: employeeData.id || remoteId
+        };
+    }
+}
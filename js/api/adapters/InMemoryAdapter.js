@@ -0,0 +1,137 @@
+import { BaseAdapter } from './BaseAdapter.js';
+import { Employee } from '../../models/Employee.js';
+import { Helpers } from '../../utils/helpers.js';
+import { NotFoundError, ConflictError } from '../../utils/errors.js';
+
+/**
+ * Adapter that keeps employees in memory. Needs no network, which makes it
+ * the adapter of choice for tests and offline demos:
+ *
+ *   const service = new DataService({ adapter: new InMemoryAdapter(fixtures) });
+ */
+export class InMemoryAdapter extends BaseAdapter {
+    constructor(initialData = [], options = {}) {
+        super({ name: options.name || 'memory' });
+        this.latency = options.latency || 0;
+        this.records = new Map();
+        this.reset(initialData);
+    }
+
+    /**
+     * Replace all stored records
+     * @param {Array} data - Array of employee data
+     */
+    reset(data = []) {
+        this.records.clear();
+        data.forEach(item => {
+            const record = item instanceof Employee ? item.toObject() : new Employee(item).toObject();
+            this.records.set(record.id, record);
+        });
+    }
+
+    /**
+     * Get a snapshot of all stored records
+     * @returns {Array} Array of plain employee objects
+     */
+    getAll() {
+        return Array.from(this.records.values()).map(record => Helpers.deepClone(record));
+    }
+
+    /**
+     * Reject emails already used by another record, like a real backend would.
+     * Records in the trash don't hold on to their email.
+     * @param {string} email - Email to check
+     * @param {string} id - ID of the record being written
+     * @throws {ConflictError} If another record has the same email
+     */
+    assertUniqueEmail(email, id) {
+        if (!email) return;
+
+        const clash = Array.from(this.records.values()).find(record =>
+            record.id !== id && !record.deletedAt && record.email?.toLowerCase() === email.toLowerCase()
+        );
+        if (clash) {
+            throw new ConflictError('Employee with this email already exists', { field: 'email' });
+        }
+    }
+
+    /**
+     * Hook called after every mutation. Subclasses can persist here.
+     */
+    persist() {}
+
+    /**
+     * Wait for the configured artificial latency
+     * @returns {Promise} Delay promise
+     */
+    async simulateLatency() {
+        if (this.latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latency));
+        }
+    }
+
+    /**
+     * Fetch all employees
+     * @returns {Promise<Array<Employee>>} Array of Employee instances
+     */
+    async fetchEmployees() {
+        await this.simulateLatency();
+        return this.getAll().map(record => new Employee(record));
+    }
+
+    /**
+     * Create a new employee
+     * @param {Object} employeeData - Employee data
+     * @returns {Promise<Object>} Created employee data
+     * @throws {ConflictError} If another employee has the same email
+     */
+    async createEmployee(employeeData) {
+        await this.simulateLatency();
+        this.assertUniqueEmail(employeeData.email, employeeData.id);
+        const record = {
+            ...Helpers.deepClone(employeeData),
+            id: employeeData.id || Helpers.generateId()
+        };
+        this.records.set(record.id, record);
+        this.persist();
+        return Helpers.deepClone(record);
+    }
+
+    /**
+     * Update an existing employee
+     * @param {string} id - Employee ID
+     * @param {Object} employeeData - Updated employee data
+     * @returns {Promise<Object>} Updated employee data
+     * @throws {NotFoundError} If the employee does not exist
+     * @throws {ConflictError} If another employee has the same email
+     */
+    async updateEmployee(id, employeeData) {
+        await this.simulateLatency();
+        const existing = this.records.get(id);
+        if (!existing) {
+            throw new NotFoundError(`Employee ${id} not found`, { resourceId: id });
+        }
+
+        this.assertUniqueEmail(employeeData.email, id);
+
+        const record = { ...existing, ...Helpers.deepClone(employeeData), id };
+        this.records.set(id, record);
+        this.persist();
+        return Helpers.deepClone(record);
+    }
+
+    /**
+     * Delete an employee
+     * @param {string} id - Employee ID
+     * @returns {Promise<boolean>} Success status
+     * @throws {NotFoundError} If the employee does not exist
+     */
+    async deleteEmployee(id) {
+        await this.simulateLatency();
+        if (!this.records.delete(id)) {
+            throw new NotFoundError(`Employee ${id} not found`, { resourceId: id });
+        }
+        this.persist();
+        return true;
+    }
+}
@@ -0,0 +1,54 @@
+import { InMemoryAdapter } from './InMemoryAdapter.js';
+
+/**
+ * Adapter that stores employees in window.localStorage.
+ * Seed data is only used when nothing has been stored yet.
+ */
+export class LocalStorageAdapter extends InMemoryAdapter {
+    constructor(seedData = [], options = {}) {
+        super([], { name: options.name || 'localStorage', latency: options.latency });
+        this.storageKey = options.storageKey || 'ems.employees';
+        this.storage = options.storage || window.localStorage;
+
+        const stored = this.load();
+        if (stored) {
+            stored.forEach(record => this.records.set(record.id, record));
+        } else {
+            this.reset(seedData);
+            this.persist();
+        }
+    }
+
+    /**
+     * Read records from storage
+     * @returns {Array|null} Stored records, or null if none
+     */
+    load() {
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn('Failed to read employees from localStorage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Write records to storage
+     */
+    persist() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(Array.from(this.records.values())));
+        } catch (error) {
+            console.error('Failed to write employees to localStorage:', error);
+        }
+    }
+
+    /**
+     * Check whether storage is available
+     * @returns {Promise<boolean>} Storage health status
+     */
+    async healthCheck() {
+        return Boolean(this.storage);
+    }
+}
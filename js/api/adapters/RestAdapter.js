@@ -0,0 +1,208 @@
+import { BaseAdapter } from './BaseAdapter.js';
+import { Employee } from '../../models/Employee.js';
+
+/**
+ * REST adapter for the JSONPlaceholder /users API.
+ *
+ * Server-side queries use the json-server conventions JSONPlaceholder
+ * understands (_page, _limit, _sort, _order, q and an X-Total-Count
+ * header); override `queryParams`/`totalHeader` for other backends.
+ */
+export class RestAdapter extends BaseAdapter {
+    constructor(options = {}) {
+        super({
+            name: options.name || 'rest',
+            baseURL: options.baseURL || 'https://jsonplaceholder.typicode.com'
+        });
+        this.endpoints = {
+            users: '/users',
+            health: '/posts/1',
+            ...options.endpoints
+        };
+        this.queryParams = {
+            page: '_page',
+            pageSize: '_limit',
+            sortField: '_sort',
+            sortDirection: '_order',
+            search: 'q',
+            department: 'department',
+            ...options.queryParams
+        };
+        this.totalHeader = options.totalHeader || 'X-Total-Count';
+    }
+
+    /**
+     * Build the endpoint for a single record
+     * @param {string} id - Record ID
+     * @returns {string} Endpoint path
+     */
+    itemEndpoint(id) {
+        return `${this.endpoints.users}/${encodeURIComponent(id)}`;
+    }
+
+    /**
+     * Get the remote name of an Employee field (used for sorting and filtering)
+     * @param {string} field - Employee field name
+     * @returns {string} Remote field name
+     */
+    remoteField(field) {
+        return field;
+    }
+
+    /**
+     * Convert a remote record into an Employee
+     * @param {Object} record - Remote record
+     * @returns {Employee} Employee instance
+     */
+    toEmployee(record) {
+        return Employee.fromApiData(record);
+    }
+
+    /**
+     * Convert employee data into a request payload
+     * @param {Object} employeeData - Employee data
+     * @returns {Object} Request payload
+     */
+    toPayload(employeeData) {
+        return employeeData;
+    }
+
+    /**
+     * Extract the record list from a list response
+     * @param {*} body - Response body
+     * @returns {Array} Array of remote records
+     */
+    extractList(body) {
+        return Array.isArray(body) ? body : [];
+    }
+
+    /**
+     * Fetch all users
+     * @param {Object} requestOptions - Extra request options (timeout, signal, cancelKey)
+     * @returns {Promise<Array>} Array of user data
+     */
+    async fetchUsers(requestOptions = {}) {
+        console.log(`Fetching users from ${this.baseURL}...`);
+        const body = await this.client.get(this.endpoints.users, true, requestOptions);
+        const users = this.extractList(body);
+        console.log(`Successfully fetched ${users.length} users`);
+        return users;
+    }
+
+    /**
+     * Fetch single user by ID
+     * @param {string} id - User ID
+     * @returns {Promise<Object>} User data
+     */
+    async fetchUser(id) {
+        return await this.client.get(this.itemEndpoint(id));
+    }
+
+    /**
+     * Fetch all employees
+     * @param {Object} requestOptions - Extra request options (timeout, signal, cancelKey)
+     * @returns {Promise<Array<Employee>>} Array of Employee instances
+     */
+    async fetchEmployees(requestOptions = {}) {
+        const users = await this.fetchUsers(requestOptions);
+        return users.map(user => this.toEmployee(user));
+    }
+
+    /**
+     * Build the query string for a page request
+     * @param {Object} query - search, departments, sortField, sortDirection, page, pageSize
+     * @returns {URLSearchParams} Query parameters
+     */
+    buildQueryParams(query) {
+        const params = new URLSearchParams();
+        const names = this.queryParams;
+
+        if (query.page) params.set(names.page, query.page);
+        if (query.pageSize) params.set(names.pageSize, query.pageSize);
+        if (query.sortField) {
+            params.set(names.sortField, this.remoteField(query.sortField));
+            params.set(names.sortDirection, query.sortDirection || 'asc');
+        }
+        if (query.search) params.set(names.search, query.search);
+        (query.departments || []).forEach(department => {
+            params.append(names.department, department);
+        });
+
+        return params;
+    }
+
+    /**
+     * Read the total number of matches for a page request
+     * @param {*} body - Response body
+     * @param {Headers} headers - Response headers
+     * @param {number} fallback - Value to use when the backend sends no total
+     * @returns {number} Total matches
+     */
+    extractTotal(body, headers, fallback) {
+        const total = parseInt(headers?.get(this.totalHeader), 10);
+        return isNaN(total) ? fallback : total;
+    }
+
+    /**
+     * Fetch one page of employees, filtered and sorted by the backend
+     * @param {Object} query - search, departments, sortField, sortDirection, page, pageSize
+     * @param {Object} requestOptions - Extra request options (timeout, signal, cancelKey)
+     * @returns {Promise<Object>} { items: Array<Employee>, total: number }
+     */
+    async queryEmployees(query = {}, requestOptions = {}) {
+        const endpoint = `${this.endpoints.users}?${this.buildQueryParams(query)}`;
+        const { data, headers } = await this.client.get(endpoint, false, { ...requestOptions, withHeaders: true });
+        const records = this.extractList(data);
+
+        return {
+            items: records.map(record => this.toEmployee(record)),
+            total: this.extractTotal(data, headers, records.length)
+        };
+    }
+
+    /**
+     * Create a new employee (JSONPlaceholder accepts but doesn't persist it)
+     * @param {Object} employeeData - Employee data
+     * @returns {Promise<Object>} Created employee data
+     */
+    async createEmployee(employeeData) {
+        const response = await this.client.post(this.endpoints.users, this.toPayload(employeeData));
+
+        // Keep the client-generated ID when there is one so local references stay valid
+        return {
+            ...employeeData,
+            id: employeeData.id || response?.id
+        };
+    }
+
+    /**
+     * Update an existing employee
+     * @param {string} id - Employee ID
+     * @param {Object} employeeData - Updated employee data
+     * @returns {Promise<Object>} Updated employee data
+     */
+    async updateEmployee(id, employeeData) {
+        await this.client.put(this.itemEndpoint(id), this.toPayload({ ...employeeData, id }));
+        return { ...employeeData, id };
+    }
+
+    /**
+     * Delete an employee
+     * @param {string} id - Employee ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteEmployee(id) {
+        await this.client.delete(this.itemEndpoint(id));
+        return true;
+    }
+
+    /**
+     * Check whether the backend is reachable
+     * @returns {Promise<boolean>} Backend health status
+     */
+    async healthCheck() {
+        // Don't use cache or retries for health check, and give up quickly
+        await this.client.get(this.endpoints.health, false, { timeout: 5000, retries: 0 });
+        return true;
+    }
+}
@@ -2,17 +2,45 @@ import { DataService } from './services/DataService.js';
 import { TableComponent } from './components/TableComponent.js';
 import { SearchComponent } from './components/SearchComponent.js';
 import { PaginationComponent } from './components/PaginationComponent.js';
+import { ConflictDialog } from './components/ConflictDialog.js';
+import { FieldSchemaEditor } from './components/FieldSchemaEditor.js';
+import { OrgChartComponent } from './components/OrgChartComponent.js';
+import { TrashComponent } from './components/TrashComponent.js';
+import { BulkActionBar } from './components/BulkActionBar.js';
+import { EmployeeDetailPanel } from './components/EmployeeDetailPanel.js';
+import { DisplaySettingsDialog } from './components/DisplaySettingsDialog.js';
+import { ImportWizard } from './components/ImportWizard.js';
+import { FieldSchema } from './models/FieldSchema.js';
 import { Helpers } from './utils/helpers.js';
+import { PhoneNumber } from './utils/PhoneNumber.js';
+import { AppError, ValidationError } from './utils/errors.js';
 
 /**
  * Main application class
  */
 class EmployeeManagementApp {
-    constructor() {
-        this.dataService = new DataService();
+    /**
+     * @param {Object} options - App options
+     * @param {Object} options.dataService - DataService options (adapter, paginationMode, ...)
+     * @param {number} options.autoSyncInterval - Sync with the backend this often, in ms (off by default)
+     */
+    constructor(options = {}) {
+        this.dataService = new DataService(options.dataService);
+        this.autoSyncInterval = options.autoSyncInterval || 0;
         this.tableComponent = null;
         this.searchComponent = null;
         this.paginationComponent = null;
+        this.conflictDialog = null;
+        this.fieldSchemaEditor = null;
+        this.orgChartComponent = null;
+        this.trashComponent = null;
+        this.bulkActionBar = null;
+        this.employeeDetailPanel = null;
+        this.displaySettingsDialog = null;
+        this.importWizard = null;
+
+        // 'table', 'org' or 'trash'
+        this.currentView = 'table';
         
         // Modal elements
         this.employeeModal = null;
@@ -21,6 +49,13 @@ class EmployeeManagementApp {
         
         // Current editing employee
         this.editingEmployeeId = null;
+
+        // Employee awaiting delete confirmation, and whether the delete skips the trash
+        this.deletingEmployeeId = null;
+        this.deletingPermanently = false;
+
+        // Selected employees awaiting bulk delete confirmation
+        this.bulkDeletingIds = null;
         
         // Filter elements
         this.departmentFilter = null;
@@ -50,6 +85,19 @@ class EmployeeManagementApp {
             
             // Set up observers
             this.setupObservers();
+            this.updateSyncStatus(this.dataService.getOutboxStatus());
+            this.tableComponent.setLayout(this.dataService.getTableLayout());
+            this.updatePageSizeOptions();
+
+            // Conflicts found during the initial load, before observers were attached
+            if (this.dataService.getConflicts().length > 0) {
+                this.conflictDialog.show(this.dataService.getConflicts());
+            }
+
+            // Keep data fresh when enabled; local edits are merged, not overwritten
+            if (this.autoSyncInterval > 0) {
+                this.dataService.startAutoSync(this.autoSyncInterval);
+            }
             
             // Initial render
             this.render();
@@ -77,6 +125,9 @@ class EmployeeManagementApp {
         
         // Containers
         this.tableContainer = document.getElementById('tableContainer');
+        this.orgChartContainer = document.getElementById('orgChartContainer');
+        this.trashContainer = document.getElementById('trashContainer');
+        this.bulkActionContainer = document.getElementById('bulkActionBar');
         this.searchContainer = document.getElementById('searchContainer');
         this.paginationContainer = document.getElementById('paginationContainer');
     }
@@ -87,14 +138,33 @@ class EmployeeManagementApp {
     initializeComponents() {
         // Initialize table component
         this.tableComponent = new TableComponent(this.tableContainer, {
-            onEdit: (id) => this.editEmployee(id),
-            onDelete: (id) => this.deleteEmployee(id),
-            onSort: (field, direction) => this.handleSort(field, direction),
+            onLayoutChange: (layout) => this.dataService.saveTableLayout(layout),
+            onCellEdit: (id, changes) => this.dataService.updateEmployeeFields(id, changes),
             virtualScrolling: true
         });
+        this.tableComponent.addEventListener('details', ({ detail }) => this.showEmployeeDetails(detail.id));
+        this.tableComponent.addEventListener('edit', ({ detail }) => this.editEmployee(detail.id));
+        this.tableComponent.addEventListener('delete', ({ detail }) => this.deleteEmployee(detail.id));
+        this.tableComponent.addEventListener('add', () => this.showAddEmployeeModal());
+        this.tableComponent.addEventListener('sortChange', ({ detail }) => this.handleSort(detail.field, detail.direction));
+        this.tableComponent.addEventListener('selectionChange', () => this.updateBulkActionBar());
+
+        // Initialize actions on the selected rows
+        if (this.bulkActionContainer) {
+            this.bulkActionBar = new BulkActionBar(this.bulkActionContainer, {
+                onSelectAllMatching: () => this.selectAllMatching(),
+                onClear: () => this.tableComponent.clearSelection(),
+                onDelete: () => this.deleteSelected(),
+                onDeactivate: () => this.runBulkAction(ids => this.dataService.bulkDeactivateEmployees(ids)),
+                onChangeDepartment: (department) => this.runBulkAction(ids => this.dataService.bulkChangeDepartment(ids, department)),
+                onAdjustSalary: (percentage) => this.runBulkAction(ids => this.dataService.bulkAdjustSalary(ids, percentage)),
+                onExport: (format) => this.exportData(format, { ids: this.tableComponent.getSelectedIds() })
+            });
+        }
 
-        // Initialize search component
+        // Initialize search component (a new search starts a new selection)
         this.searchComponent = new SearchComponent(this.searchContainer, (searchTerm) => {
+            this.tableComponent.clearSelection();
             this.dataService.searchEmployees(searchTerm);
         });
 
@@ -102,6 +172,54 @@ class EmployeeManagementApp {
         this.paginationComponent = new PaginationComponent(this.paginationContainer, (page) => {
             this.dataService.setCurrentPage(page);
         });
+
+        // Initialize sync conflict dialog
+        this.conflictDialog = new ConflictDialog((id, choices) => {
+            return this.dataService.resolveConflict(id, choices);
+        });
+
+        // Initialize custom field editor
+        this.fieldSchemaEditor = new FieldSchemaEditor(this.dataService.getFieldSchema(), {
+            onSave: (definition, originalKey) => this.dataService.saveFieldDefinition(definition, originalKey),
+            onRemove: (key) => this.dataService.removeFieldDefinition(key)
+        });
+
+        // Initialize org chart (rendered when its view is shown)
+        if (this.orgChartContainer) {
+            this.orgChartComponent = new OrgChartComponent(this.orgChartContainer, {
+                onReassign: (id, managerId) => this.dataService.reassignManager(id, managerId),
+                onSelect: (id) => this.showEmployeeDetails(id)
+            });
+        }
+
+        // Initialize trash (rendered when its view is shown)
+        if (this.trashContainer) {
+            this.trashComponent = new TrashComponent(this.trashContainer, {
+                onRestore: (id) => this.dataService.restoreEmployee(id),
+                onPurge: (id) => this.deleteEmployee(id, { permanent: true }),
+                onRetentionChange: (days) => this.dataService.setTrashRetention(days)
+            });
+        }
+
+        // Initialize employee detail panel
+        this.employeeDetailPanel = new EmployeeDetailPanel({
+            getEmployee: (id) => this.dataService.getEmployeeCollection().findById(id),
+            onRecordCompensation: (id, change) => this.dataService.recordCompensationChange(id, change),
+            getHistory: (id) => this.dataService.getAuditLog({ employeeId: id }),
+            onEdit: (id) => this.editEmployee(id)
+        });
+
+        // Initialize locale and exchange-rate settings
+        this.displaySettingsDialog = new DisplaySettingsDialog({
+            getSettings: () => this.dataService.getDisplaySettings(),
+            onSave: (settings) => this.dataService.saveDisplaySettings(settings)
+        });
+
+        // Initialize CSV/JSON import
+        this.importWizard = new ImportWizard({
+            onPreview: (records, mapping, mode) => this.dataService.previewImport(records, mapping, mode),
+            onImport: (records, mapping, mode) => this.dataService.importEmployees(records, mapping, { mode })
+        });
     }
 
     /**
@@ -165,15 +283,42 @@ class EmployeeManagementApp {
     // If nothing selected, show all departments
     const departmentsToFilter = selectedOptions.length > 0 ? selectedOptions : [];
 
+    this.tableComponent.clearSelection();
     this.dataService.filterByDepartments(departmentsToFilter);
 });
 
 
 
 
-        // Page size selector
+        // Table / org chart / trash view toggle
+        document.querySelectorAll('.view-toggle [data-view]').forEach(button => {
+            button.addEventListener('click', () => this.setView(button.dataset.view));
+        });
+
+        document.getElementById('manageFieldsBtn')?.addEventListener('click', () => {
+            this.fieldSchemaEditor.show();
+        });
+
+        document.getElementById('displaySettingsBtn')?.addEventListener('click', () => {
+            this.displaySettingsDialog.show();
+        });
+
+        document.getElementById('importBtn')?.addEventListener('click', () => {
+            this.importWizard.show();
+        });
+
+        // Manual sync of offline changes
+        document.getElementById('syncNowBtn')?.addEventListener('click', () => {
+            this.dataService.syncNow();
+        });
+
+        // Page size selector ("All rows" scrolls through every employee instead of paging)
         this.pageSizeSelect?.addEventListener('change', () => {
-            this.dataService.setPageSize(parseInt(this.pageSizeSelect.value));
+            if (this.pageSizeSelect.value === 'all') {
+                this.dataService.setShowAll(true);
+            } else {
+                this.dataService.setPageSize(parseInt(this.pageSizeSelect.value));
+            }
         });
 
         // Modal events
@@ -202,6 +347,18 @@ class EmployeeManagementApp {
             this.handleEmployeeFormSubmit(e);
         });
 
+        document.getElementById('employeeStatus')?.addEventListener('change', () => {
+            this.updateTerminationDateField();
+        });
+
+        document.getElementById('employeeSalary')?.addEventListener('input', () => {
+            this.updateSalaryChangeFields();
+        });
+
+        document.getElementById('employeeCurrency')?.addEventListener('change', () => {
+            this.updateSalaryChangeFields();
+        });
+
         // Confirm modal
         document.getElementById('confirmModalClose')?.addEventListener('click', () => {
             this.hideConfirmModal();
@@ -244,6 +401,12 @@ class EmployeeManagementApp {
         // Listen to collection changes
         this.dataService.getEmployeeCollection().addObserver(() => {
             this.render();
+            this.employeeDetailPanel.refresh();
+        });
+
+        // Show custom fields as table columns
+        this.dataService.getFieldSchema().addObserver(schema => {
+            this.tableComponent.setCustomColumns(schema.getTableFields());
         });
 
         // Listen to service events
@@ -264,15 +427,59 @@ class EmployeeManagementApp {
                 break;
             case 'init_complete':
                 this.updateDepartmentFilter();
+                this.updateTrashCount();
                 break;
             case 'add_complete':
             case 'update_complete':
             case 'delete_complete':
+            case 'restore_complete':
+            case 'purge_complete':
+            case 'remove_complete':
+            case 'import_complete':
+            case 'page_load_complete':
                 this.updateDepartmentFilter();
+                this.updateTrashCount();
+                break;
+            case 'table_layout_loaded':
+                this.tableComponent.setLayout(data.layout);
+                break;
+            case 'trash_retention_changed':
+                this.render();
+                break;
+            case 'outbox_changed':
+                this.updateSyncStatus(data);
+                break;
+            case 'sync_conflict':
+                this.conflictDialog.show(data.conflicts);
+                break;
+            case 'audit_recorded':
+                this.employeeDetailPanel.refreshHistory(data.employeeId);
                 break;
         }
     }
 
+    /**
+     * Show pending offline changes in the header and the table
+     * @param {Object} status - Outbox status from the data service
+     */
+    updateSyncStatus(status) {
+        const container = document.getElementById('syncStatus');
+        const text = document.getElementById('syncStatusText');
+        const { pending, failed, unsyncedIds } = status;
+
+        this.tableComponent?.setUnsyncedIds(unsyncedIds);
+
+        if (!container || !text) return;
+
+        const parts = [];
+        if (pending > 0) parts.push(`${pending} unsynced change${pending === 1 ? '' : 's'}`);
+        if (failed > 0) parts.push(`${failed} failed`);
+
+        text.textContent = parts.join(', ');
+        container.hidden = parts.length === 0;
+        container.classList.toggle('has-failures', failed > 0);
+    }
+
     /**
      * Handle loading state changes
      * @param {boolean} isLoading - Loading state
@@ -305,8 +512,46 @@ class EmployeeManagementApp {
         };
 
         // Update components
+        this.tableComponent.setDepartments(this.getDepartmentOptions());
         this.tableComponent.update(employees, sortInfo);
         this.paginationComponent.update(paginationInfo);
+        this.updateBulkActionBar();
+
+        if (this.currentView === 'org') {
+            // In server-side pagination mode only the loaded page is known
+            this.orgChartComponent?.update(this.dataService.getOrgTree());
+        }
+        if (this.currentView === 'trash') {
+            this.trashComponent?.update({
+                employees: this.dataService.getDeletedEmployees(),
+                retentionDays: this.dataService.getTrashRetention()
+            });
+        }
+    }
+
+    /**
+     * Switch between the table, the org chart and the trash
+     * @param {string} view - 'table', 'org' or 'trash'
+     */
+    setView(view) {
+        const components = { org: this.orgChartComponent, trash: this.trashComponent };
+        if (view in components && !components[view]) return;
+
+        this.currentView = view in components ? view : 'table';
+        const showTable = this.currentView === 'table';
+
+        this.tableContainer.hidden = !showTable;
+        this.paginationContainer.hidden = !showTable;
+        if (this.orgChartContainer) this.orgChartContainer.hidden = this.currentView !== 'org';
+        if (this.trashContainer) this.trashContainer.hidden = this.currentView !== 'trash';
+
+        document.querySelectorAll('.view-toggle [data-view]').forEach(button => {
+            const isActive = button.dataset.view === this.currentView;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+
+        this.render();
     }
 
     /**
@@ -318,10 +563,194 @@ class EmployeeManagementApp {
         document.getElementById('saveBtn').textContent = 'Save Employee';
         
         this.employeeForm.reset();
+        this.populateManagerOptions(null, null);
+        this.populateCurrencyOptions(this.dataService.getDisplaySettings().reportingCurrency);
+        this.updateTerminationDateField();
+        this.updateSalaryChangeFields();
+        this.renderCustomFieldInputs({});
         this.clearFormErrors();
         this.showEmployeeModal();
     }
 
+    /**
+     * Fill the "Reports To" select with possible managers
+     * @param {string|null} employeeId - Employee being edited (cannot manage themselves)
+     * @param {string|null} selectedId - Current manager ID
+     */
+    populateManagerOptions(employeeId, selectedId) {
+        const select = document.getElementById('employeeManager');
+        if (!select) return;
+
+        const collection = this.dataService.getEmployeeCollection();
+        const candidates = Helpers.sortByProperty(
+            collection.getAllEmployees(false).filter(emp => emp.id !== employeeId),
+            'name'
+        );
+
+        const options = candidates.map(emp =>
+            `<option value="${Helpers.escapeHtml(emp.id)}">${Helpers.escapeHtml(emp.name)} (${Helpers.escapeHtml(emp.position)})</option>`
+        );
+
+        // Keep a manager that is not loaded (e.g. on another page in remote mode)
+        if (selectedId && !candidates.some(emp => emp.id === selectedId)) {
+            options.unshift(`<option value="${Helpers.escapeHtml(selectedId)}">Employee ${Helpers.escapeHtml(selectedId)}</option>`);
+        }
+
+        select.innerHTML = `<option value="">No manager</option>${options.join('')}`;
+        select.value = selectedId || '';
+    }
+
+    /**
+     * Render inputs for the organisation's custom fields
+     * @param {Object} values - Current values keyed by field key
+     */
+    renderCustomFieldInputs(values = {}) {
+        const container = document.getElementById('customFieldsContainer');
+        if (!container) return;
+
+        container.innerHTML = this.dataService.getFieldSchema().getFields().map(field => {
+            const id = `customField_${field.key}`;
+            const name = FieldSchema.inputName(field.key);
+            const value = values[field.key];
+            const label = `${Helpers.escapeHtml(field.label)}${field.required ? ' *' : ''}`;
+            const escapedValue = Helpers.escapeHtml(FieldSchema.isEmpty(value) ? '' : String(value));
+            let input;
+
+            switch (field.type) {
+                case 'boolean':
+                    return `
+                        <div class="form-group form-check">
+                            <label><input type="checkbox" id="${id}" name="${name}" ${value ? 'checked' : ''}> ${label}</label>
+                        </div>
+                    `;
+                case 'enum':
+                    input = `
+                        <select id="${id}" name="${name}">
+                            <option value="">Select...</option>
+                            ${field.options.map(option => `
+                                <option value="${Helpers.escapeHtml(option)}" ${option === value ? 'selected' : ''}>${Helpers.escapeHtml(option)}</option>
+                            `).join('')}
+                        </select>
+                    `;
+                    break;
+                case 'number':
+                    input = `<input type="number" id="${id}" name="${name}" value="${escapedValue}" step="any">`;
+                    break;
+                case 'date':
+                    input = `<input type="date" id="${id}" name="${name}" value="${escapedValue.split('T')[0]}">`;
+                    break;
+                default:
+                    input = `<input type="${field.type === 'text' ? 'text' : field.type}" id="${id}" name="${name}" value="${escapedValue}">`;
+            }
+
+            return `
+                <div class="form-group">
+                    <label for="${id}">${label}</label>
+                    ${input}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Read custom field values from the employee form
+     * @returns {Object} Values keyed by field key
+     */
+    getCustomFieldValues() {
+        const schema = this.dataService.getFieldSchema();
+        const values = {};
+
+        schema.getFields().forEach(field => {
+            const input = this.employeeForm.elements.namedItem(FieldSchema.inputName(field.key));
+            if (!input) return;
+            values[field.key] = schema.coerce(field, field.type === 'boolean' ? input.checked : input.value);
+        });
+
+        return values;
+    }
+
+    /**
+     * Show the termination date only for statuses that need one
+     */
+    updateTerminationDateField() {
+        const status = document.getElementById('employeeStatus')?.value;
+        const group = document.getElementById('terminationDateGroup');
+        if (!group) return;
+
+        group.hidden = !['notice-period', 'terminated'].includes(status);
+        document.getElementById('employeeTerminationDate').required = !group.hidden;
+    }
+
+    /**
+     * Ask for the reason and effective date when an employee's salary is edited
+     */
+    updateSalaryChangeFields() {
+        const group = document.getElementById('salaryChangeGroup');
+        if (!group) return;
+
+        const employee = this.editingEmployeeId
+            ? this.dataService.getEmployeeCollection().findById(this.editingEmployeeId)
+            : null;
+        const salary = document.getElementById('employeeSalary').value;
+        const currency = document.getElementById('employeeCurrency').value;
+        group.hidden = !employee || salary === '' ||
+            (Number(salary) === Number(employee.salary) && currency === employee.currency);
+    }
+
+    /**
+     * Fill the currency select with the configured currencies
+     * @param {string} selected - Currency to select (added if it has no exchange rate)
+     */
+    populateCurrencyOptions(selected) {
+        const select = document.getElementById('employeeCurrency');
+        if (!select) return;
+
+        const currencies = this.dataService.getDisplaySettings().rates;
+        const codes = Object.keys(currencies);
+        if (selected && !codes.includes(selected)) codes.push(selected);
+
+        select.innerHTML = codes.map(code => `
+            <option value="${Helpers.escapeHtml(code)}">${Helpers.escapeHtml(code)}${currencies[code] ? '' : ' (no exchange rate)'}</option>
+        `).join('');
+        select.value = selected || codes[0];
+    }
+
+    /**
+     * Build the compensation history for a salary edited in the employee form
+     * @param {Employee} employee - Employee being edited
+     * @param {FormData} formData - Form data
+     * @returns {Array<Object>} Compensation history including the change
+     * @throws {ValidationError} With errors keyed by form input name
+     */
+    buildCompensationHistory(employee, formData) {
+        try {
+            return employee.withCompensationChange({
+                amount: formData.get('salary'),
+                currency: formData.get('currency'),
+                reason: formData.get('salaryChangeReason'),
+                effectiveDate: formData.get('salaryEffectiveDate') || new Date()
+            });
+        } catch (error) {
+            if (!(error instanceof ValidationError)) throw error;
+            const { amount, currency, reason, effectiveDate } = error.fieldErrors;
+            throw new ValidationError(Object.fromEntries(Object.entries({
+                salary: amount,
+                currency,
+                salaryChangeReason: reason,
+                salaryEffectiveDate: effectiveDate
+            }).filter(([, message]) => message)));
+        }
+    }
+
+    /**
+     * Show an employee's details and compensation history
+     * @param {string} id - Employee ID
+     * @param {string} tab - Tab to open ('overview' or 'compensation')
+     */
+    showEmployeeDetails(id, tab = 'overview') {
+        this.employeeDetailPanel.show(id, tab);
+    }
+
     /**
      * Edit employee
      * @param {string} id - Employee ID
@@ -340,33 +769,139 @@ class EmployeeManagementApp {
         // Populate form
         document.getElementById('employeeName').value = employee.name;
         document.getElementById('employeeEmail').value = employee.email;
-        document.getElementById('employeePhone').value = employee.phone;
+        document.getElementById('employeePhone').value = PhoneNumber.format(employee.phone);
+        document.getElementById('employeePhoneExtension').value = employee.phoneExtension;
         document.getElementById('employeeDepartment').value = employee.department;
         document.getElementById('employeePosition').value = employee.position;
         document.getElementById('employeeSalary').value = employee.salary;
+        document.getElementById('employeeLocation').value = employee.location;
+        document.getElementById('employeeCostCenter').value = employee.costCenter;
+        document.getElementById('employeeEmploymentType').value = employee.employmentType;
+        document.getElementById('employeeStatus').value = employee.status;
+        document.getElementById('employeeTerminationDate').value = employee.terminationDate
+            ? employee.terminationDate.split('T')[0]
+            : '';
+        document.getElementById('salaryChangeReason').value = 'merit';
+        document.getElementById('salaryEffectiveDate').value = new Date().toISOString().split('T')[0];
+        this.populateManagerOptions(employee.id, employee.managerId);
+        this.populateCurrencyOptions(employee.currency);
+        this.updateTerminationDateField();
+        this.updateSalaryChangeFields();
+        this.renderCustomFieldInputs(employee.customFields);
 
         this.clearFormErrors();
         this.showEmployeeModal();
     }
 
     /**
-     * Delete employee
+     * Delete employee (moves them to the trash unless permanent)
      * @param {string} id - Employee ID
+     * @param {Object} options - Delete options
+     * @param {boolean} options.permanent - Delete for good, e.g. from the trash
      */
-    deleteEmployee(id) {
-        const employee = this.dataService.getEmployeeCollection().findById(id);
+    deleteEmployee(id, options = {}) {
+        const collection = this.dataService.getEmployeeCollection();
+        const employee = collection.findById(id) || collection.findDeletedById(id);
         if (!employee) {
             Helpers.showToast('Employee not found', 'error');
             return;
         }
 
         this.deletingEmployeeId = id;
-        document.getElementById('confirmMessage').textContent = 
-            `Are you sure you want to delete ${employee.name}? This action cannot be undone.`;
+        this.deletingPermanently = Boolean(options.permanent);
+        document.getElementById('confirmMessage').textContent = this.deletingPermanently
+            ? `Are you sure you want to permanently delete ${employee.name}? This action cannot be undone.`
+            : `Move ${employee.name} to the trash? They can be restored from the Trash view.`;
+        document.getElementById('confirmDeleteBtn').textContent = this.deletingPermanently
+            ? 'Delete permanently'
+            : 'Move to trash';
         
         this.showConfirmModal();
     }
 
+    /**
+     * Offer "All rows" only when every employee is loaded (not in server-side pagination)
+     */
+    updatePageSizeOptions() {
+        const showAllOption = this.pageSizeSelect?.querySelector('option[value="all"]');
+        if (!showAllOption) return;
+
+        showAllOption.disabled = this.dataService.isRemoteMode();
+        showAllOption.title = showAllOption.disabled ? 'Not available while pages are loaded from the server' : '';
+    }
+
+    /**
+     * Show the bulk action bar for the current selection (table view only)
+     */
+    updateBulkActionBar() {
+        if (!this.bulkActionBar) return;
+
+        const collection = this.dataService.getEmployeeCollection();
+        this.bulkActionBar.update({
+            count: this.currentView === 'table' ? this.tableComponent.getSelectedIds().length : 0,
+            matchingCount: collection.getTotalFiltered(),
+            departments: this.getDepartmentOptions()
+        });
+    }
+
+    /**
+     * Get the departments an employee can be moved to: those offered by the
+     * employee form and any others already in use
+     * @returns {Array<string>} Sorted department names
+     */
+    getDepartmentOptions() {
+        const formOptions = Array.from(document.getElementById('employeeDepartment')?.options || [])
+            .map(option => option.value)
+            .filter(Boolean);
+        const inUse = this.dataService.getEmployeeCollection().getUniqueDepartments();
+        return [...new Set([...formOptions, ...inUse])].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Select every employee matching the search and filters, on all pages
+     */
+    async selectAllMatching() {
+        const ids = await this.dataService.getMatchingEmployeeIds();
+        this.tableComponent.setSelection(ids);
+    }
+
+    /**
+     * Run a bulk action on the selected employees. Employees it could not
+     * change stay selected so the action can be retried for them.
+     * @param {Function} action - async (ids) => { failed } (see DataService.runBulkAction)
+     */
+    async runBulkAction(action) {
+        const result = await action(this.tableComponent.getSelectedIds());
+        this.tableComponent.setSelection(result.failed.map(failure => failure.id));
+    }
+
+    /**
+     * Ask before moving the selected employees to the trash
+     */
+    deleteSelected() {
+        const ids = this.tableComponent.getSelectedIds();
+        if (ids.length === 0) return;
+
+        this.bulkDeletingIds = ids;
+        document.getElementById('confirmMessage').textContent =
+            `Move ${ids.length} selected employee${ids.length === 1 ? '' : 's'} to the trash? They can be restored from the Trash view.`;
+        document.getElementById('confirmDeleteBtn').textContent = 'Move to trash';
+
+        this.showConfirmModal();
+    }
+
+    /**
+     * Show the number of employees in the trash on the view toggle
+     */
+    updateTrashCount() {
+        const count = document.getElementById('trashCount');
+        if (!count) return;
+
+        const total = this.dataService.getDeletedEmployees().length;
+        count.textContent = total;
+        count.hidden = total === 0;
+    }
+
     /**
      * Handle employee form submission
      * @param {Event} event - Form submit event
@@ -379,12 +914,32 @@ class EmployeeManagementApp {
             name: formData.get('name').trim(),
             email: formData.get('email').trim(),
             phone: formData.get('phone').trim(),
+            phoneExtension: formData.get('phoneExtension').trim(),
             department: formData.get('department'),
             position: formData.get('position').trim(),
-            salary: formData.get('salary') ? parseInt(formData.get('salary')) : 0
+            salary: formData.get('salary') ? parseInt(formData.get('salary')) : 0,
+            currency: formData.get('currency'),
+            managerId: formData.get('managerId') || null,
+            location: formData.get('location').trim(),
+            employmentType: formData.get('employmentType'),
+            costCenter: formData.get('costCenter').trim().toUpperCase(),
+            status: formData.get('status'),
+            terminationDate: null,
+            customFields: this.getCustomFieldValues()
         };
 
+        if (!document.getElementById('terminationDateGroup').hidden && formData.get('terminationDate')) {
+            employeeData.terminationDate = new Date(`${formData.get('terminationDate')}T00:00:00Z`).toISOString();
+        }
+
         try {
+            const existing = this.editingEmployeeId
+                ? this.dataService.getEmployeeCollection().findById(this.editingEmployeeId)
+                : null;
+            if (existing && !document.getElementById('salaryChangeGroup').hidden) {
+                employeeData.compensationHistory = this.buildCompensationHistory(existing, formData);
+            }
+
             if (this.editingEmployeeId) {
                 await this.dataService.updateEmployee(this.editingEmployeeId, employeeData);
             } else {
@@ -393,7 +948,7 @@ class EmployeeManagementApp {
             
             this.hideEmployeeModal();
         } catch (error) {
-            this.displayFormErrors(error.message);
+            this.displayFormErrors(error);
         }
     }
 
@@ -401,9 +956,20 @@ class EmployeeManagementApp {
      * Confirm delete action
      */
     async confirmDelete() {
+        if (this.bulkDeletingIds) {
+            const ids = this.bulkDeletingIds;
+            this.hideConfirmModal();
+            try {
+                await this.runBulkAction(() => this.dataService.bulkDeleteEmployees(ids));
+            } catch (error) {
+                console.error('Bulk delete failed:', error);
+            }
+            return;
+        }
+
         if (this.deletingEmployeeId) {
             try {
-                await this.dataService.deleteEmployee(this.deletingEmployeeId);
+                await this.dataService.deleteEmployee(this.deletingEmployeeId, { permanent: this.deletingPermanently });
                 this.hideConfirmModal();
             } catch (error) {
                 console.error('Delete failed:', error);
@@ -436,18 +1002,30 @@ class EmployeeManagementApp {
             event.preventDefault();
             this.showAddEmployeeModal();
         }
+
+        // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z to redo the last employee change.
+        // Text fields and open dialogs keep the browser's own undo.
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+            const isEditingText = event.target.closest?.('input, textarea, select, [contenteditable="true"]');
+            if (isEditingText || document.querySelector('.modal.show')) return;
+
+            event.preventDefault();
+            const action = event.shiftKey ? this.dataService.redo() : this.dataService.undo();
+            action.catch(error => console.error('Undo/redo failed:', error));
+        }
     }
 
     /**
      * Export data
      * @param {string} format - Export format (csv, json)
+     * @param {Object} options - { ids } to export only the selected employees
      */
-    exportData(format) {
+    exportData(format, options = {}) {
         try {
             if (format === 'csv') {
-                this.dataService.exportAsCSV();
+                this.dataService.exportAsCSV(options);
             } else if (format === 'json') {
-                this.dataService.exportAsJSON();
+                this.dataService.exportAsJSON(options);
             }
         } catch (error) {
             console.error('Export failed:', error);
@@ -561,6 +1139,8 @@ class EmployeeManagementApp {
         this.confirmModal.classList.remove('show');
         document.body.style.overflow = '';
         this.deletingEmployeeId = null;
+        this.deletingPermanently = false;
+        this.bulkDeletingIds = null;
     }
 
     /**
@@ -580,28 +1160,52 @@ class EmployeeManagementApp {
     }
 
     /**
-     * Display form validation errors
-     * @param {string} errorMessage - Error message
+     * Display form validation errors next to the offending inputs
+     * @param {Error} error - Error thrown by the data service
      */
-    displayFormErrors(errorMessage) {
+    displayFormErrors(error) {
         // Clear previous errors
         this.clearFormErrors();
-        
-        // Show general error
-        Helpers.showToast(errorMessage, 'error');
-        
-        // You could also highlight specific fields here based on the error
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'error-message';
-        errorDiv.textContent = errorMessage;
-        
+
+        const fieldErrors = error instanceof AppError ? error.fieldErrors : {};
+        const invalidInputs = Object.entries(fieldErrors)
+            .map(([field, message]) => {
+                const input = this.employeeForm.elements.namedItem(field);
+                if (input) {
+                    this.showFieldError(input, message);
+                }
+                return input;
+            })
+            .filter(Boolean);
+
+        if (invalidInputs.length > 0) {
+            invalidInputs[0].focus();
+            return;
+        }
+
+        // No field information: show a general error
+        Helpers.showToast(error.message, 'error');
+
         const firstInput = this.employeeForm.querySelector('input');
         if (firstInput) {
-            firstInput.parentElement.appendChild(errorDiv);
-            firstInput.classList.add('error');
+            this.showFieldError(firstInput, error.message);
         }
     }
 
+    /**
+     * Mark a form input as invalid and show its message
+     * @param {HTMLElement} input - Form input
+     * @param {string} message - Error message
+     */
+    showFieldError(input, message) {
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-message';
+        errorDiv.textContent = message;
+
+        input.classList.add('error');
+        input.parentElement.appendChild(errorDiv);
+    }
+
     /**
      * Clear form validation errors
      */
@@ -615,10 +1219,11 @@ class EmployeeManagementApp {
 
     /**
      * Get application statistics
+     * @param {Object} options - Date range for the compensation report ({ from, to })
      * @returns {Object} Application statistics
      */
-    getStatistics() {
-        return this.dataService.getStatistics();
+    getStatistics(options = {}) {
+        return this.dataService.getStatistics(options);
     }
 
     /**
@@ -640,6 +1245,14 @@ class EmployeeManagementApp {
         this.tableComponent?.destroy();
         this.searchComponent?.destroy();
         this.paginationComponent?.destroy();
+        this.conflictDialog?.destroy();
+        this.fieldSchemaEditor?.destroy();
+        this.orgChartComponent?.destroy();
+        this.trashComponent?.destroy();
+        this.bulkActionBar?.destroy();
+        this.employeeDetailPanel?.destroy();
+        this.displaySettingsDialog?.destroy();
+        this.importWizard?.destroy();
         
         // Cleanup data service
         this.dataService?.destroy();
@@ -654,7 +1267,7 @@ class EmployeeManagementApp {
 // Initialize application when DOM is loaded
 document.addEventListener('DOMContentLoaded', async () => {
     try {
-        window.employeeApp = new EmployeeManagementApp();
+        window.employeeApp = new EmployeeManagementApp(window.employeeAppConfig || {});
         console.log('Employee Management System loaded successfully');
     } catch (error) {
         console.error('Failed to load Employee Management System:', error);
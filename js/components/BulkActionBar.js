@@ -0,0 +1,259 @@
+import { Helpers } from '../utils/helpers.js';
+
+/**
+ * Bar shown above the employee table while rows are selected, with the
+ * selection count and the actions that apply to every selected employee
+ */
+export class BulkActionBar {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {Object} options - Callbacks
+     * @param {Function} options.onSelectAllMatching - () => Promise, selects every employee matching the filters
+     * @param {Function} options.onClear - () => void
+     * @param {Function} options.onDelete - () => void, asks for confirmation first
+     * @param {Function} options.onDeactivate - () => Promise
+     * @param {Function} options.onChangeDepartment - (department) => Promise
+     * @param {Function} options.onAdjustSalary - (percentage) => Promise
+     * @param {Function} options.onExport - (format) => void, 'csv' or 'json'
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            onSelectAllMatching: options.onSelectAllMatching || (async () => {}),
+            onClear: options.onClear || (() => {}),
+            onDelete: options.onDelete || (() => {}),
+            onDeactivate: options.onDeactivate || (async () => {}),
+            onChangeDepartment: options.onChangeDepartment || (async () => {}),
+            onAdjustSalary: options.onAdjustSalary || (async () => {}),
+            onExport: options.onExport || (() => {})
+        };
+
+        this.count = 0;
+        this.matchingCount = 0;
+        this.departments = [];
+        this.isBusy = false;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the component
+     */
+    init() {
+        this.addStyles();
+        this.bindEvents();
+        this.render();
+    }
+
+    /**
+     * Show a new selection
+     * @param {Object} state - { count, matchingCount, departments }
+     */
+    update(state) {
+        this.count = state.count || 0;
+        this.matchingCount = state.matchingCount || 0;
+        this.departments = state.departments || [];
+        this.render();
+    }
+
+    /**
+     * Render the component
+     */
+    render() {
+        this.container.hidden = this.count === 0;
+        if (this.count === 0) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const disabled = this.isBusy ? 'disabled' : '';
+        this.container.innerHTML = `
+            <div class="bulk-summary" role="status">
+                <strong>${this.count} selected</strong>
+                ${this.count < this.matchingCount ? `
+                    <button type="button" class="link-button" data-action="select-all" ${disabled}>
+                        Select all ${this.matchingCount} matching employees
+                    </button>
+                ` : ''}
+                <button type="button" class="link-button" data-action="clear" ${disabled}>Clear selection</button>
+            </div>
+            <div class="bulk-actions">
+                <label class="bulk-field">
+                    <span class="sr-only">New department</span>
+                    <select data-field="department" ${disabled}>
+                        <option value="">Change department…</option>
+                        ${this.departments.map(department => `
+                            <option value="${Helpers.escapeHtml(department)}">${Helpers.escapeHtml(department)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <button type="button" class="btn btn-small btn-secondary" data-action="department" ${disabled}>Move</button>
+                <label class="bulk-field">
+                    <span class="sr-only">Salary change in percent</span>
+                    <input type="number" step="0.1" placeholder="± %" data-field="percentage" ${disabled}>
+                </label>
+                <button type="button" class="btn btn-small btn-secondary" data-action="salary" ${disabled}>Adjust salary</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="deactivate" ${disabled}>Deactivate</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="export-csv" ${disabled}>Export CSV</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="export-json" ${disabled}>Export JSON</button>
+                <button type="button" class="btn btn-small btn-danger" data-action="delete" ${disabled}>Delete</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Run an action, keeping the bar disabled while it runs
+     * @param {Function} action - async () => void
+     */
+    async run(action) {
+        if (this.isBusy) return;
+
+        this.isBusy = true;
+        this.render();
+        try {
+            await action();
+        } catch (error) {
+            // Per-employee failures are reported by the data service; this is a rejected request as a whole
+            Helpers.showToast(Helpers.escapeHtml(error.hasFieldErrors?.() ? Object.values(error.fieldErrors).join(', ') : error.message), 'error');
+        } finally {
+            this.isBusy = false;
+            this.render();
+        }
+    }
+
+    /**
+     * Handle a click on one of the bar's buttons
+     * @param {string} action - data-action of the button
+     */
+    handleAction(action) {
+        switch (action) {
+            case 'select-all':
+                this.run(() => this.options.onSelectAllMatching());
+                break;
+            case 'clear':
+                this.options.onClear();
+                break;
+            case 'department': {
+                const department = this.container.querySelector('[data-field="department"]').value;
+                this.run(() => this.options.onChangeDepartment(department));
+                break;
+            }
+            case 'salary': {
+                const percentage = this.container.querySelector('[data-field="percentage"]').value;
+                this.run(() => this.options.onAdjustSalary(percentage === '' ? null : Number(percentage)));
+                break;
+            }
+            case 'deactivate':
+                this.run(() => this.options.onDeactivate());
+                break;
+            case 'export-csv':
+                this.options.onExport('csv');
+                break;
+            case 'export-json':
+                this.options.onExport('json');
+                break;
+            case 'delete':
+                this.options.onDelete();
+                break;
+        }
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.container.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (button && !button.disabled) {
+                this.handleAction(button.dataset.action);
+            }
+        });
+    }
+
+    /**
+     * Add component styles
+     */
+    addStyles() {
+        if (document.querySelector('#bulk-action-bar-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'bulk-action-bar-styles';
+        style.textContent = `
+            .bulk-action-bar {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 12px;
+                flex-wrap: wrap;
+                margin-bottom: 12px;
+                padding: 10px 16px;
+                background-color: #eff6ff;
+                border: 1px solid #bfdbfe;
+                border-radius: 8px;
+            }
+
+            .bulk-action-bar[hidden] {
+                display: none;
+            }
+
+            .bulk-summary {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                font-size: 14px;
+                color: #1e3a8a;
+            }
+
+            .bulk-actions {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                flex-wrap: wrap;
+            }
+
+            .bulk-field select,
+            .bulk-field input {
+                padding: 5px 8px;
+                font-size: 13px;
+                border: 1px solid #d1d5db;
+                border-radius: 4px;
+            }
+
+            .bulk-field input {
+                width: 80px;
+            }
+
+            .link-button {
+                background: none;
+                border: none;
+                padding: 0;
+                color: #2563eb;
+                font-size: 14px;
+                cursor: pointer;
+                text-decoration: underline;
+            }
+
+            .link-button:disabled {
+                color: #9ca3af;
+                cursor: default;
+            }
+
+            .sr-only {
+                position: absolute;
+                width: 1px;
+                height: 1px;
+                overflow: hidden;
+                clip: rect(0 0 0 0);
+                white-space: nowrap;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Destroy the component
+     */
+    destroy() {
+        this.container.innerHTML = '';
+    }
+}
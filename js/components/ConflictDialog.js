@@ -0,0 +1,296 @@
+import { Helpers } from '../utils/helpers.js';
+import { Employee } from '../models/Employee.js';
+
+/**
+ * Modal dialog for resolving sync conflicts field by field.
+ * Conflicts are handled one employee at a time; new conflicts reported
+ * while the dialog is open are queued behind the current one.
+ */
+export class ConflictDialog {
+    constructor(onResolve) {
+        this.onResolve = onResolve;
+        this.queue = [];
+        this.modal = null;
+        this.isSaving = false;
+        this.init();
+    }
+
+    /**
+     * Initialize the dialog
+     */
+    init() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal';
+        this.modal.id = 'conflictModal';
+        document.body.appendChild(this.modal);
+
+        this.addStyles();
+        this.bindEvents();
+    }
+
+    /**
+     * Show conflicts, replacing queued entries for the same employees
+     * @param {Array} conflicts - Conflicts from DataService
+     */
+    show(conflicts) {
+        conflicts.forEach(conflict => {
+            const index = this.queue.findIndex(item => item.employeeId === conflict.employeeId);
+            if (index === -1) {
+                this.queue.push(conflict);
+            } else if (index > 0 || !this.isOpen()) {
+                // Never swap out the conflict the user is looking at
+                this.queue[index] = conflict;
+            }
+        });
+
+        if (this.queue.length === 0) return;
+
+        this.render();
+        this.modal.classList.add('show');
+    }
+
+    /**
+     * Check whether the dialog is visible
+     * @returns {boolean} Visibility
+     */
+    isOpen() {
+        return this.modal.classList.contains('show');
+    }
+
+    /**
+     * Hide the dialog. Unresolved conflicts will be reported again on the next sync.
+     */
+    hide() {
+        this.modal.classList.remove('show');
+        this.queue = [];
+    }
+
+    /**
+     * Format a field value for display
+     * @param {string} field - Field name
+     * @param {*} value - Field value
+     * @returns {string} Escaped display value
+     */
+    formatValue(field, value) {
+        if (value == null || value === '') return '<span class="conflict-empty">(empty)</span>';
+        if (field === 'salary') return Helpers.escapeHtml(Helpers.formatCurrency(value));
+        if (field === 'hireDate' || field === 'terminationDate') return Helpers.escapeHtml(Helpers.formatDate(value));
+        if (field === 'status' || field === 'employmentType') return Helpers.escapeHtml(Employee.LABELS[value] || value);
+        if (field === 'compensationHistory' && Array.isArray(value)) {
+            const latest = value[value.length - 1];
+            if (!latest) return '<span class="conflict-empty">(empty)</span>';
+            return Helpers.escapeHtml(
+                `${value.length} change${value.length === 1 ? '' : 's'}, latest ${Helpers.formatCurrency(latest.amount, latest.currency)} on ${Helpers.formatDate(latest.effectiveDate)}`
+            );
+        }
+        if (typeof value === 'object') return Helpers.escapeHtml(JSON.stringify(value));
+        return Helpers.escapeHtml(String(value));
+    }
+
+    /**
+     * Render the current conflict
+     */
+    render() {
+        const current = this.queue[0];
+        if (!current) return;
+
+        const rows = current.conflicts.map(({ field, base, local, remote }) => `
+            <tr>
+                <th scope="row">
+                    ${Helpers.escapeHtml(Employee.FIELD_LABELS[field] || Helpers.capitalize(field))}
+                    <div class="conflict-base">Was: ${this.formatValue(field, base)}</div>
+                </th>
+                <td>
+                    <label class="conflict-choice">
+                        <input type="radio" name="conflict-${field}" value="local" checked>
+                        ${this.formatValue(field, local)}
+                    </label>
+                </td>
+                <td>
+                    <label class="conflict-choice">
+                        <input type="radio" name="conflict-${field}" value="remote">
+                        ${this.formatValue(field, remote)}
+                    </label>
+                </td>
+            </tr>
+        `).join('');
+
+        const remaining = this.queue.length - 1;
+
+        this.modal.innerHTML = `
+            <div class="modal-content conflict-modal">
+                <div class="modal-header">
+                    <h2>Resolve changes for ${Helpers.escapeHtml(current.name || 'employee')}</h2>
+                    <button class="modal-close" data-action="later" title="Decide later">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="conflict-intro">
+                        This employee was changed here and on the server since the last sync.
+                        Choose which value to keep for each field.
+                    </p>
+                    <table class="conflict-table">
+                        <thead>
+                            <tr>
+                                <th>Field</th>
+                                <th><button type="button" class="btn btn-small btn-secondary" data-action="all-local">Keep all mine</button></th>
+                                <th><button type="button" class="btn btn-small btn-secondary" data-action="all-remote">Use all server</button></th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    ${remaining > 0 ? `<p class="conflict-remaining">${remaining} more employee${remaining === 1 ? '' : 's'} to review</p>` : ''}
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-action="later">Decide later</button>
+                    <button type="button" class="btn btn-primary" data-action="apply">Apply</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Read the chosen side for every field
+     * @returns {Object} Map of field name to 'local' or 'remote'
+     */
+    getChoices() {
+        const choices = {};
+        this.queue[0].conflicts.forEach(({ field }) => {
+            const checked = this.modal.querySelector(`input[name="conflict-${field}"]:checked`);
+            choices[field] = checked ? checked.value : 'local';
+        });
+        return choices;
+    }
+
+    /**
+     * Select the same side for every field
+     * @param {string} side - 'local' or 'remote'
+     */
+    selectAll(side) {
+        this.modal.querySelectorAll(`input[type="radio"][value="${side}"]`).forEach(input => {
+            input.checked = true;
+        });
+    }
+
+    /**
+     * Apply the current choices and move to the next conflict
+     */
+    async apply() {
+        if (this.isSaving) return;
+
+        const current = this.queue[0];
+        this.isSaving = true;
+
+        try {
+            await this.onResolve(current.employeeId, this.getChoices());
+            this.queue.shift();
+
+            if (this.queue.length > 0) {
+                this.render();
+            } else {
+                this.hide();
+            }
+        } catch (error) {
+            console.error('Failed to resolve conflict:', error);
+            Helpers.showToast(`Failed to resolve conflict: ${error.message}`, 'error');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.hide();
+                return;
+            }
+
+            const action = event.target.closest('[data-action]')?.dataset.action;
+            switch (action) {
+                case 'later':
+                    this.hide();
+                    break;
+                case 'all-local':
+                    this.selectAll('local');
+                    break;
+                case 'all-remote':
+                    this.selectAll('remote');
+                    break;
+                case 'apply':
+                    this.apply();
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Add dialog styles
+     */
+    addStyles() {
+        if (document.querySelector('#conflict-dialog-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'conflict-dialog-styles';
+        style.textContent = `
+            .conflict-modal {
+                max-width: 640px;
+            }
+
+            .conflict-intro {
+                font-size: 14px;
+                color: #4b5563;
+                margin-bottom: 16px;
+            }
+
+            .conflict-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 14px;
+            }
+
+            .conflict-table th,
+            .conflict-table td {
+                padding: 8px;
+                border-bottom: 1px solid #e5e7eb;
+                text-align: left;
+                vertical-align: top;
+            }
+
+            .conflict-base {
+                font-size: 12px;
+                font-weight: 400;
+                color: #6b7280;
+            }
+
+            .conflict-choice {
+                display: flex;
+                gap: 8px;
+                align-items: flex-start;
+                cursor: pointer;
+            }
+
+            .conflict-empty {
+                color: #9ca3af;
+                font-style: italic;
+            }
+
+            .conflict-remaining {
+                margin-top: 12px;
+                font-size: 12px;
+                color: #6b7280;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Destroy the dialog
+     */
+    destroy() {
+        this.modal?.remove();
+        this.modal = null;
+        this.queue = [];
+    }
+}
@@ -0,0 +1,346 @@
+import { Helpers } from '../utils/helpers.js';
+import { AppError } from '../utils/errors.js';
+
+/**
+ * Locales offered in the dialog (any valid BCP 47 tag can be typed in)
+ */
+const LOCALES = [
+    { value: 'en-US', label: 'English (United States)' },
+    { value: 'en-GB', label: 'English (United Kingdom)' },
+    { value: 'en-IN', label: 'English (India)' },
+    { value: 'de-DE', label: 'Deutsch (Deutschland)' },
+    { value: 'fr-FR', label: 'Français (France)' },
+    { value: 'es-ES', label: 'Español (España)' },
+    { value: 'hi-IN', label: 'हिन्दी (भारत)' }
+];
+
+/**
+ * Dialog for the display locale, reporting currency and exchange-rate table
+ */
+export class DisplaySettingsDialog {
+    /**
+     * @param {Object} options - Callbacks
+     * @param {Function} options.getSettings - () => { locale, base, rates, reportingCurrency }
+     * @param {Function} options.onSave - (settings) => Promise; rejects with ValidationError
+     */
+    constructor(options = {}) {
+        this.options = {
+            getSettings: options.getSettings || (() => ({})),
+            onSave: options.onSave || (async () => {})
+        };
+        this.modal = null;
+        this.rates = {};
+        this.init();
+    }
+
+    /**
+     * Initialize the dialog
+     */
+    init() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal';
+        this.modal.id = 'displaySettingsModal';
+        document.body.appendChild(this.modal);
+
+        this.addStyles();
+        this.bindEvents();
+    }
+
+    /**
+     * Open the dialog with the current settings
+     */
+    show() {
+        const settings = this.options.getSettings();
+        this.rates = { ...settings.rates };
+        this.render(settings);
+        this.modal.classList.add('show');
+    }
+
+    /**
+     * Close the dialog
+     */
+    hide() {
+        this.modal.classList.remove('show');
+    }
+
+    /**
+     * Render the dialog
+     * @param {Object} settings - { locale, base, reportingCurrency }
+     */
+    render(settings) {
+        const locales = LOCALES.some(locale => locale.value === settings.locale)
+            ? LOCALES
+            : [...LOCALES, { value: settings.locale, label: settings.locale }];
+        const currencies = Object.keys(this.rates);
+
+        this.modal.innerHTML = `
+            <div class="modal-content settings-modal">
+                <div class="modal-header">
+                    <h2>Currency &amp; Locale</h2>
+                    <button class="modal-close" data-action="close">&times;</button>
+                </div>
+                <form class="modal-body settings-form" novalidate>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="settingsLocale">Display locale</label>
+                            <select id="settingsLocale" name="locale">
+                                ${locales.map(locale => `
+                                    <option value="${Helpers.escapeHtml(locale.value)}" ${locale.value === settings.locale ? 'selected' : ''}>${Helpers.escapeHtml(locale.label)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="settingsReportingCurrency">Reporting currency</label>
+                            <select id="settingsReportingCurrency" name="reportingCurrency">
+                                ${currencies.map(code => `
+                                    <option value="${code}" ${code === settings.reportingCurrency ? 'selected' : ''}>${code}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    </div>
+
+                    <h3>Exchange rates</h3>
+                    <p class="settings-hint">Units of each currency per 1 ${Helpers.escapeHtml(settings.base)}. Salaries are sorted and totalled in the reporting currency using these rates.</p>
+                    <table class="settings-rates">
+                        <tbody>
+                            ${currencies.map(code => `
+                                <tr>
+                                    <th scope="row">${code}</th>
+                                    <td>
+                                        <div class="form-group">
+                                            <input type="number" name="rate.${code}" min="0" step="any" value="${this.rates[code]}"
+                                                   aria-label="Rate for ${code}" ${code === settings.base ? 'readonly' : ''}>
+                                        </div>
+                                    </td>
+                                    <td>
+                                        ${code === settings.base ? '<span class="settings-base">Base</span>' : `
+                                            <button type="button" class="btn btn-small btn-secondary" data-action="remove-rate" data-code="${code}">Remove</button>
+                                        `}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <div class="settings-add-rate">
+                        <div class="form-group">
+                            <input type="text" name="currency" maxlength="3" placeholder="Code, e.g. JPY" aria-label="New currency code">
+                        </div>
+                        <div class="form-group">
+                            <input type="number" name="newRate" min="0" step="any" placeholder="Rate" aria-label="New currency rate">
+                        </div>
+                        <button type="button" class="btn btn-small btn-secondary" data-action="add-rate">Add currency</button>
+                    </div>
+
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-action="close">Cancel</button>
+                        <button type="submit" class="btn btn-primary">Save</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        this.base = settings.base;
+    }
+
+    /**
+     * Read the form into a settings object
+     * @returns {Object} { locale, base, rates, reportingCurrency }
+     */
+    getFormSettings() {
+        const form = this.modal.querySelector('.settings-form');
+        const data = new FormData(form);
+        const rates = {};
+        Object.keys(this.rates).forEach(code => {
+            rates[code] = data.get(`rate.${code}`);
+        });
+
+        return {
+            locale: data.get('locale'),
+            base: this.base,
+            rates,
+            reportingCurrency: data.get('reportingCurrency')
+        };
+    }
+
+    /**
+     * Add the currency typed into the "add" row (kept in the dialog until saved)
+     */
+    addRate() {
+        const form = this.modal.querySelector('.settings-form');
+        const settings = this.getFormSettings();
+        const code = String(form.elements.namedItem('currency').value).trim().toUpperCase();
+        const rate = Number(form.elements.namedItem('newRate').value);
+
+        this.clearErrors(form);
+        if (!/^[A-Z]{3}$/.test(code)) {
+            this.showErrors(form, { currency: 'Enter a 3-letter currency code' });
+            return;
+        }
+        if (!(rate > 0)) {
+            this.showErrors(form, { newRate: 'Enter a positive rate' });
+            return;
+        }
+
+        this.rates = { ...settings.rates, [code]: rate };
+        this.render(settings);
+    }
+
+    /**
+     * Remove a currency from the table (kept in the dialog until saved)
+     * @param {string} code - Currency code
+     */
+    removeRate(code) {
+        const settings = this.getFormSettings();
+        delete settings.rates[code];
+        this.rates = settings.rates;
+        if (settings.reportingCurrency === code) {
+            settings.reportingCurrency = settings.base;
+        }
+        this.render(settings);
+    }
+
+    /**
+     * Save the settings
+     */
+    async save() {
+        const form = this.modal.querySelector('.settings-form');
+        this.clearErrors(form);
+
+        try {
+            await this.options.onSave(this.getFormSettings());
+            Helpers.showToast('Display settings saved', 'success');
+            this.hide();
+        } catch (error) {
+            const fieldErrors = error instanceof AppError ? error.fieldErrors : {};
+            this.showErrors(form, fieldErrors);
+            if (Object.keys(fieldErrors).length === 0) {
+                Helpers.showToast(`Failed to save settings: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    /**
+     * Show validation errors next to their inputs
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} fieldErrors - Messages keyed by input name
+     */
+    showErrors(form, fieldErrors) {
+        Object.entries(fieldErrors).forEach(([name, message]) => {
+            const input = form.elements.namedItem(name);
+            if (!input) return;
+            input.classList.add('error');
+            const errorElement = document.createElement('div');
+            errorElement.className = 'error-message';
+            errorElement.textContent = message;
+            input.parentNode.appendChild(errorElement);
+        });
+    }
+
+    /**
+     * Clear validation errors from the form
+     * @param {HTMLFormElement} form - Form element
+     */
+    clearErrors(form) {
+        form.querySelectorAll('.error-message').forEach(element => element.remove());
+        form.querySelectorAll('.error').forEach(element => element.classList.remove('error'));
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.hide();
+                return;
+            }
+
+            const button = event.target.closest('[data-action]');
+            switch (button?.dataset.action) {
+                case 'close':
+                    this.hide();
+                    break;
+                case 'add-rate':
+                    this.addRate();
+                    break;
+                case 'remove-rate':
+                    this.removeRate(button.dataset.code);
+                    break;
+            }
+        });
+
+        this.modal.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.save();
+        });
+    }
+
+    /**
+     * Add dialog styles
+     */
+    addStyles() {
+        if (document.querySelector('#display-settings-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'display-settings-styles';
+        style.textContent = `
+            .settings-modal {
+                max-width: 520px;
+            }
+
+            .settings-form h3 {
+                font-size: 16px;
+                margin: 8px 0 4px;
+            }
+
+            .settings-hint {
+                font-size: 13px;
+                color: #6b7280;
+                margin-bottom: 12px;
+            }
+
+            .settings-rates {
+                width: 100%;
+                border-collapse: collapse;
+                margin-bottom: 12px;
+            }
+
+            .settings-rates th {
+                width: 60px;
+                text-align: left;
+                font-family: monospace;
+                font-size: 14px;
+            }
+
+            .settings-rates td {
+                padding: 2px 4px;
+            }
+
+            .settings-rates .form-group,
+            .settings-add-rate .form-group {
+                margin-bottom: 0;
+            }
+
+            .settings-base {
+                font-size: 12px;
+                color: #6b7280;
+            }
+
+            .settings-add-rate {
+                display: grid;
+                grid-template-columns: 1fr 1fr auto;
+                gap: 8px;
+                align-items: start;
+                margin-bottom: 16px;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Destroy the dialog
+     */
+    destroy() {
+        this.modal?.remove();
+        this.modal = null;
+    }
+}
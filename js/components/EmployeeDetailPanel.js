@@ -0,0 +1,802 @@
+import { Helpers } from '../utils/helpers.js';
+import { AppError } from '../utils/errors.js';
+import { Employee } from '../models/Employee.js';
+import { PhoneNumber } from '../utils/PhoneNumber.js';
+
+/**
+ * Reasons offered when recording a salary change ('initial' is only used for migrated records)
+ */
+const CHANGE_REASONS = Employee.COMPENSATION_REASONS.filter(reason => reason !== 'initial');
+
+/**
+ * Labels for audit log operations
+ */
+const OPERATION_LABELS = {
+    add: 'Added',
+    update: 'Updated',
+    deactivate: 'Deactivated',
+    delete: 'Moved to trash',
+    restore: 'Restored',
+    purge: 'Permanently deleted',
+    remove: 'Add undone'
+};
+
+/**
+ * Employee detail dialog with an overview, the compensation timeline and
+ * the change history from the audit log
+ */
+export class EmployeeDetailPanel {
+    /**
+     * @param {Object} options - Callbacks
+     * @param {Function} options.getEmployee - (id) => Employee|null, also used to resolve managers
+     * @param {Function} options.onRecordCompensation - (id, change) => Promise; rejects with ValidationError
+     * @param {Function} options.onEdit - (id) => void
+     * @param {Function} options.getHistory - (id) => Promise<Array> of audit entries, newest first
+     */
+    constructor(options = {}) {
+        this.options = {
+            getEmployee: options.getEmployee || (() => null),
+            onRecordCompensation: options.onRecordCompensation || (async () => {}),
+            onEdit: options.onEdit || (() => {}),
+            getHistory: options.getHistory || (async () => [])
+        };
+        this.modal = null;
+        this.historyRequest = 0;
+        this.employeeId = null;
+        this.renderedVersion = null;
+        this.activeTab = 'overview';
+        this.isSaving = false;
+        this.init();
+    }
+
+    /**
+     * Initialize the dialog
+     */
+    init() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal';
+        this.modal.id = 'employeeDetailModal';
+        document.body.appendChild(this.modal);
+
+        this.addStyles();
+        this.bindEvents();
+    }
+
+    /**
+     * Open the panel for an employee
+     * @param {string} id - Employee ID
+     * @param {string} tab - Tab to show ('overview', 'compensation' or 'history')
+     */
+    show(id, tab = 'overview') {
+        this.employeeId = id;
+        this.activeTab = tab;
+        if (!this.render()) {
+            Helpers.showToast('Employee not found', 'error');
+            return;
+        }
+        this.modal.classList.add('show');
+    }
+
+    /**
+     * Close the panel
+     */
+    hide() {
+        this.modal.classList.remove('show');
+        this.employeeId = null;
+        this.renderedVersion = null;
+    }
+
+    /**
+     * Check whether the panel is visible
+     * @returns {boolean} Visibility
+     */
+    isOpen() {
+        return this.modal.classList.contains('show');
+    }
+
+    /**
+     * Re-render after data changes, if the shown employee changed
+     */
+    refresh() {
+        if (!this.isOpen()) return;
+
+        const employee = this.options.getEmployee(this.employeeId);
+        if (!employee) {
+            this.hide();
+        } else if (employee.version !== this.renderedVersion) {
+            this.render();
+        }
+    }
+
+    /**
+     * Reload the history tab after a change to an employee was logged
+     * @param {string} employeeId - Employee whose history changed
+     */
+    refreshHistory(employeeId) {
+        if (this.isOpen() && this.activeTab === 'history' && employeeId === this.employeeId) {
+            this.loadHistory();
+        }
+    }
+
+    /**
+     * Render the panel
+     * @returns {boolean} False if the employee no longer exists
+     */
+    render() {
+        const employee = this.options.getEmployee(this.employeeId);
+        if (!employee) return false;
+
+        this.renderedVersion = employee.version;
+        const escapedName = Helpers.escapeHtml(employee.name);
+        const tabs = [
+            { id: 'overview', label: 'Overview' },
+            { id: 'compensation', label: `Compensation (${employee.compensationHistory.length})` },
+            { id: 'history', label: 'History' }
+        ];
+        const panels = {
+            overview: () => this.renderOverview(employee),
+            compensation: () => this.renderCompensation(employee),
+            history: () => '<p class="audit-empty">Loading history&hellip;</p>'
+        };
+
+        this.modal.innerHTML = `
+            <div class="modal-content detail-modal">
+                <div class="modal-header">
+                    <div class="detail-heading">
+                        <img src="${Helpers.escapeHtml(employee.avatar)}" alt="" class="detail-avatar">
+                        <div>
+                            <h2>${escapedName}</h2>
+                            <div class="detail-subtitle">
+                                ${Helpers.escapeHtml(employee.position)} &middot; ${Helpers.escapeHtml(employee.department)}
+                                <span class="detail-status status-${employee.status}">${Employee.LABELS[employee.status] || employee.status}</span>
+                            </div>
+                        </div>
+                    </div>
+                    <button class="modal-close" data-action="close">&times;</button>
+                </div>
+                <div class="detail-tabs" role="tablist">
+                    ${tabs.map(tab => `
+                        <button type="button" role="tab" class="detail-tab ${tab.id === this.activeTab ? 'active' : ''}"
+                                data-action="tab" data-tab="${tab.id}" aria-selected="${tab.id === this.activeTab}">${tab.label}</button>
+                    `).join('')}
+                </div>
+                <div class="modal-body" role="tabpanel">
+                    ${(panels[this.activeTab] || panels.overview)()}
+                </div>
+            </div>
+        `;
+
+        if (this.activeTab === 'history') {
+            this.loadHistory();
+        }
+        return true;
+    }
+
+    /**
+     * Fetch the audit log of the shown employee into the history tab
+     */
+    async loadHistory() {
+        const employeeId = this.employeeId;
+        const request = ++this.historyRequest;
+        let html;
+
+        try {
+            html = this.renderHistory(await this.options.getHistory(employeeId));
+        } catch (error) {
+            html = `<p class="audit-empty">Failed to load history: ${Helpers.escapeHtml(error.message)}</p>`;
+        }
+
+        // Ignore responses for a tab or employee that is no longer shown
+        if (request !== this.historyRequest || employeeId !== this.employeeId || this.activeTab !== 'history') return;
+        const body = this.modal?.querySelector('.modal-body');
+        if (body) body.innerHTML = html;
+    }
+
+    /**
+     * Render the history tab
+     * @param {Array<Object>} entries - Audit entries, newest first
+     * @returns {string} HTML
+     */
+    renderHistory(entries) {
+        if (entries.length === 0) {
+            return '<p class="audit-empty">No changes have been recorded for this employee yet.</p>';
+        }
+
+        return `
+            <ol class="audit-list">
+                ${entries.map(entry => `
+                    <li class="audit-entry">
+                        <details ${['add', 'delete', 'remove'].includes(entry.operation) ? '' : 'open'}>
+                            <summary class="audit-meta">
+                                <span class="audit-operation operation-${entry.operation}">${OPERATION_LABELS[entry.operation] || Helpers.escapeHtml(entry.operation)}</span>
+                                <span>${Helpers.escapeHtml(entry.actor)}</span>
+                                <time datetime="${Helpers.escapeHtml(entry.timestamp)}">${Helpers.escapeHtml(this.formatTimestamp(entry.timestamp))}</time>
+                                <span class="audit-count">${entry.changes.length} field${entry.changes.length === 1 ? '' : 's'}</span>
+                            </summary>
+                            <table class="audit-changes">
+                                <thead>
+                                    <tr><th scope="col">Field</th><th scope="col">Before</th><th scope="col">After</th></tr>
+                                </thead>
+                                <tbody>
+                                    ${entry.changes.map(change => `
+                                        <tr>
+                                            <th scope="row">${Helpers.escapeHtml(this.getFieldLabel(change.field))}</th>
+                                            <td>${this.formatHistoryValue(change.field, change.before)}</td>
+                                            <td>${this.formatHistoryValue(change.field, change.after)}</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </details>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * Format an audit timestamp in the display locale
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} Date and time
+     */
+    formatTimestamp(timestamp) {
+        const date = new Date(timestamp);
+        if (isNaN(date)) return timestamp;
+        return date.toLocaleString(Helpers.locale, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * Get the label of a logged field (custom fields are logged as customFields.<key>)
+     * @param {string} field - Field name
+     * @returns {string} Label
+     */
+    getFieldLabel(field) {
+        if (field.startsWith('customFields.')) {
+            const key = field.slice('customFields.'.length);
+            return Employee.fieldSchema.getField(key)?.label || key;
+        }
+        return Employee.FIELD_LABELS[field] || Helpers.capitalize(field);
+    }
+
+    /**
+     * Format a logged value for the history table
+     * @param {string} field - Field name
+     * @param {*} value - Value
+     * @returns {string} HTML
+     */
+    formatHistoryValue(field, value) {
+        if (value == null || value === '') return '<span class="audit-empty-value">(empty)</span>';
+
+        let text;
+        if (field.startsWith('customFields.')) {
+            const definition = Employee.fieldSchema.getField(field.slice('customFields.'.length));
+            text = definition ? Employee.fieldSchema.formatValue(definition, value) : value;
+        } else if (field === 'salary') {
+            text = Number(value).toLocaleString(Helpers.locale);
+        } else if (field === 'hireDate' || field === 'terminationDate') {
+            text = Helpers.formatDate(value);
+        } else if (field === 'status' || field === 'employmentType') {
+            text = Employee.LABELS[value] || value;
+        } else if (field === 'managerId') {
+            text = this.options.getEmployee(value)?.name || value;
+        } else if (field === 'phone') {
+            text = PhoneNumber.format(value);
+        } else if (field === 'compensationHistory' && Array.isArray(value)) {
+            const latest = value[value.length - 1];
+            text = `${value.length} change${value.length === 1 ? '' : 's'}, latest ${Helpers.formatCurrency(latest.amount, latest.currency)} on ${Helpers.formatDate(latest.effectiveDate)}`;
+        } else if (typeof value === 'boolean') {
+            text = value ? 'Yes' : 'No';
+        } else {
+            text = typeof value === 'object' ? JSON.stringify(value) : value;
+        }
+        return Helpers.escapeHtml(String(text));
+    }
+
+    /**
+     * Render the overview tab
+     * @param {Employee} employee - Employee
+     * @returns {string} HTML
+     */
+    renderOverview(employee) {
+        const manager = employee.managerId ? this.options.getEmployee(employee.managerId) : null;
+        const rows = [
+            ['Email', employee.email],
+            ['Phone', employee.formattedPhone || employee.phone],
+            ['Reports to', manager ? manager.name : (employee.managerId ? 'Unknown manager' : '')],
+            ['Location', employee.location],
+            ['Employment type', Employee.LABELS[employee.employmentType] || employee.employmentType],
+            ['Hire date', Helpers.formatDate(employee.hireDate)],
+            ['Termination date', employee.terminationDate ? Helpers.formatDate(employee.terminationDate) : ''],
+            ['Cost center', employee.costCenter],
+            ['Salary', employee.displaySalary],
+            ['Currency', employee.currency]
+        ];
+
+        return `
+            <dl class="detail-list">
+                ${rows.map(([label, value]) => `
+                    <dt>${label}</dt>
+                    <dd>${value ? Helpers.escapeHtml(String(value)) : '-'}</dd>
+                `).join('')}
+            </dl>
+            <div class="detail-actions">
+                <button type="button" class="btn btn-secondary" data-action="edit">Edit employee</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the compensation tab: summary, timeline (newest first) and the change form
+     * @param {Employee} employee - Employee
+     * @returns {string} HTML
+     */
+    renderCompensation(employee) {
+        const today = Employee.toDateOnly(new Date());
+        const current = employee.getCurrentCompensation();
+        const first = employee.compensationHistory[0];
+        const changes = new Map(employee.getSalaryChanges().map(change => [change.id, change]));
+        const growth = current && first && current !== first && current.currency === first.currency && first.amount > 0
+            ? ((current.amount - first.amount) / first.amount) * 100
+            : null;
+
+        const entries = [...employee.compensationHistory].reverse().map(entry => {
+            const change = changes.get(entry.id);
+            const isScheduled = entry.effectiveDate > today;
+            return `
+                <li class="comp-entry ${isScheduled ? 'scheduled' : ''} ${entry === current ? 'current' : ''}">
+                    <div class="comp-date">
+                        ${Helpers.escapeHtml(Helpers.formatDate(entry.effectiveDate))}
+                        ${isScheduled ? '<span class="comp-tag">Scheduled</span>' : ''}
+                        ${entry === current ? '<span class="comp-tag current">Current</span>' : ''}
+                    </div>
+                    <div class="comp-amount">
+                        ${Helpers.escapeHtml(Helpers.formatCurrency(entry.amount, entry.currency))}
+                        ${change?.percent != null ? `
+                            <span class="comp-delta ${change.change < 0 ? 'negative' : ''}">
+                                ${change.change >= 0 ? '+' : ''}${change.percent.toFixed(1)}%
+                            </span>
+                        ` : ''}
+                    </div>
+                    <div class="comp-reason">${Helpers.escapeHtml(Employee.LABELS[entry.reason] || entry.reason)}</div>
+                    ${entry.note ? `<div class="comp-note">${Helpers.escapeHtml(entry.note)}</div>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="comp-summary">
+                <div>
+                    <div class="comp-summary-label">Current salary</div>
+                    <div class="comp-summary-value">${current ? Helpers.escapeHtml(Helpers.formatCurrency(current.amount, current.currency)) : '-'}</div>
+                </div>
+                <div>
+                    <div class="comp-summary-label">Since ${first ? Helpers.escapeHtml(Helpers.formatDate(first.effectiveDate)) : 'start'}</div>
+                    <div class="comp-summary-value">${growth != null ? `${growth >= 0 ? '+' : ''}${growth.toFixed(1)}%` : '-'}</div>
+                </div>
+                <div>
+                    <div class="comp-summary-label">Changes</div>
+                    <div class="comp-summary-value">${Math.max(employee.compensationHistory.length - 1, 0)}</div>
+                </div>
+            </div>
+
+            ${entries ? `<ol class="comp-timeline">${entries}</ol>` : '<p class="comp-empty">No salary recorded yet.</p>'}
+
+            <form class="comp-form" novalidate>
+                <h3>Record salary change</h3>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="compAmount">New salary *</label>
+                        <input type="number" id="compAmount" name="amount" min="0" step="1000" value="${current ? current.amount : ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="compCurrency">Currency</label>
+                        <input type="text" id="compCurrency" name="currency" maxlength="3" value="${Helpers.escapeHtml(current?.currency || Employee.DEFAULT_CURRENCY)}">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="compEffectiveDate">Effective date *</label>
+                        <input type="date" id="compEffectiveDate" name="effectiveDate" value="${today}">
+                    </div>
+                    <div class="form-group">
+                        <label for="compReason">Reason</label>
+                        <select id="compReason" name="reason">
+                            ${CHANGE_REASONS.map(reason => `
+                                <option value="${reason}" ${reason === 'merit' ? 'selected' : ''}>${Employee.LABELS[reason]}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="compNote">Note</label>
+                    <input type="text" id="compNote" name="note" maxlength="200">
+                </div>
+                <div class="detail-actions">
+                    <button type="submit" class="btn btn-primary">Record change</button>
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * Save the salary change form
+     */
+    async recordCompensation() {
+        if (this.isSaving) return;
+
+        const form = this.modal.querySelector('.comp-form');
+        const data = new FormData(form);
+        this.clearErrors(form);
+        this.isSaving = true;
+
+        try {
+            await this.options.onRecordCompensation(this.employeeId, {
+                amount: data.get('amount'),
+                currency: data.get('currency'),
+                effectiveDate: data.get('effectiveDate'),
+                reason: data.get('reason'),
+                note: data.get('note')
+            });
+            this.render();
+        } catch (error) {
+            const fieldErrors = error instanceof AppError ? error.fieldErrors : {};
+            Object.entries(fieldErrors).forEach(([name, message]) => {
+                const input = form.elements.namedItem(name);
+                if (!input) return;
+                input.classList.add('error');
+                const errorElement = document.createElement('div');
+                errorElement.className = 'error-message';
+                errorElement.textContent = message;
+                input.parentNode.appendChild(errorElement);
+            });
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    /**
+     * Clear validation errors from a form
+     * @param {HTMLFormElement} form - Form element
+     */
+    clearErrors(form) {
+        form.querySelectorAll('.error-message').forEach(element => element.remove());
+        form.querySelectorAll('.error').forEach(element => element.classList.remove('error'));
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.hide();
+                return;
+            }
+
+            const button = event.target.closest('[data-action]');
+            switch (button?.dataset.action) {
+                case 'close':
+                    this.hide();
+                    break;
+                case 'tab':
+                    this.activeTab = button.dataset.tab;
+                    this.render();
+                    break;
+                case 'edit': {
+                    const id = this.employeeId;
+                    this.hide();
+                    this.options.onEdit(id);
+                    break;
+                }
+            }
+        });
+
+        this.modal.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.recordCompensation();
+        });
+    }
+
+    /**
+     * Add panel styles
+     */
+    addStyles() {
+        if (document.querySelector('#employee-detail-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'employee-detail-styles';
+        style.textContent = `
+            .detail-modal {
+                max-width: 600px;
+            }
+
+            .detail-heading {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+            }
+
+            .detail-avatar {
+                width: 48px;
+                height: 48px;
+                border-radius: 50%;
+            }
+
+            .detail-subtitle {
+                font-size: 14px;
+                color: #6b7280;
+            }
+
+            .detail-status {
+                display: inline-block;
+                margin-left: 6px;
+                padding: 1px 8px;
+                border-radius: 10px;
+                font-size: 12px;
+                background: #dcfce7;
+                color: #166534;
+            }
+
+            .detail-status.status-terminated {
+                background: #fee2e2;
+                color: #991b1b;
+            }
+
+            .detail-status.status-notice-period,
+            .detail-status.status-on-leave,
+            .detail-status.status-onboarding {
+                background: #fef3c7;
+                color: #92400e;
+            }
+
+            .detail-tabs {
+                display: flex;
+                gap: 4px;
+                padding: 0 24px;
+                border-bottom: 1px solid #e5e7eb;
+            }
+
+            .detail-tab {
+                padding: 10px 14px;
+                border: none;
+                border-bottom: 2px solid transparent;
+                background: none;
+                font-size: 14px;
+                color: #6b7280;
+                cursor: pointer;
+            }
+
+            .detail-tab.active {
+                border-bottom-color: #3b82f6;
+                color: #1f2937;
+                font-weight: 600;
+            }
+
+            .detail-list {
+                display: grid;
+                grid-template-columns: 140px 1fr;
+                gap: 8px 16px;
+                font-size: 14px;
+            }
+
+            .detail-list dt {
+                color: #6b7280;
+            }
+
+            .detail-list dd {
+                color: #1f2937;
+            }
+
+            .detail-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 8px;
+                margin-top: 16px;
+            }
+
+            .comp-summary {
+                display: grid;
+                grid-template-columns: repeat(3, 1fr);
+                gap: 12px;
+                margin-bottom: 20px;
+                padding: 12px;
+                border-radius: 8px;
+                background: #f9fafb;
+            }
+
+            .comp-summary-label {
+                font-size: 12px;
+                color: #6b7280;
+                text-transform: uppercase;
+            }
+
+            .comp-summary-value {
+                font-size: 18px;
+                font-weight: 600;
+                color: #1f2937;
+            }
+
+            .comp-timeline {
+                list-style: none;
+                margin: 0 0 24px;
+                padding: 0 0 0 20px;
+                border-left: 2px solid #e5e7eb;
+            }
+
+            .comp-entry {
+                position: relative;
+                padding: 0 0 16px 12px;
+                font-size: 14px;
+            }
+
+            .comp-entry::before {
+                content: '';
+                position: absolute;
+                left: -27px;
+                top: 4px;
+                width: 10px;
+                height: 10px;
+                border-radius: 50%;
+                background: #9ca3af;
+                border: 2px solid white;
+            }
+
+            .comp-entry.current::before {
+                background: #3b82f6;
+            }
+
+            .comp-entry.scheduled::before {
+                background: white;
+                border-color: #3b82f6;
+            }
+
+            .comp-date {
+                font-size: 12px;
+                color: #6b7280;
+            }
+
+            .comp-tag {
+                margin-left: 6px;
+                padding: 0 6px;
+                border-radius: 8px;
+                background: #e0e7ff;
+                color: #3730a3;
+            }
+
+            .comp-tag.current {
+                background: #dbeafe;
+                color: #1d4ed8;
+            }
+
+            .comp-amount {
+                font-weight: 600;
+                color: #1f2937;
+            }
+
+            .comp-delta {
+                margin-left: 6px;
+                font-size: 12px;
+                color: #059669;
+            }
+
+            .comp-delta.negative {
+                color: #dc2626;
+            }
+
+            .comp-reason,
+            .comp-note {
+                color: #4b5563;
+            }
+
+            .comp-note {
+                font-style: italic;
+            }
+
+            .comp-empty {
+                color: #6b7280;
+                margin-bottom: 20px;
+            }
+
+            .comp-form h3 {
+                font-size: 16px;
+                margin-bottom: 12px;
+            }
+
+            .audit-list {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+            }
+
+            .audit-entry {
+                margin-bottom: 12px;
+                border: 1px solid #e5e7eb;
+                border-radius: 8px;
+                font-size: 14px;
+            }
+
+            .audit-meta {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 8px;
+                padding: 8px 12px;
+                color: #4b5563;
+                cursor: pointer;
+            }
+
+            .audit-operation {
+                padding: 1px 8px;
+                border-radius: 10px;
+                font-size: 12px;
+                font-weight: 600;
+                background: #dbeafe;
+                color: #1d4ed8;
+            }
+
+            .audit-operation.operation-add {
+                background: #dcfce7;
+                color: #166534;
+            }
+
+            .audit-operation.operation-deactivate,
+            .audit-operation.operation-delete,
+            .audit-operation.operation-purge,
+            .audit-operation.operation-remove {
+                background: #fee2e2;
+                color: #991b1b;
+            }
+
+            .audit-count {
+                margin-left: auto;
+                font-size: 12px;
+                color: #6b7280;
+            }
+
+            .audit-changes {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 13px;
+            }
+
+            .audit-changes th,
+            .audit-changes td {
+                padding: 6px 12px;
+                border-top: 1px solid #f3f4f6;
+                text-align: left;
+                vertical-align: top;
+                word-break: break-word;
+            }
+
+            .audit-changes thead th {
+                font-size: 12px;
+                color: #6b7280;
+                text-transform: uppercase;
+            }
+
+            .audit-changes tbody th {
+                width: 30%;
+                font-weight: 500;
+                color: #374151;
+            }
+
+            .audit-empty,
+            .audit-empty-value {
+                color: #6b7280;
+            }
+
+            .audit-empty-value {
+                font-style: italic;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Destroy the panel
+     */
+    destroy() {
+        this.modal?.remove();
+        this.modal = null;
+    }
+}
@@ -0,0 +1,380 @@
+import { Helpers } from '../utils/helpers.js';
+import { AppError } from '../utils/errors.js';
+import { FieldSchema } from '../models/FieldSchema.js';
+
+/**
+ * Display labels for custom field types
+ */
+const TYPE_LABELS = {
+    text: 'Text',
+    number: 'Number',
+    date: 'Date',
+    boolean: 'Yes / No',
+    enum: 'Choice list',
+    email: 'Email',
+    url: 'URL'
+};
+
+/**
+ * Admin dialog for defining the organisation's custom employee fields
+ */
+export class FieldSchemaEditor {
+    /**
+     * @param {FieldSchema} schema - Schema to edit
+     * @param {Object} options - Callbacks
+     * @param {Function} options.onSave - (definition, originalKey) => Promise; rejects with ValidationError
+     * @param {Function} options.onRemove - (key) => Promise
+     */
+    constructor(schema, options = {}) {
+        this.schema = schema;
+        this.options = {
+            onSave: options.onSave || (async () => {}),
+            onRemove: options.onRemove || (async () => {})
+        };
+        this.modal = null;
+        this.editingKey = null;
+        this.init();
+    }
+
+    /**
+     * Initialize the dialog
+     */
+    init() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal';
+        this.modal.id = 'fieldSchemaModal';
+        document.body.appendChild(this.modal);
+
+        this.addStyles();
+        this.bindEvents();
+    }
+
+    /**
+     * Open the dialog
+     */
+    show() {
+        this.editingKey = null;
+        this.render();
+        this.modal.classList.add('show');
+    }
+
+    /**
+     * Close the dialog
+     */
+    hide() {
+        this.modal.classList.remove('show');
+        this.editingKey = null;
+    }
+
+    /**
+     * Render the field list and the add/edit form
+     */
+    render() {
+        const fields = this.schema.getFields();
+        const editing = this.editingKey ? this.schema.getField(this.editingKey) : null;
+        const value = (name, fallback = '') => Helpers.escapeHtml(String(editing?.[name] ?? fallback));
+
+        const rows = fields.map(field => `
+            <tr>
+                <td>
+                    <div class="schema-field-label">${Helpers.escapeHtml(field.label)}${field.required ? ' *' : ''}</div>
+                    <div class="schema-field-key">${Helpers.escapeHtml(field.key)}</div>
+                </td>
+                <td>${TYPE_LABELS[field.type]}</td>
+                <td>${field.showInTable ? 'Yes' : 'No'}</td>
+                <td class="schema-field-actions">
+                    <button type="button" class="btn btn-small btn-secondary" data-action="edit" data-key="${Helpers.escapeHtml(field.key)}">Edit</button>
+                    <button type="button" class="btn btn-small btn-danger" data-action="remove" data-key="${Helpers.escapeHtml(field.key)}">Remove</button>
+                </td>
+            </tr>
+        `).join('');
+
+        const typeOptions = FieldSchema.TYPES.map(type =>
+            `<option value="${type}" ${(editing?.type || 'text') === type ? 'selected' : ''}>${TYPE_LABELS[type]}</option>`
+        ).join('');
+
+        this.modal.innerHTML = `
+            <div class="modal-content schema-modal">
+                <div class="modal-header">
+                    <h2>Custom Fields</h2>
+                    <button class="modal-close" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    ${fields.length > 0 ? `
+                        <table class="schema-table">
+                            <thead>
+                                <tr><th>Field</th><th>Type</th><th>In table</th><th></th></tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    ` : '<p class="schema-empty">No custom fields yet. Add one below.</p>'}
+
+                    <form class="schema-form" novalidate>
+                        <h3>${editing ? `Edit "${Helpers.escapeHtml(editing.label)}"` : 'Add field'}</h3>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="schemaLabel">Label *</label>
+                                <input type="text" id="schemaLabel" name="label" value="${value('label')}" placeholder="e.g. Badge Number">
+                            </div>
+                            <div class="form-group">
+                                <label for="schemaKey">Key *</label>
+                                <input type="text" id="schemaKey" name="key" value="${value('key')}" placeholder="e.g. badgeNumber" ${editing ? 'readonly' : ''}>
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="schemaType">Type</label>
+                                <select id="schemaType" name="type">${typeOptions}</select>
+                            </div>
+                            <div class="form-group" data-show-for="enum">
+                                <label for="schemaOptions">Options *</label>
+                                <input type="text" id="schemaOptions" name="options" value="${Helpers.escapeHtml((editing?.options || []).join(', '))}" placeholder="S, M, L, XL">
+                            </div>
+                            <div class="form-group" data-show-for="text email url">
+                                <label for="schemaPattern">Pattern (regex)</label>
+                                <input type="text" id="schemaPattern" name="pattern" value="${value('pattern')}" placeholder="e.g. ^B-\\d{4}$">
+                            </div>
+                        </div>
+                        <div class="schema-checkboxes">
+                            <label><input type="checkbox" name="required" ${editing?.required ? 'checked' : ''}> Required</label>
+                            <label><input type="checkbox" name="showInTable" ${editing?.showInTable ? 'checked' : ''}> Show as table column</label>
+                        </div>
+                        <div class="schema-form-actions">
+                            ${editing ? '<button type="button" class="btn btn-secondary" data-action="cancel-edit">Cancel</button>' : ''}
+                            <button type="submit" class="btn btn-primary">${editing ? 'Save field' : 'Add field'}</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        this.updateTypeDependentInputs();
+    }
+
+    /**
+     * Show only the inputs that apply to the selected type
+     */
+    updateTypeDependentInputs() {
+        const type = this.modal.querySelector('#schemaType')?.value;
+        this.modal.querySelectorAll('[data-show-for]').forEach(group => {
+            group.hidden = !group.dataset.showFor.split(' ').includes(type);
+        });
+    }
+
+    /**
+     * Read the definition from the form
+     * @returns {Object} Field definition
+     */
+    getFormDefinition() {
+        const form = this.modal.querySelector('.schema-form');
+        const data = new FormData(form);
+        return {
+            key: data.get('key'),
+            label: data.get('label'),
+            type: data.get('type'),
+            options: data.get('options'),
+            pattern: data.get('pattern'),
+            required: data.get('required') === 'on',
+            showInTable: data.get('showInTable') === 'on'
+        };
+    }
+
+    /**
+     * Save the form
+     */
+    async save() {
+        const form = this.modal.querySelector('.schema-form');
+        this.clearErrors(form);
+
+        try {
+            await this.options.onSave(this.getFormDefinition(), this.editingKey);
+            Helpers.showToast(`Custom field ${this.editingKey ? 'updated' : 'added'}`, 'success');
+            this.editingKey = null;
+            this.render();
+        } catch (error) {
+            const fieldErrors = error instanceof AppError ? error.fieldErrors : {};
+            Object.entries(fieldErrors).forEach(([name, message]) => {
+                const input = form.elements.namedItem(name);
+                if (!input) return;
+                input.classList.add('error');
+                const errorElement = document.createElement('div');
+                errorElement.className = 'error-message';
+                errorElement.textContent = message;
+                input.parentNode.appendChild(errorElement);
+            });
+            if (Object.keys(fieldErrors).length === 0) {
+                Helpers.showToast(`Failed to save custom field: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    /**
+     * Remove a field after confirmation
+     * @param {string} key - Field key
+     */
+    async remove(key) {
+        const field = this.schema.getField(key);
+        if (!field || !window.confirm(`Remove the "${field.label}" field? Existing values are kept but hidden.`)) return;
+
+        try {
+            await this.options.onRemove(key);
+            if (this.editingKey === key) this.editingKey = null;
+            this.render();
+        } catch (error) {
+            Helpers.showToast(`Failed to remove custom field: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Clear validation errors from the form
+     * @param {HTMLFormElement} form - Form element
+     */
+    clearErrors(form) {
+        form.querySelectorAll('.error-message').forEach(element => element.remove());
+        form.querySelectorAll('.error').forEach(element => element.classList.remove('error'));
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.hide();
+                return;
+            }
+
+            const button = event.target.closest('[data-action]');
+            switch (button?.dataset.action) {
+                case 'close':
+                    this.hide();
+                    break;
+                case 'edit':
+                    this.editingKey = button.dataset.key;
+                    this.render();
+                    break;
+                case 'cancel-edit':
+                    this.editingKey = null;
+                    this.render();
+                    break;
+                case 'remove':
+                    this.remove(button.dataset.key);
+                    break;
+            }
+        });
+
+        this.modal.addEventListener('change', (event) => {
+            if (event.target.id === 'schemaType') {
+                this.updateTypeDependentInputs();
+            }
+        });
+
+        this.modal.addEventListener('input', (event) => {
+            // Suggest a key from the label while adding
+            if (event.target.id === 'schemaLabel' && !this.editingKey) {
+                const keyInput = this.modal.querySelector('#schemaKey');
+                if (!keyInput.dataset.touched) {
+                    keyInput.value = FieldSchemaEditor.suggestKey(event.target.value);
+                }
+            } else if (event.target.id === 'schemaKey') {
+                event.target.dataset.touched = 'true';
+            }
+        });
+
+        this.modal.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.save();
+        });
+    }
+
+    /**
+     * Turn a label into a camelCase key ("T-shirt size" -> "tShirtSize")
+     * @param {string} label - Field label
+     * @returns {string} Suggested key
+     */
+    static suggestKey(label) {
+        const words = label.replace(/[^a-zA-Z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+        const key = words
+            .map((word, index) => index === 0 ? word.toLowerCase() : Helpers.capitalize(word.toLowerCase()))
+            .join('');
+        return key.replace(/^[^a-zA-Z]+/, '');
+    }
+
+    /**
+     * Add dialog styles
+     */
+    addStyles() {
+        if (document.querySelector('#field-schema-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'field-schema-styles';
+        style.textContent = `
+            .schema-modal {
+                max-width: 640px;
+            }
+
+            .schema-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 14px;
+                margin-bottom: 20px;
+            }
+
+            .schema-table th,
+            .schema-table td {
+                padding: 8px;
+                border-bottom: 1px solid #e5e7eb;
+                text-align: left;
+            }
+
+            .schema-field-label {
+                font-weight: 600;
+                color: #1f2937;
+            }
+
+            .schema-field-key {
+                font-size: 12px;
+                color: #6b7280;
+                font-family: monospace;
+            }
+
+            .schema-field-actions {
+                text-align: right;
+                white-space: nowrap;
+            }
+
+            .schema-empty {
+                font-size: 14px;
+                color: #6b7280;
+                margin-bottom: 20px;
+            }
+
+            .schema-form h3 {
+                font-size: 16px;
+                margin-bottom: 12px;
+            }
+
+            .schema-checkboxes {
+                display: flex;
+                gap: 20px;
+                font-size: 14px;
+                margin-bottom: 16px;
+            }
+
+            .schema-form-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 8px;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Destroy the dialog
+     */
+    destroy() {
+        this.modal?.remove();
+        this.modal = null;
+    }
+}
@@ -0,0 +1,503 @@
+import { Helpers } from '../utils/helpers.js';
+import { AppError } from '../utils/errors.js';
+import { Employee } from '../models/Employee.js';
+import { ImportService } from '../services/ImportService.js';
+
+/**
+ * Descriptions of the import modes
+ */
+const MODE_LABELS = {
+    create: 'Add new employees (rows with a known email are errors)',
+    update: 'Update existing employees, matched by email (unknown emails are errors)',
+    upsert: 'Add new employees and update existing ones, matched by email'
+};
+
+/**
+ * Rows shown in the preview before the rest are summarised
+ */
+const PREVIEW_LIMIT = 200;
+
+/**
+ * Three-step import dialog: choose a CSV or JSON file, map its columns to
+ * employee fields, then check every row before importing the batch
+ */
+export class ImportWizard {
+    /**
+     * @param {Object} options - Callbacks
+     * @param {Function} options.onPreview - (records, mapping, mode) => preview; throws ValidationError for an unusable mapping
+     * @param {Function} options.onImport - (records, mapping, mode) => Promise; rejects when nothing was imported
+     */
+    constructor(options = {}) {
+        this.options = {
+            onPreview: options.onPreview || (() => null),
+            onImport: options.onImport || (async () => {})
+        };
+        this.modal = null;
+        this.reset();
+        this.init();
+    }
+
+    /**
+     * Initialize the dialog
+     */
+    init() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal';
+        this.modal.id = 'importModal';
+        document.body.appendChild(this.modal);
+
+        this.addStyles();
+        this.bindEvents();
+    }
+
+    /**
+     * Forget the current file
+     */
+    reset() {
+        this.step = 'file';
+        this.fileName = '';
+        this.file = null;
+        this.mapping = {};
+        this.mode = 'create';
+        this.preview = null;
+        this.error = '';
+        this.isImporting = false;
+    }
+
+    /**
+     * Open the dialog at the first step
+     */
+    show() {
+        this.reset();
+        this.render();
+        this.modal.classList.add('show');
+    }
+
+    /**
+     * Close the dialog
+     */
+    hide() {
+        this.modal.classList.remove('show');
+    }
+
+    /**
+     * Render the current step
+     */
+    render() {
+        const titles = { file: 'Choose a file', mapping: 'Map columns', preview: 'Check and import' };
+        const body = {
+            file: () => this.renderFileStep(),
+            mapping: () => this.renderMappingStep(),
+            preview: () => this.renderPreviewStep()
+        }[this.step]();
+
+        this.modal.innerHTML = `
+            <div class="modal-content import-modal">
+                <div class="modal-header">
+                    <h2>Import Employees: ${titles[this.step]}</h2>
+                    <button class="modal-close" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    ${this.error ? `<div class="import-error" role="alert">${Helpers.escapeHtml(this.error)}</div>` : ''}
+                    ${body}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the file and mode step
+     * @returns {string} Step HTML
+     */
+    renderFileStep() {
+        return `
+            <div class="form-group">
+                <label for="importFile">CSV or JSON file</label>
+                <input type="file" id="importFile" accept=".csv,.json,text/csv,application/json" data-action="file">
+                <p class="import-hint">CSV files need a header row. Files exported from this app can be imported as they are.</p>
+            </div>
+            ${this.renderModeOptions()}
+            <div class="modal-footer">
+                <button type="button" class="btn btn-secondary" data-action="close">Cancel</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the import mode choice
+     * @returns {string} Radio group HTML
+     */
+    renderModeOptions() {
+        return `
+            <fieldset class="import-modes">
+                <legend>What should the import do?</legend>
+                ${ImportService.MODES.map(mode => `
+                    <label>
+                        <input type="radio" name="importMode" value="${mode}" data-action="mode" ${mode === this.mode ? 'checked' : ''}>
+                        ${MODE_LABELS[mode]}
+                    </label>
+                `).join('')}
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Render the column mapping step
+     * @returns {string} Step HTML
+     */
+    renderMappingStep() {
+        const targets = ImportService.getTargets();
+        const sample = this.file.records[0] || {};
+
+        return `
+            <p class="import-hint">${Helpers.escapeHtml(this.fileName)}: ${this.file.records.length} row${this.file.records.length === 1 ? '' : 's'}. Columns set to "Skip" are not imported.</p>
+            <table class="import-table">
+                <thead>
+                    <tr><th scope="col">Column</th><th scope="col">First row</th><th scope="col">Import as</th></tr>
+                </thead>
+                <tbody>
+                    ${this.file.columns.map(column => `
+                        <tr>
+                            <th scope="row">${Helpers.escapeHtml(column)}</th>
+                            <td class="import-sample">${Helpers.escapeHtml(this.formatSample(sample[column]))}</td>
+                            <td>
+                                <select data-action="map" data-column="${Helpers.escapeHtml(column)}" aria-label="Field for ${Helpers.escapeHtml(column)}">
+                                    <option value="">Skip</option>
+                                    ${targets.map(target => `
+                                        <option value="${Helpers.escapeHtml(target.value)}" ${this.mapping[column] === target.value ? 'selected' : ''}>${Helpers.escapeHtml(target.label)}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${this.renderModeOptions()}
+            <div class="modal-footer">
+                <button type="button" class="btn btn-secondary" data-action="back">Back</button>
+                <button type="button" class="btn btn-primary" data-action="check">Check rows</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the validation preview step
+     * @returns {string} Step HTML
+     */
+    renderPreviewStep() {
+        const { summary } = this.preview;
+        // Problems first, then the rows in file order
+        const rows = [...this.preview.rows].sort((a, b) =>
+            (Object.keys(b.errors).length > 0) - (Object.keys(a.errors).length > 0) || a.line - b.line
+        );
+        const shown = rows.slice(0, PREVIEW_LIMIT);
+        const canImport = summary.invalid === 0 && summary.create + summary.update > 0 && !this.isImporting;
+
+        return `
+            <div class="import-summary">
+                <span class="import-count count-create">${summary.create} to add</span>
+                <span class="import-count count-update">${summary.update} to update</span>
+                <span class="import-count">${summary.unchanged} unchanged</span>
+                <span class="import-count count-invalid">${summary.invalid} with errors</span>
+            </div>
+            <p class="import-hint">
+                ${summary.invalid > 0
+                    ? 'Nothing is imported while any row has errors. Fix the file or the mapping and check again.'
+                    : 'This was a dry run; nothing has changed yet. All rows are imported together, or none are.'}
+            </p>
+            <div class="import-preview">
+                <table class="import-table">
+                    <thead>
+                        <tr><th scope="col">Line</th><th scope="col">Name</th><th scope="col">Email</th><th scope="col">Action</th><th scope="col">Problems</th></tr>
+                    </thead>
+                    <tbody>
+                        ${shown.map(row => this.renderPreviewRow(row)).join('')}
+                    </tbody>
+                </table>
+                ${rows.length > shown.length ? `<p class="import-hint">${rows.length - shown.length} more rows not shown.</p>` : ''}
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn btn-secondary" data-action="back">Back</button>
+                <button type="button" class="btn btn-secondary" data-action="check">Check again</button>
+                <button type="button" class="btn btn-primary" data-action="import" ${canImport ? '' : 'disabled'}>
+                    ${this.isImporting ? 'Importing…' : `Import ${summary.create + summary.update} employee${summary.create + summary.update === 1 ? '' : 's'}`}
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one preview row
+     * @param {Object} row - Row from ImportService.prepare
+     * @returns {string} Table row HTML
+     */
+    renderPreviewRow(row) {
+        const errors = Object.entries(row.errors);
+        const action = errors.length > 0
+            ? 'Error'
+            : row.action === 'update' && row.changes.length === 0 ? 'No change' : Helpers.capitalize(row.action);
+        const changed = row.action === 'update' && row.changes.length > 0
+            ? `Changes: ${row.changes.map(field => this.getFieldLabel(field)).join(', ')}`
+            : '';
+
+        return `
+            <tr class="${errors.length > 0 ? 'import-row-invalid' : ''}">
+                <td>${row.line}</td>
+                <td>${Helpers.escapeHtml(row.name)}</td>
+                <td>${Helpers.escapeHtml(row.email)}</td>
+                <td>${action}</td>
+                <td>
+                    ${errors.length > 0 ? `
+                        <ul class="import-errors">
+                            ${errors.map(([field, message]) => `<li><strong>${Helpers.escapeHtml(this.getFieldLabel(field))}:</strong> ${Helpers.escapeHtml(message)}</li>`).join('')}
+                        </ul>
+                    ` : `<span class="import-hint">${Helpers.escapeHtml(changed)}</span>`}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Get the label of a field for messages
+     * @param {string} field - Field name or customFields.<key>
+     * @returns {string} Label
+     */
+    getFieldLabel(field) {
+        if (field.startsWith('customFields.')) {
+            return Employee.fieldSchema.getField(field.slice('customFields.'.length))?.label || field;
+        }
+        return Employee.FIELD_LABELS[field] || field;
+    }
+
+    /**
+     * Shorten a sample value for the mapping table
+     * @param {*} value - Cell value
+     * @returns {string} Display text
+     */
+    formatSample(value) {
+        const text = value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+    }
+
+    /**
+     * Read the chosen file and move on to the mapping
+     * @param {File} file - Chosen file
+     */
+    async readFile(file) {
+        if (!file) return;
+
+        try {
+            this.file = ImportService.parse(await file.text(), file.name);
+            this.fileName = file.name;
+            this.mapping = ImportService.suggestMapping(this.file.columns);
+            this.error = '';
+            this.step = 'mapping';
+        } catch (error) {
+            this.error = error instanceof AppError && error.fieldErrors.file ? error.fieldErrors.file : error.message;
+        }
+        this.render();
+    }
+
+    /**
+     * Check every row with the current mapping (a dry run)
+     */
+    check() {
+        try {
+            this.preview = this.options.onPreview(this.file.records, this.mapping, this.mode);
+            this.error = '';
+            this.step = 'preview';
+        } catch (error) {
+            const fieldErrors = error instanceof AppError ? Object.values(error.fieldErrors) : [];
+            this.error = fieldErrors[0] || error.message;
+        }
+        this.render();
+    }
+
+    /**
+     * Import the checked rows
+     */
+    async runImport() {
+        this.isImporting = true;
+        this.render();
+
+        try {
+            await this.options.onImport(this.file.records, this.mapping, this.mode);
+            this.hide();
+        } catch (error) {
+            // Check the rows again in case other changes caused the failure
+            this.isImporting = false;
+            this.check();
+            this.error = error.message;
+            this.render();
+        }
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.hide();
+                return;
+            }
+
+            switch (event.target.closest('button[data-action]')?.dataset.action) {
+                case 'close':
+                    this.hide();
+                    break;
+                case 'back':
+                    this.error = '';
+                    this.step = this.step === 'preview' ? 'mapping' : 'file';
+                    this.render();
+                    break;
+                case 'check':
+                    this.check();
+                    break;
+                case 'import':
+                    this.runImport();
+                    break;
+            }
+        });
+
+        this.modal.addEventListener('change', (event) => {
+            const target = event.target;
+            switch (target.dataset.action) {
+                case 'file':
+                    this.readFile(target.files[0]);
+                    break;
+                case 'mode':
+                    this.mode = target.value;
+                    break;
+                case 'map':
+                    this.mapping[target.dataset.column] = target.value;
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Add dialog styles
+     */
+    addStyles() {
+        if (document.querySelector('#import-wizard-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'import-wizard-styles';
+        style.textContent = `
+            .import-modal {
+                max-width: 760px;
+            }
+
+            .import-hint {
+                font-size: 13px;
+                color: #6b7280;
+                margin: 4px 0 12px;
+            }
+
+            .import-error {
+                padding: 10px 12px;
+                margin-bottom: 12px;
+                border-radius: 6px;
+                background: #fee2e2;
+                color: #991b1b;
+                font-size: 14px;
+            }
+
+            .import-modes {
+                border: none;
+                padding: 0;
+                margin: 12px 0 16px;
+            }
+
+            .import-modes legend {
+                font-weight: 600;
+                font-size: 14px;
+                margin-bottom: 6px;
+            }
+
+            .import-modes label {
+                display: flex;
+                gap: 8px;
+                align-items: baseline;
+                font-size: 14px;
+                margin-bottom: 4px;
+            }
+
+            .import-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 14px;
+            }
+
+            .import-table th,
+            .import-table td {
+                padding: 6px 8px;
+                border-bottom: 1px solid #e5e7eb;
+                text-align: left;
+                vertical-align: top;
+            }
+
+            .import-sample {
+                color: #6b7280;
+                font-family: monospace;
+                font-size: 12px;
+            }
+
+            .import-preview {
+                max-height: 360px;
+                overflow-y: auto;
+                margin-bottom: 16px;
+            }
+
+            .import-row-invalid {
+                background: #fef2f2;
+            }
+
+            .import-errors {
+                margin: 0;
+                padding-left: 16px;
+                color: #991b1b;
+            }
+
+            .import-summary {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+            }
+
+            .import-count {
+                padding: 2px 10px;
+                border-radius: 10px;
+                font-size: 13px;
+                font-weight: 600;
+                background: #f3f4f6;
+                color: #374151;
+            }
+
+            .import-count.count-create {
+                background: #dcfce7;
+                color: #166534;
+            }
+
+            .import-count.count-update {
+                background: #dbeafe;
+                color: #1d4ed8;
+            }
+
+            .import-count.count-invalid {
+                background: #fee2e2;
+                color: #991b1b;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Destroy the dialog
+     */
+    destroy() {
+        this.modal?.remove();
+        this.modal = null;
+    }
+}
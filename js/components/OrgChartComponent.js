@@ -0,0 +1,636 @@
+import { Helpers } from '../utils/helpers.js';
+import { Employee } from '../models/Employee.js';
+
+/**
+ * Node and spacing sizes in SVG units
+ */
+const NODE_WIDTH = 200;
+const NODE_HEIGHT = 64;
+const H_GAP = 24;
+const V_GAP = 60;
+const PADDING = 20;
+
+/**
+ * Pointer travel (px) before a press turns into a drag
+ */
+const DRAG_THRESHOLD = 5;
+
+/**
+ * Org chart rendering the reporting tree as collapsible SVG nodes.
+ * People can be dragged onto a new manager, or onto the "No manager" zone.
+ */
+export class OrgChartComponent {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {Object} options - Callbacks
+     * @param {Function} options.onReassign - (employeeId, managerId) => Promise; managerId is null for no manager
+     * @param {Function} options.onSelect - (employeeId) => void, called when a node is clicked
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            onReassign: options.onReassign || (async () => {}),
+            onSelect: options.onSelect || (() => {})
+        };
+
+        this.tree = null;
+        this.pendingTree = null;
+        this.collapsed = new Set();
+        this.positions = new Map();
+        this.drag = null;
+        this.svg = null;
+        this.dropZone = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the component
+     */
+    init() {
+        this.container.innerHTML = `
+            <div class="org-chart-toolbar">
+                <div class="org-chart-summary"></div>
+                <div class="org-chart-actions">
+                    <button type="button" class="btn btn-small btn-secondary" data-action="expand-all">Expand all</button>
+                    <button type="button" class="btn btn-small btn-secondary" data-action="collapse-all">Collapse all</button>
+                </div>
+            </div>
+            <div class="org-drop-root">Drop here to remove the manager</div>
+            <div class="org-chart-canvas"></div>
+        `;
+        this.summary = this.container.querySelector('.org-chart-summary');
+        this.dropZone = this.container.querySelector('.org-drop-root');
+        this.canvas = this.container.querySelector('.org-chart-canvas');
+
+        this.addStyles();
+        this.bindEvents();
+    }
+
+    /**
+     * Show a new reporting tree
+     * @param {Object} tree - Tree from EmployeeCollection.buildOrgTree
+     */
+    update(tree) {
+        // Re-rendering mid-drag would drop the dragged node; apply once it ends
+        if (this.drag) {
+            this.pendingTree = tree;
+            return;
+        }
+        this.tree = tree;
+        this.render();
+    }
+
+    /**
+     * Render the chart
+     */
+    render() {
+        if (!this.tree) return;
+
+        const { roots, orphans, cycles, nodes } = this.tree;
+        this.renderSummary(nodes.size, orphans.length, cycles.length);
+
+        if (roots.length === 0) {
+            this.canvas.innerHTML = '<div class="org-chart-empty">No employees to show</div>';
+            this.svg = null;
+            return;
+        }
+
+        this.layout(roots);
+
+        let width = 0;
+        let height = 0;
+        this.positions.forEach(({ x, y }) => {
+            width = Math.max(width, x + NODE_WIDTH + PADDING);
+            height = Math.max(height, y + NODE_HEIGHT + PADDING);
+        });
+
+        const edges = [];
+        const groups = [];
+        const visit = (node) => {
+            groups.push(this.renderNode(node));
+            if (this.collapsed.has(node.employee.id)) return;
+            node.children.forEach(child => {
+                edges.push(this.renderEdge(node, child));
+                visit(child);
+            });
+        };
+        roots.forEach(visit);
+
+        this.canvas.innerHTML = `
+            <svg class="org-chart-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="tree">
+                <defs>
+                    <clipPath id="org-avatar-clip" clipPathUnits="objectBoundingBox">
+                        <circle cx="0.5" cy="0.5" r="0.5"></circle>
+                    </clipPath>
+                </defs>
+                <g class="org-edges">${edges.join('')}</g>
+                <g class="org-nodes">${groups.join('')}</g>
+            </svg>
+        `;
+        this.svg = this.canvas.querySelector('svg');
+    }
+
+    /**
+     * Render the counts above the chart
+     * @param {number} total - Number of people in the chart
+     * @param {number} orphanCount - People whose manager is unknown
+     * @param {number} cycleCount - Reporting loops
+     */
+    renderSummary(total, orphanCount, cycleCount) {
+        const parts = [`${total} ${total === 1 ? 'person' : 'people'}`];
+        if (orphanCount > 0) {
+            parts.push(`<span class="org-warning">${orphanCount} with an unknown manager</span>`);
+        }
+        if (cycleCount > 0) {
+            parts.push(`<span class="org-error">${cycleCount} reporting loop${cycleCount === 1 ? '' : 's'}</span>`);
+        }
+        this.summary.innerHTML = parts.join(' &middot; ');
+    }
+
+    /**
+     * Position the visible nodes: leaves side by side, parents centred over their children
+     * @param {Array<Object>} roots - Root nodes
+     */
+    layout(roots) {
+        this.positions.clear();
+        let nextSlot = 0;
+
+        const place = (node) => {
+            const children = this.collapsed.has(node.employee.id) ? [] : node.children;
+            let x;
+
+            if (children.length === 0) {
+                x = PADDING + nextSlot * (NODE_WIDTH + H_GAP);
+                nextSlot++;
+            } else {
+                children.forEach(place);
+                const first = this.positions.get(children[0].employee.id);
+                const last = this.positions.get(children[children.length - 1].employee.id);
+                x = (first.x + last.x) / 2;
+            }
+
+            this.positions.set(node.employee.id, {
+                x,
+                y: PADDING + node.depth * (NODE_HEIGHT + V_GAP)
+            });
+        };
+        roots.forEach(place);
+    }
+
+    /**
+     * Render the elbow connector between a manager and a report
+     * @param {Object} parent - Manager node
+     * @param {Object} child - Report node
+     * @returns {string} SVG path markup
+     */
+    renderEdge(parent, child) {
+        const from = this.positions.get(parent.employee.id);
+        const to = this.positions.get(child.employee.id);
+        const startX = from.x + NODE_WIDTH / 2;
+        const startY = from.y + NODE_HEIGHT;
+        const middleY = startY + V_GAP / 2;
+        const endX = to.x + NODE_WIDTH / 2;
+
+        return `<path class="org-edge" d="M ${startX} ${startY} V ${middleY} H ${endX} V ${to.y}"></path>`;
+    }
+
+    /**
+     * Render a person
+     * @param {Object} node - Tree node
+     * @returns {string} SVG group markup
+     */
+    renderNode(node) {
+        const { employee } = node;
+        const { x, y } = this.positions.get(employee.id);
+        const isCollapsed = this.collapsed.has(employee.id);
+        const classes = ['org-node'];
+        if (node.isOrphan) classes.push('orphan');
+        if (node.inCycle) classes.push('in-cycle');
+        if (employee.status !== 'active') classes.push(`status-${employee.status}`);
+
+        const name = Helpers.escapeHtml(OrgChartComponent.truncate(employee.name, 20));
+        const position = Helpers.escapeHtml(OrgChartComponent.truncate(employee.position || '', 24));
+        const initials = Helpers.escapeHtml(
+            employee.name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('')
+        );
+        const notes = [
+            node.isOrphan ? 'Manager not found' : '',
+            node.inCycle ? 'Part of a reporting loop' : '',
+            employee.status !== 'active' ? Employee.LABELS[employee.status] : ''
+        ].filter(Boolean).join(' - ');
+
+        const avatar = employee.avatar
+            ? `<image href="${Helpers.escapeHtml(employee.avatar)}" x="10" y="12" width="40" height="40" clip-path="url(#org-avatar-clip)" preserveAspectRatio="xMidYMid slice"></image>`
+            : `<circle class="org-avatar-placeholder" cx="30" cy="32" r="20"></circle>
+               <text class="org-initials" x="30" y="37" text-anchor="middle">${initials}</text>`;
+
+        const toggle = node.directReports > 0 ? `
+            <g class="org-toggle" data-action="toggle" transform="translate(${NODE_WIDTH / 2}, ${NODE_HEIGHT})">
+                <circle r="9"></circle>
+                <text y="4" text-anchor="middle">${isCollapsed ? '+' : '&minus;'}</text>
+            </g>
+        ` : '';
+
+        return `
+            <g class="${classes.join(' ')}" data-id="${Helpers.escapeHtml(employee.id)}" transform="translate(${x}, ${y})"
+               role="treeitem" ${node.directReports > 0 ? `aria-expanded="${!isCollapsed}"` : ''} aria-label="${Helpers.escapeHtml(employee.name)}">
+                <title>${Helpers.escapeHtml(employee.name)}${notes ? ` (${Helpers.escapeHtml(notes)})` : ''}
+Direct reports: ${node.directReports}, total reports: ${node.totalReports}</title>
+                <rect class="org-card" width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="8"></rect>
+                ${avatar}
+                <text class="org-name" x="60" y="28">${name}</text>
+                <text class="org-position" x="60" y="46">${position}</text>
+                ${node.totalReports > 0 ? `
+                    <g class="org-span" transform="translate(${NODE_WIDTH - 8}, 8)">
+                        <rect x="-44" width="44" height="18" rx="9"></rect>
+                        <text x="-22" y="13" text-anchor="middle">${node.directReports}/${node.totalReports}</text>
+                    </g>
+                ` : ''}
+                ${toggle}
+            </g>
+        `;
+    }
+
+    /**
+     * Collapse or expand a node
+     * @param {string} id - Employee ID
+     */
+    toggle(id) {
+        if (this.collapsed.has(id)) {
+            this.collapsed.delete(id);
+        } else {
+            this.collapsed.add(id);
+        }
+        this.render();
+    }
+
+    /**
+     * Expand every node
+     */
+    expandAll() {
+        this.collapsed.clear();
+        this.render();
+    }
+
+    /**
+     * Collapse every node that has reports
+     */
+    collapseAll() {
+        this.tree?.nodes.forEach((node, id) => {
+            if (node.children.length > 0) this.collapsed.add(id);
+        });
+        this.render();
+    }
+
+    /**
+     * Get the IDs of everyone reporting (indirectly) to an employee
+     * @param {string} id - Employee ID
+     * @returns {Set<string>} Report IDs
+     */
+    getDescendantIds(id) {
+        const ids = new Set();
+        const visit = (node) => node.children.forEach(child => {
+            ids.add(child.employee.id);
+            visit(child);
+        });
+        const node = this.tree?.nodes.get(id);
+        if (node) visit(node);
+        return ids;
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.container.addEventListener('click', (event) => {
+            const action = event.target.closest('[data-action]')?.dataset.action;
+            if (action === 'expand-all') this.expandAll();
+            if (action === 'collapse-all') this.collapseAll();
+        });
+
+        this.canvas.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+        this.canvas.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+        this.canvas.addEventListener('pointerup', (event) => this.handlePointerUp(event));
+        this.canvas.addEventListener('pointercancel', () => this.endDrag());
+    }
+
+    /**
+     * Start tracking a press on a node
+     * @param {PointerEvent} event - Pointer event
+     */
+    handlePointerDown(event) {
+        if (event.button !== 0) return;
+
+        const group = event.target.closest('.org-node');
+        if (!group) return;
+
+        if (event.target.closest('[data-action="toggle"]')) {
+            this.toggle(group.dataset.id);
+            return;
+        }
+
+        const position = this.positions.get(group.dataset.id);
+        this.drag = {
+            id: group.dataset.id,
+            group,
+            startX: event.clientX,
+            startY: event.clientY,
+            origin: position,
+            active: false,
+            targetId: undefined,
+            descendants: null
+        };
+        this.canvas.setPointerCapture(event.pointerId);
+    }
+
+    /**
+     * Move the dragged node and highlight the drop target
+     * @param {PointerEvent} event - Pointer event
+     */
+    handlePointerMove(event) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        const dx = event.clientX - drag.startX;
+        const dy = event.clientY - drag.startY;
+
+        if (!drag.active) {
+            if (Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+            drag.active = true;
+            drag.descendants = this.getDescendantIds(drag.id);
+            drag.group.classList.add('dragging');
+            this.container.classList.add('is-dragging');
+        }
+
+        drag.group.setAttribute('transform', `translate(${drag.origin.x + dx}, ${drag.origin.y + dy})`);
+
+        // The dragged node ignores pointer events, so this finds what is underneath it
+        const element = document.elementFromPoint(event.clientX, event.clientY);
+        const targetGroup = element?.closest('.org-node');
+        const overRoot = Boolean(element?.closest('.org-drop-root'));
+
+        this.clearDropHighlight();
+        drag.targetId = undefined;
+
+        if (targetGroup && targetGroup !== drag.group) {
+            const targetId = targetGroup.dataset.id;
+            const valid = !drag.descendants.has(targetId);
+            targetGroup.classList.add(valid ? 'drop-target' : 'drop-invalid');
+            if (valid) drag.targetId = targetId;
+        } else if (overRoot) {
+            this.dropZone.classList.add('drop-target');
+            drag.targetId = null;
+        }
+    }
+
+    /**
+     * Finish a click or a drag
+     * @param {PointerEvent} event - Pointer event
+     */
+    async handlePointerUp(event) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        this.endDrag();
+
+        if (!drag.active) {
+            this.options.onSelect(drag.id);
+            return;
+        }
+
+        const employee = this.tree?.nodes.get(drag.id)?.employee;
+        if (drag.targetId === undefined || !employee || (employee.managerId || null) === drag.targetId) {
+            return;
+        }
+
+        try {
+            await this.options.onReassign(drag.id, drag.targetId);
+        } catch (error) {
+            // The caller reports the error; the chart re-renders from the unchanged tree
+            console.warn('Reassignment failed:', error.message);
+        }
+    }
+
+    /**
+     * Reset drag state and put the dragged node back
+     */
+    endDrag() {
+        const drag = this.drag;
+        this.drag = null;
+        this.clearDropHighlight();
+        this.container.classList.remove('is-dragging');
+
+        if (drag?.active) {
+            drag.group.classList.remove('dragging');
+            drag.group.setAttribute('transform', `translate(${drag.origin.x}, ${drag.origin.y})`);
+        }
+
+        if (this.pendingTree) {
+            const tree = this.pendingTree;
+            this.pendingTree = null;
+            this.update(tree);
+        }
+    }
+
+    /**
+     * Remove drop highlights
+     */
+    clearDropHighlight() {
+        this.container.querySelectorAll('.drop-target, .drop-invalid').forEach(element => {
+            element.classList.remove('drop-target', 'drop-invalid');
+        });
+    }
+
+    /**
+     * Shorten text to a maximum length
+     * @param {string} text - Text
+     * @param {number} maxLength - Maximum length
+     * @returns {string} Text, with an ellipsis if shortened
+     */
+    static truncate(text, maxLength) {
+        return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+    }
+
+    /**
+     * Add component styles
+     */
+    addStyles() {
+        if (document.querySelector('#org-chart-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'org-chart-styles';
+        style.textContent = `
+            .org-chart-toolbar {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 12px;
+                padding: 12px 16px;
+                border-bottom: 1px solid #e5e7eb;
+                font-size: 14px;
+                color: #4b5563;
+            }
+
+            .org-chart-actions {
+                display: flex;
+                gap: 8px;
+            }
+
+            .org-warning {
+                color: #b45309;
+            }
+
+            .org-error {
+                color: #dc2626;
+            }
+
+            .org-drop-root {
+                display: none;
+                margin: 12px 16px 0;
+                padding: 10px;
+                border: 2px dashed #d1d5db;
+                border-radius: 8px;
+                text-align: center;
+                font-size: 13px;
+                color: #6b7280;
+            }
+
+            .is-dragging .org-drop-root {
+                display: block;
+            }
+
+            .org-drop-root.drop-target {
+                border-color: #3b82f6;
+                background: #eff6ff;
+                color: #1d4ed8;
+            }
+
+            .org-chart-canvas {
+                overflow: auto;
+                max-height: 70vh;
+                touch-action: none;
+            }
+
+            .org-chart-empty {
+                padding: 40px;
+                text-align: center;
+                color: #6b7280;
+            }
+
+            .org-chart-svg {
+                display: block;
+                user-select: none;
+            }
+
+            .org-edge {
+                fill: none;
+                stroke: #cbd5e1;
+                stroke-width: 1.5;
+            }
+
+            .org-node {
+                cursor: grab;
+            }
+
+            .org-card {
+                fill: #ffffff;
+                stroke: #d1d5db;
+                stroke-width: 1.5;
+            }
+
+            .org-node:hover .org-card {
+                stroke: #3b82f6;
+            }
+
+            .org-node.orphan .org-card {
+                stroke: #f59e0b;
+                stroke-dasharray: 6 4;
+            }
+
+            .org-node.in-cycle .org-card {
+                stroke: #dc2626;
+                fill: #fef2f2;
+            }
+
+            .org-node.status-terminated,
+            .org-node.status-notice-period {
+                opacity: 0.7;
+            }
+
+            .org-node.dragging {
+                pointer-events: none;
+                opacity: 0.8;
+                cursor: grabbing;
+            }
+
+            .org-node.drop-target .org-card {
+                stroke: #3b82f6;
+                stroke-width: 3;
+                fill: #eff6ff;
+            }
+
+            .org-node.drop-invalid .org-card {
+                stroke: #dc2626;
+                stroke-width: 3;
+                cursor: not-allowed;
+            }
+
+            .org-avatar-placeholder {
+                fill: #e5e7eb;
+            }
+
+            .org-initials {
+                font-size: 14px;
+                font-weight: 600;
+                fill: #4b5563;
+            }
+
+            .org-name {
+                font-size: 14px;
+                font-weight: 600;
+                fill: #1f2937;
+            }
+
+            .org-position {
+                font-size: 12px;
+                fill: #6b7280;
+            }
+
+            .org-span rect {
+                fill: #eef2ff;
+            }
+
+            .org-span text {
+                font-size: 11px;
+                font-weight: 600;
+                fill: #4338ca;
+            }
+
+            .org-toggle {
+                cursor: pointer;
+            }
+
+            .org-toggle circle {
+                fill: #ffffff;
+                stroke: #9ca3af;
+            }
+
+            .org-toggle text {
+                font-size: 13px;
+                font-weight: 600;
+                fill: #374151;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Destroy the component
+     */
+    destroy() {
+        this.drag = null;
+        this.pendingTree = null;
+        this.container.innerHTML = '';
+    }
+}
@@ -59,6 +59,16 @@ export class PaginationComponent {
             return;
         }
 
+        // Every row is in the (virtually scrolled) table
+        if (this.paginationInfo.showAll) {
+            this.container.innerHTML = `
+                <div class="pagination-info">
+                    <span>Showing all ${totalItems} employees</span>
+                </div>
+            `;
+            return;
+        }
+
         // Generate page numbers
         const pageNumbers = this.generatePageNumbers();
 
@@ -1,7 +1,69 @@
 import { Helpers } from '../utils/helpers.js';
+import { PhoneNumber } from '../utils/PhoneNumber.js';
+import { Employee } from '../models/Employee.js';
+import { FieldSchema } from '../models/FieldSchema.js';
 
 /**
- * Table component with virtual scrolling for employee data
+ * Width of columns that do not define one, and the narrowest a column can be resized to
+ */
+const DEFAULT_COLUMN_WIDTH = 150;
+const MIN_COLUMN_WIDTH = 60;
+
+/**
+ * Rows above which virtual scrolling renders only the rows in view, and the
+ * rows rendered beyond each edge of the view so fast scrolling shows no gaps
+ */
+const VIRTUAL_SCROLL_THRESHOLD = 50;
+const VIRTUAL_OVERSCAN_ROWS = 6;
+
+/**
+ * Table component with virtual scrolling for employee data.
+ *
+ * With `options.virtualScrolling`, long lists render only the rows in view
+ * between two spacer bodies sized to the rows above and below. Row heights
+ * are measured as rows are shown (`options.rowHeight` is the estimate for
+ * rows not measured yet), rows leaving the view are reused for rows coming
+ * into it, and the first row in view stays in place when the data changes.
+ *
+ * Columns are described by definitions:
+ *   { key, header, render(employee, table) => html, renderHeader(table) => html,
+ *     sortable, sortField, width, visible, pinned, hideable, locked,
+ *     className, headerClassName, editor }
+ * `options.columns` replaces the default set (TableComponent.DEFAULT_COLUMNS);
+ * custom fields are added before the actions column by setCustomColumns.
+ * Locked columns always come first and cannot be moved, resized or hidden.
+ *
+ * Users can hide, reorder (drag a header, or use the Columns menu), resize
+ * and pin columns. Their choices form the layout
+ *   { order: [key], visibility: { key: bool }, widths: { key: px }, pinned: { key: bool } }
+ * which is reported through `options.onLayoutChange` and restored with setLayout.
+ * Pinned columns stay at the left while the table scrolls horizontally.
+ *
+ * Unless `options.selectable` is false, a checkbox column selects rows:
+ * shift-click selects a range, the header checkbox the whole page.
+ * The selection is kept across pages and reported through the
+ * selectionChange event (see setSelection for selecting all matches).
+ *
+ * Cells of columns with an `editor` can be edited in place: double-click
+ * or press Enter on the cell, Enter or leaving the cell saves, Esc cancels
+ * and Tab saves and moves to the next editable cell. An editor looks like
+ *   { type: 'text'|'tel'|'number'|'select', fields: [validated fields],
+ *     value(employee) => string, toData(value, employee) => changes,
+ *     options(table, employee) => [string], validate(value) => message|null,
+ *     suffix(employee) => string }
+ * The new value is shown right away and saved through `options.onCellEdit`;
+ * if that fails the cell goes back to the old value and shows the error.
+ *
+ * The table reports what users do through events, subscribed to with
+ * addEventListener(type, listener); listeners get { type, target, detail }:
+ *   rowClick, rowDoubleClick  { id, employee, column }
+ *   details, edit, delete     { id, employee } from the row's action buttons
+ *   add                       {} from the empty state's Add button
+ *   selectionChange           { ids }
+ *   sortChange                { field, direction }
+ *   columnResize              { key, width }
+ * `options.onEdit`, `onDelete`, `onSort` and `onSelectionChange` are
+ * subscribed the same way.
  */
 export class TableComponent {
     constructor(container, options = {}) {
@@ -10,18 +72,55 @@ export class TableComponent {
             onEdit: options.onEdit || (() => {}),
             onDelete: options.onDelete || (() => {}),
             onSort: options.onSort || (() => {}),
+            onLayoutChange: options.onLayoutChange || (() => {}),
+            onSelectionChange: options.onSelectionChange || (() => {}),
+            onCellEdit: options.onCellEdit || (async () => {}),
+            selectable: options.selectable !== false,
             virtualScrolling: options.virtualScrolling || false,
             rowHeight: options.rowHeight || 49,
             ...options
         };
         
         this.employees = [];
+        this.unsyncedIds = new Set();
+        this.columns = this.options.columns || TableComponent.DEFAULT_COLUMNS;
+        this.customColumns = [];
+        this.layout = TableComponent.normalizeLayout(this.options.layout);
+        this.selectedIds = new Set();
+        this.selectionAnchorId = null;
+        this.departments = [];
+        this.editing = null;
+        this.pendingEdits = new Map();
+        this.cellErrors = new Map();
+        this.savingCount = 0;
+        this.isShowingLoading = false;
         this.sortField = 'name';
         this.sortDirection = 'asc';
         this.visibleRange = { start: 0, end: 0 };
         this.scrollContainer = null;
         this.tableBody = null;
-        this.virtualContainer = null;
+        this.spacers = null;
+        this.employeeIndex = null;
+        this.rowHeights = new Map();
+        this.rowOffsets = null;
+        this.offsetEmployees = null;
+        this.renderedRows = new Map();
+        this.rowPool = [];
+        this.scrollAnchor = null;
+        this.scrollFrame = null;
+        this.columnMenu = null;
+        this.draggedColumn = null;
+        this.suppressSortClick = false;
+        this.handleDocumentClick = (event) => {
+            if (!event.target.closest('.column-chooser')) this.toggleColumnMenu(false);
+        };
+        this.listeners = new Map();
+
+        // Callbacks given as options are listeners like any other
+        this.addEventListener('edit', ({ detail }) => this.options.onEdit(detail.id));
+        this.addEventListener('delete', ({ detail }) => this.options.onDelete(detail.id));
+        this.addEventListener('sortChange', ({ detail }) => this.options.onSort(detail.field, detail.direction));
+        this.addEventListener('selectionChange', ({ detail }) => this.options.onSelectionChange(detail.ids));
         
         this.init();
     }
@@ -34,6 +133,57 @@ export class TableComponent {
         this.bindEvents();
     }
 
+    /**
+     * Subscribe to a table event (see the class description for the events)
+     * @param {string} type - Event type
+     * @param {Function} listener - ({ type, target, detail }) => void
+     * @throws {Error} If the table has no such event
+     */
+    addEventListener(type, listener) {
+        if (!TableComponent.EVENTS.includes(type)) {
+            throw new Error(`Unknown table event: ${type}`);
+        }
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+    }
+
+    /**
+     * Unsubscribe from a table event
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener passed to addEventListener
+     */
+    removeEventListener(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    /**
+     * Call the listeners of an event
+     * @param {string} type - Event type
+     * @param {Object} detail - Event data
+     */
+    emit(type, detail = {}) {
+        const event = { type, target: this, detail };
+        this.listeners.get(type)?.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Table ${type} listener error:`, error);
+            }
+        });
+    }
+
+    /**
+     * Build the detail of an event about a row
+     * @param {string} id - Employee ID
+     * @param {Object} extra - More data for the event
+     * @returns {Object} { id, employee, ...extra }
+     */
+    getRowDetail(id, extra = {}) {
+        return { id, employee: this.employees[this.getEmployeeIndex(id)] || null, ...extra };
+    }
+
     /**
      * Update table with new employee data
      * @param {Array} employees - Array of employees
@@ -41,6 +191,7 @@ export class TableComponent {
      */
     update(employees, sortInfo = {}) {
         this.employees = employees || [];
+        this.employeeIndex = null;
         
         if (sortInfo.field) {
             this.sortField = sortInfo.field;
@@ -51,171 +202,1059 @@ export class TableComponent {
         this.updateSortHeaders();
     }
 
+    /**
+     * Mark employees whose changes have not reached the server yet
+     * @param {Set|Array} ids - Employee IDs with unsynced changes
+     */
+    setUnsyncedIds(ids) {
+        this.unsyncedIds = new Set(ids);
+        this.renderTableBody();
+    }
+
+    /**
+     * Show custom fields as extra columns (before the actions column)
+     * @param {Array<Object>} fields - Custom field definitions
+     */
+    setCustomColumns(fields) {
+        this.customColumns = (fields || []).map(field => ({
+            key: FieldSchema.inputName(field.key),
+            header: field.label,
+            className: 'employee-custom',
+            render: (employee) => Helpers.escapeHtml(Employee.fieldSchema.formatValue(field, employee.customFields[field.key])) || '-'
+        }));
+
+        this.renderColumns();
+    }
+
+    /**
+     * Get every column definition, custom fields included, in their default order
+     * @returns {Array<Object>} Column definitions
+     */
+    getColumnDefinitions() {
+        const actionsIndex = this.columns.findIndex(column => column.key === 'actions');
+        const insertAt = actionsIndex === -1 ? this.columns.length : actionsIndex;
+        return [
+            ...(this.options.selectable ? [TableComponent.SELECTION_COLUMN] : []),
+            ...this.columns.slice(0, insertAt),
+            ...this.customColumns,
+            ...this.columns.slice(insertAt)
+        ];
+    }
+
+    /**
+     * Get all columns with the user's layout applied: locked columns first,
+     * then pinned ones, then the rest in the user's order. Pinned columns get
+     * their sticky `left` offset.
+     * @returns {Array<Object>} Columns with visible, width, pinned and left resolved
+     */
+    getColumns() {
+        const definitions = this.getColumnDefinitions();
+        const byKey = new Map(definitions.map(column => [column.key, column]));
+
+        // Keep the saved order; columns it does not know yet go after their default predecessor
+        const order = this.layout.order.filter(key => byKey.has(key));
+        definitions.forEach((column, index) => {
+            if (order.includes(column.key)) return;
+            const previous = definitions.slice(0, index).reverse().find(other => order.includes(other.key));
+            order.splice(previous ? order.indexOf(previous.key) + 1 : 0, 0, column.key);
+        });
+
+        const columns = order.map(key => {
+            const column = byKey.get(key);
+            if (column.locked) {
+                return { sortable: false, ...column, hideable: false, visible: true, width: column.width || DEFAULT_COLUMN_WIDTH, pinned: true };
+            }
+            return {
+                sortable: false,
+                hideable: true,
+                ...column,
+                visible: column.hideable === false || (this.layout.visibility[key] ?? column.visible ?? true),
+                width: this.layout.widths[key] || column.width || DEFAULT_COLUMN_WIDTH,
+                pinned: this.layout.pinned[key] ?? Boolean(column.pinned)
+            };
+        });
+
+        let left = 0;
+        return [
+            ...columns.filter(column => column.locked),
+            ...columns.filter(column => column.pinned && !column.locked),
+            ...columns.filter(column => !column.pinned)
+        ]
+            .map(column => {
+                if (!column.pinned || !column.visible) return column;
+                const pinned = { ...column, left };
+                left += column.width;
+                return pinned;
+            });
+    }
+
+    /**
+     * Get the columns currently shown
+     * @returns {Array<Object>} Visible columns in display order
+     */
+    getVisibleColumns() {
+        return this.getColumns().filter(column => column.visible);
+    }
+
+    /**
+     * Get the number of table columns
+     * @returns {number} Column count
+     */
+    getColumnCount() {
+        return this.getVisibleColumns().length;
+    }
+
+    /**
+     * Get the user's column layout
+     * @returns {Object} { order, visibility, widths, pinned }
+     */
+    getLayout() {
+        return Helpers.deepClone(this.layout);
+    }
+
+    /**
+     * Apply a saved column layout
+     * @param {Object} layout - { order, visibility, widths, pinned }
+     */
+    setLayout(layout) {
+        this.layout = TableComponent.normalizeLayout(layout);
+        this.renderColumns();
+    }
+
+    /**
+     * Change the layout, redraw and report it
+     * @param {Function} change - (layout) => void, mutates the layout
+     */
+    changeLayout(change) {
+        change(this.layout);
+        this.renderColumns();
+        this.options.onLayoutChange(this.getLayout());
+    }
+
+    /**
+     * Show or hide a column
+     * @param {string} key - Column key
+     * @param {boolean} visible - Whether to show it
+     */
+    setColumnVisible(key, visible) {
+        if (!this.getColumns().find(column => column.key === key)?.hideable) return;
+
+        this.changeLayout(layout => {
+            layout.visibility[key] = Boolean(visible);
+        });
+    }
+
+    /**
+     * Pin a column to the left edge, or unpin it
+     * @param {string} key - Column key
+     * @param {boolean} pinned - Whether to pin it
+     */
+    setColumnPinned(key, pinned) {
+        if (this.isLockedColumn(key)) return;
+
+        this.changeLayout(layout => {
+            layout.pinned[key] = Boolean(pinned);
+        });
+    }
+
+    /**
+     * Set a column's width
+     * @param {string} key - Column key
+     * @param {number} width - Width in pixels
+     */
+    setColumnWidth(key, width) {
+        if (this.isLockedColumn(key)) return;
+
+        const newWidth = Math.max(MIN_COLUMN_WIDTH, Math.round(width));
+        this.changeLayout(layout => {
+            layout.widths[key] = newWidth;
+        });
+        this.emit('columnResize', { key, width: newWidth });
+    }
+
+    /**
+     * Move a column to the place of another one
+     * @param {string} key - Column to move
+     * @param {string} targetKey - Column whose place it takes
+     */
+    moveColumn(key, targetKey) {
+        if (key === targetKey || this.isLockedColumn(key) || this.isLockedColumn(targetKey)) return;
+
+        const order = this.getColumns().map(column => column.key);
+        const from = order.indexOf(key);
+        const to = order.indexOf(targetKey);
+        if (from === -1 || to === -1) return;
+
+        order.splice(from, 1);
+        order.splice(to, 0, key);
+        this.changeLayout(layout => {
+            layout.order = order;
+        });
+    }
+
+    /**
+     * Move a column one place left or right among the visible columns
+     * @param {string} key - Column key
+     * @param {number} offset - -1 for left, 1 for right
+     */
+    shiftColumn(key, offset) {
+        const visible = this.getVisibleColumns();
+        const index = visible.findIndex(column => column.key === key);
+        const target = visible[index + offset];
+        if (index !== -1 && target) {
+            this.moveColumn(key, target.key);
+        }
+    }
+
+    /**
+     * Check whether a column is locked in place
+     * @param {string} key - Column key
+     * @returns {boolean} True for locked columns
+     */
+    isLockedColumn(key) {
+        return Boolean(this.getColumnDefinitions().find(column => column.key === key)?.locked);
+    }
+
+    /**
+     * Go back to the default columns
+     */
+    resetLayout() {
+        this.changeLayout(layout => {
+            Object.assign(layout, TableComponent.normalizeLayout(null));
+        });
+    }
+
+    /**
+     * Fill in missing parts of a layout
+     * @param {Object|null} layout - Saved layout
+     * @returns {Object} { order, visibility, widths, pinned }
+     */
+    static normalizeLayout(layout) {
+        const objectOrEmpty = (value) => value && typeof value === 'object' && !Array.isArray(value) ? { ...value } : {};
+        return {
+            order: Array.isArray(layout?.order) ? layout.order.filter(key => typeof key === 'string') : [],
+            visibility: objectOrEmpty(layout?.visibility),
+            widths: objectOrEmpty(layout?.widths),
+            pinned: objectOrEmpty(layout?.pinned)
+        };
+    }
+
     /**
      * Render the table structure
      */
     render() {
         this.container.innerHTML = `
+            <div class="table-toolbar">
+                <div class="column-chooser">
+                    <button type="button" class="btn btn-small btn-secondary" data-action="toggle-columns" aria-expanded="false" aria-haspopup="true">
+                        Columns
+                    </button>
+                    <div class="column-menu" role="menu" hidden></div>
+                </div>
+            </div>
             <div class="table-wrapper">
                 <table class="employee-table">
+                    <colgroup></colgroup>
                     <thead>
-                        <tr>
-                            <th data-sort="name" class="sortable">
-                                Name
-                            </th>
-                            <th data-sort="email" class="sortable">
-                                Email
-                            </th>
-                            <th data-sort="phone">
-                                Phone
-                            </th>
-                            <th data-sort="department" class="sortable">
-                                Department
-                            </th>
-                            <th data-sort="position" class="sortable">
-                                Position
-                            </th>
-                            <th data-sort="salary" class="sortable">
-                                Salary
-                            </th>
-                            <th class="actions-column">
-                                Actions
-                            </th>
-                        </tr>
+                        <tr></tr>
                     </thead>
-                    <tbody id="employeeTableBody">
+                    <tbody class="virtual-spacer" data-spacer="top" aria-hidden="true"><tr><td></td></tr></tbody>
+                    <tbody class="employee-rows">
                         <!-- Employee rows will be rendered here -->
                     </tbody>
+                    <tbody class="virtual-spacer" data-spacer="bottom" aria-hidden="true"><tr><td></td></tr></tbody>
                 </table>
-                ${this.employees.length === 0 ? this.renderEmptyState() : ''}
             </div>
         `;
 
-        this.tableBody = this.container.querySelector('#employeeTableBody');
-        this.scrollContainer = this.container.querySelector('.table-wrapper');
-        
-        // Add table-specific styles
-        this.addTableStyles();
+        this.tableBody = this.container.querySelector('.employee-rows');
+        this.spacers = {
+            top: this.container.querySelector('[data-spacer="top"] td'),
+            bottom: this.container.querySelector('[data-spacer="bottom"] td')
+        };
+        this.scrollContainer = this.container.querySelector('.table-wrapper');
+        this.columnMenu = this.container.querySelector('.column-menu');
+        
+        // Add table-specific styles
+        this.addTableStyles();
+        this.renderHeader();
+    }
+
+    /**
+     * Redraw everything that depends on the columns
+     */
+    renderColumns() {
+        this.renderHeader();
+        this.renderTableBody();
+        this.renderColumnMenu();
+    }
+
+    /**
+     * Render the column widths and header cells
+     */
+    renderHeader() {
+        const table = this.container.querySelector('.employee-table');
+        if (!table) return;
+
+        const columns = this.getVisibleColumns();
+        table.style.width = `${columns.reduce((total, column) => total + column.width, 0)}px`;
+        table.querySelector('colgroup').innerHTML = columns
+            .map(column => `<col data-column="${Helpers.escapeHtml(column.key)}" style="width: ${column.width}px">`)
+            .join('');
+        table.querySelector('thead tr').innerHTML = columns.map(column => this.renderHeaderCell(column)).join('');
+
+        this.updateSortHeaders();
+        this.updateSelectionState();
+    }
+
+    /**
+     * Render one header cell
+     * @param {Object} column - Resolved column
+     * @returns {string} HTML string
+     */
+    renderHeaderCell(column) {
+        const classes = [
+            column.sortable ? 'sortable' : '',
+            column.pinned ? 'pinned' : '',
+            column.headerClassName || ''
+        ].filter(Boolean).join(' ');
+
+        return `
+            <th data-column="${Helpers.escapeHtml(column.key)}" ${column.sortable ? `data-sort="${Helpers.escapeHtml(column.sortField || column.key)}"` : ''}
+                class="${classes}" draggable="${!column.locked}" ${column.pinned ? `style="left: ${column.left}px"` : ''}>
+                ${column.renderHeader ? column.renderHeader(this) : `<span class="column-title">${Helpers.escapeHtml(column.header)}</span>`}
+                ${column.locked ? '' : `<span class="column-resizer" data-resize="${Helpers.escapeHtml(column.key)}" title="Drag to resize"></span>`}
+            </th>
+        `;
+    }
+
+    /**
+     * Render the column chooser menu
+     */
+    renderColumnMenu() {
+        if (!this.columnMenu) return;
+
+        this.columnMenu.innerHTML = `
+            <ul class="column-menu-list">
+                ${this.getColumns().filter(column => !column.locked).map(column => {
+                    const key = Helpers.escapeHtml(column.key);
+                    return `
+                        <li class="column-menu-item">
+                            <label>
+                                <input type="checkbox" data-action="toggle-column" data-column="${key}"
+                                       ${column.visible ? 'checked' : ''} ${column.hideable ? '' : 'disabled'}>
+                                ${Helpers.escapeHtml(column.header)}
+                            </label>
+                            <span class="column-menu-actions">
+                                <button type="button" class="column-menu-button" data-action="move-left" data-column="${key}"
+                                        title="Move left" aria-label="Move ${Helpers.escapeHtml(column.header)} left" ${column.visible ? '' : 'disabled'}>↑</button>
+                                <button type="button" class="column-menu-button" data-action="move-right" data-column="${key}"
+                                        title="Move right" aria-label="Move ${Helpers.escapeHtml(column.header)} right" ${column.visible ? '' : 'disabled'}>↓</button>
+                                <button type="button" class="column-menu-button ${column.pinned ? 'active' : ''}" data-action="toggle-pin" data-column="${key}"
+                                        title="${column.pinned ? 'Unpin' : 'Pin to the left'}" aria-pressed="${column.pinned}">📌</button>
+                            </span>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+            <button type="button" class="dropdown-item" data-action="reset-columns">Reset columns</button>
+        `;
+    }
+
+    /**
+     * Open or close the column chooser
+     * @param {boolean} open - Whether to open it (toggles when omitted)
+     */
+    toggleColumnMenu(open) {
+        if (!this.columnMenu) return;
+
+        const show = open ?? this.columnMenu.hidden;
+        if (show) this.renderColumnMenu();
+        this.columnMenu.hidden = !show;
+        this.container.querySelector('[data-action="toggle-columns"]')?.setAttribute('aria-expanded', String(show));
+    }
+
+    /**
+     * Render table body with employee rows
+     */
+    renderTableBody() {
+        if (!this.tableBody) return;
+
+        if (this.employees.length === 0) {
+            this.clearVirtualRows();
+            this.tableBody.innerHTML = `
+                <tr>
+                    <td colspan="${this.getColumnCount()}" class="empty-cell">
+                        ${this.renderEmptyState()}
+                    </td>
+                </tr>
+            `;
+            this.updateSelectionState();
+            return;
+        }
+
+        if (this.isVirtual()) {
+            // Keep the row at the top of the view in place, wherever the update moved it
+            const anchor = this.scrollAnchor || this.getScrollAnchor();
+            this.scrollAnchor = null;
+            this.updateRowOffsets();
+            this.renderVirtualRows({ refresh: true, scrollTop: this.getAnchorScrollTop(anchor) });
+        } else {
+            this.renderAllRows();
+        }
+        this.updateSelectionState();
+        this.restoreEditor();
+    }
+
+    /**
+     * Get the IDs of the selected employees
+     * @returns {Array<string>} Selected employee IDs
+     */
+    getSelectedIds() {
+        return [...this.selectedIds];
+    }
+
+    /**
+     * Replace the selection, e.g. with every employee matching the filters
+     * @param {Array<string>} ids - Employee IDs
+     */
+    setSelection(ids) {
+        this.selectedIds = new Set(ids);
+        this.selectionAnchorId = null;
+        this.selectionChanged();
+    }
+
+    /**
+     * Deselect all employees
+     */
+    clearSelection() {
+        if (this.selectedIds.size === 0) return;
+        this.setSelection([]);
+    }
+
+    /**
+     * Select or deselect a row. With `range`, every row between the row
+     * clicked last and this one gets the same state.
+     * @param {string} id - Employee ID
+     * @param {boolean} selected - Whether to select it
+     * @param {Object} options - { range }
+     */
+    selectRow(id, selected, options = {}) {
+        const pageIds = this.employees.map(employee => employee.id);
+        let ids = [id];
+
+        if (options.range && pageIds.includes(this.selectionAnchorId) && pageIds.includes(id)) {
+            const [from, to] = [pageIds.indexOf(this.selectionAnchorId), pageIds.indexOf(id)].sort((a, b) => a - b);
+            ids = pageIds.slice(from, to + 1);
+        }
+
+        ids.forEach(rowId => selected ? this.selectedIds.add(rowId) : this.selectedIds.delete(rowId));
+        this.selectionAnchorId = id;
+        this.selectionChanged();
+    }
+
+    /**
+     * Select or deselect every row on the page
+     * @param {boolean} selected - Whether to select them
+     */
+    selectPage(selected) {
+        this.employees.forEach(employee => selected ? this.selectedIds.add(employee.id) : this.selectedIds.delete(employee.id));
+        this.selectionChanged();
+    }
+
+    /**
+     * Show and report a changed selection
+     */
+    selectionChanged() {
+        this.updateSelectionState();
+        this.emit('selectionChange', { ids: this.getSelectedIds() });
+    }
+
+    /**
+     * Sync the row checkboxes, row highlighting and the page checkbox with the selection
+     */
+    updateSelectionState() {
+        if (!this.tableBody) return;
+
+        this.tableBody.querySelectorAll('tr[data-id]').forEach(row => {
+            const isSelected = this.selectedIds.has(row.dataset.id);
+            row.classList.toggle('selected', isSelected);
+            row.setAttribute('aria-selected', String(isSelected));
+            const checkbox = row.querySelector('[data-action="select-row"]');
+            if (checkbox) checkbox.checked = isSelected;
+        });
+
+        const pageCheckbox = this.container.querySelector('[data-action="select-page"]');
+        if (pageCheckbox) {
+            const selectedOnPage = this.employees.filter(employee => this.selectedIds.has(employee.id)).length;
+            pageCheckbox.checked = selectedOnPage > 0 && selectedOnPage === this.employees.length;
+            pageCheckbox.indeterminate = selectedOnPage > 0 && selectedOnPage < this.employees.length;
+        }
+    }
+
+    /**
+     * Render all rows (non-virtual scrolling)
+     */
+    renderAllRows() {
+        const columns = this.getVisibleColumns();
+        const rows = this.employees.map(employee => this.createEmployeeRow(employee, columns)).join('');
+        this.clearVirtualRows();
+        this.tableBody.innerHTML = rows;
+    }
+
+    /**
+     * Whether only the rows in view are rendered
+     * @returns {boolean} True with virtual scrolling and enough rows
+     */
+    isVirtual() {
+        return this.options.virtualScrolling && this.employees.length > VIRTUAL_SCROLL_THRESHOLD && !!this.scrollContainer;
+    }
+
+    /**
+     * Render the rows in view (for performance with large datasets). Rows
+     * still in view are kept as they are unless `refresh` is set.
+     * @param {Object} options - { refresh } after the data changed; { scrollTop } to scroll to once rendered
+     */
+    renderVirtualRows(options = {}) {
+        if (!this.rowOffsets || this.offsetEmployees !== this.employees) {
+            this.updateRowOffsets();
+        }
+
+        const columns = this.getVisibleColumns();
+        const { start, end } = this.getVirtualRange(options.scrollTop ?? this.scrollContainer.scrollTop);
+        this.visibleRange = { start, end };
+
+        const visibleEmployees = this.employees.slice(start, end);
+        const visibleIds = new Set(visibleEmployees.map(employee => employee.id));
+
+        // Rows that left the view are reused for the rows coming into it
+        this.renderedRows.forEach((row, id) => {
+            if (!visibleIds.has(id)) {
+                row.remove();
+                this.rowPool.push(row);
+                this.renderedRows.delete(id);
+            }
+        });
+        if (this.renderedRows.size === 0) {
+            // Whatever else the body showed (empty state, loading) goes
+            this.tableBody.textContent = '';
+        }
+
+        let cursor = this.tableBody.firstElementChild;
+        visibleEmployees.forEach(employee => {
+            let row = this.renderedRows.get(employee.id);
+            if (!row) {
+                row = this.rowPool.pop() || document.createElement('tr');
+                this.fillRow(row, employee, columns);
+                this.renderedRows.set(employee.id, row);
+            } else if (options.refresh) {
+                this.fillRow(row, employee, columns);
+            }
+
+            if (row === cursor) {
+                cursor = cursor.nextElementSibling;
+            } else {
+                this.tableBody.insertBefore(row, cursor);
+            }
+        });
+
+        // Scroll only now that the spacers make the content tall enough
+        this.updateSpacers();
+        if (options.scrollTop != null) this.scrollContainer.scrollTop = options.scrollTop;
+        this.measureRows();
+        this.restoreEditor();
+    }
+
+    /**
+     * Get the rows to render for a scroll position. The header is sticky,
+     * so the row under it is the one at `scrollTop` from the first row.
+     * @param {number} scrollTop - Scroll position
+     * @returns {Object} { start, end } row indexes, end exclusive
+     */
+    getVirtualRange(scrollTop) {
+        const overscan = VIRTUAL_OVERSCAN_ROWS * this.getEstimatedRowHeight();
+        const top = scrollTop;
+        const bottom = top + this.scrollContainer.clientHeight;
+
+        // Start on an even row so the zebra stripes do not swap while scrolling
+        const start = this.findRowAtOffset(top - overscan) & ~1;
+        const end = Math.min(this.findRowAtOffset(bottom + overscan) + 1, this.employees.length);
+        return { start, end };
+    }
+
+    /**
+     * Find the row at a distance from the top of the first row
+     * @param {number} offset - Distance in pixels
+     * @param {Float64Array} offsets - Row offsets (see updateRowOffsets)
+     * @returns {number} Row index
+     */
+    findRowAtOffset(offset, offsets = this.rowOffsets) {
+        let low = 0;
+        let high = offsets.length - 2;
+
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (offsets[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return Math.max(0, low);
+    }
+
+    /**
+     * Recompute where each row starts from the measured (or estimated) heights
+     */
+    updateRowOffsets() {
+        const estimate = this.getEstimatedRowHeight();
+        const offsets = new Float64Array(this.employees.length + 1);
+
+        for (let index = 0; index < this.employees.length; index++) {
+            offsets[index + 1] = offsets[index] + (this.rowHeights.get(this.employees[index].id) ?? estimate);
+        }
+
+        this.rowOffsets = offsets;
+        this.offsetEmployees = this.employees;
+    }
+
+    /**
+     * Measure the rendered rows. When heights differ from what was assumed,
+     * the offsets are recomputed and the view is kept on the same row.
+     */
+    measureRows() {
+        let changed = false;
+        this.renderedRows.forEach((row, id) => {
+            const height = row.getBoundingClientRect().height;
+            if (height > 0 && height !== this.rowHeights.get(id)) {
+                this.rowHeights.set(id, height);
+                changed = true;
+            }
+        });
+        if (!changed) return;
+
+        const anchor = this.getScrollAnchor();
+        this.updateRowOffsets();
+        this.updateSpacers();
+        const scrollTop = this.getAnchorScrollTop(anchor);
+        if (scrollTop != null) this.scrollContainer.scrollTop = scrollTop;
+    }
+
+    /**
+     * Size the spacers to the rows above and below the rendered ones
+     */
+    updateSpacers() {
+        if (!this.spacers) return;
+
+        const { start, end } = this.visibleRange;
+        const total = this.rowOffsets[this.employees.length];
+        const colspan = String(this.getColumnCount());
+        this.spacers.top.colSpan = colspan;
+        this.spacers.bottom.colSpan = colspan;
+        this.spacers.top.style.height = `${this.rowOffsets[start]}px`;
+        this.spacers.bottom.style.height = `${total - this.rowOffsets[end]}px`;
+    }
+
+    /**
+     * Forget the rendered window, before the body shows something else
+     * @param {Object} options - { keepPosition } to come back to the same row once rows are shown again
+     */
+    clearVirtualRows(options = {}) {
+        this.scrollAnchor = options.keepPosition ? this.scrollAnchor || this.getScrollAnchor() : null;
+        this.renderedRows.clear();
+        this.rowPool = [];
+        this.visibleRange = { start: 0, end: 0 };
+        if (this.spacers) {
+            this.spacers.top.style.height = '0px';
+            this.spacers.bottom.style.height = '0px';
+        }
+    }
+
+    /**
+     * Get the row at the top of the view and how far it is scrolled past
+     * @returns {Object|null} { id, offset } or null if no rows are rendered virtually
+     */
+    getScrollAnchor() {
+        if (!this.rowOffsets || this.renderedRows.size === 0) return null;
+
+        // The offsets may still be those of the rows before an update
+        const employees = this.offsetEmployees;
+        const top = this.scrollContainer.scrollTop;
+        const index = this.findRowAtOffset(top);
+        return employees[index] ? { id: employees[index].id, offset: top - this.rowOffsets[index] } : null;
+    }
+
+    /**
+     * Get the scroll position that puts an anchor row back where it was
+     * @param {Object|null} anchor - { id, offset } from getScrollAnchor
+     * @returns {number|null} Scroll position, or null if the row is gone
+     */
+    getAnchorScrollTop(anchor) {
+        const index = anchor ? this.getEmployeeIndex(anchor.id) : -1;
+        return index === -1 ? null : this.rowOffsets[index] + Math.min(anchor.offset, this.rowOffsets[index + 1] - this.rowOffsets[index]);
+    }
+
+    /**
+     * Get the height assumed for rows not measured yet
+     * @returns {number} Height in pixels
+     */
+    getEstimatedRowHeight() {
+        return this.options.rowHeight;
+    }
+
+    /**
+     * Get the height of the header row above the rows
+     * @returns {number} Height in pixels
+     */
+    getHeaderHeight() {
+        return this.container.querySelector('.employee-table thead')?.offsetHeight || 0;
+    }
+
+    /**
+     * Get the position of an employee in the rows
+     * @param {string} id - Employee ID
+     * @returns {number} Row index, or -1
+     */
+    getEmployeeIndex(id) {
+        if (!this.employeeIndex) {
+            this.employeeIndex = new Map(this.employees.map((employee, index) => [employee.id, index]));
+        }
+        return this.employeeIndex.get(id) ?? -1;
+    }
+
+    /**
+     * Scroll a row into view, rendering it if only the rows in view are rendered
+     * @param {string} id - Employee ID
+     * @returns {boolean} False if the employee is not in the table
+     */
+    scrollToRow(id) {
+        const index = this.getEmployeeIndex(id);
+        if (index === -1 || !this.scrollContainer) return false;
+
+        if (!this.isVirtual()) {
+            this.findRow(id)?.scrollIntoView({ block: 'nearest' });
+            return true;
+        }
+
+        const headerHeight = this.getHeaderHeight();
+        const top = this.rowOffsets[index];
+        const bottom = this.rowOffsets[index + 1];
+        const viewTop = this.scrollContainer.scrollTop;
+        const viewHeight = this.scrollContainer.clientHeight - headerHeight;
+        if (top < viewTop) {
+            this.scrollContainer.scrollTop = top;
+        } else if (bottom > viewTop + viewHeight) {
+            this.scrollContainer.scrollTop = bottom - viewHeight;
+        }
+        this.renderVirtualRows();
+        return true;
+    }
+
+    /**
+     * Create HTML for employee row
+     * @param {Employee} employee - Employee object
+     * @param {Array<Object>} columns - Visible columns (see getVisibleColumns)
+     * @returns {string} HTML string for table row
+     */
+    createEmployeeRow(employee, columns = this.getVisibleColumns()) {
+        const isSelected = this.selectedIds.has(employee.id);
+        
+        return `
+        <tr data-id="${Helpers.escapeHtml(employee.id)}" class="${this.getRowClassName(employee)}" aria-selected="${isSelected}">
+            ${columns.map(column => this.renderCell(employee, column)).join('')}
+            </tr>
+        `;
+    }
+
+    /**
+     * Show an employee in an existing row element
+     * @param {HTMLElement} row - Table row
+     * @param {Employee} employee - Employee object
+     * @param {Array<Object>} columns - Visible columns (see getVisibleColumns)
+     */
+    fillRow(row, employee, columns = this.getVisibleColumns()) {
+        row.dataset.id = employee.id;
+        row.className = this.getRowClassName(employee);
+        row.setAttribute('aria-selected', String(this.selectedIds.has(employee.id)));
+        row.innerHTML = columns.map(column => this.renderCell(employee, column)).join('');
+    }
+
+    /**
+     * Get the classes of an employee's row
+     * @param {Employee} employee - Employee object
+     * @returns {string} Class names
+     */
+    getRowClassName(employee) {
+        return [
+            this.unsyncedIds.has(employee.id) ? 'unsynced' : '',
+            this.selectedIds.has(employee.id) ? 'selected' : ''
+        ].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Render one cell, showing a pending inline edit or the error of a failed one
+     * @param {Employee} employee - Employee object
+     * @param {Object} column - Resolved column
+     * @returns {string} HTML string for the cell
+     */
+    renderCell(employee, column) {
+        const cellKey = TableComponent.cellKey(employee.id, column.key);
+        const pending = this.pendingEdits.get(cellKey);
+        const error = this.cellErrors.get(cellKey);
+        const classes = [
+            column.className,
+            column.pinned ? 'pinned' : '',
+            column.editor ? 'editable' : '',
+            pending ? 'cell-saving' : '',
+            error ? 'cell-error' : ''
+        ].filter(Boolean).join(' ');
+
+        return `
+            <td class="${classes}" data-column="${Helpers.escapeHtml(column.key)}"
+                ${column.editor ? 'tabindex="-1"' : ''}
+                ${error ? `title="${Helpers.escapeHtml(`Not saved: ${error}`)}"` : ''}
+                ${column.pinned ? `style="left: ${column.left}px"` : ''}>
+                ${column.render(pending || employee, this)}
+                ${error ? '<span class="cell-error-marker" aria-hidden="true">!</span>' : ''}
+            </td>
+        `;
+    }
+
+    /**
+     * Redraw one row, keeping an open editor in it
+     * @param {string} id - Employee ID
+     */
+    renderRow(id) {
+        const row = this.findRow(id);
+        const employee = this.employees[this.getEmployeeIndex(id)];
+        if (!row || !employee) return;
+
+        this.fillRow(row, employee);
+        this.restoreEditor();
+    }
+
+    /**
+     * Find the row of an employee
+     * @param {string} id - Employee ID
+     * @returns {HTMLElement|null} Table row
+     */
+    findRow(id) {
+        return this.tableBody?.querySelector(`tr[data-id="${CSS.escape(id)}"]`) || null;
+    }
+
+    /**
+     * Set the departments offered when editing a department cell
+     * @param {Array<string>} departments - Department names
+     */
+    setDepartments(departments) {
+        this.departments = [...(departments || [])];
+    }
+
+    /**
+     * Open the editor of a cell
+     * @param {string} id - Employee ID
+     * @param {string} key - Column key
+     * @param {string} draft - Value to start from (defaults to the current value)
+     * @returns {boolean} False if the cell cannot be edited
+     */
+    startEditing(id, key, draft = null) {
+        const column = this.getVisibleColumns().find(candidate => candidate.key === key);
+        const employee = this.employees[this.getEmployeeIndex(id)];
+        // Tab may continue in a row that is not rendered yet
+        if (employee && !this.findRow(id)) this.scrollToRow(id);
+        const cell = this.findRow(id)?.querySelector(`td[data-column="${CSS.escape(key)}"]`);
+        if (!column?.editor || !employee || !cell || this.pendingEdits.has(TableComponent.cellKey(id, key))) return false;
+
+        if (this.editing && (this.editing.id !== id || this.editing.key !== key)) {
+            this.cancelEditing();
+        }
+
+        const { editor } = column;
+        const value = draft ?? String(editor.value(employee) ?? '');
+        this.editing = { id, key, draft: value, error: this.editing?.error || null };
+        this.cellErrors.delete(TableComponent.cellKey(id, key));
+
+        cell.classList.remove('cell-error');
+        cell.removeAttribute('title');
+        cell.classList.add('editing');
+        cell.innerHTML = `
+            <div class="cell-editor">
+                ${editor.type === 'select' ? `
+                    <select class="cell-input" aria-label="${Helpers.escapeHtml(column.header)}">
+                        ${(editor.options ? editor.options(this, employee) : []).map(option => `
+                            <option value="${Helpers.escapeHtml(option)}" ${option === value ? 'selected' : ''}>${Helpers.escapeHtml(option)}</option>
+                        `).join('')}
+                    </select>
+                ` : `
+                    <input class="cell-input" type="${editor.type || 'text'}" value="${Helpers.escapeHtml(value)}"
+                           aria-label="${Helpers.escapeHtml(column.header)}" ${editor.type === 'number' ? 'min="0" step="1"' : ''}>
+                `}
+                ${editor.suffix ? `<span class="cell-editor-suffix">${Helpers.escapeHtml(editor.suffix(employee))}</span>` : ''}
+            </div>
+            <div class="cell-editor-error" role="alert"></div>
+        `;
+
+        const input = cell.querySelector('.cell-input');
+        input.focus();
+        input.select?.();
+        if (this.editing.error) this.showEditorError(this.editing.error);
+        return true;
+    }
+
+    /**
+     * Reopen the editor after its row was redrawn
+     */
+    restoreEditor() {
+        if (!this.editing) return;
+
+        const { id, key, draft } = this.editing;
+        const cell = this.findRow(id)?.querySelector(`td[data-column="${CSS.escape(key)}"]`);
+        if (!cell) {
+            // Rows scrolled out of a virtual view get the editor back when they return;
+            // otherwise the row or column is no longer shown (other page, filtered out, deleted, hidden)
+            const isListed = this.getEmployeeIndex(id) !== -1 && this.getVisibleColumns().some(column => column.key === key);
+            if (!isListed || !this.isVirtual()) this.editing = null;
+            return;
+        }
+        if (!cell.querySelector('.cell-editor')) {
+            this.startEditing(id, key, draft);
+        }
+    }
+
+    /**
+     * Close the editor without saving
+     * @param {Object} options - { focus } to move focus back to the cell
+     */
+    cancelEditing(options = {}) {
+        if (!this.editing) return;
+
+        const { id, key } = this.editing;
+        this.editing = null;
+        this.renderRow(id);
+        if (options.focus) {
+            this.findRow(id)?.querySelector(`td[data-column="${CSS.escape(key)}"]`)?.focus();
+        }
     }
 
     /**
-     * Render table body with employee rows
+     * Show a validation message under the editor
+     * @param {string} message - Message
      */
-    renderTableBody() {
-        if (!this.tableBody) return;
+    showEditorError(message) {
+        const cell = this.container.querySelector('td.editing');
+        if (!cell) return;
 
-        if (this.employees.length === 0) {
-            this.tableBody.innerHTML = `
-                <tr>
-                    <td colspan="7" class="empty-cell">
-                        ${this.renderEmptyState()}
-                    </td>
-                </tr>
-            `;
-            return;
+        cell.querySelector('.cell-editor-error').textContent = message;
+        cell.querySelector('.cell-input').setAttribute('aria-invalid', 'true');
+    }
+
+    /**
+     * Validate and save the open editor. The new value is shown right away;
+     * if saving fails the cell reverts and is marked with the error.
+     * @param {Object} options - { move: 1 or -1 } to continue in the next or previous editable cell;
+     *   { blur: true } when the editor lost focus, so an invalid value does not take it back
+     * @returns {Promise<boolean>} False if the value is invalid (the editor stays open) or the save failed
+     */
+    async commitEditing(options = {}) {
+        if (!this.editing) return false;
+
+        const { id, key } = this.editing;
+        const column = this.getVisibleColumns().find(candidate => candidate.key === key);
+        const employee = this.employees[this.getEmployeeIndex(id)];
+        const input = this.container.querySelector('td.editing .cell-input');
+        if (!column || !employee || !input) {
+            this.editing = null;
+            return false;
+        }
+
+        const { editor } = column;
+        const value = input.value;
+        const next = options.move ? this.findNextEditableCell(id, key, options.move) : null;
+
+        if (value.trim() === String(editor.value(employee) ?? '').trim()) {
+            this.cancelEditing({ focus: !next });
+            if (next) this.startEditing(next.id, next.key);
+            return true;
+        }
+
+        const changes = editor.toData(value, employee);
+        const preview = new Employee({ ...employee.toObject(), ...Employee.normalizePhoneFields(changes) });
+        const fieldErrors = preview.validate({ previous: employee }).fieldErrors;
+        const error = editor.validate?.(value) || (editor.fields || []).map(field => fieldErrors[field]).find(Boolean);
+        if (error) {
+            this.editing.error = error;
+            this.showEditorError(error);
+            if (!options.blur) input.focus();
+            return false;
         }
 
-        if (this.options.virtualScrolling && this.employees.length > 50) {
-            this.renderVirtualRows();
+        const cellKey = TableComponent.cellKey(id, key);
+        this.editing = null;
+        this.pendingEdits.set(cellKey, preview);
+        this.renderRow(id);
+        if (next) {
+            this.startEditing(next.id, next.key);
         } else {
-            this.renderAllRows();
+            this.findRow(id)?.querySelector(`td[data-column="${CSS.escape(key)}"]`)?.focus();
+        }
+
+        this.savingCount++;
+        try {
+            await this.options.onCellEdit(id, changes);
+            return true;
+        } catch (saveError) {
+            this.cellErrors.set(cellKey, saveError.hasFieldErrors?.()
+                ? Object.values(saveError.fieldErrors).join(', ')
+                : saveError.message);
+            return false;
+        } finally {
+            this.savingCount--;
+            this.pendingEdits.delete(cellKey);
+            this.renderRow(id);
         }
     }
 
     /**
-     * Render all rows (non-virtual scrolling)
+     * Find the editable cell after (or before) a cell, continuing on the next (or previous) row
+     * @param {string} id - Employee ID of the current cell
+     * @param {string} key - Column key of the current cell
+     * @param {number} direction - 1 for next, -1 for previous
+     * @returns {Object|null} { id, key } of the cell
      */
-    renderAllRows() {
-        const rows = this.employees.map(employee => this.createEmployeeRow(employee)).join('');
-        this.tableBody.innerHTML = rows;
+    findNextEditableCell(id, key, direction) {
+        const keys = this.getVisibleColumns().filter(column => column.editor).map(column => column.key);
+        const row = this.getEmployeeIndex(id);
+        const column = keys.indexOf(key);
+        if (row === -1 || column === -1) return null;
+
+        const next = row * keys.length + column + direction;
+        const employee = this.employees[Math.floor(next / keys.length)];
+        return next >= 0 && employee ? { id: employee.id, key: keys[next % keys.length] } : null;
     }
 
     /**
-     * Render virtual rows (for performance with large datasets)
+     * Build the key of a cell in pendingEdits and cellErrors
+     * @param {string} id - Employee ID
+     * @param {string} key - Column key
+     * @returns {string} Cell key
      */
-    renderVirtualRows() {
-        const containerHeight = this.scrollContainer.clientHeight;
-        const rowHeight = this.options.rowHeight;
-        const visibleRows = Math.ceil(containerHeight / rowHeight) + 5; // Buffer rows
-        const scrollTop = this.scrollContainer.scrollTop;
-        
-        const startIndex = Math.floor(scrollTop / rowHeight);
-        const endIndex = Math.min(startIndex + visibleRows, this.employees.length);
-        
-        this.visibleRange = { start: startIndex, end: endIndex };
-        
-        // Create virtual container if not exists
-        if (!this.virtualContainer) {
-            this.virtualContainer = document.createElement('div');
-            this.virtualContainer.style.height = `${this.employees.length * rowHeight}px`;
-            this.virtualContainer.style.position = 'relative';
-            this.tableBody.appendChild(this.virtualContainer);
-        } else {
-            this.virtualContainer.style.height = `${this.employees.length * rowHeight}px`;
-        }
-        
-        // Render visible rows
-        const visibleEmployees = this.employees.slice(startIndex, endIndex);
-        const rows = visibleEmployees.map((employee, index) => {
-            const actualIndex = startIndex + index;
-            const row = this.createEmployeeRow(employee);
-            return `<tr style="position: absolute; top: ${actualIndex * rowHeight}px; width: 100%;">${row}</tr>`;
-        }).join('');
-        
-        this.virtualContainer.innerHTML = rows;
+    static cellKey(id, key) {
+        return `${id}:${key}`;
     }
 
     /**
-     * Create HTML for employee row
+     * Render the salary in the reporting currency, for salaries paid in another currency
      * @param {Employee} employee - Employee object
-     * @returns {string} HTML string for table row
+     * @returns {string} HTML string (empty if no conversion is needed)
      */
-    createEmployeeRow(employee) {
-        const escapedName = Helpers.escapeHtml(employee.name);
-        const escapedEmail = Helpers.escapeHtml(employee.email);
-        const escapedDepartment = Helpers.escapeHtml(employee.department);
-        const escapedPosition = Helpers.escapeHtml(employee.position);
-        
-        return `
-        <tr>
-            <td class="employee-name">
-                <div class="employee-info">
-                    <img src="${employee.avatar}" alt="${escapedName}" class="employee-avatar" loading="lazy">
-                    <div class="employee-details">
-                        <div class="name">${escapedName}</div>
-                        <div class="hire-date">Hired: ${Helpers.formatDate(employee.hireDate)}</div>
-                    </div>
-                </div>
-            </td>
-            <td class="employee-email">
-                <a href="mailto:${escapedEmail}" class="email-link">${escapedEmail}</a>
-            </td>
-            <td class="employee-phone">
-                ${employee.formattedPhone ? `<a href="tel:${employee.phone}" class="phone-link">${employee.formattedPhone}</a>` : '-'}
-            </td>
-            <td class="employee-department">
-                <span class="department-badge" data-department="${escapedDepartment}">${escapedDepartment}</span>
-            </td>
-            <td class="employee-position">
-                ${escapedPosition}
-            </td>
-            <td class="employee-salary">
-                <span class="salary-amount">${employee.displaySalary}</span>
-            </td>
-            <td class="employee-actions">
-                <div class="action-buttons">
-                    <button class="btn btn-small btn-secondary" onclick="window.employeeApp.editEmployee('${employee.id}')" title="Edit Employee">
-                        <span class="btn-icon">✏️</span>
-                        Edit
-                    </button>
-                    <button class="btn btn-small btn-danger" onclick="window.employeeApp.deleteEmployee('${employee.id}')" title="Delete Employee">
-                        <span class="btn-icon">🗑️</span>
-                        Delete
-                    </button>
-                </div>
-            </td>
-            </tr>
-        `;
+    renderReportingSalary(employee) {
+        const reportingCurrency = Employee.currencyConverter.reportingCurrency;
+        if (employee.currency === reportingCurrency) return '';
+
+        const converted = employee.reportingSalary;
+        return converted == null
+            ? `<div class="salary-converted" title="No exchange rate for ${Helpers.escapeHtml(employee.currency)}">no rate</div>`
+            : `<div class="salary-converted">≈ ${Helpers.formatCurrency(converted, reportingCurrency)}</div>`;
     }
 
     /**
@@ -228,7 +1267,7 @@ export class TableComponent {
                 <div class="empty-icon">👥</div>
                 <h3>No employees found</h3>
                 <p>Try adjusting your search or filter criteria, or add a new employee to get started.</p>
-                <button class="btn btn-primary" onclick="window.employeeApp.showAddEmployeeModal()">
+                <button type="button" class="btn btn-primary" data-action="add">
                     <span class="btn-icon">+</span>
                     Add First Employee
                 </button>
@@ -349,15 +1388,262 @@ export class TableComponent {
                 color: #7c3aed;
             }
             
+            .sync-badge {
+                display: inline-block;
+                margin-left: 6px;
+                padding: 1px 6px;
+                border-radius: 8px;
+                font-size: 10px;
+                font-weight: 600;
+                background-color: #fef3c7;
+                color: #b45309;
+                vertical-align: middle;
+            }
+            
             .salary-amount {
                 font-weight: 600;
                 color: #059669;
             }
+
+            .salary-converted {
+                font-size: 12px;
+                color: #6b7280;
+            }
             
             .actions-column {
-                width: 180px;
                 text-align: center;
             }
+
+            .table-toolbar {
+                display: flex;
+                justify-content: flex-end;
+                margin-bottom: 8px;
+            }
+
+            .column-chooser {
+                position: relative;
+            }
+
+            .column-menu {
+                position: absolute;
+                top: 100%;
+                right: 0;
+                z-index: 1000;
+                min-width: 260px;
+                margin-top: 4px;
+                padding: 6px 0;
+                background: white;
+                border: 1px solid #e5e7eb;
+                border-radius: 6px;
+                box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+            }
+
+            .column-menu-list {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+            }
+
+            .column-menu-item {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 8px;
+                padding: 4px 12px;
+                font-size: 14px;
+            }
+
+            .column-menu-item label {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+
+            .column-menu-actions {
+                display: flex;
+                gap: 2px;
+            }
+
+            .column-menu-button {
+                border: 1px solid transparent;
+                background: none;
+                border-radius: 4px;
+                padding: 2px 6px;
+                cursor: pointer;
+                opacity: 0.6;
+            }
+
+            .column-menu-button:hover:not(:disabled),
+            .column-menu-button.active {
+                opacity: 1;
+                border-color: #d1d5db;
+            }
+
+            .column-menu-button:disabled {
+                cursor: default;
+                opacity: 0.25;
+            }
+
+            .table-wrapper .employee-table {
+                table-layout: fixed;
+                min-width: 100%;
+            }
+
+            .table-wrapper .employee-table td {
+                overflow: hidden;
+                text-overflow: ellipsis;
+            }
+
+            .table-wrapper .employee-table th {
+                position: sticky;
+                white-space: nowrap;
+                overflow: hidden;
+                text-overflow: ellipsis;
+            }
+
+            .table-wrapper .employee-table th.pinned {
+                z-index: 11;
+            }
+
+            .table-wrapper .employee-table td.pinned {
+                position: sticky;
+                z-index: 1;
+                background-color: white;
+                box-shadow: inset -1px 0 0 #e5e7eb;
+            }
+
+            .table-wrapper .employee-table tbody tr:nth-child(even) td.pinned {
+                background-color: #fafafa;
+            }
+
+            .table-wrapper .employee-table tbody tr:hover td.pinned {
+                background-color: #f3f4f6;
+            }
+
+            .table-wrapper .employee-table th.dragging {
+                opacity: 0.5;
+            }
+
+            .table-wrapper .employee-table th.drag-over {
+                box-shadow: inset 3px 0 0 #3b82f6;
+            }
+
+            .table-wrapper .employee-table .select-column,
+            .table-wrapper .employee-table .select-cell {
+                text-align: center;
+                cursor: default;
+            }
+
+            .row-select {
+                width: 16px;
+                height: 16px;
+                cursor: pointer;
+            }
+
+            .table-wrapper .employee-table tbody tr.selected,
+            .table-wrapper .employee-table tbody tr.selected td.pinned {
+                background-color: #eff6ff;
+            }
+
+            .table-wrapper .employee-table td.editable {
+                cursor: text;
+            }
+
+            .table-wrapper .employee-table td.editable:hover {
+                box-shadow: inset 0 0 0 1px #d1d5db;
+            }
+
+            .table-wrapper .employee-table td.editable:focus {
+                outline: 2px solid #3b82f6;
+                outline-offset: -2px;
+            }
+
+            .table-wrapper .employee-table td.editing {
+                padding: 4px 8px;
+                vertical-align: top;
+            }
+
+            .cell-editor {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+            }
+
+            .cell-input {
+                width: 100%;
+                min-width: 0;
+                padding: 5px 8px;
+                font-size: 14px;
+                border: 1px solid #3b82f6;
+                border-radius: 4px;
+            }
+
+            .cell-input[aria-invalid="true"] {
+                border-color: #dc2626;
+            }
+
+            .cell-editor-suffix {
+                font-size: 12px;
+                color: #6b7280;
+            }
+
+            .cell-editor-error {
+                margin-top: 2px;
+                font-size: 12px;
+                color: #dc2626;
+                white-space: normal;
+            }
+
+            .cell-editor-error:empty {
+                display: none;
+            }
+
+            .table-wrapper .employee-table td.cell-saving {
+                opacity: 0.6;
+            }
+
+            .table-wrapper .employee-table td.cell-error {
+                box-shadow: inset 0 0 0 2px #fca5a5;
+            }
+
+            .table-wrapper .employee-table td.cell-error:not(.pinned) {
+                position: relative;
+            }
+
+            .cell-error-marker {
+                position: absolute;
+                top: 4px;
+                right: 4px;
+                width: 16px;
+                height: 16px;
+                border-radius: 50%;
+                background-color: #dc2626;
+                color: #ffffff;
+                font-size: 11px;
+                font-weight: 700;
+                line-height: 16px;
+                text-align: center;
+            }
+
+            .table-wrapper .employee-table .virtual-spacer td {
+                height: 0;
+                padding: 0;
+                border: none;
+            }
+
+            .column-resizer {
+                position: absolute;
+                top: 0;
+                right: 0;
+                width: 6px;
+                height: 100%;
+                cursor: col-resize;
+                touch-action: none;
+            }
+
+            .column-resizer:hover {
+                background-color: #bfdbfe;
+            }
             
             .empty-cell {
                 padding: 0 !important;
@@ -409,25 +1695,120 @@ export class TableComponent {
      * Bind event listeners
      */
     bindEvents() {
-        // Sort headers
-        const sortHeaders = this.container.querySelectorAll('th.sortable');
-        sortHeaders.forEach(header => {
-            header.addEventListener('click', () => {
-                const field = header.dataset.sort;
-                const newDirection = (this.sortField === field && this.sortDirection === 'asc') ? 'desc' : 'asc';
-                this.options.onSort(field, newDirection);
-            });
+        // Sorting and the column menu (headers are redrawn, so listen on the container)
+        this.container.addEventListener('click', (event) => {
+            const actionTarget = event.target.closest('[data-action]');
+            if (actionTarget) {
+                this.handleAction(actionTarget, event);
+                return;
+            }
+
+            const row = event.target.closest('tbody tr[data-id]');
+            if (row && !TableComponent.isInteractiveTarget(event.target)) {
+                this.emit('rowClick', this.getRowDetail(row.dataset.id, { column: event.target.closest('td')?.dataset.column || null }));
+                return;
+            }
+
+            const header = event.target.closest('th.sortable');
+            if (!header || event.target.closest('.column-resizer') || this.suppressSortClick) return;
+
+            const field = header.dataset.sort;
+            const newDirection = (this.sortField === field && this.sortDirection === 'asc') ? 'desc' : 'asc';
+            this.emit('sortChange', { field, direction: newDirection });
         });
 
-        // Virtual scrolling
-        if (this.options.virtualScrolling && this.scrollContainer) {
-            const throttledScroll = Helpers.throttle(() => {
-                if (this.employees.length > 50) {
-                    this.renderVirtualRows();
-                }
-            }, 16); // ~60fps
+        this.container.addEventListener('change', (event) => {
+            if (event.target.dataset.action === 'toggle-column') {
+                this.setColumnVisible(event.target.dataset.column, event.target.checked);
+            }
+        });
+
+        document.addEventListener('click', this.handleDocumentClick);
+
+        // Inline editing; double-clicking other cells reports the row
+        this.container.addEventListener('dblclick', (event) => {
+            const row = event.target.closest('tbody tr[data-id]');
+            if (!row || TableComponent.isInteractiveTarget(event.target)) return;
+
+            const cell = event.target.closest('td');
+            if (cell?.classList.contains('editable')) {
+                this.startEditing(row.dataset.id, cell.dataset.column);
+            } else {
+                this.emit('rowDoubleClick', this.getRowDetail(row.dataset.id, { column: cell?.dataset.column || null }));
+            }
+        });
+
+        this.container.addEventListener('keydown', (event) => {
+            if (event.target.closest('.cell-editor')) {
+                this.handleEditorKeydown(event);
+            } else if (event.key === 'Enter' && event.target.matches('td.editable')) {
+                event.preventDefault();
+                this.startEditing(event.target.closest('tr').dataset.id, event.target.dataset.column);
+            }
+        });
+
+        this.container.addEventListener('input', (event) => {
+            if (this.editing && event.target.closest('.cell-editor')) {
+                this.editing.draft = event.target.value;
+            }
+        });
+
+        this.container.addEventListener('focusout', (event) => {
+            const cell = event.target.closest('td.editing');
+            if (this.editing && cell && !cell.contains(event.relatedTarget)) {
+                this.commitEditing({ blur: true });
+            }
+        });
+
+        // Column resizing
+        this.container.addEventListener('pointerdown', (event) => {
+            const handle = event.target.closest('.column-resizer');
+            if (handle) this.startResize(event, handle.dataset.resize);
+        });
+
+        // Drag headers to reorder columns
+        const headerRow = this.container.querySelector('thead tr');
+        headerRow?.addEventListener('dragstart', (event) => {
+            const header = event.target.closest('th[data-column]');
+            if (!header) return;
+            this.draggedColumn = header.dataset.column;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', this.draggedColumn);
+            header.classList.add('dragging');
+        });
+
+        headerRow?.addEventListener('dragover', (event) => {
+            const header = event.target.closest('th[data-column]');
+            if (!this.draggedColumn || !header) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            headerRow.querySelectorAll('.drag-over').forEach(cell => cell.classList.remove('drag-over'));
+            if (header.dataset.column !== this.draggedColumn) header.classList.add('drag-over');
+        });
+
+        headerRow?.addEventListener('drop', (event) => {
+            const header = event.target.closest('th[data-column]');
+            if (!this.draggedColumn || !header) return;
+            event.preventDefault();
+            const dragged = this.draggedColumn;
+            this.draggedColumn = null;
+            this.moveColumn(dragged, header.dataset.column);
+        });
+
+        headerRow?.addEventListener('dragend', () => {
+            this.draggedColumn = null;
+            headerRow.querySelectorAll('.dragging, .drag-over').forEach(cell => cell.classList.remove('dragging', 'drag-over'));
+        });
 
-            this.scrollContainer.addEventListener('scroll', throttledScroll);
+        // Virtual scrolling: render once per frame, including after the last scroll event
+        if (this.options.virtualScrolling && this.scrollContainer) {
+            this.scrollContainer.addEventListener('scroll', () => {
+                if (this.scrollFrame || !this.isVirtual()) return;
+                this.scrollFrame = requestAnimationFrame(() => {
+                    this.scrollFrame = null;
+                    if (this.tableBody && this.isVirtual() && this.renderedRows.size > 0) this.renderVirtualRows();
+                });
+            });
         }
 
         // Row hover effects
@@ -444,6 +1825,119 @@ export class TableComponent {
         }, true);
     }
 
+    /**
+     * Handle a click on a selection checkbox or a column menu control
+     * @param {HTMLElement} target - Element with data-action
+     * @param {MouseEvent} event - Click event
+     */
+    handleAction(target, event) {
+        const key = target.dataset.column;
+        switch (target.dataset.action) {
+            case 'details':
+            case 'edit':
+            case 'delete':
+                this.emit(target.dataset.action, this.getRowDetail(target.dataset.id));
+                break;
+            case 'add':
+                this.emit('add');
+                break;
+            case 'select-row':
+                this.selectRow(target.dataset.id, target.checked, { range: event.shiftKey });
+                break;
+            case 'select-page':
+                this.selectPage(target.checked);
+                break;
+            case 'toggle-columns':
+                event.stopPropagation();
+                this.toggleColumnMenu();
+                break;
+            case 'move-left':
+                this.shiftColumn(key, -1);
+                break;
+            case 'move-right':
+                this.shiftColumn(key, 1);
+                break;
+            case 'toggle-pin':
+                this.setColumnPinned(key, !this.getColumns().find(column => column.key === key)?.pinned);
+                break;
+            case 'reset-columns':
+                this.resetLayout();
+                break;
+        }
+    }
+
+    /**
+     * Whether a click landed on something with its own behaviour (a link,
+     * form field, button or open editor) rather than on the row itself
+     * @param {HTMLElement} target - Event target
+     * @returns {boolean} True for interactive elements
+     */
+    static isInteractiveTarget(target) {
+        return Boolean(target.closest('a, button, input, select, textarea, label, .cell-editor'));
+    }
+
+    /**
+     * Handle keys in an inline editor: Enter saves, Esc cancels, Tab saves and moves on
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleEditorKeydown(event) {
+        switch (event.key) {
+            case 'Enter':
+                event.preventDefault();
+                this.commitEditing();
+                break;
+            case 'Escape':
+                // Keep the app from closing dialogs on the same key press
+                event.preventDefault();
+                event.stopPropagation();
+                this.cancelEditing({ focus: true });
+                break;
+            case 'Tab':
+                event.preventDefault();
+                this.commitEditing({ move: event.shiftKey ? -1 : 1 });
+                break;
+        }
+    }
+
+    /**
+     * Resize a column by dragging the edge of its header
+     * @param {PointerEvent} event - Pointer down on the resize handle
+     * @param {string} key - Column key
+     */
+    startResize(event, key) {
+        // Keep the press from starting a header drag or a sort
+        event.preventDefault();
+        event.stopPropagation();
+
+        const column = this.getVisibleColumns().find(candidate => candidate.key === key);
+        const col = this.container.querySelector(`col[data-column="${CSS.escape(key)}"]`);
+        const table = this.container.querySelector('.employee-table');
+        if (!column || !col) return;
+
+        const startX = event.clientX;
+        const tableWidth = table.offsetWidth - column.width;
+        let width = column.width;
+
+        const onMove = (moveEvent) => {
+            width = Math.max(MIN_COLUMN_WIDTH, Math.round(column.width + moveEvent.clientX - startX));
+            col.style.width = `${width}px`;
+            table.style.width = `${tableWidth + width}px`;
+        };
+        const onUp = () => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            // The click that ends a resize must not sort
+            this.suppressSortClick = true;
+            setTimeout(() => { this.suppressSortClick = false; }, 0);
+            if (width !== column.width) {
+                this.setColumnWidth(key, width);
+            }
+        };
+
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+    }
+
     /**
      * Scroll to top of table
      */
@@ -469,15 +1963,22 @@ export class TableComponent {
      * @param {boolean} loading - Loading state
      */
     setLoading(loading) {
-        if (loading) {
+        // Inline edits save in the background; keep the rows (and the editor) in place
+        if (loading && this.savingCount === 0 && !this.editing) {
+            this.isShowingLoading = true;
+            this.clearVirtualRows({ keepPosition: true });
             this.tableBody.innerHTML = `
                 <tr>
-                    <td colspan="7" style="text-align: center; padding: 60px;">
+                    <td colspan="${this.getColumnCount()}" style="text-align: center; padding: 60px;">
                         <div class="loading-spinner" style="margin: 0 auto 16px;"></div>
                         <p>Loading employees...</p>
                     </td>
                 </tr>
             `;
+        } else if (!loading && this.isShowingLoading) {
+            // Requests that fail leave the data unchanged, so nothing else redraws the rows
+            this.isShowingLoading = false;
+            this.renderTableBody();
         }
     }
 
@@ -523,10 +2024,216 @@ export class TableComponent {
      * Destroy the component
      */
     destroy() {
+        document.removeEventListener('click', this.handleDocumentClick);
         this.container.innerHTML = '';
         this.employees = [];
         this.tableBody = null;
+        if (this.scrollFrame) cancelAnimationFrame(this.scrollFrame);
+        this.scrollFrame = null;
         this.scrollContainer = null;
-        this.virtualContainer = null;
+        this.spacers = null;
+        this.renderedRows.clear();
+        this.rowPool = [];
+        this.rowHeights.clear();
+        this.listeners.clear();
+        this.columnMenu = null;
+    }
+}
+
+/**
+ * Checkbox column added in front of the others when rows are selectable
+ */
+TableComponent.SELECTION_COLUMN = {
+    key: 'select',
+    header: 'Select',
+    width: 48,
+    locked: true,
+    className: 'select-cell',
+    headerClassName: 'select-column',
+    renderHeader: () => '<input type="checkbox" class="row-select" data-action="select-page" aria-label="Select all employees on this page">',
+    render: (employee, table) => `
+        <input type="checkbox" class="row-select" data-action="select-row" data-id="${Helpers.escapeHtml(employee.id)}"
+               ${table.selectedIds.has(employee.id) ? 'checked' : ''} aria-label="Select ${Helpers.escapeHtml(employee.name)}">
+    `
+};
+
+/**
+ * Default columns (see the class comment for the definition format)
+ */
+TableComponent.DEFAULT_COLUMNS = [
+    {
+        key: 'name',
+        header: 'Name',
+        sortable: true,
+        width: 260,
+        pinned: true,
+        hideable: false,
+        className: 'employee-name',
+        render: (employee, table) => {
+            const escapedName = Helpers.escapeHtml(employee.name);
+            return `
+                <div class="employee-info">
+                    <img src="${employee.avatar}" alt="${escapedName}" class="employee-avatar" loading="lazy">
+                    <div class="employee-details">
+                        <div class="name">
+                            ${escapedName}
+                            ${table.unsyncedIds.has(employee.id) ? '<span class="sync-badge" title="Changes not yet saved to the server">Unsynced</span>' : ''}
+                        </div>
+                        <div class="hire-date">Hired: ${Helpers.formatDate(employee.hireDate)}</div>
+                    </div>
+                </div>
+            `;
+        }
+    },
+    {
+        key: 'email',
+        header: 'Email',
+        sortable: true,
+        width: 240,
+        className: 'employee-email',
+        render: (employee) => {
+            const escapedEmail = Helpers.escapeHtml(employee.email);
+            return `<a href="mailto:${escapedEmail}" class="email-link">${escapedEmail}</a>`;
+        }
+    },
+    {
+        key: 'phone',
+        header: 'Phone',
+        width: 170,
+        className: 'employee-phone',
+        editor: {
+            type: 'tel',
+            fields: ['phone', 'phoneExtension'],
+            value: (employee) => employee.phone ? employee.formattedPhone : '',
+            // An extension typed after the number replaces the old one
+            toData: (value) => ({ phone: value.trim(), phoneExtension: '' })
+        },
+        render: (employee) => employee.phone
+            ? `<a href="${Helpers.escapeHtml(PhoneNumber.toTelUri(employee.phone, employee.phoneExtension))}" class="phone-link">${Helpers.escapeHtml(employee.formattedPhone)}</a>`
+            : '-'
+    },
+    {
+        key: 'department',
+        header: 'Department',
+        sortable: true,
+        width: 160,
+        className: 'employee-department',
+        editor: {
+            type: 'select',
+            fields: ['department'],
+            value: (employee) => employee.department,
+            options: (table, employee) => [...new Set([...table.departments, employee.department])]
+                .filter(Boolean)
+                .sort((a, b) => a.localeCompare(b)),
+            toData: (value) => ({ department: value })
+        },
+        render: (employee) => {
+            const escapedDepartment = Helpers.escapeHtml(employee.department);
+            return `<span class="department-badge" data-department="${escapedDepartment}">${escapedDepartment}</span>`;
+        }
+    },
+    {
+        key: 'position',
+        header: 'Position',
+        sortable: true,
+        width: 180,
+        className: 'employee-position',
+        editor: {
+            type: 'text',
+            fields: ['position'],
+            value: (employee) => employee.position,
+            toData: (value) => ({ position: value.trim() })
+        },
+        render: (employee) => Helpers.escapeHtml(employee.position)
+    },
+    {
+        key: 'salary',
+        header: 'Salary',
+        sortable: true,
+        width: 150,
+        className: 'employee-salary',
+        editor: {
+            type: 'number',
+            fields: ['salary'],
+            value: (employee) => String(employee.salary),
+            // Employee.validate lets an empty salary through, which would store 0
+            validate: (value) => value.trim() === '' || isNaN(Number(value)) || Number(value) < 0
+                ? 'Salary must be a positive number'
+                : null,
+            toData: (value) => ({ salary: Number(value) }),
+            suffix: (employee) => employee.currency
+        },
+        render: (employee, table) => `
+            <span class="salary-amount">${employee.displaySalary}</span>
+            ${table.renderReportingSalary(employee)}
+        `
+    },
+    {
+        key: 'location',
+        header: 'Location',
+        sortable: true,
+        width: 150,
+        visible: false,
+        className: 'employee-location',
+        render: (employee) => Helpers.escapeHtml(employee.location) || '-'
+    },
+    {
+        key: 'status',
+        header: 'Status',
+        sortable: true,
+        width: 130,
+        visible: false,
+        className: 'employee-status',
+        render: (employee) => Helpers.escapeHtml(Employee.LABELS[employee.status] || employee.status)
+    },
+    {
+        key: 'hireDate',
+        header: 'Hire Date',
+        sortable: true,
+        width: 130,
+        visible: false,
+        className: 'employee-hire-date',
+        render: (employee) => Helpers.formatDate(employee.hireDate)
+    },
+    {
+        key: 'actions',
+        header: 'Actions',
+        width: 280,
+        hideable: false,
+        className: 'employee-actions',
+        headerClassName: 'actions-column',
+        render: (employee) => {
+            const id = Helpers.escapeHtml(employee.id);
+            return `
+            <div class="action-buttons">
+                <button type="button" class="btn btn-small btn-secondary" data-action="details" data-id="${id}" title="View details and compensation history">
+                    Details
+                </button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="edit" data-id="${id}" title="Edit Employee">
+                    <span class="btn-icon">✏️</span>
+                    Edit
+                </button>
+                <button type="button" class="btn btn-small btn-danger" data-action="delete" data-id="${id}" title="Delete Employee">
+                    <span class="btn-icon">🗑️</span>
+                    Delete
+                </button>
+            </div>
+            `;
+        }
     }
-}
\ No newline at end of file
+];
+
+/**
+ * Events the table reports (see the class description)
+ */
+TableComponent.EVENTS = [
+    'rowClick',
+    'rowDoubleClick',
+    'details',
+    'edit',
+    'delete',
+    'add',
+    'selectionChange',
+    'sortChange',
+    'columnResize'
+];
\ No newline at end of file
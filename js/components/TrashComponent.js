@@ -0,0 +1,266 @@
+import { Helpers } from '../utils/helpers.js';
+
+/**
+ * Retention periods offered in the trash toolbar (null keeps employees until purged)
+ */
+const RETENTION_OPTIONS = [
+    { value: null, label: 'Keep until deleted permanently' },
+    { value: 7, label: '7 days' },
+    { value: 30, label: '30 days' },
+    { value: 90, label: '90 days' },
+    { value: 365, label: '1 year' }
+];
+
+/**
+ * Milliseconds in a day
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trash view listing deleted employees with who deleted them and when,
+ * with restore and permanent-delete actions and the retention policy
+ */
+export class TrashComponent {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {Object} options - Callbacks
+     * @param {Function} options.onRestore - (employeeId) => Promise
+     * @param {Function} options.onPurge - (employeeId) => void, asks for confirmation first
+     * @param {Function} options.onRetentionChange - (days) => Promise; days is null to keep forever
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            onRestore: options.onRestore || (async () => {}),
+            onPurge: options.onPurge || (() => {}),
+            onRetentionChange: options.onRetentionChange || (async () => {})
+        };
+
+        this.employees = [];
+        this.retentionDays = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the component
+     */
+    init() {
+        this.addStyles();
+        this.bindEvents();
+        this.render();
+    }
+
+    /**
+     * Show new trash contents
+     * @param {Object} state - { employees, retentionDays }
+     */
+    update(state) {
+        this.employees = state.employees || [];
+        this.retentionDays = state.retentionDays ?? null;
+        this.render();
+    }
+
+    /**
+     * Render the component
+     */
+    render() {
+        const options = RETENTION_OPTIONS.some(option => option.value === this.retentionDays)
+            ? RETENTION_OPTIONS
+            : [...RETENTION_OPTIONS, { value: this.retentionDays, label: `${this.retentionDays} days` }];
+
+        this.container.innerHTML = `
+            <div class="trash-toolbar">
+                <div class="trash-summary">
+                    ${this.employees.length} employee${this.employees.length === 1 ? '' : 's'} in the trash
+                </div>
+                <label class="trash-retention">
+                    Delete permanently after
+                    <select data-action="retention">
+                        ${options.map(option => `
+                            <option value="${option.value ?? ''}" ${option.value === this.retentionDays ? 'selected' : ''}>${option.label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            </div>
+            ${this.employees.length === 0 ? this.renderEmptyState() : this.renderTable()}
+        `;
+    }
+
+    /**
+     * Render the list of deleted employees
+     * @returns {string} Table HTML
+     */
+    renderTable() {
+        return `
+            <table class="employee-table trash-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Name</th>
+                        <th scope="col">Email</th>
+                        <th scope="col">Department</th>
+                        <th scope="col">Deleted</th>
+                        <th scope="col">Deleted by</th>
+                        ${this.retentionDays ? '<th scope="col">Purged on</th>' : ''}
+                        <th scope="col">Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.employees.map(employee => `
+                        <tr data-id="${Helpers.escapeHtml(employee.id)}">
+                            <td>${Helpers.escapeHtml(employee.name)}</td>
+                            <td>${Helpers.escapeHtml(employee.email)}</td>
+                            <td>${Helpers.escapeHtml(employee.department)}</td>
+                            <td><time datetime="${Helpers.escapeHtml(employee.deletedAt)}">${Helpers.escapeHtml(this.formatTimestamp(employee.deletedAt))}</time></td>
+                            <td>${Helpers.escapeHtml(employee.deletedBy || 'Unknown')}</td>
+                            ${this.retentionDays ? `<td>${Helpers.escapeHtml(Helpers.formatDate(this.getPurgeDate(employee)))}</td>` : ''}
+                            <td class="trash-actions">
+                                <button type="button" class="btn btn-small btn-secondary" data-action="restore" data-id="${Helpers.escapeHtml(employee.id)}">Restore</button>
+                                <button type="button" class="btn btn-small btn-danger" data-action="purge" data-id="${Helpers.escapeHtml(employee.id)}">Delete permanently</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Render the empty trash message
+     * @returns {string} Empty state HTML
+     */
+    renderEmptyState() {
+        return `
+            <div class="empty-state">
+                <div class="empty-icon">🗑️</div>
+                <h3>The trash is empty</h3>
+                <p>Deleted employees are kept here so they can be restored.</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Get the date the retention policy will purge an employee
+     * @param {Employee} employee - Deleted employee
+     * @returns {Date|null} Purge date
+     */
+    getPurgeDate(employee) {
+        const deletedAt = new Date(employee.deletedAt).getTime();
+        if (!this.retentionDays || isNaN(deletedAt)) return null;
+        return new Date(deletedAt + this.retentionDays * DAY_MS);
+    }
+
+    /**
+     * Format a deletion timestamp in the display locale
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} Formatted timestamp
+     */
+    formatTimestamp(timestamp) {
+        const date = new Date(timestamp);
+        if (isNaN(date)) return timestamp || '';
+        return date.toLocaleString(Helpers.locale, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * Restore an employee, keeping the button disabled while it runs
+     * @param {HTMLButtonElement} button - Restore button
+     */
+    async restore(button) {
+        button.disabled = true;
+        try {
+            await this.options.onRestore(button.dataset.id);
+        } catch (error) {
+            // Reported by the data service
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Change the retention policy
+     * @param {HTMLSelectElement} select - Retention select
+     */
+    async changeRetention(select) {
+        const days = select.value === '' ? null : Number(select.value);
+        try {
+            await this.options.onRetentionChange(days);
+        } catch (error) {
+            Helpers.showToast(`Failed to change retention: ${error.message}`, 'error');
+            this.render();
+        }
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.container.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            switch (button?.dataset.action) {
+                case 'restore':
+                    this.restore(button);
+                    break;
+                case 'purge':
+                    this.options.onPurge(button.dataset.id);
+                    break;
+            }
+        });
+
+        this.container.addEventListener('change', (event) => {
+            if (event.target.dataset.action === 'retention') {
+                this.changeRetention(event.target);
+            }
+        });
+    }
+
+    /**
+     * Add component styles
+     */
+    addStyles() {
+        if (document.querySelector('#trash-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'trash-styles';
+        style.textContent = `
+            .trash-toolbar {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 12px;
+                flex-wrap: wrap;
+                padding: 12px 16px;
+                border-bottom: 1px solid #e5e7eb;
+            }
+
+            .trash-summary {
+                font-size: 14px;
+                color: #4b5563;
+            }
+
+            .trash-retention {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                font-size: 14px;
+                color: #374151;
+            }
+
+            .trash-table td {
+                vertical-align: middle;
+            }
+
+            .trash-actions {
+                display: flex;
+                gap: 6px;
+                white-space: nowrap;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Destroy the component
+     */
+    destroy() {
+        this.container.innerHTML = '';
+    }
+}
@@ -1,25 +1,133 @@
 import { Helpers } from '../utils/helpers.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { FieldSchema } from './FieldSchema.js';
+import { ValidationError } from '../utils/errors.js';
+import { CurrencyConverter } from '../utils/CurrencyConverter.js';
+import { PhoneNumber } from '../utils/PhoneNumber.js';
 
 /**
- * Employee model class
+ * Statuses that require a termination date (the planned or actual last day)
+ */
+const STATUSES_WITH_END_DATE = ['notice-period', 'terminated'];
+
+/**
+ * Why a salary changed. 'initial' marks the salary on record before any
+ * history was kept, which is not necessarily the starting salary.
+ */
+const COMPENSATION_REASONS = [
+    'initial', 'hire', 'promotion', 'merit', 'market-adjustment', 'cost-of-living', 'correction', 'other'
+];
+
+/**
+ * Employee model class.
+ *
+ * `status` follows the lifecycle onboarding -> active <-> on-leave ->
+ * notice-period -> terminated. `isActive` is derived from it: everyone who
+ * has not been terminated counts as active.
+ *
+ * `compensationHistory` lists every salary change, oldest first, as
+ * { id, effectiveDate (YYYY-MM-DD), amount, currency, reason, note }.
+ * `salary` and `currency` always match the entry in effect today, so
+ * future-dated raises only show up once they take effect.
+ *
+ * `phone` is stored in E.164 (`+17707368031`) with the extension in
+ * `phoneExtension`. Numbers that cannot be parsed are kept as entered so
+ * validation can explain what is wrong with them.
+ *
+ * Deleting an employee moves them to the trash: `deletedAt` and
+ * `deletedBy` record when and by whom, and the record is kept until it is
+ * restored or purged.
  */
 export class Employee {
     constructor(data = {}) {
         this.id = data.id || Helpers.generateId();
         this.name = data.name || '';
         this.email = data.email || '';
-        this.phone = data.phone || '';
+        const phone = PhoneNumber.normalize(data.phone || '');
+        this.phone = phone.phone;
+        this.phoneExtension = String(data.phoneExtension || '').trim() || phone.extension;
         this.department = data.department || '';
         this.position = data.position || '';
         this.salary = data.salary || 0;
         this.hireDate = data.hireDate || new Date().toISOString();
-        this.isActive = data.isActive !== undefined ? data.isActive : true;
+        this.managerId = data.managerId || null;
+        this.location = data.location || '';
+        this.employmentType = data.employmentType || 'full-time';
+        this.costCenter = data.costCenter || '';
+        // Records from before the status lifecycle only carry isActive
+        this.status = data.status || (data.isActive === false ? 'terminated' : 'active');
+        this.terminationDate = data.terminationDate || null;
+        this.customFields = { ...data.customFields };
+        this.deletedAt = data.deletedAt || null;
+        this.deletedBy = data.deletedBy || null;
+        const history = data.compensationHistory ? Employee.sortCompensationHistory(data.compensationHistory) : null;
+        this.currency = String(
+            data.currency || (history && Employee.findEffectiveEntry(history)?.currency) || Employee.DEFAULT_CURRENCY
+        ).toUpperCase();
+        this.compensationHistory = history || this._initialCompensationHistory();
         this.avatar = data.avatar || this._generateAvatar();
+        this.version = data.version || 1;
+        this.updatedAt = data.updatedAt || new Date().toISOString();
         
         // Additional computed properties
         this.fullName = this.name;
-        this.displaySalary = Helpers.formatCurrency(this.salary);
-        this.formattedPhone = Helpers.formatPhone(this.phone);
+    }
+
+    /**
+     * Phone number formatted for the default region, with extension
+     * @returns {string} Formatted phone number
+     */
+    get formattedPhone() {
+        return PhoneNumber.format(this.phone, { extension: this.phoneExtension });
+    }
+
+    /**
+     * Salary formatted in the employee's currency and the display locale
+     * @returns {string} Formatted salary
+     */
+    get displaySalary() {
+        return Helpers.formatCurrency(this.salary, this.currency);
+    }
+
+    /**
+     * Salary converted to the reporting currency, for sorting and statistics
+     * @returns {number|null} Converted salary, or null if there is no exchange rate
+     */
+    get reportingSalary() {
+        return Employee.currencyConverter.convert(this.salary, this.currency);
+    }
+
+    /**
+     * Whether the employee is still employed (any status but terminated)
+     * @returns {boolean} Active state
+     */
+    get isActive() {
+        return this.status !== 'terminated';
+    }
+
+    /**
+     * Whether the employee is in the trash
+     * @returns {boolean} Deleted state
+     */
+    get isDeleted() {
+        return Boolean(this.deletedAt);
+    }
+
+    /**
+     * History for records created before compensation was tracked
+     * @returns {Array<Object>} A single entry with the current salary, or none
+     */
+    _initialCompensationHistory() {
+        if (!(this.salary > 0)) return [];
+
+        return [{
+            id: `${this.id}-initial`,
+            effectiveDate: Employee.toDateOnly(this.hireDate) || Employee.toDateOnly(new Date()),
+            amount: Number(this.salary),
+            currency: this.currency,
+            reason: 'initial',
+            note: ''
+        }];
     }
 
     /**
@@ -40,38 +148,103 @@ export class Employee {
 
     /**
      * Validate employee data
-     * @returns {Object} Validation result with isValid and errors
+     * @param {Object} options - { previous }: the employee before an update. A phone
+     *   number it already had is accepted as is, so records from before phone
+     *   validation can still be edited without retyping the number.
+     * @returns {Object} Validation result with isValid, errors (messages) and fieldErrors (field -> message)
      */
-    validate() {
+    validate(options = {}) {
         const errors = [];
+        const fieldErrors = {};
+        const addError = (field, message) => {
+            errors.push(message);
+            if (!fieldErrors[field]) {
+                fieldErrors[field] = message;
+            }
+        };
 
         if (!this.name || this.name.trim().length < 2) {
-            errors.push('Name must be at least 2 characters long');
+            addError('name', 'Name must be at least 2 characters long');
         }
 
         if (!this.email || !Helpers.isValidEmail(this.email)) {
-            errors.push('Valid email address is required');
+            addError('email', 'Valid email address is required');
+        }
+
+        const phoneChanged = this.phone !== options.previous?.phone;
+        const phoneError = this.phone && phoneChanged ? PhoneNumber.validate(this.phone) : null;
+        if (phoneError) {
+            addError('phone', phoneError);
         }
 
-        if (this.phone && !Helpers.isValidPhone(this.phone)) {
-            errors.push('Phone number format is invalid');
+        if (this.phoneExtension && !/^\d{1,10}$/.test(this.phoneExtension)) {
+            addError('phoneExtension', 'Extension may only contain digits (at most 10)');
+        } else if (this.phoneExtension && !this.phone) {
+            addError('phoneExtension', 'Extension requires a phone number');
         }
 
         if (!this.department || this.department.trim().length === 0) {
-            errors.push('Department is required');
+            addError('department', 'Department is required');
         }
 
         if (!this.position || this.position.trim().length < 2) {
-            errors.push('Position must be at least 2 characters long');
+            addError('position', 'Position must be at least 2 characters long');
         }
 
         if (this.salary && (isNaN(this.salary) || this.salary < 0)) {
-            errors.push('Salary must be a positive number');
+            addError('salary', 'Salary must be a positive number');
+        }
+
+        if (!/^[A-Z]{3}$/.test(this.currency)) {
+            addError('currency', 'Currency must be a 3-letter code such as USD');
+        }
+
+        if (this.managerId && this.managerId === this.id) {
+            addError('managerId', 'An employee cannot report to themselves');
+        }
+
+        if (this.location && this.location.trim().length > 100) {
+            addError('location', 'Location must be at most 100 characters');
+        }
+
+        if (!Employee.EMPLOYMENT_TYPES.includes(this.employmentType)) {
+            addError('employmentType', 'Employment type is invalid');
+        }
+
+        if (this.costCenter && !/^[A-Za-z0-9][A-Za-z0-9-]{0,19}$/.test(this.costCenter)) {
+            addError('costCenter', 'Cost center may only contain letters, digits and dashes (max 20)');
+        }
+
+        if (!Employee.STATUSES.includes(this.status)) {
+            addError('status', 'Status is invalid');
+        }
+
+        if (STATUSES_WITH_END_DATE.includes(this.status)) {
+            const terminationDate = new Date(this.terminationDate);
+            if (!this.terminationDate || isNaN(terminationDate)) {
+                addError('terminationDate', 'Termination date is required for this status');
+            } else if (terminationDate < new Date(this.hireDate).setUTCHours(0, 0, 0, 0)) {
+                addError('terminationDate', 'Termination date cannot be before the hire date');
+            }
+        } else if (this.terminationDate) {
+            addError('terminationDate', 'Termination date only applies to employees on notice or terminated');
         }
 
+        this.compensationHistory.forEach(entry => {
+            try {
+                Employee.normalizeCompensationEntry(entry);
+            } catch (error) {
+                addError('compensationHistory', `Compensation change of ${entry.effectiveDate || 'unknown date'}: ${error.message}`);
+            }
+        });
+
+        Object.entries(Employee.fieldSchema.validateValues(this.customFields))
+            .forEach(([field, message]) => addError(field, message));
+
         return {
             isValid: errors.length === 0,
-            errors
+            errors,
+            fieldErrors
         };
     }
 
@@ -81,21 +254,216 @@ export class Employee {
      * @returns {Employee} Updated employee instance
      */
     update(data) {
+        data = Employee.normalizePhoneFields(this.withCompensationRules(data));
+
+        let changed = false;
         Object.keys(data).forEach(key => {
-            if (this.hasOwnProperty(key) && key !== 'id') {
+            if (key === 'compensationHistory') {
+                if (JSON.stringify(data.compensationHistory) !== JSON.stringify(this.compensationHistory)) {
+                    this.compensationHistory = data.compensationHistory;
+                    changed = true;
+                }
+            } else if (key === 'customFields') {
+                const customFields = { ...this.customFields, ...data.customFields };
+                if (JSON.stringify(customFields) !== JSON.stringify(this.customFields)) {
+                    this.customFields = customFields;
+                    changed = true;
+                }
+            } else if (this.hasOwnProperty(key) && !['id', 'version', 'updatedAt'].includes(key) && this[key] !== data[key]) {
                 this[key] = data[key];
+                changed = true;
             }
         });
 
+        // Every real change produces a new version
+        if (changed) {
+            this.version++;
+            this.updatedAt = new Date().toISOString();
+        }
+
         // Update computed properties
         this.fullName = this.name;
-        this.displaySalary = Helpers.formatCurrency(this.salary);
-        this.formattedPhone = Helpers.formatPhone(this.phone);
         this.avatar = this._generateAvatar();
 
         return this;
     }
 
+    /**
+     * Make an update keep salary and compensation history consistent.
+     *
+     * With a history, salary and currency become those in effect today. A
+     * salary or currency change without a history is recorded as a change
+     * effective today.
+     *
+     * @param {Object} data - Update data
+     * @returns {Object} Update data with matching salary, currency and compensationHistory
+     */
+    withCompensationRules(data) {
+        if (Array.isArray(data.compensationHistory)) {
+            const compensationHistory = Employee.sortCompensationHistory(data.compensationHistory);
+            const current = Employee.findEffectiveEntry(compensationHistory);
+            return {
+                ...data,
+                compensationHistory,
+                salary: current ? current.amount : (data.salary ?? this.salary),
+                currency: current ? current.currency : (data.currency ?? this.currency)
+            };
+        }
+
+        const salary = data.salary === undefined ? Number(this.salary) : Number(data.salary);
+        const currency = String(data.currency || this.currency).toUpperCase();
+        const salaryChanged = data.salary !== undefined && salary !== Number(this.salary);
+        const currencyChanged = data.currency !== undefined && currency !== this.currency;
+
+        if ((salaryChanged || currencyChanged) && data.salary !== '' && !isNaN(salary) && salary >= 0 && /^[A-Z]{3}$/.test(currency)) {
+            return {
+                ...data,
+                currency,
+                compensationHistory: this.withCompensationChange({ amount: salary, currency, reason: 'other' })
+            };
+        }
+
+        return data;
+    }
+
+    /**
+     * Store the phone number of update data in E.164. An extension typed
+     * after the number ("555-0100 x12") moves to phoneExtension unless one
+     * is given separately.
+     * @param {Object} data - Update data
+     * @param {string} region - Region for numbers without a country code
+     * @returns {Object} Update data with normalized phone and phoneExtension
+     */
+    static normalizePhoneFields(data, region = PhoneNumber.defaultRegion) {
+        if (data.phone === undefined) return data;
+
+        const { phone, extension } = PhoneNumber.normalize(data.phone || '', region);
+        const normalized = { ...data, phone };
+        if (extension || data.phoneExtension !== undefined) {
+            normalized.phoneExtension = String(data.phoneExtension ?? '').trim() || extension;
+        }
+        return normalized;
+    }
+
+    /**
+     * Get the history with one more salary change, without modifying the employee
+     * @param {Object} change - { amount, effectiveDate (default today), currency, reason, note }
+     * @returns {Array<Object>} New compensation history
+     * @throws {ValidationError} If the change is invalid
+     */
+    withCompensationChange(change) {
+        const entry = Employee.normalizeCompensationEntry({
+            effectiveDate: new Date(),
+            currency: this.currency,
+            ...change
+        });
+        return Employee.sortCompensationHistory([...this.compensationHistory, entry]);
+    }
+
+    /**
+     * Get the compensation entry in effect on a date
+     * @param {Date|string} date - Date (defaults to today)
+     * @returns {Object|null} Compensation entry
+     */
+    getCurrentCompensation(date = new Date()) {
+        return Employee.findEffectiveEntry(this.compensationHistory, date);
+    }
+
+    /**
+     * Get every salary change with the difference to the previous amount.
+     * Changes between currencies have no difference or percentage.
+     * @returns {Array<Object>} Entries with previousAmount, change and percent
+     */
+    getSalaryChanges() {
+        return this.compensationHistory.slice(1).map((entry, index) => {
+            const previous = this.compensationHistory[index];
+            const comparable = previous.currency === entry.currency;
+            return {
+                ...entry,
+                previousAmount: previous.amount,
+                change: comparable ? entry.amount - previous.amount : null,
+                percent: comparable && previous.amount > 0
+                    ? ((entry.amount - previous.amount) / previous.amount) * 100
+                    : null
+            };
+        });
+    }
+
+    /**
+     * Validate and normalize a compensation entry
+     * @param {Object} entry - Raw entry
+     * @returns {Object} Normalized entry
+     * @throws {ValidationError} If the entry is invalid (fieldErrors keyed by entry field)
+     */
+    static normalizeCompensationEntry(entry = {}) {
+        const fieldErrors = {};
+        const amount = Number(entry.amount);
+        const effectiveDate = Employee.toDateOnly(entry.effectiveDate);
+        const currency = String(entry.currency || Employee.DEFAULT_CURRENCY).trim().toUpperCase();
+        const reason = entry.reason || 'other';
+
+        if (entry.amount === '' || entry.amount == null || isNaN(amount) || amount < 0) {
+            fieldErrors.amount = 'Amount must be a positive number';
+        }
+        if (!effectiveDate) {
+            fieldErrors.effectiveDate = 'Effective date must be a valid date';
+        }
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            fieldErrors.currency = 'Currency must be a 3-letter code such as USD';
+        }
+        if (!COMPENSATION_REASONS.includes(reason)) {
+            fieldErrors.reason = 'Reason is invalid';
+        }
+
+        if (Object.keys(fieldErrors).length > 0) {
+            throw new ValidationError(fieldErrors);
+        }
+
+        return {
+            id: entry.id || Helpers.generateId(),
+            effectiveDate,
+            amount,
+            currency,
+            reason,
+            note: String(entry.note || '').trim()
+        };
+    }
+
+    /**
+     * Copy and sort compensation entries, oldest first (same-day entries keep their order)
+     * @param {Array<Object>} entries - Compensation entries
+     * @returns {Array<Object>} Sorted copies
+     */
+    static sortCompensationHistory(entries = []) {
+        return entries
+            .map(entry => ({ ...entry }))
+            .sort((a, b) => String(a.effectiveDate).localeCompare(String(b.effectiveDate)));
+    }
+
+    /**
+     * Find the entry in effect on a date
+     * @param {Array<Object>} history - Sorted compensation entries
+     * @param {Date|string} date - Date (defaults to today)
+     * @returns {Object|null} Compensation entry
+     */
+    static findEffectiveEntry(history, date = new Date()) {
+        const day = Employee.toDateOnly(date);
+        const effective = history.filter(entry => entry.effectiveDate <= day);
+        return effective[effective.length - 1] || null;
+    }
+
+    /**
+     * Convert a date to YYYY-MM-DD (UTC)
+     * @param {Date|string} value - Date
+     * @returns {string|null} Date string, or null if invalid
+     */
+    static toDateOnly(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        if (isNaN(date)) return null;
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : date.toISOString().slice(0, 10);
+    }
+
     /**
      * Convert to plain object
      * @returns {Object} Plain object representation
@@ -106,12 +474,25 @@ export class Employee {
             name: this.name,
             email: this.email,
             phone: this.phone,
+            phoneExtension: this.phoneExtension,
             department: this.department,
             position: this.position,
             salary: this.salary,
+            currency: this.currency,
             hireDate: this.hireDate,
-            isActive: this.isActive,
-            avatar: this.avatar
+            managerId: this.managerId,
+            location: this.location,
+            employmentType: this.employmentType,
+            costCenter: this.costCenter,
+            status: this.status,
+            terminationDate: this.terminationDate,
+            customFields: { ...this.customFields },
+            compensationHistory: this.compensationHistory.map(entry => ({ ...entry })),
+            deletedAt: this.deletedAt,
+            deletedBy: this.deletedBy,
+            avatar: this.avatar,
+            version: this.version,
+            updatedAt: this.updatedAt
         };
     }
 
@@ -124,37 +505,107 @@ export class Employee {
     }
 
     /**
-     * Create Employee from API data
+     * Create Employee from API data.
+     *
+     * Fields listed in the mapping's `fields` are read from the API record
+     * (dotted paths allowed). Fields the API does not provide (department,
+     * position, salary and its history, hire date, location and cost center
+     * for JSONPlaceholder) are generated from a
+     * random sequence seeded with the mapping seed and the record ID, so the
+     * same remote user always maps to the same employee.
+     *
      * @param {Object} apiData - Data from external API
+     * @param {Object} mapping - Mapping configuration (defaults to Employee.apiMapping)
      * @returns {Employee} Employee instance
      */
-    static fromApiData(apiData) {
-        const departments = ['Engineering', 'Marketing', 'Sales', 'HR', 'Finance', 'Operations'];
-        const positions = {
-            'Engineering': ['Software Engineer', 'Senior Developer', 'Tech Lead', 'DevOps Engineer'],
-            'Marketing': ['Marketing Manager', 'Content Creator', 'SEO Specialist', 'Brand Manager'],
-            'Sales': ['Sales Representative', 'Account Manager', 'Sales Director', 'Business Development'],
-            'HR': ['HR Manager', 'Recruiter', 'HR Specialist', 'People Operations'],
-            'Finance': ['Financial Analyst', 'Accountant', 'Finance Manager', 'Controller'],
-            'Operations': ['Operations Manager', 'Project Manager', 'Operations Analyst', 'Coordinator']
+    static fromApiData(apiData, mapping = Employee.apiMapping) {
+        const { fields, departments, positions, salaryRange, hireDateRange, locations } = mapping;
+        const compensation = mapping.compensation || Employee.apiMapping.compensation;
+        const read = (field) => fields[field] ? Helpers.getNestedValue(apiData, fields[field]) : undefined;
+        const id = read('id');
+        const random = new SeededRandom(`${mapping.seed}:${id}`);
+
+        // Always draw in the same order so each value stays stable even
+        // when some of them come from the API instead
+        const generatedDepartment = random.pick(departments);
+        const generatedPosition = random.pick(positions[generatedDepartment] || ['Employee']);
+        const step = salaryRange.step || 1;
+        const generatedSalary = random.nextInt(
+            Math.ceil(salaryRange.min / step),
+            Math.floor(salaryRange.max / step)
+        ) * step;
+        const from = new Date(hireDateRange.from).getTime();
+        const to = new Date(hireDateRange.to).getTime();
+        const generatedHireDate = new Date(from + random.next() * (to - from));
+        generatedHireDate.setUTCHours(0, 0, 0, 0);
+        const generatedLocation = random.pick(locations || []) || '';
+        const generatedCostCenter = `CC-${String(departments.indexOf(generatedDepartment) + 1).padStart(3, '0')}`;
+        const raiseCount = random.nextInt(0, compensation.maxRaises);
+        const raiseDraws = Array.from({ length: compensation.maxRaises }, () => ({
+            percent: random.nextInt(compensation.raisePercent.min, compensation.raisePercent.max),
+            reason: random.pick(compensation.reasons)
+        }));
+        const legacyActive = read('isActive');
+        const phone = PhoneNumber.normalize(read('phone') || '', mapping.phoneRegion || Employee.apiMapping.phoneRegion);
+
+        const data = {
+            id,
+            name: read('name'),
+            email: read('email'),
+            phone: phone.phone,
+            phoneExtension: read('phoneExtension') ?? phone.extension,
+            department: read('department') ?? generatedDepartment,
+            position: read('position') ?? generatedPosition,
+            salary: read('salary') ?? generatedSalary,
+            currency: read('currency') ?? compensation.currency,
+            hireDate: read('hireDate') ?? generatedHireDate.toISOString(),
+            managerId: read('managerId') ?? null,
+            location: read('location') ?? generatedLocation,
+            employmentType: read('employmentType') ?? 'full-time',
+            costCenter: read('costCenter') ?? generatedCostCenter,
+            status: read('status') ?? (legacyActive === false ? 'terminated' : 'active'),
+            terminationDate: read('terminationDate') ?? null,
+            customFields: read('customFields') ?? {},
+            compensationHistory: read('compensationHistory')
         };
 
-        const randomDepartment = departments[Math.floor(Math.random() * departments.length)];
-        const departmentPositions = positions[randomDepartment];
-        const randomPosition = departmentPositions[Math.floor(Math.random() * departmentPositions.length)];
-        const baseSalary = Math.floor(Math.random() * 80000) + 40000; // $40k - $120k
-
-        return new Employee({
-            id: apiData.id,
-            name: apiData.name,
-            email: apiData.email,
-            phone: apiData.phone,
-            department: randomDepartment,
-            position: randomPosition,
-            salary: baseSalary,
-            hireDate: new Date(Date.now() - Math.random() * 365 * 24 * 60 * 60 * 1000 * 3).toISOString(), // Random date within last 3 years
-            isActive: true
-        });
+        // A generated salary gets a generated history: raises on work
+        // anniversaries, worked back from the current salary
+        if (read('salary') === undefined && data.compensationHistory === undefined) {
+            const until = new Date(compensation.raisesUntil);
+            const anniversaries = [];
+            for (let year = 1; year <= raiseCount; year++) {
+                const date = new Date(data.hireDate);
+                date.setUTCFullYear(date.getUTCFullYear() + year);
+                if (date <= until) anniversaries.push(Employee.toDateOnly(date));
+            }
+
+            const history = [];
+            let amount = generatedSalary;
+            anniversaries.reverse().forEach((effectiveDate, index) => {
+                const draw = raiseDraws[index];
+                history.unshift({ id: `${id}-raise-${effectiveDate}`, effectiveDate, amount, currency: data.currency, reason: draw.reason, note: '' });
+                amount = Math.round(amount / (1 + draw.percent / 100) / 100) * 100;
+            });
+            history.unshift({ id: `${id}-hire`, effectiveDate: Employee.toDateOnly(data.hireDate), amount, currency: data.currency, reason: 'hire', note: '' });
+            data.compensationHistory = history;
+        }
+
+        return new Employee(mapping.transform ? mapping.transform(data, apiData, random) : data);
+    }
+
+    /**
+     * Override parts of the API mapping used by fromApiData
+     * @param {Object} overrides - Mapping options (seed, fields, phoneRegion, departments, locations, positions, salaryRange, hireDateRange, compensation, transform)
+     * @returns {Object} Resulting mapping
+     */
+    static configureApiMapping(overrides = {}) {
+        Employee.apiMapping = {
+            ...Employee.apiMapping,
+            ...overrides,
+            fields: { ...Employee.apiMapping.fields, ...overrides.fields }
+        };
+        return Employee.apiMapping;
     }
 
     /**
@@ -187,14 +638,25 @@ export class Employee {
      */
     matchesSearch(searchTerm) {
         if (!searchTerm) return true;
-        
+
+        // Numbers are stored as +17707368031, so "770-736" matches by digits
+        const digits = searchTerm.replace(/\D/g, '');
+        if (digits.length >= 3 && /^[\d\s().+-]+$/.test(searchTerm.trim())
+            && [this.phone, this.phoneExtension].some(value => value.replace(/\D/g, '').includes(digits))) {
+            return true;
+        }
+
         const term = searchTerm.toLowerCase();
         const searchFields = [
             this.name,
             this.email,
             this.department,
             this.position,
-            this.phone
+            this.phone,
+            this.formattedPhone,
+            this.location,
+            this.costCenter,
+            ...Employee.fieldSchema.getSearchableValues(this.customFields)
         ];
 
         return searchFields.some(field => 
@@ -202,6 +664,16 @@ export class Employee {
         );
     }
 
+    /**
+     * Get the property to sort by for a field. Salaries in different
+     * currencies are compared in the reporting currency.
+     * @param {string} field - Sort field
+     * @returns {string} Property name
+     */
+    static sortKey(field) {
+        return field === 'salary' ? 'reportingSalary' : field;
+    }
+
     /**
      * Check if employee belongs to department
      * @param {string} department - Department name
@@ -211,4 +683,117 @@ export class Employee {
         if (!department) return true;
         return this.department === department;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Default mapping from JSONPlaceholder users to employees.
+ * `fields` maps Employee fields to paths in the API record.
+ */
+Employee.apiMapping = {
+    seed: 'employee-management',
+    fields: {
+        id: 'id',
+        name: 'name',
+        email: 'email',
+        phone: 'phone'
+    },
+    phoneRegion: 'US', // Region of API phone numbers without a country code
+    departments: ['Engineering', 'Marketing', 'Sales', 'HR', 'Finance', 'Operations'],
+    locations: ['New York', 'London', 'Berlin', 'Toronto', 'Remote'],
+    positions: {
+        'Engineering': ['Software Engineer', 'Senior Developer', 'Tech Lead', 'DevOps Engineer'],
+        'Marketing': ['Marketing Manager', 'Content Creator', 'SEO Specialist', 'Brand Manager'],
+        'Sales': ['Sales Representative', 'Account Manager', 'Sales Director', 'Business Development'],
+        'HR': ['HR Manager', 'Recruiter', 'HR Specialist', 'People Operations'],
+        'Finance': ['Financial Analyst', 'Accountant', 'Finance Manager', 'Controller'],
+        'Operations': ['Operations Manager', 'Project Manager', 'Operations Analyst', 'Coordinator']
+    },
+    salaryRange: { min: 40000, max: 120000, step: 1000 }, // $40k - $120k
+    hireDateRange: { from: '2021-01-01', to: '2024-12-31' }, // Fixed window so dates don't drift
+    compensation: {
+        currency: 'USD',
+        maxRaises: 3,
+        raisePercent: { min: 2, max: 12 },
+        reasons: ['merit', 'merit', 'promotion', 'market-adjustment', 'cost-of-living'],
+        raisesUntil: '2025-12-31' // Fixed so the history doesn't grow over time
+    },
+    transform: null
+};
+
+/**
+ * Organisation-defined custom fields, shared by every employee
+ */
+Employee.fieldSchema = new FieldSchema();
+
+/**
+ * Allowed employment types
+ */
+Employee.EMPLOYMENT_TYPES = ['full-time', 'part-time', 'contractor', 'intern'];
+
+/**
+ * Lifecycle statuses, in lifecycle order
+ */
+Employee.STATUSES = ['onboarding', 'active', 'on-leave', 'notice-period', 'terminated'];
+
+/**
+ * Reasons for salary changes
+ */
+Employee.COMPENSATION_REASONS = COMPENSATION_REASONS;
+
+/**
+ * Currency for salaries recorded without one
+ */
+Employee.DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Exchange rates and reporting currency, shared by every employee
+ */
+Employee.currencyConverter = new CurrencyConverter();
+
+/**
+ * Human-readable labels for employee fields
+ */
+Employee.FIELD_LABELS = {
+    name: 'Name',
+    email: 'Email',
+    phone: 'Phone',
+    phoneExtension: 'Extension',
+    department: 'Department',
+    position: 'Position',
+    salary: 'Salary',
+    currency: 'Currency',
+    hireDate: 'Hire Date',
+    managerId: 'Manager',
+    location: 'Location',
+    employmentType: 'Employment Type',
+    costCenter: 'Cost Center',
+    status: 'Status',
+    terminationDate: 'Termination Date',
+    customFields: 'Custom Fields',
+    compensationHistory: 'Compensation History',
+    deletedAt: 'Deleted At',
+    deletedBy: 'Deleted By'
+};
+
+/**
+ * Display labels for employment types, statuses and compensation reasons
+ */
+Employee.LABELS = {
+    'full-time': 'Full-time',
+    'part-time': 'Part-time',
+    'contractor': 'Contractor',
+    'intern': 'Intern',
+    'onboarding': 'Onboarding',
+    'active': 'Active',
+    'on-leave': 'On leave',
+    'notice-period': 'Notice period',
+    'terminated': 'Terminated',
+    'initial': 'Salary on record',
+    'hire': 'Starting salary',
+    'promotion': 'Promotion',
+    'merit': 'Merit increase',
+    'market-adjustment': 'Market adjustment',
+    'cost-of-living': 'Cost of living',
+    'correction': 'Correction',
+    'other': 'Other'
+};
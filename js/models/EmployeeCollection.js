@@ -1,20 +1,96 @@
 import { Employee } from './Employee.js';
 import { Helpers } from '../utils/helpers.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
 
 /**
- * Employee collection class for managing multiple employees
+ * Built-in CSV export columns
+ */
+const EXPORT_COLUMNS = [
+    'Name', 'Email', 'Phone', 'Department', 'Position', 'Salary', 'Currency', 'Reporting Salary', 'Hire Date', 'Years of Service',
+    'Employment Type', 'Status', 'Termination Date', 'Location', 'Cost Center', 'Manager'
+];
+
+/**
+ * Employee collection class for managing multiple employees.
+ *
+ * In 'local' mode (the default) the collection holds every employee and
+ * filters, sorts and paginates in memory. In 'remote' mode it holds only the
+ * current page as returned by the backend, which has already applied the
+ * filters and sorting; `remoteTotal` carries the total number of matches.
+ *
+ * Employees in the trash (`deletedAt` set) are kept apart in
+ * `deletedEmployees` and take no part in listings, statistics, the org
+ * chart or the email uniqueness check until they are restored.
+ *
+ * Bulk actions in remote mode may act on employees from other pages; those
+ * are added with includeEmployees and kept out of the listing until the
+ * next page load replaces them.
  */
 export class EmployeeCollection {
     constructor() {
         this.employees = [];
+        this.deletedEmployees = [];
         this.filteredEmployees = [];
         this.currentPage = 1;
         this.pageSize = 25;
+        this.showAll = false;
         this.sortField = 'name';
         this.sortDirection = 'asc';
         this.searchTerm = '';
         this.departmentFilters = [];
         this.observers = [];
+        this.mode = 'local';
+        this.remoteTotal = 0;
+        this.offPageIds = new Set();
+        this.knownDepartments = new Set();
+    }
+
+    /**
+     * Set pagination mode
+     * @param {string} mode - 'local' or 'remote'
+     */
+    setMode(mode) {
+        this.mode = mode === 'remote' ? 'remote' : 'local';
+        this.currentPage = 1;
+        if (this.isRemote()) this.showAll = false;
+        this.applyFilters();
+    }
+
+    /**
+     * Check whether filtering, sorting and paging happen on the backend
+     * @returns {boolean} True in remote mode
+     */
+    isRemote() {
+        return this.mode === 'remote';
+    }
+
+    /**
+     * Replace the collection with one page fetched from the backend
+     * @param {Array} items - Employees on the page
+     * @param {number} total - Total number of matches on the backend
+     */
+    setRemotePage(items, total) {
+        this.employees = items
+            .map(data => data instanceof Employee ? data : new Employee(data))
+            .filter(employee => !employee.isDeleted);
+        this.remoteTotal = total;
+        this.offPageIds.clear();
+        this.applyFilters();
+        this.notifyObservers();
+    }
+
+    /**
+     * Make employees that are not on the current page available to lookups
+     * (remote mode), without listing them
+     * @param {Array<Employee>} employees - Employees from other pages
+     */
+    includeEmployees(employees) {
+        employees
+            .filter(employee => !employee.isDeleted && !this.findById(employee.id))
+            .forEach(employee => {
+                this.employees.push(employee);
+                this.offPageIds.add(employee.id);
+            });
     }
 
     /**
@@ -44,6 +120,7 @@ export class EmployeeCollection {
      * Add employee to collection
      * @param {Employee|Object} employeeData - Employee instance or data
      * @returns {Employee} Added employee
+     * @throws {ConflictError} If another employee has the same email
      */
     addEmployee(employeeData) {
         const employee = employeeData instanceof Employee 
@@ -51,9 +128,7 @@ export class EmployeeCollection {
             : new Employee(employeeData);
 
         // Check for duplicate email
-        if (this.findByEmail(employee.email)) {
-            throw new Error('Employee with this email already exists');
-        }
+        this.assertEmailAvailable(employee.email);
 
         this.employees.push(employee);
         this.applyFilters();
@@ -66,14 +141,15 @@ export class EmployeeCollection {
      * @param {string} id - Employee ID
      * @param {Object} data - Updated data
      * @returns {Employee|null} Updated employee
+     * @throws {ConflictError} If another employee has the same email
      */
     updateEmployee(id, data) {
         const employee = this.findById(id);
         if (!employee) return null;
 
         // Check for duplicate email (excluding current employee)
-        if (data.email && data.email !== employee.email && this.findByEmail(data.email)) {
-            throw new Error('Employee with this email already exists');
+        if (data.email) {
+            this.assertEmailAvailable(data.email, id);
         }
 
         employee.update(data);
@@ -82,6 +158,44 @@ export class EmployeeCollection {
         return employee;
     }
 
+    /**
+     * Add and update several employees at once, notifying observers once.
+     * Nothing changes if one of the emails is taken.
+     * @param {Array<Employee|Object>} added - New employees
+     * @param {Array<Object>} updates - Changes to existing employees as { id, data }
+     * @returns {Object} { added: Array<Employee>, updated: Array<Employee> }
+     * @throws {ConflictError|NotFoundError} If an email is taken or an employee is unknown
+     */
+    applyBatch(added = [], updates = []) {
+        const employees = added.map(data => data instanceof Employee ? data : new Employee(data));
+        const targets = updates.map(({ id }) => {
+            const employee = this.findById(id);
+            if (!employee) {
+                throw new NotFoundError('Employee not found', { resourceId: id });
+            }
+            return employee;
+        });
+
+        // Check every email before changing anything
+        const emails = new Set();
+        [...employees, ...updates.map(({ id, data }) => ({ id, email: data.email || this.findById(id).email }))]
+            .forEach(({ id, email }) => {
+                const key = email.toLowerCase();
+                if (emails.has(key)) {
+                    throw new ConflictError(`${email} appears more than once`, { field: 'email' });
+                }
+                emails.add(key);
+                this.assertEmailAvailable(email, id);
+            });
+
+        this.employees.push(...employees);
+        targets.forEach((employee, index) => employee.update(updates[index].data));
+        this.applyFilters();
+        this.notifyObservers();
+
+        return { added: employees, updated: targets };
+    }
+
     /**
      * Remove employee from collection
      * @param {string} id - Employee ID
@@ -98,7 +212,90 @@ export class EmployeeCollection {
     }
 
     /**
-     * Soft delete employee (mark as inactive)
+     * Move an employee to the trash
+     * @param {string} id - Employee ID
+     * @param {Object} deletion - { deletedAt (defaults to now), deletedBy }
+     * @returns {Employee|null} Deleted employee
+     */
+    softDeleteEmployee(id, deletion = {}) {
+        const employee = this.findById(id);
+        if (!employee) return null;
+
+        employee.update({
+            deletedAt: deletion.deletedAt || new Date().toISOString(),
+            deletedBy: deletion.deletedBy || null
+        });
+        this.employees = this.employees.filter(emp => emp !== employee);
+        this.deletedEmployees.push(employee);
+        this.applyFilters();
+        this.notifyObservers();
+        return employee;
+    }
+
+    /**
+     * Bring an employee back from the trash
+     * @param {string} id - Employee ID
+     * @returns {Employee|null} Restored employee
+     * @throws {ConflictError} If another employee has taken the email meanwhile
+     */
+    restoreEmployee(id) {
+        const employee = this.findDeletedById(id);
+        if (!employee) return null;
+
+        this.assertEmailAvailable(employee.email, id);
+
+        employee.update({ deletedAt: null, deletedBy: null });
+        this.deletedEmployees = this.deletedEmployees.filter(emp => emp !== employee);
+        this.employees.push(employee);
+        this.applyFilters();
+        this.notifyObservers();
+        return employee;
+    }
+
+    /**
+     * Remove an employee from the trash for good
+     * @param {string} id - Employee ID
+     * @returns {boolean} Success status
+     */
+    purgeEmployee(id) {
+        const count = this.deletedEmployees.length;
+        this.deletedEmployees = this.deletedEmployees.filter(emp => emp.id !== id);
+        if (this.deletedEmployees.length === count) return false;
+
+        this.notifyObservers();
+        return true;
+    }
+
+    /**
+     * Get the employees in the trash, most recently deleted first
+     * @returns {Array<Employee>} Deleted employees
+     */
+    getDeletedEmployees() {
+        return [...this.deletedEmployees].sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+    }
+
+    /**
+     * Get the employees that have been in the trash longer than a retention period
+     * @param {number} retentionDays - Days deleted employees are kept
+     * @param {Date} now - Reference time
+     * @returns {Array<Employee>} Expired employees
+     */
+    getExpiredDeletedEmployees(retentionDays, now = new Date()) {
+        const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+        return this.deletedEmployees.filter(emp => new Date(emp.deletedAt).getTime() <= cutoff);
+    }
+
+    /**
+     * Find an employee in the trash by ID
+     * @param {string} id - Employee ID
+     * @returns {Employee|null} Found employee
+     */
+    findDeletedById(id) {
+        return this.deletedEmployees.find(emp => emp.id === id) || null;
+    }
+
+    /**
+     * Deactivate employee (mark as terminated today)
      * @param {string} id - Employee ID
      * @returns {boolean} Success status
      */
@@ -106,7 +303,7 @@ export class EmployeeCollection {
         const employee = this.findById(id);
         if (!employee) return false;
 
-        employee.isActive = false;
+        employee.update({ status: 'terminated', terminationDate: new Date().toISOString() });
         this.applyFilters();
         this.notifyObservers();
         return true;
@@ -121,6 +318,152 @@ export class EmployeeCollection {
         return this.employees.find(emp => emp.id === id) || null;
     }
 
+    /**
+     * Make sure no other employee uses an email address
+     * @param {string} email - Email to check
+     * @param {string} excludeId - ID of the employee allowed to own the email
+     * @throws {ConflictError} If another employee has the same email
+     */
+    assertEmailAvailable(email, excludeId = null) {
+        const existing = email ? this.findByEmail(email) : null;
+        if (existing && existing.id !== excludeId) {
+            throw new ConflictError('Employee with this email already exists', { field: 'email' });
+        }
+    }
+
+    /**
+     * Make sure an employee can report to a manager
+     * @param {string} employeeId - Employee ID (null for a new employee)
+     * @param {string} managerId - Proposed manager ID
+     * @throws {ValidationError} If the manager is the employee or one of their reports
+     */
+    assertValidManager(employeeId, managerId) {
+        if (!managerId) return;
+
+        if (managerId === employeeId) {
+            throw new ValidationError({ managerId: 'An employee cannot report to themselves' });
+        }
+        if (employeeId && this.wouldCreateCycle(employeeId, managerId)) {
+            throw new ValidationError({ managerId: 'This manager already reports to this employee' });
+        }
+    }
+
+    /**
+     * Check whether making managerId the manager of employeeId would close a reporting loop
+     * @param {string} employeeId - Employee ID
+     * @param {string} managerId - Proposed manager ID
+     * @returns {boolean} True if the manager (indirectly) reports to the employee
+     */
+    wouldCreateCycle(employeeId, managerId) {
+        return managerId === employeeId || this.getManagementChain(managerId).some(emp => emp.id === employeeId);
+    }
+
+    /**
+     * Get an employee's managers, closest first. Stops at a missing manager or a loop.
+     * @param {string} id - Employee ID
+     * @returns {Array<Employee>} Managers
+     */
+    getManagementChain(id) {
+        const chain = [];
+        const seen = new Set([id]);
+        let current = this.findById(id);
+
+        while (current?.managerId && !seen.has(current.managerId)) {
+            const manager = this.findById(current.managerId);
+            if (!manager) break;
+            chain.push(manager);
+            seen.add(manager.id);
+            current = manager;
+        }
+        return chain;
+    }
+
+    /**
+     * Get the employees reporting directly to a manager
+     * @param {string} managerId - Manager ID
+     * @param {boolean} includeInactive - Include terminated employees
+     * @returns {Array<Employee>} Direct reports
+     */
+    getDirectReports(managerId, includeInactive = false) {
+        return this.getAllEmployees(includeInactive).filter(emp => emp.managerId === managerId);
+    }
+
+    /**
+     * Build the reporting tree from the employees' manager IDs.
+     *
+     * Employees whose manager is unknown (or terminated) become extra roots
+     * flagged as orphans. Reporting loops are reported in `cycles` and broken
+     * by promoting one member (the first by name) to a root flagged `inCycle`.
+     *
+     * @param {Object} options - Build options
+     * @param {boolean} options.includeInactive - Include terminated employees
+     * @returns {Object} { roots, orphans, cycles, nodes } where each node is
+     *                   { employee, children, depth, directReports, totalReports, isOrphan, inCycle }
+     */
+    buildOrgTree(options = {}) {
+        const employees = Helpers.sortByProperty(this.getAllEmployees(Boolean(options.includeInactive)), 'name');
+        const nodes = new Map(employees.map(employee => [employee.id, {
+            employee,
+            children: [],
+            depth: 0,
+            directReports: 0,
+            totalReports: 0,
+            isOrphan: false,
+            inCycle: false
+        }]));
+
+        // Find reporting loops by walking up from every employee
+        const cycles = [];
+        const state = new Map(); // id -> 'visiting' | 'done'
+        employees.forEach(employee => {
+            const path = [];
+            let current = employee;
+            while (current && !state.has(current.id)) {
+                state.set(current.id, 'visiting');
+                path.push(current.id);
+                current = current.managerId ? nodes.get(current.managerId)?.employee : null;
+            }
+            if (current && state.get(current.id) === 'visiting') {
+                const cycle = path.slice(path.indexOf(current.id));
+                cycle.forEach(id => { nodes.get(id).inCycle = true; });
+                cycles.push(cycle);
+            }
+            path.forEach(id => state.set(id, 'done'));
+        });
+
+        // Break each loop at its first member by name (employees are sorted)
+        const cycleRoots = new Set(cycles.map(cycle =>
+            employees.find(employee => cycle.includes(employee.id)).id
+        ));
+
+        const roots = [];
+        const orphans = [];
+        nodes.forEach((node, id) => {
+            const managerId = node.employee.managerId;
+            const manager = managerId ? nodes.get(managerId) : null;
+
+            if (!managerId || cycleRoots.has(id)) {
+                roots.push(node);
+            } else if (!manager) {
+                node.isOrphan = true;
+                orphans.push(node);
+                roots.push(node);
+            } else {
+                manager.children.push(node);
+            }
+        });
+
+        const measure = (node, depth) => {
+            node.depth = depth;
+            node.directReports = node.children.length;
+            node.totalReports = node.children.reduce((sum, child) => sum + 1 + measure(child, depth + 1), 0);
+            return node.totalReports;
+        };
+        roots.forEach(root => measure(root, 0));
+
+        return { roots, orphans, cycles, nodes };
+    }
+
     /**
      * Find employee by email
      * @param {string} email - Employee email
@@ -142,10 +485,14 @@ export class EmployeeCollection {
     }
 
     /**
-     * Get employees for current page
+     * Get employees for current page (every matching employee when showing all rows)
      * @returns {Array} Paginated employees
      */
     getCurrentPageEmployees() {
+        if (this.isRemote() || this.showAll) {
+            return [...this.filteredEmployees];
+        }
+
         const startIndex = (this.currentPage - 1) * this.pageSize;
         const endIndex = startIndex + this.pageSize;
         return this.filteredEmployees.slice(startIndex, endIndex);
@@ -192,10 +539,22 @@ export class EmployeeCollection {
      */
     setPageSize(size) {
         this.pageSize = parseInt(size);
+        this.showAll = false;
         this.currentPage = 1; // Reset to first page
         this.notifyObservers();
     }
 
+    /**
+     * Show every matching employee on one page instead of paginating
+     * (local mode only; remote mode loads one page at a time)
+     * @param {boolean} showAll - Whether to show all rows
+     */
+    setShowAll(showAll) {
+        this.showAll = Boolean(showAll) && !this.isRemote();
+        this.currentPage = 1;
+        this.notifyObservers();
+    }
+
     /**
      * Set current page
      * @param {number} page - Page number
@@ -210,6 +569,16 @@ export class EmployeeCollection {
      * Apply all filters and sorting
      */
     applyFilters() {
+        this.employees.forEach(emp => {
+            if (emp.department) this.knownDepartments.add(emp.department);
+        });
+
+        // The backend already filtered and sorted the current page
+        if (this.isRemote()) {
+            this.filteredEmployees = this.employees.filter(emp => emp.isActive && !this.offPageIds.has(emp.id));
+            return;
+        }
+
         let filtered = this.employees.filter(emp => emp.isActive);
 
         // Apply search filter
@@ -225,17 +594,35 @@ export class EmployeeCollection {
         }
 
         // Apply sorting
-        filtered = Helpers.sortByProperty(filtered, this.sortField, this.sortDirection);
+        filtered = Helpers.sortByProperty(filtered, Employee.sortKey(this.sortField), this.sortDirection);
 
         this.filteredEmployees = filtered;
     }
 
+    /**
+     * Get the employees matching the current filters, in order (local mode:
+     * every page; remote mode: the current page)
+     * @returns {Array<Employee>} Matching employees
+     */
+    getFilteredEmployees() {
+        return [...this.filteredEmployees];
+    }
+
     /**
      * Get total number of pages
      * @returns {number} Total pages
      */
     getTotalPages() {
-        return Math.ceil(this.filteredEmployees.length / this.pageSize);
+        if (this.showAll) return Math.min(1, this.getTotalFiltered());
+        return Math.ceil(this.getTotalFiltered() / this.pageSize);
+    }
+
+    /**
+     * Get the number of employees matching the current filters
+     * @returns {number} Total matches (across all pages)
+     */
+    getTotalFiltered() {
+        return this.isRemote() ? this.remoteTotal : this.filteredEmployees.length;
     }
 
     /**
@@ -243,16 +630,18 @@ export class EmployeeCollection {
      * @returns {Object} Pagination information
      */
     getPaginationInfo() {
-        const totalItems = this.filteredEmployees.length;
+        const totalItems = this.getTotalFiltered();
         const totalPages = this.getTotalPages();
-        const startIndex = (this.currentPage - 1) * this.pageSize + 1;
-        const endIndex = Math.min(startIndex + this.pageSize - 1, totalItems);
+        const pageSize = this.showAll ? totalItems : this.pageSize;
+        const startIndex = (this.currentPage - 1) * pageSize + 1;
+        const endIndex = Math.min(startIndex + pageSize - 1, totalItems);
 
         return {
             currentPage: this.currentPage,
             totalPages,
             totalItems,
             pageSize: this.pageSize,
+            showAll: this.showAll,
             startIndex: totalItems > 0 ? startIndex : 0,
             endIndex: totalItems > 0 ? endIndex : 0,
             hasNext: this.currentPage < totalPages,
@@ -262,9 +651,14 @@ export class EmployeeCollection {
 
     /**
      * Get unique departments
+     * In remote mode this includes departments seen on previously loaded pages.
      * @returns {Array} Array of unique departments
      */
     getUniqueDepartments() {
+        if (this.isRemote()) {
+            return [...this.knownDepartments].sort();
+        }
+
         const departments = this.employees
             .filter(emp => emp.isActive)
             .map(emp => emp.department)
@@ -274,56 +668,159 @@ export class EmployeeCollection {
     }
 
     /**
-     * Get statistics
+     * Get statistics. Salary figures are in the reporting currency; salaries
+     * in currencies without an exchange rate are left out of them and counted
+     * in `unconvertedSalaries`.
+     * @param {Object} options - Date range for the compensation report ({ from, to })
      * @returns {Object} Collection statistics
      */
-    getStatistics() {
+    getStatistics(options = {}) {
         const activeEmployees = this.employees.filter(emp => emp.isActive);
         const totalEmployees = activeEmployees.length;
         
         const departmentCounts = {};
+        const salaryByCurrency = {};
+        let convertedCount = 0;
         const salarySum = activeEmployees.reduce((sum, emp) => {
             // Count by department
             departmentCounts[emp.department] = (departmentCounts[emp.department] || 0) + 1;
-            return sum + (emp.salary || 0);
+            salaryByCurrency[emp.currency] = (salaryByCurrency[emp.currency] || 0) + (emp.salary || 0);
+
+            const salary = emp.reportingSalary;
+            if (salary == null) return sum;
+            convertedCount++;
+            return sum + salary;
         }, 0);
 
-        const avgSalary = totalEmployees > 0 ? salarySum / totalEmployees : 0;
+        const avgSalary = convertedCount > 0 ? salarySum / convertedCount : 0;
 
         return {
             totalEmployees,
-            totalFiltered: this.filteredEmployees.length,
+            totalFiltered: this.getTotalFiltered(),
             departmentCounts,
+            reportingCurrency: Employee.currencyConverter.reportingCurrency,
             averageSalary: avgSalary,
-            totalSalaryBudget: salarySum
+            totalSalaryBudget: salarySum,
+            salaryByCurrency,
+            unconvertedSalaries: totalEmployees - convertedCount,
+            compensation: this.getCompensationReport(options)
+        };
+    }
+
+    /**
+     * Summarise raises that took effect in a date range.
+     *
+     * Raises are grouped by the employee's current department. Changes
+     * between currencies are not comparable and are left out; increases are
+     * totalled per currency and, in `totalIncrease`, in the reporting currency.
+     *
+     * @param {Object} options - Report options
+     * @param {Date|string} options.from - First effective date (inclusive, default: no limit)
+     * @param {Date|string} options.to - Last effective date (inclusive, default: today)
+     * @returns {Object} { from, to, raiseCount, employeesWithRaise, averageRaisePercent, increaseByCurrency, totalIncrease, byDepartment, byReason }
+     */
+    getCompensationReport(options = {}) {
+        const from = Employee.toDateOnly(options.from);
+        const to = Employee.toDateOnly(options.to || new Date());
+        const createGroup = () => ({ raiseCount: 0, employeesWithRaise: 0, averageRaisePercent: 0, increaseByCurrency: {}, percentSum: 0 });
+        const total = createGroup();
+        const byDepartment = {};
+        const byReason = {};
+
+        this.employees.forEach(employee => {
+            const raises = employee.getSalaryChanges().filter(change =>
+                change.change > 0 &&
+                (!from || change.effectiveDate >= from) &&
+                change.effectiveDate <= to
+            );
+            if (raises.length === 0) return;
+
+            const department = byDepartment[employee.department] || (byDepartment[employee.department] = createGroup());
+            [total, department].forEach(group => {
+                group.employeesWithRaise++;
+                raises.forEach(raise => {
+                    group.raiseCount++;
+                    group.percentSum += raise.percent;
+                    group.increaseByCurrency[raise.currency] = (group.increaseByCurrency[raise.currency] || 0) + raise.change;
+                });
+            });
+            raises.forEach(raise => {
+                byReason[raise.reason] = (byReason[raise.reason] || 0) + 1;
+            });
+        });
+
+        const finish = ({ percentSum, ...group }) => ({
+            ...group,
+            averageRaisePercent: group.raiseCount > 0 ? Math.round((percentSum / group.raiseCount) * 100) / 100 : 0,
+            totalIncrease: Object.entries(group.increaseByCurrency).reduce((sum, [currency, amount]) =>
+                sum + (Employee.currencyConverter.convert(amount, currency) ?? 0), 0)
+        });
+
+        return {
+            from,
+            to,
+            ...finish(total),
+            byDepartment: Object.fromEntries(
+                Object.entries(byDepartment).map(([name, group]) => [name, finish(group)])
+            ),
+            byReason
         };
     }
 
     /**
      * Export data as CSV
+     * @param {Array<Employee>} employees - Employees to export (defaults to those matching the filters)
      * @returns {string} CSV string
      */
-    exportAsCSV() {
-        const data = this.filteredEmployees.map(emp => ({
+    exportAsCSV(employees = this.filteredEmployees) {
+        const data = employees.map(emp => ({
             'Name': emp.name,
             'Email': emp.email,
             'Phone': emp.formattedPhone,
             'Department': emp.department,
             'Position': emp.position,
             'Salary': emp.displaySalary,
+            'Currency': emp.currency,
+            'Reporting Salary': emp.reportingSalary == null
+                ? ''
+                : Helpers.formatCurrency(emp.reportingSalary, Employee.currencyConverter.reportingCurrency),
             'Hire Date': Helpers.formatDate(emp.hireDate),
-            'Years of Service': emp.getYearsOfService()
+            'Years of Service': emp.getYearsOfService(),
+            'Employment Type': Employee.LABELS[emp.employmentType] || emp.employmentType,
+            'Status': Employee.LABELS[emp.status] || emp.status,
+            'Termination Date': emp.terminationDate ? Helpers.formatDate(emp.terminationDate) : '',
+            'Location': emp.location,
+            'Cost Center': emp.costCenter,
+            'Manager': this.findById(emp.managerId)?.name || '',
+            ...this.getCustomFieldColumns(emp)
         }));
 
         return Helpers.objectToCSV(data);
     }
 
+    /**
+     * Get export columns for the organisation's custom fields
+     * @param {Employee} employee - Employee
+     * @returns {Object} Column label -> display value
+     */
+    getCustomFieldColumns(employee) {
+        const schema = Employee.fieldSchema;
+        const columns = {};
+        schema.getFields().forEach(field => {
+            // Built-in columns keep their name if a custom label collides with one
+            const column = EXPORT_COLUMNS.includes(field.label) ? `${field.label} (${field.key})` : field.label;
+            columns[column] = schema.formatValue(field, employee.customFields[field.key]);
+        });
+        return columns;
+    }
+
     /**
      * Export data as JSON
+     * @param {Array<Employee>} employees - Employees to export (defaults to those matching the filters)
      * @returns {string} JSON string
      */
-    exportAsJSON() {
-        const data = this.filteredEmployees.map(emp => emp.toObject());
+    exportAsJSON(employees = this.filteredEmployees) {
+        const data = employees.map(emp => emp.toObject());
         return JSON.stringify(data, null, 2);
     }
 
@@ -332,9 +829,11 @@ export class EmployeeCollection {
      * @param {Array} employeesData - Array of employee data
      */
     loadEmployees(employeesData) {
-        this.employees = employeesData.map(data => 
+        const employees = employeesData.map(data => 
             data instanceof Employee ? data : new Employee(data)
         );
+        this.employees = employees.filter(employee => !employee.isDeleted);
+        this.deletedEmployees = employees.filter(employee => employee.isDeleted);
         this.applyFilters();
         this.notifyObservers();
     }
@@ -344,7 +843,10 @@ export class EmployeeCollection {
      */
     clear() {
         this.employees = [];
+        this.deletedEmployees = [];
         this.filteredEmployees = [];
+        this.remoteTotal = 0;
+        this.offPageIds.clear();
         this.currentPage = 1;
         this.notifyObservers();
     }
@@ -0,0 +1,326 @@
+import { Helpers } from '../utils/helpers.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Supported custom field types
+ */
+const FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'enum', 'email', 'url'];
+
+/**
+ * Types whose values are included in the employee search
+ */
+const SEARCHABLE_TYPES = ['text', 'enum', 'email', 'url'];
+
+/**
+ * Admin-defined schema for per-organisation employee fields.
+ *
+ * Each definition looks like:
+ *   { key: 'badgeNumber', label: 'Badge Number', type: 'text', required: true,
+ *     pattern: '^B-\\d{4}$', options: [], showInTable: true }
+ *
+ * Values live in `employee.customFields`, keyed by definition key. The
+ * schema validates them and drives the employee form, table columns,
+ * search and exports.
+ */
+export class FieldSchema {
+    constructor(fields = []) {
+        this.fields = [];
+        this.observers = [];
+        this.setFields(fields);
+    }
+
+    /**
+     * Add observer for schema changes
+     * @param {Function} callback - Callback function
+     */
+    addObserver(callback) {
+        this.observers.push(callback);
+    }
+
+    /**
+     * Remove observer
+     * @param {Function} callback - Callback function to remove
+     */
+    removeObserver(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    /**
+     * Notify all observers of changes
+     */
+    notifyObservers() {
+        this.observers.forEach(callback => callback(this));
+    }
+
+    /**
+     * Replace all definitions (invalid ones are skipped)
+     * @param {Array<Object>} fields - Field definitions
+     */
+    setFields(fields = []) {
+        this.fields = [];
+        fields.forEach(definition => {
+            try {
+                this.fields.push(this.normalize(definition));
+            } catch (error) {
+                console.warn(`Ignoring invalid custom field "${definition?.key}":`, error.message);
+            }
+        });
+        this.notifyObservers();
+    }
+
+    /**
+     * Get all definitions
+     * @returns {Array<Object>} Field definitions
+     */
+    getFields() {
+        return [...this.fields];
+    }
+
+    /**
+     * Get a definition by key
+     * @param {string} key - Field key
+     * @returns {Object|null} Field definition
+     */
+    getField(key) {
+        return this.fields.find(field => field.key === key) || null;
+    }
+
+    /**
+     * Get definitions shown as table columns
+     * @returns {Array<Object>} Field definitions
+     */
+    getTableFields() {
+        return this.fields.filter(field => field.showInTable);
+    }
+
+    /**
+     * Validate and normalize a definition
+     * @param {Object} definition - Raw definition
+     * @param {string} originalKey - Key of the definition being replaced, if any (keys are immutable)
+     * @returns {Object} Normalized definition
+     * @throws {ValidationError} If the definition is invalid
+     */
+    normalize(definition = {}, originalKey = null) {
+        const fieldErrors = {};
+        const key = String(definition.key || '').trim();
+        const label = String(definition.label || '').trim();
+        const type = definition.type || 'text';
+        const options = (Array.isArray(definition.options) ? definition.options : String(definition.options || '').split(','))
+            .map(option => String(option).trim())
+            .filter(Boolean);
+        const pattern = String(definition.pattern || '').trim();
+
+        if (originalKey && key !== originalKey) {
+            // Stored values are keyed by it, so renaming would orphan them
+            fieldErrors.key = 'The key of an existing field cannot be changed';
+        } else if (!/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/.test(key)) {
+            fieldErrors.key = 'Key must start with a letter and contain only letters, digits and underscores';
+        } else if (key !== originalKey && this.getField(key)) {
+            fieldErrors.key = 'A field with this key already exists';
+        }
+
+        if (!label) {
+            fieldErrors.label = 'Label is required';
+        }
+
+        if (!FIELD_TYPES.includes(type)) {
+            fieldErrors.type = 'Unknown field type';
+        }
+
+        if (type === 'enum' && options.length === 0) {
+            fieldErrors.options = 'List at least one option';
+        }
+
+        if (pattern) {
+            try {
+                new RegExp(pattern);
+            } catch (error) {
+                fieldErrors.pattern = 'Pattern is not a valid regular expression';
+            }
+        }
+
+        if (Object.keys(fieldErrors).length > 0) {
+            throw new ValidationError(fieldErrors);
+        }
+
+        return {
+            key,
+            label,
+            type,
+            required: Boolean(definition.required),
+            options: type === 'enum' ? [...new Set(options)] : [],
+            pattern: ['text', 'email', 'url'].includes(type) ? pattern : '',
+            showInTable: Boolean(definition.showInTable)
+        };
+    }
+
+    /**
+     * Add or replace a definition
+     * @param {Object} definition - Field definition
+     * @param {string} originalKey - Key of the definition to replace (null to add)
+     * @returns {Object} Saved definition
+     * @throws {ValidationError} If the definition is invalid
+     */
+    saveField(definition, originalKey = null) {
+        const field = this.normalize(definition, originalKey);
+        const index = originalKey ? this.fields.findIndex(existing => existing.key === originalKey) : -1;
+
+        if (index === -1) {
+            this.fields.push(field);
+        } else {
+            this.fields[index] = field;
+        }
+
+        this.notifyObservers();
+        return field;
+    }
+
+    /**
+     * Remove a definition. Stored values are kept but no longer shown or validated.
+     * @param {string} key - Field key
+     * @returns {boolean} True if a definition was removed
+     */
+    removeField(key) {
+        const count = this.fields.length;
+        this.fields = this.fields.filter(field => field.key !== key);
+        if (this.fields.length === count) return false;
+
+        this.notifyObservers();
+        return true;
+    }
+
+    /**
+     * Name of the form input for a custom field (also the fieldErrors key)
+     * @param {string} key - Field key
+     * @returns {string} Input name
+     */
+    static inputName(key) {
+        return `customFields.${key}`;
+    }
+
+    /**
+     * Check whether a value counts as empty
+     * @param {*} value - Value
+     * @returns {boolean} True if empty
+     */
+    static isEmpty(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    /**
+     * Convert a raw form value to the field's type
+     * @param {Object} field - Field definition
+     * @param {*} raw - Raw value (usually a string from an input)
+     * @returns {*} Typed value, or null when empty
+     */
+    coerce(field, raw) {
+        if (field.type === 'boolean') {
+            return raw === true || raw === 'true' || raw === 'on';
+        }
+        if (FieldSchema.isEmpty(raw)) return null;
+
+        const value = typeof raw === 'string' ? raw.trim() : raw;
+        if (value === '') return null;
+        if (field.type === 'number') {
+            const number = Number(value);
+            return isNaN(number) ? value : number;
+        }
+        return value;
+    }
+
+    /**
+     * Validate custom field values
+     * @param {Object} values - Values keyed by field key
+     * @returns {Object} Field errors keyed by input name
+     */
+    validateValues(values = {}) {
+        const fieldErrors = {};
+
+        this.fields.forEach(field => {
+            const value = values[field.key];
+            const name = FieldSchema.inputName(field.key);
+
+            if (FieldSchema.isEmpty(value) || (field.type === 'boolean' && value === false)) {
+                if (field.required) {
+                    fieldErrors[name] = `${field.label} is required`;
+                }
+                return;
+            }
+
+            switch (field.type) {
+                case 'number':
+                    if (typeof value !== 'number' || isNaN(value)) {
+                        fieldErrors[name] = `${field.label} must be a number`;
+                    }
+                    break;
+                case 'date':
+                    if (isNaN(new Date(value))) {
+                        fieldErrors[name] = `${field.label} must be a valid date`;
+                    }
+                    break;
+                case 'boolean':
+                    if (typeof value !== 'boolean') {
+                        fieldErrors[name] = `${field.label} must be yes or no`;
+                    }
+                    break;
+                case 'enum':
+                    if (!field.options.includes(value)) {
+                        fieldErrors[name] = `${field.label} must be one of: ${field.options.join(', ')}`;
+                    }
+                    break;
+                case 'email':
+                    if (!Helpers.isValidEmail(value)) {
+                        fieldErrors[name] = `${field.label} must be a valid email address`;
+                    }
+                    break;
+                case 'url':
+                    try {
+                        new URL(value);
+                    } catch (error) {
+                        fieldErrors[name] = `${field.label} must be a valid URL`;
+                    }
+                    break;
+            }
+
+            if (!fieldErrors[name] && field.pattern && !new RegExp(field.pattern).test(String(value))) {
+                fieldErrors[name] = `${field.label} has an invalid format`;
+            }
+        });
+
+        return fieldErrors;
+    }
+
+    /**
+     * Format a value for display and export
+     * @param {Object} field - Field definition
+     * @param {*} value - Value
+     * @returns {string} Display value
+     */
+    formatValue(field, value) {
+        if (field.type === 'boolean') return value ? 'Yes' : 'No';
+        if (FieldSchema.isEmpty(value)) return '';
+        if (field.type === 'date') return Helpers.formatDate(value);
+        return String(value);
+    }
+
+    /**
+     * Get the values included in the employee search
+     * @param {Object} values - Values keyed by field key
+     * @returns {Array<string>} Searchable values
+     */
+    getSearchableValues(values = {}) {
+        return this.fields
+            .filter(field => SEARCHABLE_TYPES.includes(field.type) && !FieldSchema.isEmpty(values[field.key]))
+            .map(field => String(values[field.key]));
+    }
+
+    /**
+     * Serialize the schema
+     * @returns {Array<Object>} Field definitions
+     */
+    toJSON() {
+        return this.getFields();
+    }
+}
+
+FieldSchema.TYPES = FIELD_TYPES;
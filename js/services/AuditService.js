@@ -0,0 +1,194 @@
+import { StoreFactory } from '../storage/StoreFactory.js';
+import { Helpers } from '../utils/helpers.js';
+
+/**
+ * Bookkeeping fields that change on every write and are left out of diffs
+ */
+const IGNORED_FIELDS = ['id', 'version', 'updatedAt', 'avatar'];
+
+/**
+ * Operations recorded in the log
+ */
+const OPERATIONS = ['add', 'update', 'deactivate', 'delete', 'restore', 'purge', 'remove'];
+
+/**
+ * Append-only log of employee changes, persisted in the 'audit' store.
+ *
+ * `delete` moves an employee to the trash, `restore` brings them back and
+ * `purge` removes them for good. `remove` takes back an add that was undone.
+ *
+ * Each entry looks like:
+ *   { id, sequence, timestamp, actor, operation, employeeId, employeeName,
+ *     changes: [{ field, before, after }] }
+ *
+ * Custom field values are diffed individually as `customFields.<key>`.
+ * Entries are only ever added; there is no way to edit or remove them.
+ */
+export class AuditService {
+    constructor(store = null) {
+        this.store = store;
+        this.sequence = null;
+        this.observers = [];
+    }
+
+    /**
+     * Add observer for new entries
+     * @param {Function} callback - Callback function
+     */
+    addObserver(callback) {
+        this.observers.push(callback);
+    }
+
+    /**
+     * Remove observer
+     * @param {Function} callback - Callback function to remove
+     */
+    removeObserver(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    /**
+     * Notify all observers of a new entry
+     * @param {Object} entry - Audit entry
+     */
+    notifyObservers(entry) {
+        this.observers.forEach(callback => callback(entry));
+    }
+
+    /**
+     * Open the underlying store
+     * @returns {Promise<Object>} Opened store
+     */
+    async open() {
+        if (!this.store) {
+            this.store = await StoreFactory.create('audit');
+        }
+        if (this.sequence === null) {
+            const entries = await this.store.getAll();
+            this.sequence = entries.reduce((max, entry) => Math.max(max, entry.sequence || 0), 0);
+        }
+        return this.store;
+    }
+
+    /**
+     * Append an entry for a change
+     * @param {string} operation - One of AuditService.OPERATIONS
+     * @param {Object|null} before - Employee data before the change (null for add)
+     * @param {Object|null} after - Employee data after the change (null for purge and remove)
+     * @param {Object} options - { actor, timestamp }
+     * @returns {Promise<Object|null>} The new entry, or null if no field changed
+     */
+    async record(operation, before, after, options = {}) {
+        if (!OPERATIONS.includes(operation)) {
+            throw new Error(`Unknown audit operation: ${operation}`);
+        }
+
+        const changes = AuditService.diff(before, after);
+        if (changes.length === 0) return null;
+
+        const store = await this.open();
+        const subject = after || before;
+        const entry = {
+            id: Helpers.generateId(),
+            sequence: ++this.sequence,
+            timestamp: options.timestamp || new Date().toISOString(),
+            actor: options.actor || 'unknown',
+            operation,
+            employeeId: subject.id,
+            employeeName: subject.name || '',
+            changes
+        };
+
+        await store.put(entry);
+        this.notifyObservers(entry);
+        return entry;
+    }
+
+    /**
+     * Query the log, newest first
+     * @param {Object} query - Filters
+     * @param {string} query.employeeId - Only entries for this employee
+     * @param {Date|string} query.from - Earliest timestamp (a YYYY-MM-DD date includes the whole day)
+     * @param {Date|string} query.to - Latest timestamp (a YYYY-MM-DD date includes the whole day)
+     * @param {string} query.operation - Only this operation
+     * @param {string} query.actor - Only changes by this actor
+     * @param {number} query.limit - Maximum number of entries
+     * @returns {Promise<Array<Object>>} Matching entries
+     */
+    async query(query = {}) {
+        const store = await this.open();
+        const from = AuditService.toTime(query.from, false);
+        const to = AuditService.toTime(query.to, true);
+
+        const entries = (await store.getAll())
+            .filter(entry => !query.employeeId || entry.employeeId === query.employeeId)
+            .filter(entry => !query.operation || entry.operation === query.operation)
+            .filter(entry => !query.actor || entry.actor === query.actor)
+            .filter(entry => {
+                const time = new Date(entry.timestamp).getTime();
+                return (from === null || time >= from) && (to === null || time <= to);
+            })
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.sequence - a.sequence);
+
+        return query.limit ? entries.slice(0, query.limit) : entries;
+    }
+
+    /**
+     * Convert a query bound to a timestamp
+     * @param {Date|string} value - Date, ISO timestamp or YYYY-MM-DD
+     * @param {boolean} endOfDay - Whether a bare date means the end of that day (UTC)
+     * @returns {number|null} Milliseconds, or null when unbounded
+     */
+    static toTime(value, endOfDay) {
+        if (!value) return null;
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`).getTime();
+        }
+        const time = new Date(value).getTime();
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * List the fields that differ between two versions of an employee
+     * @param {Object|null} before - Plain employee data (see Employee.toObject)
+     * @param {Object|null} after - Plain employee data
+     * @returns {Array<Object>} Changes as { field, before, after }; empty values are null
+     */
+    static diff(before, after) {
+        const previous = AuditService.flatten(before);
+        const next = AuditService.flatten(after);
+        const fields = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+            .filter(field => !IGNORED_FIELDS.includes(field));
+
+        return fields
+            .map(field => ({ field, before: AuditService.emptyToNull(previous[field]), after: AuditService.emptyToNull(next[field]) }))
+            .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after))
+            .map(change => ({ ...change, before: Helpers.deepClone(change.before), after: Helpers.deepClone(change.after) }));
+    }
+
+    /**
+     * Flatten custom fields into `customFields.<key>` entries
+     * @param {Object|null} record - Plain employee data
+     * @returns {Object} Flat field map
+     */
+    static flatten(record) {
+        if (!record) return {};
+        const { customFields = {}, ...fields } = record;
+        Object.entries(customFields || {}).forEach(([key, value]) => {
+            fields[`customFields.${key}`] = value;
+        });
+        return fields;
+    }
+
+    /**
+     * Treat missing values, empty strings and empty lists alike
+     * @param {*} value - Field value
+     * @returns {*} The value, or null when empty
+     */
+    static emptyToNull(value) {
+        if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return null;
+        return value;
+    }
+}
+
+AuditService.OPERATIONS = OPERATIONS;
@@ -2,18 +2,85 @@ import { EmployeeAPI } from '../api/EmployeeAPI.js';
 import { EmployeeCollection } from '../models/EmployeeCollection.js';
 import { Employee } from '../models/Employee.js';
 import { Helpers } from '../utils/helpers.js';
+import { PhoneNumber } from '../utils/PhoneNumber.js';
+import { PersistenceService } from './PersistenceService.js';
+import { OutboxService } from './OutboxService.js';
+import { SettingsService } from './SettingsService.js';
+import { AuditService } from './AuditService.js';
+import { UndoService } from './UndoService.js';
+import { ImportService } from './ImportService.js';
+import { AppError, ValidationError, ConflictError, NotFoundError } from '../utils/errors.js';
 
 /**
- * Data service class - coordinates between API and UI
+ * How long toasts with an Undo/Redo button stay visible
+ */
+const UNDO_TOAST_DURATION = 6000;
+
+/**
+ * Longest trash retention period that can be configured
+ */
+const MAX_RETENTION_DAYS = 3650;
+
+/**
+ * Most employees "select all matching" can pick in remote pagination mode
+ */
+const MAX_BULK_SELECTION = 1000;
+
+/**
+ * Data service class - coordinates between API and UI.
+ *
+ * With `paginationMode: 'remote'` the collection only ever holds the current
+ * page: search, department filters, sorting and paging are forwarded to the
+ * adapter's `queryEmployees`, identical in-flight queries are shared and
+ * recently fetched pages are served from a short-lived page cache.
  */
 export class DataService {
-    constructor() {
-        this.api = new EmployeeAPI();
+    /**
+     * @param {Object} options - Service options
+     * @param {BaseAdapter} options.adapter - Backend adapter (defaults to JSONPlaceholder REST)
+     * @param {Object} options.cache - API response cache options (see ResponseCache)
+     * @param {Object} options.store - Employee store (defaults to IndexedDB with localStorage fallback)
+     * @param {Object} options.outboxStore - Store for unsynced changes (same default)
+     * @param {Object} options.settingsStore - Store for settings such as the custom field schema and exchange rates (same default)
+     * @param {Object} options.auditStore - Store for the audit log (same default)
+     * @param {string} options.actor - Name recorded in the audit log for changes made through this service
+     * @param {number} options.undoLimit - Number of changes that can be undone
+     * @param {number} options.outboxRetryInterval - How often to probe the backend while changes are pending
+     * @param {string} options.paginationMode - 'local' (load everything) or 'remote' (backend pages)
+     * @param {number} options.pageCacheTtl - How long fetched pages are reused in remote mode
+     */
+    constructor(options = {}) {
+        this.api = new EmployeeAPI({ adapter: options.adapter, cache: options.cache });
+        this.api.addObserver((event, data) => this.handleApiEvent(event, data));
+        this.persistence = new PersistenceService(options.store);
+        this.outbox = new OutboxService(options.outboxStore);
+        this.settings = new SettingsService(options.settingsStore);
+        this.audit = new AuditService(options.auditStore);
+        this.actor = options.actor || 'Local user';
+        this.undoHistory = new UndoService({ limit: options.undoLimit });
+        this.trashRetentionDays = null;
+        this.tableLayout = null;
+        this.isBulkChanging = false;
+        this.selectionRecords = new Map();
+        this.fieldSchema = Employee.fieldSchema;
+        this.currencyConverter = Employee.currencyConverter;
+        this.outboxRetryInterval = options.outboxRetryInterval || 30 * 1000;
+        this.outboxTimer = null;
+        this.isReplaying = false;
+        this.handleOnline = () => this.replayOutbox();
         this.employeeCollection = new EmployeeCollection();
+        this.employeeCollection.setMode(options.paginationMode);
+        this.importer = new ImportService(this.employeeCollection);
+        this.pageCacheTtl = options.pageCacheTtl ?? 60 * 1000;
+        this.pageCache = new Map();
+        this.pendingQueries = new Map();
+        this.queryRequestCount = 0;
         this.isLoading = false;
         this.lastSync = null;
         this.syncInterval = null;
         this.observers = [];
+        this.loadRequestCount = 0;
+        this.conflicts = new Map();
     }
 
     /**
@@ -47,6 +114,24 @@ export class DataService {
         });
     }
 
+    /**
+     * Handle API events
+     * @param {string} event - Event type
+     * @param {*} data - Event data
+     */
+    handleApiEvent(event, data) {
+        if (event !== 'cache_updated') return;
+
+        this.notifyObservers('cache_updated', data);
+
+        // Stale data was shown; reload from the now fresh cache
+        if (!this.isRemoteMode()) {
+            this.loadEmployees(false, { silent: true }).catch(error => {
+                console.error('Failed to apply revalidated data:', error);
+            });
+        }
+    }
+
     /**
      * Initialize the service and load initial data
      * @returns {Promise} Initialization promise
@@ -57,15 +142,30 @@ export class DataService {
             this.notifyObservers('init_start');
 
             console.log('Initializing DataService...');
+
+            await this.loadFieldSchema();
+            await this.loadDisplaySettings();
+            await this.loadTrashRetention();
+            await this.loadTableLayout();
+
+            // Show persisted data right away, before touching the network.
+            // Remote mode never holds the full dataset, so there is nothing to hydrate.
+            if (!this.isRemoteMode()) {
+                await this.hydrateFromStore();
+            }
+            await this.initializeOutbox();
             
             // Check API health
             const apiHealthy = await this.api.healthCheck();
             if (!apiHealthy) {
                 console.warn('API health check failed, using mock data');
+            } else {
+                await this.replayOutbox();
             }
 
             // Load employees
             await this.loadEmployees();
+            await this.purgeExpiredEmployees();
             
             this.lastSync = new Date();
             this.notifyObservers('init_complete', {
@@ -84,22 +184,609 @@ export class DataService {
     }
 
     /**
-     * Load employees from API
+     * Load persisted employees into the collection
+     * @returns {Promise<number>} Number of hydrated employees
+     */
+    async hydrateFromStore() {
+        try {
+            const employees = await this.persistence.loadEmployees();
+            if (employees.length > 0) {
+                this.employeeCollection.loadEmployees(employees);
+                this.notifyObservers('hydrate_complete', { employeeCount: employees.length });
+            }
+            return employees.length;
+        } catch (error) {
+            console.warn('Failed to hydrate employees from local storage:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Load the organisation's custom field definitions
+     */
+    async loadFieldSchema() {
+        const fields = await this.persistSafely(() => this.settings.get('fieldSchema', []), 'custom field schema');
+        this.fieldSchema.setFields(fields || []);
+    }
+
+    /**
+     * Load the display locale, exchange rates and reporting currency.
+     * Invalid stored settings are ignored so the app still starts.
+     */
+    async loadDisplaySettings() {
+        const locale = await this.persistSafely(() => this.settings.get('locale', null), 'display locale');
+        const currency = await this.persistSafely(() => this.settings.get('currency', null), 'exchange rates');
+
+        try {
+            if (locale) Helpers.setLocale(locale);
+            PhoneNumber.setDefaultRegion(PhoneNumber.regionFromLocale(Helpers.locale));
+            if (currency) this.currencyConverter.configure(currency);
+        } catch (error) {
+            console.warn('Ignoring invalid display settings:', error.message);
+        }
+    }
+
+    /**
+     * Get the display locale, exchange rates and reporting currency
+     * @returns {Object} { locale, base, rates, reportingCurrency }
+     */
+    getDisplaySettings() {
+        return { locale: Helpers.locale, ...this.currencyConverter.toJSON() };
+    }
+
+    /**
+     * Change the display locale, exchange rates and/or reporting currency
+     * @param {Object} settings - { locale, base, rates, reportingCurrency }; omitted parts are kept
+     * @returns {Promise<Object>} The settings in use
+     * @throws {ValidationError} If the locale, a currency code or a rate is invalid
+     */
+    async saveDisplaySettings(settings = {}) {
+        const locale = settings.locale || Helpers.locale;
+        try {
+            Intl.NumberFormat.supportedLocalesOf(locale);
+        } catch (error) {
+            throw new ValidationError({ locale: `"${locale}" is not a valid locale` });
+        }
+
+        this.currencyConverter.configure({ ...this.currencyConverter.toJSON(), ...settings });
+        Helpers.setLocale(locale);
+        // Numbers typed without a country code are read as local to the display locale
+        PhoneNumber.setDefaultRegion(PhoneNumber.regionFromLocale(Helpers.locale));
+
+        await this.persistSafely(() => this.settings.set('locale', Helpers.locale), 'display locale');
+        await this.persistSafely(() => this.settings.set('currency', this.currencyConverter.toJSON()), 'exchange rates');
+
+        // Salaries are sorted in the reporting currency and formatted in the locale
+        this.employeeCollection.applyFilters();
+        this.employeeCollection.notifyObservers();
+
+        const current = this.getDisplaySettings();
+        this.notifyObservers('display_settings_changed', current);
+        return current;
+    }
+
+    /**
+     * Get the custom field schema
+     * @returns {FieldSchema} Field schema
+     */
+    getFieldSchema() {
+        return this.fieldSchema;
+    }
+
+    /**
+     * Add or replace a custom field definition
+     * @param {Object} definition - Field definition (key, label, type, required, options, pattern, showInTable)
+     * @param {string} originalKey - Key of the definition being edited (null to add)
+     * @returns {Promise<Object>} Saved definition
+     * @throws {ValidationError} If the definition is invalid
+     */
+    async saveFieldDefinition(definition, originalKey = null) {
+        const field = this.fieldSchema.saveField(definition, originalKey);
+        await this.saveFieldSchema();
+        this.notifyObservers('schema_changed', { field, originalKey });
+        return field;
+    }
+
+    /**
+     * Remove a custom field definition (stored values are kept)
+     * @param {string} key - Field key
+     * @returns {Promise<boolean>} True if the field existed
+     */
+    async removeFieldDefinition(key) {
+        const removed = this.fieldSchema.removeField(key);
+        if (removed) {
+            await this.saveFieldSchema();
+            this.notifyObservers('schema_changed', { removedKey: key });
+        }
+        return removed;
+    }
+
+    /**
+     * Persist the custom field schema
+     */
+    async saveFieldSchema() {
+        await this.persistSafely(() => this.settings.set('fieldSchema', this.fieldSchema.toJSON()), 'custom field schema');
+    }
+
+    /**
+     * Run a persistence operation without letting storage failures break the caller
+     * @param {Function} operation - Async persistence operation
+     * @param {string} description - What is being persisted (for logging)
+     * @returns {Promise<*>} Operation result, or undefined on failure
+     */
+    async persistSafely(operation, description) {
+        try {
+            return await operation();
+        } catch (error) {
+            console.error(`Failed to persist ${description}:`, error);
+            this.notifyObservers('persist_error', { description, error });
+            return undefined;
+        }
+    }
+
+    /**
+     * Persist a changed employee. Once the backend has the change it becomes
+     * the base for the next merge; queued changes keep the old base.
+     * @param {Employee} employee - Changed employee
+     * @param {boolean} sent - Whether writeThrough sent the change
+     * @param {string} description - What is being persisted (for logging)
+     */
+    async persistEmployee(employee, sent, description) {
+        await this.persistSafely(
+            () => sent ? this.persistence.markSynced([employee]) : this.persistence.saveEmployee(employee),
+            description
+        );
+    }
+
+    /**
+     * Set the name recorded in the audit log for subsequent changes
+     * @param {string} actor - Actor name
+     */
+    setActor(actor) {
+        const previous = this.actor;
+        this.actor = actor || 'Local user';
+
+        // Table layouts are saved per user
+        if (this.actor !== previous) {
+            this.loadTableLayout();
+        }
+    }
+
+    /**
+     * Record a change in the audit log (failures are reported, not thrown)
+     * @param {string} operation - See AuditService.OPERATIONS
+     * @param {Object|null} before - Employee data before the change
+     * @param {Object|null} after - Employee data after the change
+     * @param {string} actor - Who made the change (defaults to the current actor)
+     * @returns {Promise<Object|null|undefined>} The entry, null if nothing changed
+     */
+    async recordAudit(operation, before, after, actor = this.actor) {
+        const entry = await this.persistSafely(() => this.audit.record(operation, before, after, { actor }), 'audit log entry');
+        if (entry) {
+            this.notifyObservers('audit_recorded', entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Query the audit log
+     * @param {Object} query - See AuditService.query (employeeId, from, to, operation, actor, limit)
+     * @returns {Promise<Array<Object>>} Entries, newest first
+     */
+    async getAuditLog(query = {}) {
+        return this.audit.query(query);
+    }
+
+    /**
+     * Undo the most recent add, update, deactivation or deletion
+     * @returns {Promise<Object|null>} The undone command, or null if there was nothing to undo
+     * @throws {Error} If the inverse change fails (the change stays undoable)
+     */
+    async undo() {
+        if (!this.undoHistory.canUndo()) {
+            Helpers.showToast('Nothing to undo', 'warning');
+            return null;
+        }
+
+        const command = await this.undoHistory.undo();
+        if (command) {
+            Helpers.showToast(`Undone: ${Helpers.escapeHtml(command.label)}`, 'success', UNDO_TOAST_DURATION, {
+                label: 'Redo',
+                onClick: () => this.redo().catch(error => console.error('Redo failed:', error))
+            });
+            this.notifyObservers('undo_complete', { label: command.label });
+        }
+        return command;
+    }
+
+    /**
+     * Redo the most recently undone change
+     * @returns {Promise<Object|null>} The redone command, or null if there was nothing to redo
+     * @throws {Error} If the change fails again (it stays redoable)
+     */
+    async redo() {
+        if (!this.undoHistory.canRedo()) {
+            Helpers.showToast('Nothing to redo', 'warning');
+            return null;
+        }
+
+        const command = await this.undoHistory.redo();
+        if (command) {
+            Helpers.showToast(`Redone: ${Helpers.escapeHtml(command.label)}`, 'success', UNDO_TOAST_DURATION, {
+                label: 'Undo',
+                onClick: () => this.undo().catch(error => console.error('Undo failed:', error))
+            });
+            this.notifyObservers('redo_complete', { label: command.label });
+        }
+        return command;
+    }
+
+    /**
+     * Show the success toast of a change with an Undo button. Changes made
+     * by undo/redo themselves are announced by undo() and redo() instead,
+     * and those made by a bulk action by its summary.
+     * @param {string} message - Toast message
+     */
+    showUndoableToast(message) {
+        if (this.undoHistory.isApplying || this.isBulkChanging) return;
+
+        Helpers.showToast(message, 'success', UNDO_TOAST_DURATION, {
+            label: 'Undo',
+            onClick: () => this.undo().catch(error => console.error('Undo failed:', error))
+        });
+    }
+
+    /**
+     * Strip the bookkeeping fields from a snapshot so it can be written back as an update
+     * @param {Object} snapshot - Plain employee data (see Employee.toObject)
+     * @returns {Object} Employee data without version and updatedAt
+     */
+    static toEditableData(snapshot) {
+        const { version, updatedAt, ...data } = snapshot;
+        return data;
+    }
+
+    /**
+     * Build the full record sent for an update, so backends that replace on
+     * PUT keep the fields the change does not touch
+     * @param {Object} snapshot - Current employee data (see Employee.toObject)
+     * @param {Object} changes - Changed fields
+     * @returns {Object} Employee data with the changes applied
+     */
+    static toUpdatePayload(snapshot, changes) {
+        return {
+            ...DataService.toEditableData(snapshot),
+            ...changes,
+            customFields: { ...snapshot.customFields, ...changes.customFields }
+        };
+    }
+
+    /**
+     * Load queued offline changes and start watching connectivity
+     */
+    async initializeOutbox() {
+        this.outbox.addObserver(() => {
+            this.notifyObservers('outbox_changed', this.getOutboxStatus());
+            this.updateOutboxMonitor();
+        });
+
+        await this.persistSafely(() => this.outbox.load(), 'offline changes');
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', this.handleOnline);
+        }
+    }
+
+    /**
+     * Get a summary of unsynced changes
+     * @returns {Object} Pending/failed counts and IDs of affected employees
+     */
+    getOutboxStatus() {
+        return {
+            ...this.outbox.getStats(),
+            unsyncedIds: this.outbox.getUnsyncedEmployeeIds()
+        };
+    }
+
+    /**
+     * Probe the backend periodically while changes are waiting
+     */
+    updateOutboxMonitor() {
+        const hasPending = this.outbox.getPendingCount() > 0;
+
+        if (hasPending && !this.outboxTimer) {
+            this.outboxTimer = setInterval(async () => {
+                if (await this.api.healthCheck()) {
+                    await this.replayOutbox();
+                }
+            }, this.outboxRetryInterval);
+        } else if (!hasPending && this.outboxTimer) {
+            clearInterval(this.outboxTimer);
+            this.outboxTimer = null;
+        }
+    }
+
+    /**
+     * Send queued changes to the backend, oldest first
+     * @returns {Promise<Object|null>} Replay result, or null if nothing was sent
+     */
+    async replayOutbox() {
+        if (this.isReplaying || this.outbox.getPendingCount() === 0) return null;
+
+        this.isReplaying = true;
+        this.notifyObservers('outbox_replay_start', this.outbox.getStats());
+
+        try {
+            const queuedIds = this.outbox.getUnsyncedEmployeeIds();
+            const result = await this.outbox.replay(entry => this.sendToApi(entry.operation, entry.employeeId, entry.payload));
+            await this.markReplayedSynced(queuedIds);
+            this.notifyObservers('outbox_replay_complete', result);
+
+            if (result.synced > 0) {
+                Helpers.showToast(`Synced ${result.synced} offline change${result.synced === 1 ? '' : 's'}`, 'success');
+            }
+            if (result.failed > 0) {
+                Helpers.showToast(`${result.failed} offline change${result.failed === 1 ? ' was' : 's were'} rejected by the server`, 'error');
+            }
+            return result;
+        } catch (error) {
+            console.error('Outbox replay failed:', error);
+            return null;
+        } finally {
+            this.isReplaying = false;
+        }
+    }
+
+    /**
+     * Make employees whose queued changes have all been sent the new merge base
+     * @param {Set} queuedIds - IDs of employees that had changes queued before the replay
+     */
+    async markReplayedSynced(queuedIds) {
+        const unsynced = new Set([
+            ...this.outbox.getUnsyncedEmployeeIds(),
+            ...this.outbox.getFailedEntries().map(entry => entry.employeeId)
+        ]);
+        const synced = [...queuedIds]
+            .filter(id => !unsynced.has(id))
+            .map(id => this.employeeCollection.findById(id) || this.employeeCollection.findDeletedById(id))
+            .filter(Boolean);
+        if (synced.length > 0) {
+            await this.persistSafely(() => this.persistence.markSynced(synced), 'synced employees');
+        }
+    }
+
+    /**
+     * Retry every unsynced change now, including ones that failed before
+     * @returns {Promise<Object|null>} Replay result
+     */
+    async syncNow() {
+        await this.persistSafely(() => this.outbox.retryFailed(), 'offline changes');
+        return await this.replayOutbox();
+    }
+
+    /**
+     * Perform a single write against the API
+     * @param {string} operation - create, update or delete
+     * @param {string} employeeId - Employee ID
+     * @param {Object} payload - Employee data
+     * @returns {Promise<*>} API result
+     */
+    async sendToApi(operation, employeeId, payload) {
+        switch (operation) {
+            case 'create':
+                return await this.api.createEmployee({ ...payload, id: employeeId });
+            case 'update':
+                return await this.api.updateEmployee(employeeId, payload);
+            case 'delete':
+                return await this.api.deleteEmployee(employeeId);
+            default:
+                throw new Error(`Unknown outbox operation: ${operation}`);
+        }
+    }
+
+    /**
+     * Write a change to the backend, queueing it when the backend is unreachable.
+     * Changes to an employee that already has queued changes are queued too,
+     * so they never overtake each other.
+     * @param {string} operation - create, update or delete
+     * @param {string} employeeId - Employee ID
+     * @param {Object} payload - Employee data
+     * @returns {Promise<boolean>} True if the backend accepted the change now
+     * @throws {ValidationError|ConflictError} If the backend rejected the data
+     */
+    async writeThrough(operation, employeeId, payload = null) {
+        if (this.outbox.hasPending(employeeId)) {
+            await this.persistSafely(() => this.outbox.enqueue(operation, employeeId, payload), 'offline change');
+            return false;
+        }
+
+        try {
+            await this.sendToApi(operation, employeeId, payload);
+            return true;
+        } catch (apiError) {
+            if (apiError instanceof ValidationError || apiError instanceof ConflictError) {
+                throw apiError;
+            }
+
+            if (OutboxService.isRetryable(apiError)) {
+                console.warn(`API ${operation} failed, queued for later sync:`, apiError.message);
+                await this.persistSafely(() => this.outbox.enqueue(operation, employeeId, payload, apiError), 'offline change');
+            } else {
+                console.warn(`API ${operation} failed, continuing with local ${operation}:`, apiError.message);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Check whether filtering, sorting and paging are done by the backend
+     * @returns {boolean} True in remote pagination mode
+     */
+    isRemoteMode() {
+        return this.employeeCollection.isRemote();
+    }
+
+    /**
+     * Build the backend query for the collection's current view
+     * @returns {Object} search, departments, sortField, sortDirection, page, pageSize
+     */
+    getQuery() {
+        const collection = this.employeeCollection;
+        return {
+            search: collection.searchTerm,
+            departments: [...collection.departmentFilters].sort(),
+            sortField: collection.sortField,
+            sortDirection: collection.sortDirection,
+            page: collection.currentPage,
+            pageSize: collection.pageSize
+        };
+    }
+
+    /**
+     * Drop all cached pages (after a change that may move employees between pages)
+     */
+    invalidatePages() {
+        this.pageCache.clear();
+    }
+
+    /**
+     * Fetch a page from the backend, sharing identical in-flight requests.
+     * A different query cancels the one in flight.
+     * @param {Object} query - Backend query
+     * @returns {Promise<Object>} { items, total }
+     */
+    queryPage(query) {
+        const key = JSON.stringify(query);
+        if (this.pendingQueries.has(key)) {
+            return this.pendingQueries.get(key);
+        }
+
+        const promise = this.api.queryEmployees(query, { cancelKey: 'employees:query' })
+            .then(result => {
+                this.pageCache.set(key, { result, timestamp: Date.now() });
+                return result;
+            })
+            .finally(() => this.pendingQueries.delete(key));
+
+        this.pendingQueries.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Load the current page in remote mode. Only the latest request updates
+     * the collection, so fast typing or paging never shows an older page.
+     * @param {Object} options - Fetch options
+     * @param {boolean} options.force - Bypass the page cache
+     * @returns {Promise} Fetch promise
+     */
+    async fetchPage(options = {}) {
+        const requestId = ++this.queryRequestCount;
+        const isStale = () => requestId !== this.queryRequestCount;
+        const query = this.getQuery();
+        const key = JSON.stringify(query);
+
+        if (options.force) {
+            this.invalidatePages();
+        }
+
+        const cached = this.pageCache.get(key);
+        if (cached && Date.now() - cached.timestamp < this.pageCacheTtl) {
+            // A request still in flight is now stale and would leave loading on
+            this.api.cancel('employees:query');
+            this.setLoading(false);
+            this.applyPage(query, cached.result);
+            return;
+        }
+
+        try {
+            this.setLoading(true);
+            this.notifyObservers('page_load_start', query);
+
+            const result = await this.queryPage(query);
+            if (isStale()) return;
+
+            this.applyPage(query, result);
+            this.lastSync = new Date();
+        } catch (error) {
+            if (EmployeeAPI.isAbortError(error)) {
+                console.log('Superseded page request cancelled');
+                return;
+            }
+            if (isStale()) return;
+            console.error('Failed to load page:', error);
+            this.notifyObservers('load_error', error);
+            Helpers.showToast('Failed to load employees.', 'error');
+            throw error;
+        } finally {
+            if (!isStale()) {
+                this.setLoading(false);
+            }
+        }
+    }
+
+    /**
+     * Show a fetched page in the collection
+     * @param {Object} query - Query the page was fetched for
+     * @param {Object} result - { items, total }
+     */
+    applyPage(query, result) {
+        this.employeeCollection.setRemotePage(result.items, result.total);
+        this.notifyObservers('page_load_complete', { query, total: result.total });
+
+        // The page may no longer exist (e.g. after deleting the last row on it)
+        const totalPages = Math.max(1, this.employeeCollection.getTotalPages());
+        if (query.page > totalPages) {
+            this.employeeCollection.currentPage = totalPages;
+            this.fetchPageIfRemote();
+        }
+    }
+
+    /**
+     * Reload the current view after a change in remote mode
+     * @returns {Promise} Fetch promise
+     */
+    async refreshPage() {
+        try {
+            await this.fetchPage({ force: true });
+        } catch (error) {
+            // Already reported; the change itself succeeded
+        }
+    }
+
+    /**
+     * Load employees from API. Starting a new load cancels one still in flight.
+     * Local changes are three-way merged with the fetched data; fields changed
+     * on both sides are reported through a 'sync_conflict' event.
      * @param {boolean} forceRefresh - Force refresh from API
+     * @param {Object} options - Load options
+     * @param {boolean} options.silent - Skip the success toast (used by auto-sync)
      * @returns {Promise} Load promise
      */
-    async loadEmployees(forceRefresh = false) {
+    async loadEmployees(forceRefresh = false, options = {}) {
+        if (this.isRemoteMode()) {
+            return await this.fetchPage({ force: forceRefresh });
+        }
+
+        const requestId = ++this.loadRequestCount;
+        const isStale = () => requestId !== this.loadRequestCount;
+
         try {
             this.setLoading(true);
             this.notifyObservers('load_start');
 
-            let employees;
-            
             if (forceRefresh) {
                 this.api.clearCache();
             }
 
-            employees = await this.api.fetchEmployees();
+            const remoteEmployees = await this.api.fetchEmployees({ cancelKey: 'employees:list' });
+            if (isStale()) return;
+
+            // Merge local changes with what the backend returned
+            const { employees, conflicts } = await this.persistSafely(
+                () => this.persistence.mergeRemote(remoteEmployees),
+                'fetched employees'
+            ) || { employees: remoteEmployees, conflicts: [] };
+            if (isStale()) return;
             
             // Load into collection
             this.employeeCollection.loadEmployees(employees);
@@ -109,22 +796,104 @@ export class DataService {
                 employeeCount: employees.length
             });
 
-            Helpers.showToast(`Loaded ${employees.length} employees successfully`, 'success');
+            this.conflicts = new Map(conflicts.map(conflict => [conflict.employeeId, conflict]));
+            if (conflicts.length > 0) {
+                this.notifyObservers('sync_conflict', { conflicts });
+            }
+
+            if (!options.silent) {
+                Helpers.showToast(`Loaded ${employees.length} employees successfully`, 'success');
+            }
             
         } catch (error) {
+            if (EmployeeAPI.isAbortError(error)) {
+                console.log('Superseded employee load cancelled');
+                return;
+            }
             console.error('Failed to load employees:', error);
             this.notifyObservers('load_error', error);
             Helpers.showToast('Failed to load employees. Using cached data.', 'warning');
             throw error;
         } finally {
-            this.setLoading(false);
+            if (!isStale()) {
+                this.setLoading(false);
+            }
         }
     }
 
+    /**
+     * Pull the latest data from the backend without discarding local edits
+     * @returns {Promise} Sync promise
+     */
+    async syncEmployees() {
+        return await this.loadEmployees(true, { silent: true });
+    }
+
+    /**
+     * Get unresolved sync conflicts
+     * @returns {Array} Conflicts, one entry per employee
+     */
+    getConflicts() {
+        return Array.from(this.conflicts.values());
+    }
+
+    /**
+     * Resolve a sync conflict by choosing, per field, the local or the remote value
+     * @param {string} employeeId - Employee ID
+     * @param {Object} choices - Map of field name to 'local' or 'remote' (defaults to local)
+     * @returns {Promise<Employee>} Resolved employee
+     * @throws {NotFoundError} If there is no conflict or employee with this ID
+     * @throws {ValidationError|ConflictError} If the chosen values are invalid or rejected;
+     *   the conflict stays open
+     */
+    async resolveConflict(employeeId, choices = {}) {
+        const conflict = this.conflicts.get(employeeId);
+        if (!conflict) {
+            throw new NotFoundError('No pending conflict for this employee', { resourceId: employeeId });
+        }
+
+        const employee = this.employeeCollection.findById(employeeId);
+        if (!employee) {
+            throw new NotFoundError('Employee not found', { resourceId: employeeId });
+        }
+
+        const before = employee.toObject();
+        const resolved = {};
+        conflict.conflicts.forEach(({ field, local, remote }) => {
+            resolved[field] = choices[field] === 'remote' ? remote : local;
+        });
+
+        // Validate the employee as it will be after the resolution
+        const tempEmployee = new Employee({ ...before, ...resolved, id: employeeId });
+        const validation = tempEmployee.validate({ previous: employee });
+        if (!validation.isValid) {
+            throw ValidationError.fromValidation(validation);
+        }
+        this.employeeCollection.assertEmailAvailable(tempEmployee.email, employeeId);
+        this.employeeCollection.assertValidManager(employeeId, tempEmployee.managerId);
+
+        const sent = await this.writeThrough('update', employeeId, tempEmployee.toObject());
+
+        this.employeeCollection.updateEmployee(employeeId, resolved);
+        this.conflicts.delete(employeeId);
+
+        await this.persistSafely(
+            () => sent ? this.persistence.markSynced([employee]) : this.persistence.saveResolution(employee, conflict.remote),
+            'conflict resolution'
+        );
+        await this.recordAudit('update', before, employee.toObject());
+
+        this.notifyObservers('conflict_resolved', { employeeId, employee, choices });
+        Helpers.showToast(`Resolved changes for ${employee.name}`, 'success');
+
+        return employee;
+    }
+
     /**
      * Add new employee
      * @param {Object} employeeData - Employee data
      * @returns {Promise<Employee>} Created employee
+     * @throws {ValidationError|ConflictError} If the data is invalid or the email is taken
      */
     async addEmployee(employeeData) {
         try {
@@ -135,29 +904,283 @@ export class DataService {
             const employee = new Employee(employeeData);
             const validation = employee.validate();
             
-            if (!validation.isValid) {
-                throw new Error(validation.errors.join(', '));
+            if (!validation.isValid) {
+                throw ValidationError.fromValidation(validation);
+            }
+            this.employeeCollection.assertEmailAvailable(employee.email);
+            this.employeeCollection.assertValidManager(employee.id, employee.managerId);
+
+            // Create via the backend adapter (queued if offline)
+            const sent = await this.writeThrough('create', employee.id, employee.toObject());
+
+            // Add to collection
+            const addedEmployee = this.employeeCollection.addEmployee(employee);
+            await this.persistEmployee(addedEmployee, sent, 'new employee');
+            await this.recordAudit('add', null, addedEmployee.toObject());
+
+            const snapshot = addedEmployee.toObject();
+            this.undoHistory.push({
+                label: `Add ${snapshot.name}`,
+                undo: () => this.removeAddedEmployee(snapshot.id),
+                redo: () => this.addEmployee(snapshot)
+            });
+            if (this.isRemoteMode()) {
+                await this.refreshPage();
+            }
+            
+            this.notifyObservers('add_complete', addedEmployee);
+            this.showUndoableToast(`Employee ${addedEmployee.name} added successfully`);
+            
+            return addedEmployee;
+            
+        } catch (error) {
+            console.error('Failed to add employee:', error);
+            this.notifyObservers('add_error', error);
+            Helpers.showToast(`Failed to add employee: ${error.message}`, 'error');
+            throw error;
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    /**
+     * Take back an add (used to undo it). Unlike a purge this can be redone,
+     * which adds the employee again under the same ID.
+     * @param {string} id - Employee ID
+     * @returns {Promise<boolean>} Success status
+     * @throws {NotFoundError} If the employee does not exist
+     */
+    async removeAddedEmployee(id) {
+        try {
+            this.setLoading(true);
+
+            const employee = this.employeeCollection.findById(id);
+            if (!employee) {
+                throw new NotFoundError('Employee not found', { resourceId: id });
+            }
+
+            // Delete via the backend adapter (queued if offline)
+            await this.writeThrough('delete', id);
+
+            this.employeeCollection.removeEmployee(id);
+            await this.persistSafely(() => this.persistence.markDeleted(id), 'employee removal');
+            await this.recordAudit('remove', employee.toObject(), null);
+            if (this.isRemoteMode() && !this.isBulkChanging) {
+                await this.refreshPage();
+            }
+
+            this.notifyObservers('remove_complete', { id, employee });
+            return true;
+
+        } catch (error) {
+            console.error('Failed to remove employee:', error);
+            this.notifyObservers('remove_error', error);
+            if (!this.isBulkChanging) {
+                Helpers.showToast(`Failed to remove employee: ${error.message}`, 'error');
+            }
+            throw error;
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    /**
+     * Update existing employee
+     * @param {string} id - Employee ID
+     * @param {Object} employeeData - Updated employee data
+     * @returns {Promise<Employee>} Updated employee
+     * @throws {ValidationError|ConflictError|NotFoundError} If the update cannot be applied
+     */
+    async updateEmployee(id, employeeData) {
+        try {
+            this.setLoading(true);
+            this.notifyObservers('update_start', { id, data: employeeData });
+
+            const existing = this.employeeCollection.findById(id);
+            if (!existing) {
+                throw new NotFoundError('Employee not found', { resourceId: id });
+            }
+            const before = existing.toObject();
+
+            // Record salary edits in the compensation history and store phone numbers in E.164
+            employeeData = Employee.normalizePhoneFields(existing.withCompensationRules(employeeData));
+
+            // Validate the employee as it will be after the update
+            const payload = DataService.toUpdatePayload(before, employeeData);
+            const tempEmployee = new Employee({ ...payload, id });
+            const validation = tempEmployee.validate({ previous: existing });
+            
+            if (!validation.isValid) {
+                throw ValidationError.fromValidation(validation);
+            }
+            this.employeeCollection.assertEmailAvailable(employeeData.email, id);
+            this.employeeCollection.assertValidManager(id, tempEmployee.managerId);
+
+            // Update via the backend adapter (queued if offline)
+            const sent = await this.writeThrough('update', id, payload);
+
+            // Update in collection
+            const updatedEmployee = this.employeeCollection.updateEmployee(id, employeeData);
+            
+            if (!updatedEmployee) {
+                throw new NotFoundError('Employee not found', { resourceId: id });
+            }
+
+            await this.persistEmployee(updatedEmployee, sent, 'employee update');
+            const deactivated = before.status !== 'terminated' && updatedEmployee.status === 'terminated';
+            const after = updatedEmployee.toObject();
+            await this.recordAudit(deactivated ? 'deactivate' : 'update', before, after);
+
+            if (after.version !== before.version) {
+                this.undoHistory.push({
+                    label: `${deactivated ? 'Deactivate' : 'Edit'} ${after.name}`,
+                    undo: () => this.updateEmployee(id, DataService.toEditableData(before)),
+                    redo: () => this.updateEmployee(id, DataService.toEditableData(after))
+                });
+            }
+            if (this.isRemoteMode() && !this.isBulkChanging) {
+                await this.refreshPage();
+            }
+            
+            this.notifyObservers('update_complete', updatedEmployee);
+            this.showUndoableToast(`Employee ${updatedEmployee.name} updated successfully`);
+            
+            return updatedEmployee;
+            
+        } catch (error) {
+            console.error('Failed to update employee:', error);
+            this.notifyObservers('update_error', error);
+            if (!this.isBulkChanging) {
+                Helpers.showToast(`Failed to update employee: ${error.message}`, 'error');
+            }
+            throw error;
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    /**
+     * Move an employee under a new manager
+     * @param {string} employeeId - Employee ID
+     * @param {string|null} managerId - New manager ID (null for no manager)
+     * @returns {Promise<Employee>} Updated employee
+     * @throws {ValidationError|NotFoundError} If the move would create a reporting loop or the employee is unknown
+     */
+    async reassignManager(employeeId, managerId) {
+        return this.updateEmployee(employeeId, { managerId: managerId || null });
+    }
+
+    /**
+     * Change some fields of an employee, such as a cell edited in the table
+     * @param {string} employeeId - Employee ID
+     * @param {Object} changes - Changed fields
+     * @returns {Promise<Employee>} Updated employee
+     * @throws {ValidationError|ConflictError|NotFoundError} If the update cannot be applied
+     */
+    async updateEmployeeFields(employeeId, changes) {
+        return this.updateEmployee(employeeId, changes);
+    }
+
+    /**
+     * Record a salary change in an employee's compensation history
+     * @param {string} employeeId - Employee ID
+     * @param {Object} change - { amount, effectiveDate, currency, reason, note }
+     * @returns {Promise<Employee>} Updated employee
+     * @throws {ValidationError|NotFoundError} If the change is invalid or the employee is unknown
+     */
+    async recordCompensationChange(employeeId, change) {
+        const employee = this.employeeCollection.findById(employeeId);
+        if (!employee) {
+            throw new NotFoundError('Employee not found', { resourceId: employeeId });
+        }
+
+        const compensationHistory = employee.withCompensationChange(change);
+        return this.updateEmployee(employeeId, { ...employee.toObject(), compensationHistory });
+    }
+
+    /**
+     * Deactivate an employee (status terminated, last day today)
+     * @param {string} employeeId - Employee ID
+     * @returns {Promise<Employee>} Updated employee
+     * @throws {NotFoundError} If the employee is unknown
+     */
+    async deactivateEmployee(employeeId) {
+        const employee = this.employeeCollection.findById(employeeId);
+        if (!employee) {
+            throw new NotFoundError('Employee not found', { resourceId: employeeId });
+        }
+
+        return this.updateEmployee(employeeId, {
+            ...employee.toObject(),
+            status: 'terminated',
+            terminationDate: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Get the reporting tree of the loaded employees
+     * @param {Object} options - See EmployeeCollection.buildOrgTree
+     * @returns {Object} Org tree
+     */
+    getOrgTree(options = {}) {
+        return this.employeeCollection.buildOrgTree(options);
+    }
+
+    /**
+     * Delete an employee. By default the employee is moved to the trash,
+     * from where they can be restored until purged.
+     * @param {string} id - Employee ID
+     * @param {Object} options - Delete options
+     * @param {boolean} options.permanent - Purge right away instead (see purgeEmployee)
+     * @returns {Promise<boolean>} Success status
+     * @throws {NotFoundError} If the employee does not exist
+     */
+    async deleteEmployee(id, options = {}) {
+        if (options.permanent) {
+            return this.purgeEmployee(id);
+        }
+
+        try {
+            this.setLoading(true);
+            
+            const employee = this.employeeCollection.findById(id);
+            if (!employee) {
+                throw new NotFoundError('Employee not found', { resourceId: id });
             }
 
-            // Try to create via API (simulated)
-            try {
-                await this.api.createEmployee(employee.toObject());
-            } catch (apiError) {
-                console.warn('API create failed, continuing with local add:', apiError.message);
-            }
+            this.notifyObservers('delete_start', { id, employee });
 
-            // Add to collection
-            const addedEmployee = this.employeeCollection.addEmployee(employee);
+            const before = employee.toObject();
+            const deletion = { deletedAt: new Date().toISOString(), deletedBy: this.actor };
+
+            // The backend keeps the record, flagged as deleted (queued if offline)
+            const sent = await this.writeThrough('update', id, DataService.toEditableData({ ...before, ...deletion }));
+
+            // Move to the trash
+            this.employeeCollection.softDeleteEmployee(id, deletion);
+
+            await this.persistEmployee(employee, sent, 'employee deletion');
+            await this.recordAudit('delete', before, employee.toObject());
+            this.undoHistory.push({
+                label: `Delete ${employee.name}`,
+                undo: () => this.restoreEmployee(id),
+                redo: () => this.deleteEmployee(id)
+            });
+            if (this.isRemoteMode() && !this.isBulkChanging) {
+                await this.refreshPage();
+            }
             
-            this.notifyObservers('add_complete', addedEmployee);
-            Helpers.showToast(`Employee ${addedEmployee.name} added successfully`, 'success');
+            this.notifyObservers('delete_complete', { id, employee });
+            this.showUndoableToast(`Employee ${employee.name} moved to the trash`);
             
-            return addedEmployee;
+            return true;
             
         } catch (error) {
-            console.error('Failed to add employee:', error);
-            this.notifyObservers('add_error', error);
-            Helpers.showToast(`Failed to add employee: ${error.message}`, 'error');
+            console.error('Failed to delete employee:', error);
+            this.notifyObservers('delete_error', error);
+            if (!this.isBulkChanging) {
+                Helpers.showToast(`Failed to delete employee: ${error.message}`, 'error');
+            }
             throw error;
         } finally {
             this.setLoading(false);
@@ -165,47 +1188,48 @@ export class DataService {
     }
 
     /**
-     * Update existing employee
+     * Restore an employee from the trash
      * @param {string} id - Employee ID
-     * @param {Object} employeeData - Updated employee data
-     * @returns {Promise<Employee>} Updated employee
+     * @returns {Promise<Employee>} Restored employee
+     * @throws {NotFoundError|ConflictError} If the employee is not in the trash or their email is taken
      */
-    async updateEmployee(id, employeeData) {
+    async restoreEmployee(id) {
         try {
             this.setLoading(true);
-            this.notifyObservers('update_start', { id, data: employeeData });
 
-            // Validate data
-            const tempEmployee = new Employee({ ...employeeData, id });
-            const validation = tempEmployee.validate();
-            
-            if (!validation.isValid) {
-                throw new Error(validation.errors.join(', '));
+            const employee = this.employeeCollection.findDeletedById(id);
+            if (!employee) {
+                throw new NotFoundError('Employee is not in the trash', { resourceId: id });
             }
+            this.employeeCollection.assertEmailAvailable(employee.email, id);
 
-            // Try to update via API (simulated)
-            try {
-                await this.api.updateEmployee(id, employeeData);
-            } catch (apiError) {
-                console.warn('API update failed, continuing with local update:', apiError.message);
-            }
+            const before = employee.toObject();
+            const sent = await this.writeThrough('update', id, DataService.toEditableData({ ...before, deletedAt: null, deletedBy: null }));
 
-            // Update in collection
-            const updatedEmployee = this.employeeCollection.updateEmployee(id, employeeData);
-            
-            if (!updatedEmployee) {
-                throw new Error('Employee not found');
+            this.employeeCollection.restoreEmployee(id);
+
+            await this.persistEmployee(employee, sent, 'employee restore');
+            await this.recordAudit('restore', before, employee.toObject());
+            this.undoHistory.push({
+                label: `Restore ${employee.name}`,
+                undo: () => this.deleteEmployee(id),
+                redo: () => this.restoreEmployee(id)
+            });
+            if (this.isRemoteMode() && !this.isBulkChanging) {
+                await this.refreshPage();
             }
-            
-            this.notifyObservers('update_complete', updatedEmployee);
-            Helpers.showToast(`Employee ${updatedEmployee.name} updated successfully`, 'success');
-            
-            return updatedEmployee;
-            
+
+            this.notifyObservers('restore_complete', { id, employee });
+            this.showUndoableToast(`Employee ${employee.name} restored`);
+
+            return employee;
+
         } catch (error) {
-            console.error('Failed to update employee:', error);
-            this.notifyObservers('update_error', error);
-            Helpers.showToast(`Failed to update employee: ${error.message}`, 'error');
+            console.error('Failed to restore employee:', error);
+            this.notifyObservers('restore_error', error);
+            if (!this.isBulkChanging) {
+                Helpers.showToast(`Failed to restore employee: ${error.message}`, 'error');
+            }
             throw error;
         } finally {
             this.setLoading(false);
@@ -213,50 +1237,395 @@ export class DataService {
     }
 
     /**
-     * Delete employee
+     * Delete an employee permanently, whether in the trash or not.
+     * Purges cannot be undone.
      * @param {string} id - Employee ID
+     * @param {Object} options - Purge options
+     * @param {boolean} options.silent - Skip the success toast (used by the retention policy)
+     * @param {string} options.actor - Actor recorded in the audit log (defaults to the current actor)
      * @returns {Promise<boolean>} Success status
+     * @throws {NotFoundError} If the employee does not exist
      */
-    async deleteEmployee(id) {
+    async purgeEmployee(id, options = {}) {
         try {
             this.setLoading(true);
-            
-            const employee = this.employeeCollection.findById(id);
+
+            const employee = this.employeeCollection.findDeletedById(id) || this.employeeCollection.findById(id);
             if (!employee) {
-                throw new Error('Employee not found');
+                throw new NotFoundError('Employee not found', { resourceId: id });
             }
 
-            this.notifyObservers('delete_start', { id, employee });
+            this.notifyObservers('purge_start', { id, employee });
 
-            // Try to delete via API (simulated)
-            try {
-                await this.api.deleteEmployee(id);
-            } catch (apiError) {
-                console.warn('API delete failed, continuing with local delete:', apiError.message);
-            }
+            // Delete via the backend adapter (queued if offline)
+            await this.writeThrough('delete', id);
 
-            // Remove from collection
-            const success = this.employeeCollection.removeEmployee(id);
-            
+            const success = employee.isDeleted
+                ? this.employeeCollection.purgeEmployee(id)
+                : this.employeeCollection.removeEmployee(id);
             if (!success) {
-                throw new Error('Failed to remove employee from collection');
+                throw new NotFoundError('Failed to remove employee from collection', { resourceId: id });
             }
-            
-            this.notifyObservers('delete_complete', { id, employee });
-            Helpers.showToast(`Employee ${employee.name} deleted successfully`, 'success');
-            
+
+            await this.persistSafely(() => this.persistence.markDeleted(id), 'employee purge');
+            await this.recordAudit('purge', employee.toObject(), null, options.actor);
+            if (this.isRemoteMode()) {
+                await this.refreshPage();
+            }
+
+            this.notifyObservers('purge_complete', { id, employee });
+            if (!options.silent) {
+                Helpers.showToast(`Employee ${employee.name} permanently deleted`, 'success');
+            }
+
             return true;
-            
+
         } catch (error) {
-            console.error('Failed to delete employee:', error);
-            this.notifyObservers('delete_error', error);
-            Helpers.showToast(`Failed to delete employee: ${error.message}`, 'error');
+            console.error('Failed to purge employee:', error);
+            this.notifyObservers('purge_error', error);
+            Helpers.showToast(`Failed to delete employee permanently: ${error.message}`, 'error');
             throw error;
         } finally {
             this.setLoading(false);
         }
     }
 
+    /**
+     * Get the employees in the trash, most recently deleted first.
+     * In remote pagination mode only employees deleted in this session are known.
+     * @returns {Array<Employee>} Deleted employees
+     */
+    getDeletedEmployees() {
+        return this.employeeCollection.getDeletedEmployees();
+    }
+
+    /**
+     * Load the trash retention policy
+     */
+    async loadTrashRetention() {
+        const days = await this.persistSafely(() => this.settings.get('trashRetentionDays', null), 'trash retention');
+        this.trashRetentionDays = Number.isInteger(days) && days > 0 ? days : null;
+    }
+
+    /**
+     * Get the trash retention policy
+     * @returns {number|null} Days deleted employees are kept, or null to keep them until purged
+     */
+    getTrashRetention() {
+        return this.trashRetentionDays;
+    }
+
+    /**
+     * Load the current user's table column layout
+     * @returns {Promise<Object|null>} The layout, or null for the default columns
+     */
+    async loadTableLayout() {
+        const layout = await this.persistSafely(() => this.settings.get(this.getTableLayoutKey(), null), 'table layout');
+        this.tableLayout = layout && typeof layout === 'object' ? layout : null;
+        this.notifyObservers('table_layout_loaded', { layout: this.tableLayout });
+        return this.tableLayout;
+    }
+
+    /**
+     * Get the current user's table column layout
+     * @returns {Object|null} { order, visibility, widths, pinned }, or null for the default columns
+     */
+    getTableLayout() {
+        return this.tableLayout;
+    }
+
+    /**
+     * Save the current user's table column layout
+     * @param {Object} layout - { order, visibility, widths, pinned } (see TableComponent)
+     */
+    async saveTableLayout(layout) {
+        this.tableLayout = layout;
+        await this.persistSafely(() => this.settings.set(this.getTableLayoutKey(), layout), 'table layout');
+    }
+
+    /**
+     * Get the settings key holding the current user's table layout
+     * @returns {string} Settings key
+     */
+    getTableLayoutKey() {
+        return `tableLayout:${this.actor}`;
+    }
+
+    /**
+     * Change the trash retention policy and purge what has expired under it
+     * @param {number|null} days - Days deleted employees are kept (null or 0 to keep them until purged)
+     * @returns {Promise<number|null>} The policy in use
+     * @throws {ValidationError} If days is not a whole number between 1 and 3650
+     */
+    async setTrashRetention(days) {
+        const value = days === null || days === '' || Number(days) === 0 ? null : Number(days);
+        if (value !== null && !(Number.isInteger(value) && value >= 1 && value <= MAX_RETENTION_DAYS)) {
+            throw new ValidationError({ retentionDays: `Retention must be a whole number of days between 1 and ${MAX_RETENTION_DAYS}` });
+        }
+
+        this.trashRetentionDays = value;
+        await this.persistSafely(() => this.settings.set('trashRetentionDays', value), 'trash retention');
+        this.notifyObservers('trash_retention_changed', { days: value });
+
+        await this.purgeExpiredEmployees();
+        return value;
+    }
+
+    /**
+     * Purge employees that have been in the trash longer than the retention policy allows
+     * @returns {Promise<number>} Number of purged employees
+     */
+    async purgeExpiredEmployees() {
+        if (!this.trashRetentionDays) return 0;
+
+        const expired = this.employeeCollection.getExpiredDeletedEmployees(this.trashRetentionDays);
+        let purged = 0;
+        for (const employee of expired) {
+            try {
+                await this.purgeEmployee(employee.id, { silent: true, actor: 'Retention policy' });
+                purged++;
+            } catch (error) {
+                // Already reported; try the rest
+            }
+        }
+
+        if (purged > 0) {
+            Helpers.showToast(
+                `Permanently deleted ${purged} employee${purged === 1 ? '' : 's'} that had been in the trash for over ${this.trashRetentionDays} days`,
+                'success'
+            );
+        }
+        return purged;
+    }
+
+    /**
+     * Get the IDs of every employee matching the current search and filters,
+     * on all pages. In remote pagination mode they are fetched from the
+     * backend and kept for the bulk actions that follow.
+     * @returns {Promise<Array<string>>} Employee IDs, in the current sort order
+     * @throws {AppError} If more than 1000 employees match in remote mode
+     */
+    async getMatchingEmployeeIds() {
+        if (!this.isRemoteMode()) {
+            return this.employeeCollection.getFilteredEmployees().map(employee => employee.id);
+        }
+
+        const result = await this.api.queryEmployees({ ...this.getQuery(), page: 1, pageSize: MAX_BULK_SELECTION });
+        if (result.total > MAX_BULK_SELECTION) {
+            throw new AppError(`${result.total} employees match; narrow the search to at most ${MAX_BULK_SELECTION} to select them all`, {
+                code: 'SELECTION_TOO_LARGE'
+            });
+        }
+
+        this.selectionRecords = new Map(result.items
+            .map(data => data instanceof Employee ? data : new Employee(data))
+            .map(employee => [employee.id, employee]));
+        return [...this.selectionRecords.keys()];
+    }
+
+    /**
+     * Find a selected employee, including ones from other pages picked by getMatchingEmployeeIds
+     * @param {string} id - Employee ID
+     * @returns {Employee|null} Employee
+     */
+    findSelectedEmployee(id) {
+        return this.employeeCollection.findById(id) || this.selectionRecords.get(id) || null;
+    }
+
+    /**
+     * Apply a change to each selected employee as one bulk action: one undo
+     * step and one summary toast. An employee that cannot be changed is
+     * reported and skipped; the others keep their change.
+     * @param {Array<string>} ids - Employee IDs
+     * @param {Object} action - Description of the action
+     * @param {string} action.name - Name reported in bulk events, e.g. 'delete'
+     * @param {Function} action.label - (countText) => undo label, e.g. 'Delete 3 employees'
+     * @param {Function} action.describe - (countText) => summary, e.g. 'Moved 3 employees to the trash'
+     * @param {Function} change - async (employee) => result, or null when the employee needs no change
+     * @returns {Promise<Object>} { changed, unchanged, failed: [{ id, name, error }] }
+     */
+    async runBulkAction(ids, action, change) {
+        const employees = [...new Set(ids)].map(id => ({ id, employee: this.findSelectedEmployee(id) }));
+        const changed = [];
+        const unchanged = [];
+        const failed = [];
+
+        this.notifyObservers('bulk_start', { action: action.name, count: employees.length });
+
+        await this.undoHistory.group(
+            (count) => action.label(DataService.countEmployees(count)),
+            () => this.withBulkChanges(employees.map(entry => entry.employee).filter(Boolean), async () => {
+                for (const { id, employee } of employees) {
+                    try {
+                        if (!employee) {
+                            throw new NotFoundError('Employee not found', { resourceId: id });
+                        }
+                        const result = await change(employee);
+                        (result === null ? unchanged : changed).push(employee);
+                    } catch (error) {
+                        failed.push({ id, name: employee?.name || id, error });
+                    }
+                }
+            }),
+            (run) => this.withBulkChanges(employees.map(entry => entry.employee).filter(Boolean), run)
+        );
+
+        const result = { changed, unchanged, failed };
+        this.notifyObservers('bulk_complete', { action: action.name, ...result });
+
+        let message = changed.length > 0 || failed.length === 0
+            ? action.describe(DataService.countEmployees(changed.length))
+            : 'No employees were changed';
+        if (unchanged.length > 0) {
+            message += ` (${unchanged.length} already up to date)`;
+        }
+        if (failed.length === 0) {
+            this.showUndoableToast(Helpers.escapeHtml(message));
+        } else {
+            failed.forEach(({ name, error }) => console.error(`Bulk ${action.name} failed for ${name}:`, error));
+            const reasons = failed.slice(0, 3).map(({ name, error }) => `${name}: ${error.message}`).join('; ');
+            const more = failed.length > 3 ? ` and ${failed.length - 3} more` : '';
+            Helpers.showToast(
+                Helpers.escapeHtml(`${message}. ${failed.length} could not be changed: ${reasons}${more}`),
+                changed.length > 0 ? 'warning' : 'error',
+                UNDO_TOAST_DURATION,
+                changed.length > 0 ? { label: 'Undo', onClick: () => this.undo().catch(error => console.error('Undo failed:', error)) } : null
+            );
+        }
+
+        return result;
+    }
+
+    /**
+     * Run changes to several employees with their individual toasts and page
+     * reloads held back; the page is reloaded once at the end. In remote mode
+     * the employees are made available for the duration even when they are
+     * on another page.
+     * @param {Array<Employee>} employees - Employees about to change
+     * @param {Function} run - async () => result
+     * @returns {Promise<*>} The result of run
+     */
+    async withBulkChanges(employees, run) {
+        if (this.isRemoteMode()) {
+            this.employeeCollection.includeEmployees(employees);
+        }
+
+        this.isBulkChanging = true;
+        try {
+            return await run();
+        } finally {
+            this.isBulkChanging = false;
+            if (this.isRemoteMode()) {
+                await this.refreshPage();
+            }
+        }
+    }
+
+    /**
+     * Move the selected employees to the trash
+     * @param {Array<string>} ids - Employee IDs
+     * @returns {Promise<Object>} See runBulkAction
+     */
+    async bulkDeleteEmployees(ids) {
+        return this.runBulkAction(ids, {
+            name: 'delete',
+            label: (count) => `Delete ${count}`,
+            describe: (count) => `Moved ${count} to the trash`
+        }, (employee) => this.deleteEmployee(employee.id));
+    }
+
+    /**
+     * Deactivate the selected employees (see deactivateEmployee); employees
+     * already terminated are left as they are
+     * @param {Array<string>} ids - Employee IDs
+     * @returns {Promise<Object>} See runBulkAction
+     */
+    async bulkDeactivateEmployees(ids) {
+        return this.runBulkAction(ids, {
+            name: 'deactivate',
+            label: (count) => `Deactivate ${count}`,
+            describe: (count) => `Deactivated ${count}`
+        }, (employee) => employee.status === 'terminated' ? null : this.deactivateEmployee(employee.id));
+    }
+
+    /**
+     * Move the selected employees to another department
+     * @param {Array<string>} ids - Employee IDs
+     * @param {string} department - Department name
+     * @returns {Promise<Object>} See runBulkAction
+     * @throws {ValidationError} If no department is given
+     */
+    async bulkChangeDepartment(ids, department) {
+        const name = String(department ?? '').trim();
+        if (!name) {
+            throw new ValidationError({ department: 'Choose a department' });
+        }
+
+        return this.runBulkAction(ids, {
+            name: 'change_department',
+            label: (count) => `Move ${count} to ${name}`,
+            describe: (count) => `Moved ${count} to ${name}`
+        }, (employee) => employee.department === name
+            ? null
+            : this.updateEmployee(employee.id, { department: name }));
+    }
+
+    /**
+     * Raise or lower the salaries of the selected employees by a percentage.
+     * Each change is recorded in the employee's compensation history in
+     * their own currency, rounded to a whole amount.
+     * @param {Array<string>} ids - Employee IDs
+     * @param {number} percentage - Change in percent, e.g. 3.5 or -10
+     * @param {Object} options - Compensation entry details
+     * @param {string} options.reason - One of Employee.COMPENSATION_REASONS (default 'merit')
+     * @param {Date|string} options.effectiveDate - When the new salaries apply (default today)
+     * @returns {Promise<Object>} See runBulkAction
+     * @throws {ValidationError} If the percentage or the reason is invalid
+     */
+    async bulkAdjustSalary(ids, percentage, options = {}) {
+        const percent = Number(percentage);
+        const reason = options.reason || 'merit';
+        const fieldErrors = {};
+        if (percentage === '' || percentage == null || !Number.isFinite(percent) || percent === 0) {
+            fieldErrors.percentage = 'Enter a percentage other than 0';
+        } else if (percent <= -100 || percent > 1000) {
+            fieldErrors.percentage = 'Percentage must be greater than -100 and at most 1000';
+        }
+        if (!Employee.COMPENSATION_REASONS.includes(reason)) {
+            fieldErrors.reason = 'Reason is invalid';
+        }
+        if (Object.keys(fieldErrors).length > 0) {
+            throw new ValidationError(fieldErrors);
+        }
+
+        const signed = `${percent > 0 ? '+' : ''}${percent}%`;
+        return this.runBulkAction(ids, {
+            name: 'adjust_salary',
+            label: (count) => `Adjust the salary of ${count} by ${signed}`,
+            describe: (count) => `Adjusted the salary of ${count} by ${signed}`
+        }, (employee) => {
+            const amount = Math.round(Number(employee.salary) * (1 + percent / 100));
+            if (amount === Number(employee.salary)) return null;
+
+            return this.recordCompensationChange(employee.id, {
+                amount,
+                currency: employee.currency,
+                reason,
+                effectiveDate: options.effectiveDate || new Date(),
+                note: `Bulk adjustment of ${signed}`
+            });
+        });
+    }
+
+    /**
+     * Describe a number of employees
+     * @param {number} count - Number of employees
+     * @returns {string} e.g. '1 employee', '3 employees'
+     */
+    static countEmployees(count) {
+        return `${count} employee${count === 1 ? '' : 's'}`;
+    }
+
     /**
      * Search employees
      * @param {string} searchTerm - Search term
@@ -264,36 +1633,19 @@ export class DataService {
     searchEmployees(searchTerm) {
         this.employeeCollection.setSearchTerm(searchTerm);
         this.notifyObservers('search_applied', { searchTerm });
+        this.fetchPageIfRemote();
     }
 
     /**
      * Filter employees by departments
-     * @param {Array} departments - Array of department names
-     */
-    // filterByDepartments(departments) {
-    //     this.employeeCollection.setDepartmentFilters(departments);
-    //     this.notifyObservers('filter_applied', { departments });
-    // }
-   filterByDepartments(departments = []) {
-    const collection = this.getEmployeeCollection(); // get your Collection instance
-
-    if (departments.length === 0) {
-        // Show all employees
-        collection.filteredEmployees = [...collection.employees]; // or use your collection's method to reset
-    } else {
-        collection.filteredEmployees = collection.employees.filter(emp =>
-            departments.includes(emp.department)
-        );
+     * @param {Array} departments - Array of department names (empty for all)
+     */
+    filterByDepartments(departments = []) {
+        this.employeeCollection.setDepartmentFilters(departments);
+        this.notifyObservers('filter_applied', { departments });
+        this.fetchPageIfRemote();
     }
 
-    // Reset pagination if needed
-    collection.setCurrentPage(1);
-
-    // Notify observers so UI updates
-    this.notifyObservers('filter_changed', collection.filteredEmployees);
-}
-
-
     /**
      * Sort employees
      * @param {string} field - Field to sort by
@@ -302,6 +1654,7 @@ export class DataService {
     sortEmployees(field, direction) {
         this.employeeCollection.setSorting(field, direction);
         this.notifyObservers('sort_applied', { field, direction });
+        this.fetchPageIfRemote();
     }
 
     /**
@@ -311,6 +1664,21 @@ export class DataService {
     setPageSize(size) {
         this.employeeCollection.setPageSize(size);
         this.notifyObservers('page_size_changed', { size });
+        this.fetchPageIfRemote();
+    }
+
+    /**
+     * Show every matching employee in one scrolling table instead of pages
+     * @param {boolean} showAll - Whether to show all rows
+     * @throws {AppError} In remote mode, where only one page is loaded at a time
+     */
+    setShowAll(showAll) {
+        if (showAll && this.isRemoteMode()) {
+            throw new AppError('All rows can only be shown when every employee is loaded', { code: 'SHOW_ALL_UNAVAILABLE' });
+        }
+
+        this.employeeCollection.setShowAll(showAll);
+        this.notifyObservers('page_size_changed', { size: showAll ? 'all' : this.employeeCollection.pageSize });
     }
 
     /**
@@ -320,20 +1688,34 @@ export class DataService {
     setCurrentPage(page) {
         this.employeeCollection.setCurrentPage(page);
         this.notifyObservers('page_changed', { page });
+        this.fetchPageIfRemote();
+    }
+
+    /**
+     * Fetch the current view from the backend after a view change in remote mode
+     */
+    fetchPageIfRemote() {
+        if (!this.isRemoteMode()) return;
+        this.fetchPage().catch(() => {
+            // Already reported through load_error
+        });
     }
 
     /**
      * Export employees as CSV
+     * @param {Object} options - Export options
+     * @param {Array<string>} options.ids - Export only these employees (defaults to all matching the filters)
      * @returns {string} CSV data
      */
-    exportAsCSV() {
+    exportAsCSV(options = {}) {
         try {
-            const csv = this.employeeCollection.exportAsCSV();
-            const filename = `employees_${new Date().toISOString().split('T')[0]}.csv`;
+            const selection = this.getExportSelection(options.ids);
+            const csv = this.employeeCollection.exportAsCSV(selection || undefined);
+            const filename = `employees_${selection ? 'selection_' : ''}${new Date().toISOString().split('T')[0]}.csv`;
             Helpers.downloadFile(csv, filename, 'text/csv');
             
             this.notifyObservers('export_complete', { format: 'csv', filename });
-            Helpers.showToast('Employee data exported as CSV', 'success');
+            Helpers.showToast(selection ? `Exported ${DataService.countEmployees(selection.length)} as CSV` : 'Employee data exported as CSV', 'success');
             
             return csv;
         } catch (error) {
@@ -345,16 +1727,19 @@ export class DataService {
 
     /**
      * Export employees as JSON
+     * @param {Object} options - Export options
+     * @param {Array<string>} options.ids - Export only these employees (defaults to all matching the filters)
      * @returns {string} JSON data
      */
-    exportAsJSON() {
+    exportAsJSON(options = {}) {
         try {
-            const json = this.employeeCollection.exportAsJSON();
-            const filename = `employees_${new Date().toISOString().split('T')[0]}.json`;
+            const selection = this.getExportSelection(options.ids);
+            const json = this.employeeCollection.exportAsJSON(selection || undefined);
+            const filename = `employees_${selection ? 'selection_' : ''}${new Date().toISOString().split('T')[0]}.json`;
             Helpers.downloadFile(json, filename, 'application/json');
             
             this.notifyObservers('export_complete', { format: 'json', filename });
-            Helpers.showToast('Employee data exported as JSON', 'success');
+            Helpers.showToast(selection ? `Exported ${DataService.countEmployees(selection.length)} as JSON` : 'Employee data exported as JSON', 'success');
             
             return json;
         } catch (error) {
@@ -364,6 +1749,220 @@ export class DataService {
         }
     }
 
+    /**
+     * Resolve the employees of a selective export
+     * @param {Array<string>|undefined} ids - Selected employee IDs
+     * @returns {Array<Employee>|null} Selected employees, or null to export everything matching the filters
+     */
+    getExportSelection(ids) {
+        if (!Array.isArray(ids)) return null;
+        return ids.map(id => this.findSelectedEmployee(id)).filter(Boolean);
+    }
+
+    /**
+     * Check an import without changing anything (see ImportService.prepare)
+     * @param {Array<Object>} records - Records from ImportService.parse
+     * @param {Object} mapping - Employee field (or '' to skip) keyed by column
+     * @param {string} mode - 'create', 'update' or 'upsert'
+     * @returns {Object} { mode, rows, summary }
+     * @throws {ValidationError} If the mode or the mapping is unusable
+     */
+    previewImport(records, mapping, mode = 'create') {
+        return this.importer.prepare(records, mapping, mode);
+    }
+
+    /**
+     * Import employees as one batch: either every row is applied or none is.
+     * Rows with errors stop the whole import; so does a row the backend
+     * rejects, in which case the rows already written are rolled back.
+     * @param {Array<Object>} records - Records from ImportService.parse
+     * @param {Object} mapping - Employee field (or '' to skip) keyed by column
+     * @param {Object} options - Import options
+     * @param {string} options.mode - 'create', 'update' or 'upsert' (matched by email)
+     * @param {boolean} options.dryRun - Only check the rows
+     * @returns {Promise<Object>} The preview plus applied, added and updated
+     * @throws {ValidationError|AppError} If a row is invalid or rejected; nothing is imported,
+     *   unless rolling back a written row failed (the message lists those rows)
+     */
+    async importEmployees(records, mapping, options = {}) {
+        const preview = this.importer.prepare(records, mapping, options.mode || 'create');
+        if (options.dryRun) {
+            return { ...preview, applied: false, added: [], updated: [] };
+        }
+
+        const invalid = preview.rows.filter(row => Object.keys(row.errors).length > 0);
+        if (invalid.length > 0) {
+            throw new ValidationError({}, {
+                message: `${invalid.length} row${invalid.length === 1 ? ' has' : 's have'} errors; nothing was imported`,
+                errors: invalid.map(row => `Line ${row.line}: ${Object.values(row.errors).join(', ')}`)
+            });
+        }
+
+        const rows = preview.rows.filter(row => row.action === 'create' || row.changes.length > 0);
+        const newEmployees = new Map(rows
+            .filter(row => row.action === 'create')
+            .map(row => [row.employeeId, new Employee({ ...row.data, id: row.employeeId })]));
+
+        try {
+            this.setLoading(true);
+            this.notifyObservers('import_start', { mode: preview.mode, count: rows.length });
+
+            // Backend first (queued if offline); undo what was written if a row is rejected
+            const written = [];
+            const sentIds = new Set();
+            for (const row of rows) {
+                try {
+                    let sent;
+                    if (row.action === 'create') {
+                        sent = await this.writeThrough('create', row.employeeId, newEmployees.get(row.employeeId).toObject());
+                    } else {
+                        sent = await this.writeThrough('update', row.employeeId, DataService.toUpdatePayload(row.before, row.data));
+                    }
+                    written.push(row);
+                    if (sent) sentIds.add(row.employeeId);
+                } catch (error) {
+                    const notRolledBack = await this.rollbackImport(written);
+                    throw new AppError(`Line ${row.line} was rejected: ${error.message}. ${DataService.describeRollback(notRolledBack)}`, {
+                        code: notRolledBack.length > 0 ? 'IMPORT_PARTIAL' : 'IMPORT_REJECTED',
+                        cause: error
+                    });
+                }
+            }
+
+            // The collection may have changed during the writes (an email taken, an employee
+            // deleted); the backend must not keep rows the collection then refuses
+            let applied;
+            try {
+                applied = this.employeeCollection.applyBatch(
+                    [...newEmployees.values()],
+                    rows.filter(row => row.action === 'update').map(row => ({ id: row.employeeId, data: row.data }))
+                );
+            } catch (error) {
+                const notRolledBack = await this.rollbackImport(written);
+                if (notRolledBack.length > 0) {
+                    throw new AppError(`${error.message}. ${DataService.describeRollback(notRolledBack)}`, {
+                        code: 'IMPORT_PARTIAL',
+                        cause: error
+                    });
+                }
+                throw error;
+            }
+            const { added, updated } = applied;
+
+            const imported = [...added, ...updated];
+            await this.persistSafely(async () => {
+                await this.persistence.markSynced(imported.filter(employee => sentIds.has(employee.id)));
+                await this.persistence.saveEmployees(imported.filter(employee => !sentIds.has(employee.id)));
+            }, 'imported employees');
+            for (const employee of added) {
+                await this.recordAudit('add', null, employee.toObject());
+            }
+            for (const employee of updated) {
+                await this.recordAudit('update', preview.rows.find(row => row.employeeId === employee.id).before, employee.toObject());
+            }
+            this.pushImportUndo(added, updated, preview.rows);
+            if (this.isRemoteMode()) {
+                await this.refreshPage();
+            }
+
+            this.notifyObservers('import_complete', { added, updated });
+            this.showUndoableToast(`Imported ${added.length} new and ${updated.length} updated employee${added.length + updated.length === 1 ? '' : 's'}`);
+
+            return { ...preview, applied: true, added, updated };
+
+        } catch (error) {
+            console.error('Failed to import employees:', error);
+            this.notifyObservers('import_error', error);
+            Helpers.showToast(`Import failed: ${error.message}`, 'error');
+            throw error;
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    /**
+     * Record an applied import as one undo step: undoing removes the added
+     * employees and restores the updated ones
+     * @param {Array<Employee>} added - Added employees
+     * @param {Array<Employee>} updated - Updated employees
+     * @param {Array<Object>} rows - Preview rows (for the values before the update)
+     */
+    pushImportUndo(added, updated, rows) {
+        const removedIds = new Set();
+        const commands = [
+            ...added.map(employee => {
+                const snapshot = employee.toObject();
+                return {
+                    label: `Add ${snapshot.name}`,
+                    undo: async () => {
+                        await this.removeAddedEmployee(snapshot.id);
+                        removedIds.add(snapshot.id);
+                    },
+                    redo: async () => {
+                        await this.addEmployee(snapshot);
+                        removedIds.delete(snapshot.id);
+                    }
+                };
+            }),
+            ...updated.map(employee => {
+                const before = rows.find(row => row.employeeId === employee.id).before;
+                const after = employee.toObject();
+                return {
+                    label: `Edit ${after.name}`,
+                    undo: () => this.updateEmployee(employee.id, DataService.toEditableData(before)),
+                    redo: () => this.updateEmployee(employee.id, DataService.toEditableData(after))
+                };
+            })
+        ];
+        if (commands.length === 0) return;
+
+        this.undoHistory.push(UndoService.createGroupCommand(
+            `Import ${DataService.countEmployees(commands.length)}`,
+            commands,
+            // Removed employees must not be made available again before they are re-added
+            (run) => this.withBulkChanges([...updated, ...added.filter(employee => !removedIds.has(employee.id))], run)
+        ));
+    }
+
+    /**
+     * Undo the backend writes of an import that could not be completed.
+     * Best effort: failures are logged and the remaining rows are still rolled back.
+     * @param {Array<Object>} rows - Rows already written, in order
+     * @returns {Promise<Array<Object>>} Rows that could not be rolled back
+     */
+    async rollbackImport(rows) {
+        const failed = [];
+        for (const row of [...rows].reverse()) {
+            try {
+                const undone = row.action === 'create'
+                    ? await this.writeThrough('delete', row.employeeId)
+                    : await this.writeThrough('update', row.employeeId, DataService.toEditableData(row.before));
+                // Neither sent nor queued: the backend keeps the imported row
+                if (!undone && !this.outbox.hasPending(row.employeeId)) {
+                    console.error(`Failed to roll back imported line ${row.line}`);
+                    failed.push(row);
+                }
+            } catch (error) {
+                console.error(`Failed to roll back imported line ${row.line}:`, error);
+                failed.push(row);
+            }
+        }
+        return failed.reverse();
+    }
+
+    /**
+     * Describe the outcome of rolling back an import, for its error message
+     * @param {Array<Object>} notRolledBack - Rows whose backend write could not be undone
+     * @returns {string} Sentence for the error message
+     */
+    static describeRollback(notRolledBack) {
+        if (notRolledBack.length === 0) {
+            return 'Nothing was imported';
+        }
+        const lines = notRolledBack.map(row => row.line).join(', ');
+        return `Line${notRolledBack.length === 1 ? '' : 's'} ${lines} could not be rolled back and may still be on the server`;
+    }
+
     /**
      * Get employee collection
      * @returns {EmployeeCollection} Employee collection
@@ -374,14 +1973,18 @@ export class DataService {
 
     /**
      * Get service statistics
+     * @param {Object} options - Date range for the compensation report ({ from, to })
      * @returns {Object} Service statistics
      */
-    getStatistics() {
+    getStatistics(options = {}) {
         return {
-            ...this.employeeCollection.getStatistics(),
+            ...this.employeeCollection.getStatistics(options),
             lastSync: this.lastSync,
             isLoading: this.isLoading,
-            apiCacheStats: this.api.getCacheStats()
+            adapter: this.api.adapter.name,
+            paginationMode: this.employeeCollection.mode,
+            apiCacheStats: this.api.getCacheStats(),
+            outbox: this.outbox.getStats()
         };
     }
 
@@ -414,7 +2017,7 @@ export class DataService {
         this.syncInterval = setInterval(async () => {
             try {
                 console.log('Auto-syncing employee data...');
-                await this.loadEmployees(true);
+                await this.syncEmployees();
             } catch (error) {
                 console.error('Auto-sync failed:', error);
             }
@@ -440,7 +2043,14 @@ export class DataService {
     destroy() {
         this.stopAutoSync();
         this.observers = [];
+        clearInterval(this.outboxTimer);
+        this.outboxTimer = null;
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('online', this.handleOnline);
+        }
+        this.api.cancelAll();
         this.api.clearCache();
+        this.invalidatePages();
         console.log('DataService destroyed');
     }
 }
\ No newline at end of file
@@ -0,0 +1,410 @@
+import { Employee } from '../models/Employee.js';
+import { FieldSchema } from '../models/FieldSchema.js';
+import { Helpers } from '../utils/helpers.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Employee fields a column can be mapped to. `manager` is resolved to a
+ * managerId by email or exact name.
+ */
+const IMPORT_FIELDS = [
+    'name', 'email', 'phone', 'phoneExtension', 'department', 'position', 'salary', 'currency',
+    'hireDate', 'manager', 'location', 'employmentType', 'costCenter', 'status', 'terminationDate'
+];
+
+/**
+ * Import modes: add new employees, change existing ones (matched by email), or both
+ */
+const IMPORT_MODES = ['create', 'update', 'upsert'];
+
+/**
+ * Largest file accepted by the importer
+ */
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Turns CSV or JSON files into employee changes.
+ *
+ * Importing happens in two steps: `parse` reads a file into records keyed
+ * by column, then `prepare` maps the columns onto Employee fields and
+ * checks every row (Employee.validate, duplicate emails in the file and in
+ * the collection, manager references) without changing anything.
+ * DataService.importEmployees applies a prepared batch.
+ *
+ * Rows are matched to existing employees by email. Empty cells leave an
+ * existing employee's value alone and fall back to the default for new
+ * employees. In remote pagination mode only the loaded page is known
+ * locally, so the backend has the final word on duplicate emails.
+ */
+export class ImportService {
+    /**
+     * @param {EmployeeCollection} collection - Employees the import is checked against
+     */
+    constructor(collection) {
+        this.collection = collection;
+    }
+
+    /**
+     * Read an import file
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, used to tell CSV from JSON
+     * @returns {Object} { format, columns, records } with records keyed by column
+     * @throws {ValidationError} If the file cannot be read (fieldErrors.file)
+     */
+    static parse(text, fileName = '') {
+        const format = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text) ? 'json' : 'csv';
+        let result;
+
+        try {
+            result = format === 'json' ? ImportService.parseJSON(text) : ImportService.parseCSV(text);
+        } catch (error) {
+            throw new ValidationError({ file: `Could not read the ${format.toUpperCase()} file: ${error.message}` });
+        }
+
+        if (result.records.length === 0) {
+            throw new ValidationError({ file: 'The file contains no employees' });
+        }
+        if (result.records.length > MAX_IMPORT_ROWS) {
+            throw new ValidationError({ file: `The file has ${result.records.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once` });
+        }
+
+        return { format, ...result };
+    }
+
+    /**
+     * Read CSV with a header row
+     * @param {string} text - CSV text
+     * @returns {Object} { columns, records }
+     */
+    static parseCSV(text) {
+        const [header = [], ...rows] = Helpers.parseCSV(text);
+        const columns = header.map(column => column.trim());
+
+        const duplicate = columns.find((column, index) => column && columns.indexOf(column) !== index);
+        if (duplicate) {
+            throw new Error(`column "${duplicate}" appears more than once`);
+        }
+
+        const records = rows.map(row => {
+            const record = {};
+            columns.forEach((column, index) => {
+                if (column) record[column] = row[index] ?? '';
+            });
+            return record;
+        });
+
+        return { columns: columns.filter(Boolean), records };
+    }
+
+    /**
+     * Read JSON: an array of employee objects (as exported), or { employees: [...] }.
+     * Custom fields become `customFields.<key>` columns.
+     * @param {string} text - JSON text
+     * @returns {Object} { columns, records }
+     */
+    static parseJSON(text) {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ? data : data?.employees;
+        if (!Array.isArray(list) || list.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+            throw new Error('expected a list of employee objects');
+        }
+
+        const columns = new Set();
+        const records = list.map(item => {
+            const record = {};
+            Object.entries(item).forEach(([key, value]) => {
+                if (key === 'customFields' && value && typeof value === 'object') {
+                    Object.entries(value).forEach(([customKey, customValue]) => {
+                        record[FieldSchema.inputName(customKey)] = customValue;
+                    });
+                } else {
+                    record[key] = value;
+                }
+            });
+            Object.keys(record).forEach(column => columns.add(column));
+            return record;
+        });
+
+        return { columns: [...columns], records };
+    }
+
+    /**
+     * Get the fields a column can be mapped to
+     * @returns {Array<Object>} Targets as { value, label }
+     */
+    static getTargets() {
+        return [
+            ...IMPORT_FIELDS.map(field => ({ value: field, label: Employee.FIELD_LABELS[field] || Employee.FIELD_LABELS[`${field}Id`] })),
+            ...Employee.fieldSchema.getFields().map(field => ({ value: FieldSchema.inputName(field.key), label: field.label }))
+        ];
+    }
+
+    /**
+     * Guess the field for each column from its name or label, so files
+     * exported by this app map themselves
+     * @param {Array<string>} columns - Column names
+     * @returns {Object} Field (or '' to skip) keyed by column
+     */
+    static suggestMapping(columns) {
+        const simplify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+        const targets = ImportService.getTargets();
+        const lookup = new Map();
+        targets.forEach(target => {
+            lookup.set(simplify(target.value), target.value);
+            lookup.set(simplify(target.label), target.value);
+        });
+        lookup.set('managerid', 'manager');
+
+        const used = new Set();
+        const mapping = {};
+        columns.forEach(column => {
+            const field = lookup.get(simplify(column));
+            mapping[column] = field && !used.has(field) ? field : '';
+            if (field) used.add(field);
+        });
+        return mapping;
+    }
+
+    /**
+     * Convert a cell to a field value
+     * @param {string} field - Target field
+     * @param {*} raw - Cell value
+     * @returns {*} Field value; undefined for an empty cell
+     * @throws {Error} If the value cannot be converted
+     */
+    static convert(field, raw) {
+        const text = typeof raw === 'string' ? raw.trim() : raw;
+        if (text === undefined || text === null || text === '') return undefined;
+
+        if (field.startsWith('customFields.')) {
+            const definition = Employee.fieldSchema.getField(field.slice('customFields.'.length));
+            if (definition?.type === 'boolean' && typeof text === 'string') {
+                if (/^(yes|true|1|on)$/i.test(text)) return true;
+                if (/^(no|false|0|off)$/i.test(text)) return false;
+                throw new Error(`${definition.label} must be yes or no`);
+            }
+            return definition ? Employee.fieldSchema.coerce(definition, text) : text;
+        }
+
+        switch (field) {
+            case 'salary': {
+                // Accept exported amounts like "$85,000" or "85,000 EUR"
+                const amount = typeof text === 'number' ? text : Number(String(text).replace(/[^\d.-]/g, ''));
+                if (String(text).replace(/[^\d]/g, '') === '' || isNaN(amount)) {
+                    throw new Error('Salary must be a number');
+                }
+                return amount;
+            }
+            case 'hireDate':
+            case 'terminationDate': {
+                const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00:00Z`) : new Date(text);
+                if (isNaN(date)) {
+                    throw new Error(`${Employee.FIELD_LABELS[field]} must be a valid date`);
+                }
+                return date.toISOString();
+            }
+            case 'status':
+            case 'employmentType': {
+                const allowed = field === 'status' ? Employee.STATUSES : Employee.EMPLOYMENT_TYPES;
+                const match = allowed.find(value =>
+                    value === String(text).toLowerCase() || Employee.LABELS[value].toLowerCase() === String(text).toLowerCase()
+                );
+                // Unknown values are left for Employee.validate to report
+                return match || String(text);
+            }
+            case 'currency':
+            case 'costCenter':
+                return String(text).toUpperCase();
+            default:
+                return String(text);
+        }
+    }
+
+    /**
+     * Map and check every record without changing anything
+     * @param {Array<Object>} records - Records from parse
+     * @param {Object} mapping - Field (or '' to skip) keyed by column
+     * @param {string} mode - 'create', 'update' or 'upsert'
+     * @returns {Object} { mode, rows, summary }. Each row is { line, action ('create'|'update'),
+     *   employeeId, name, email, data, before, errors (field -> message) }; summary counts
+     *   total, create, update, unchanged and invalid rows.
+     * @throws {ValidationError} If the mode or the mapping is unusable
+     */
+    prepare(records, mapping, mode = 'create') {
+        if (!IMPORT_MODES.includes(mode)) {
+            throw new ValidationError({ mode: `Import mode must be one of: ${IMPORT_MODES.join(', ')}` });
+        }
+
+        const mapped = Object.entries(mapping).filter(([, field]) => field);
+        const fields = mapped.map(([, field]) => field);
+        const duplicate = fields.find((field, index) => fields.indexOf(field) !== index);
+        if (duplicate) {
+            throw new ValidationError({ mapping: `Only one column can be mapped to ${Employee.FIELD_LABELS[duplicate] || duplicate}` });
+        }
+        if (!fields.includes('email')) {
+            throw new ValidationError({ mapping: 'Map a column to Email; rows are matched to employees by email' });
+        }
+
+        const rows = records.map((record, index) => this.mapRecord(record, mapped, mode, index + 2));
+        this.checkDuplicateEmails(rows);
+        this.resolveManagers(rows);
+        rows.forEach(row => this.validateRow(row));
+
+        const summary = { total: rows.length, create: 0, update: 0, unchanged: 0, invalid: 0 };
+        rows.forEach(row => {
+            if (Object.keys(row.errors).length > 0) {
+                summary.invalid++;
+            } else if (row.action === 'update' && row.changes.length === 0) {
+                summary.unchanged++;
+            } else {
+                summary[row.action]++;
+            }
+        });
+
+        return { mode, rows, summary };
+    }
+
+    /**
+     * Turn one record into a row of field values
+     * @param {Object} record - Record keyed by column
+     * @param {Array<Array<string>>} mapped - [column, field] pairs
+     * @param {string} mode - Import mode
+     * @param {number} line - Line number shown to the user (the header is line 1)
+     * @returns {Object} Row (see prepare)
+     */
+    mapRecord(record, mapped, mode, line) {
+        const data = {};
+        const errors = {};
+
+        mapped.forEach(([column, field]) => {
+            try {
+                const value = ImportService.convert(field, record[column]);
+                if (value === undefined) return;
+                if (field.startsWith('customFields.')) {
+                    data.customFields = { ...data.customFields, [field.slice('customFields.'.length)]: value };
+                } else {
+                    data[field] = value;
+                }
+            } catch (error) {
+                errors[field] = error.message;
+            }
+        });
+
+        const email = String(data.email || '').toLowerCase();
+        const existing = email ? this.collection.findByEmail(email) : null;
+        const row = {
+            line,
+            action: existing ? 'update' : 'create',
+            employeeId: existing ? existing.id : Helpers.generateId(),
+            name: data.name || existing?.name || '',
+            email: data.email || '',
+            data,
+            before: existing ? existing.toObject() : null,
+            changes: [],
+            errors
+        };
+
+        if (existing && mode === 'create') {
+            errors.email = 'An employee with this email already exists';
+        } else if (!existing && mode === 'update' && email) {
+            errors.email = 'No employee with this email';
+        }
+        return row;
+    }
+
+    /**
+     * Flag rows that repeat an email from an earlier row
+     * @param {Array<Object>} rows - Rows
+     */
+    checkDuplicateEmails(rows) {
+        const firstLine = new Map();
+        rows.forEach(row => {
+            const email = row.email.toLowerCase();
+            if (!email) return;
+            if (firstLine.has(email)) {
+                row.errors.email = row.errors.email || `Same email as line ${firstLine.get(email)}`;
+            } else {
+                firstLine.set(email, row.line);
+            }
+        });
+    }
+
+    /**
+     * Turn manager emails or names into managerIds, and reject reporting loops.
+     * A manager can be an existing employee or another row of the file.
+     * @param {Array<Object>} rows - Rows
+     */
+    resolveManagers(rows) {
+        const byEmail = new Map(rows.filter(row => row.email).map(row => [row.email.toLowerCase(), row.employeeId]));
+        const managerOf = new Map(this.collection.getAllEmployees(true).map(employee => [employee.id, employee.managerId]));
+
+        rows.forEach(row => {
+            if (row.data.manager === undefined) return;
+
+            const reference = row.data.manager;
+            delete row.data.manager;
+            const byName = this.collection.getAllEmployees(true).filter(employee => employee.name === reference);
+            const managerId = byEmail.get(reference.toLowerCase())
+                || this.collection.findByEmail(reference)?.id
+                || (byName.length === 1 ? byName[0].id : null);
+
+            if (!managerId) {
+                row.errors.managerId = byName.length > 1
+                    ? `More than one employee is called ${reference}; use their email`
+                    : `No employee found for manager "${reference}"`;
+                return;
+            }
+            row.data.managerId = managerId;
+            managerOf.set(row.employeeId, managerId);
+        });
+
+        rows.forEach(row => {
+            if (!row.data.managerId || row.errors.managerId) return;
+
+            const seen = new Set();
+            let current = row.data.managerId;
+            while (current && !seen.has(current)) {
+                if (current === row.employeeId) {
+                    row.errors.managerId = 'This manager already reports to this employee';
+                    return;
+                }
+                seen.add(current);
+                current = managerOf.get(current);
+            }
+        });
+    }
+
+    /**
+     * Validate a row as the employee it would produce
+     * @param {Object} row - Row
+     */
+    validateRow(row) {
+        const base = row.before || { id: row.employeeId };
+        const data = row.before
+            ? Employee.normalizePhoneFields(new Employee(row.before).withCompensationRules(row.data))
+            : row.data;
+        const employee = new Employee({
+            ...base,
+            ...data,
+            customFields: { ...base.customFields, ...data.customFields },
+            id: row.employeeId
+        });
+
+        const validation = employee.validate({ previous: row.before });
+        Object.entries(validation.fieldErrors).forEach(([field, message]) => {
+            row.errors[field] = row.errors[field] || message;
+        });
+
+        row.data = data;
+        row.name = employee.name;
+        if (row.before) {
+            const after = employee.toObject();
+            row.changes = Object.keys(data).filter(field =>
+                JSON.stringify(after[field]) !== JSON.stringify(row.before[field])
+            );
+        }
+    }
+}
+
+ImportService.MODES = IMPORT_MODES;
+ImportService.MAX_ROWS = MAX_IMPORT_ROWS;
@@ -0,0 +1,302 @@
+import { StoreFactory } from '../storage/StoreFactory.js';
+import { Helpers } from '../utils/helpers.js';
+import { NetworkError, HttpError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * Outbox of employee changes the backend has not accepted yet.
+ *
+ * Failed creates/updates/deletes are recorded here, persisted across
+ * reloads and replayed in their original order once the backend is
+ * reachable again. Consecutive changes to the same employee are coalesced
+ * (create + update => create, create + delete => nothing).
+ *
+ * If the store cannot be opened or written, the queue keeps working in
+ * memory (and is lost on reload) rather than dropping changes.
+ */
+export class OutboxService {
+    constructor(store = null, options = {}) {
+        this.store = store;
+        this.entries = [];
+        this.maxAttempts = options.maxAttempts || 5;
+        this.observers = [];
+        this.sequence = 0;
+    }
+
+    /**
+     * Add observer for outbox changes
+     * @param {Function} callback - Callback function
+     */
+    addObserver(callback) {
+        this.observers.push(callback);
+    }
+
+    /**
+     * Remove observer
+     * @param {Function} callback - Callback function to remove
+     */
+    removeObserver(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    /**
+     * Notify all observers of changes
+     */
+    notifyObservers() {
+        this.observers.forEach(callback => callback(this));
+    }
+
+    /**
+     * Check whether a failed write is worth retrying later
+     * @param {Error} error - Error thrown by the API
+     * @returns {boolean} True for connectivity problems and server-side failures
+     */
+    static isRetryable(error) {
+        if (error instanceof NetworkError) return true;
+        if (error instanceof HttpError) {
+            return error.status === 429 || error.isServerError();
+        }
+        return false;
+    }
+
+    /**
+     * Load persisted entries
+     * @returns {Promise<Array>} Loaded entries
+     */
+    async load() {
+        try {
+            if (!this.store) {
+                this.store = await StoreFactory.create('outbox');
+            }
+            const entries = await this.store.getAll();
+            this.entries = entries.sort((a, b) => a.sequence - b.sequence);
+            this.sequence = this.entries.reduce((max, entry) => Math.max(max, entry.sequence), 0);
+            this.notifyObservers();
+            return this.entries;
+        } catch (error) {
+            // Queue in memory from now on; the caller reports the failure
+            this.store = null;
+            throw error;
+        }
+    }
+
+    /**
+     * Persist entries. Storage failures are logged, not thrown: the entries
+     * are already queued in memory and will still be replayed this session.
+     * @param {Array} entries - Entries to save
+     */
+    async saveEntries(entries) {
+        if (!this.store || entries.length === 0) return;
+        try {
+            await this.store.putMany(entries);
+        } catch (error) {
+            console.error('Failed to save offline changes; they are kept until the page is reloaded:', error);
+        }
+    }
+
+    /**
+     * Remove entries from storage (see saveEntries for failures)
+     * @param {Array} entries - Entries to remove
+     */
+    async deleteEntries(entries) {
+        if (!this.store) return;
+        try {
+            await Promise.all(entries.map(entry => this.store.delete(entry.id)));
+        } catch (error) {
+            console.error('Failed to remove synced offline changes from storage:', error);
+        }
+    }
+
+    /**
+     * Record a change for later replay
+     * @param {string} operation - create, update or delete
+     * @param {string} employeeId - Employee ID
+     * @param {Object} payload - Employee data (ignored for delete)
+     * @param {Error} error - Error that caused the change to be queued
+     * @returns {Promise<Object|null>} The queued entry, or null if the change cancelled out
+     */
+    async enqueue(operation, employeeId, payload = null, error = null) {
+        const pending = this.entries.filter(entry => entry.employeeId === employeeId && !entry.failed);
+        const pendingCreate = pending.find(entry => entry.operation === 'create');
+        let result;
+
+        if (operation === 'update' && pending.length > 0) {
+            // Fold the change into the create/update that is already waiting
+            const target = pending[pending.length - 1];
+            if (target.operation === 'delete') return target;
+            target.payload = { ...target.payload, ...payload };
+            target.updatedAt = new Date().toISOString();
+            await this.saveEntries([target]);
+            result = target;
+        } else if (operation === 'delete' && pending.length > 0) {
+            // Nothing reached the server yet if it was created offline
+            await this.removeEntries(pending);
+            result = pendingCreate ? null : await this.addEntry(operation, employeeId, null, error);
+        } else {
+            result = await this.addEntry(operation, employeeId, payload, error);
+        }
+
+        this.notifyObservers();
+        return result;
+    }
+
+    /**
+     * Append a new entry
+     * @param {string} operation - create, update or delete
+     * @param {string} employeeId - Employee ID
+     * @param {Object} payload - Employee data
+     * @param {Error} error - Error that caused the change to be queued
+     * @returns {Promise<Object>} New entry
+     */
+    async addEntry(operation, employeeId, payload, error) {
+        const entry = {
+            id: Helpers.generateId(),
+            sequence: ++this.sequence,
+            operation,
+            employeeId,
+            payload: payload ? Helpers.deepClone(payload) : null,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            attempts: 0,
+            lastError: error ? error.message : null,
+            failed: false
+        };
+        this.entries.push(entry);
+        await this.saveEntries([entry]);
+        return entry;
+    }
+
+    /**
+     * Remove entries from memory and storage
+     * @param {Array} entries - Entries to remove
+     */
+    async removeEntries(entries) {
+        const ids = new Set(entries.map(entry => entry.id));
+        this.entries = this.entries.filter(entry => !ids.has(entry.id));
+        await this.deleteEntries(entries);
+    }
+
+    /**
+     * Replay pending entries in order.
+     *
+     * Stops at the first retryable failure (the backend is still unreachable)
+     * so later changes never overtake earlier ones. Entries the backend
+     * rejects outright, or that keep failing, are marked as failed and skipped.
+     *
+     * @param {Function} send - Async function performing an entry against the API
+     * @returns {Promise<Object>} Replay result with synced, failed and remaining counts
+     */
+    async replay(send) {
+        const result = { synced: 0, failed: 0, remaining: 0 };
+
+        for (const entry of this.getPendingEntries()) {
+            try {
+                await send(entry);
+                await this.removeEntries([entry]);
+                result.synced++;
+            } catch (error) {
+                if (entry.operation === 'delete' && error instanceof NotFoundError) {
+                    // Already gone on the server
+                    await this.removeEntries([entry]);
+                    result.synced++;
+                    continue;
+                }
+
+                entry.attempts++;
+                entry.lastError = error.message;
+                const retryable = OutboxService.isRetryable(error);
+                entry.failed = !retryable || entry.attempts >= this.maxAttempts;
+                await this.saveEntries([entry]);
+
+                if (entry.failed) {
+                    console.error(`Outbox ${entry.operation} for employee ${entry.employeeId} failed permanently:`, error);
+                    result.failed++;
+                    continue;
+                }
+
+                console.warn('Outbox replay paused, backend still unavailable:', error.message);
+                break;
+            }
+        }
+
+        result.remaining = this.getPendingCount();
+        this.notifyObservers();
+        return result;
+    }
+
+    /**
+     * Put failed entries back in the queue
+     */
+    async retryFailed() {
+        const failed = this.getFailedEntries();
+        failed.forEach(entry => {
+            entry.failed = false;
+            entry.attempts = 0;
+        });
+        await this.saveEntries(failed);
+        this.notifyObservers();
+    }
+
+    /**
+     * Drop an entry without sending it
+     * @param {string} entryId - Entry ID
+     */
+    async discard(entryId) {
+        const entry = this.entries.find(item => item.id === entryId);
+        if (!entry) return;
+        await this.removeEntries([entry]);
+        this.notifyObservers();
+    }
+
+    /**
+     * Get entries waiting to be replayed, oldest first
+     * @returns {Array} Pending entries
+     */
+    getPendingEntries() {
+        return this.entries.filter(entry => !entry.failed);
+    }
+
+    /**
+     * Get entries that will not be replayed automatically
+     * @returns {Array} Failed entries
+     */
+    getFailedEntries() {
+        return this.entries.filter(entry => entry.failed);
+    }
+
+    /**
+     * Get number of pending entries
+     * @returns {number} Pending count
+     */
+    getPendingCount() {
+        return this.getPendingEntries().length;
+    }
+
+    /**
+     * Get IDs of employees with changes waiting to be synced (permanently
+     * failed changes are listed by getFailedEntries instead)
+     * @returns {Set} Employee IDs
+     */
+    getUnsyncedEmployeeIds() {
+        return new Set(this.getPendingEntries().map(entry => entry.employeeId));
+    }
+
+    /**
+     * Check whether an employee has queued changes
+     * @param {string} employeeId - Employee ID
+     * @returns {boolean} True if changes are queued
+     */
+    hasPending(employeeId) {
+        return this.entries.some(entry => entry.employeeId === employeeId && !entry.failed);
+    }
+
+    /**
+     * Get outbox statistics
+     * @returns {Object} Pending and failed counts
+     */
+    getStats() {
+        return {
+            pending: this.getPendingCount(),
+            failed: this.getFailedEntries().length
+        };
+    }
+}
@@ -0,0 +1,182 @@
+import { Employee } from '../models/Employee.js';
+import { StoreFactory } from '../storage/StoreFactory.js';
+import { SyncMerger } from './SyncMerger.js';
+
+/**
+ * Persists the employee collection in the browser so local changes survive
+ * page reloads.
+ *
+ * Every known employee is stored as a plain object together with `_base`,
+ * the copy the backend returned on the last sync (or last accepted from this
+ * device). Records created or changed on this device carry `_local: true`
+ * until the backend has the change, and are three-way merged with the next
+ * backend copy (see SyncMerger); deletions are kept as `_deleted` tombstones
+ * so deleted employees do not reappear on the next fetch.
+ */
+export class PersistenceService {
+    constructor(store = null) {
+        this.store = store;
+    }
+
+    /**
+     * Open the underlying store
+     * @returns {Promise<Object>} Opened store
+     */
+    async open() {
+        if (!this.store) {
+            this.store = await StoreFactory.create('employees');
+        }
+        return this.store;
+    }
+
+    /**
+     * Load persisted employees (excluding deleted ones)
+     * @returns {Promise<Array<Employee>>} Array of Employee instances
+     */
+    async loadEmployees() {
+        const store = await this.open();
+        const records = await store.getAll();
+        return records
+            .filter(record => !record._deleted)
+            .map(record => new Employee(this.stripMeta(record)));
+    }
+
+    /**
+     * Persist a locally created or changed employee
+     * @param {Employee} employee - Employee instance
+     */
+    async saveEmployee(employee) {
+        const store = await this.open();
+        const existing = await store.get(employee.id);
+        await store.put({ ...employee.toObject(), _local: true, _base: existing?._base || null });
+    }
+
+    /**
+     * Persist several locally created or changed employees in one write
+     * @param {Array<Employee>} employees - Employee instances
+     */
+    async saveEmployees(employees) {
+        const store = await this.open();
+        const bases = new Map((await store.getAll()).map(record => [record.id, record._base]));
+        await store.putMany(employees.map(employee => ({
+            ...employee.toObject(),
+            _local: true,
+            _base: bases.get(employee.id) || null
+        })));
+    }
+
+    /**
+     * Persist employees whose changes the backend has accepted. The sent
+     * record becomes the base for the next merge, so a later remote edit of
+     * the same field is not mistaken for a conflict.
+     * @param {Array<Employee>} employees - Employee instances
+     */
+    async markSynced(employees) {
+        const store = await this.open();
+        await store.putMany(employees.map(employee => {
+            const data = employee.toObject();
+            return { ...data, _local: false, _base: data };
+        }));
+    }
+
+    /**
+     * Persist the outcome of a resolved sync conflict
+     * @param {Employee} employee - Employee with the chosen values applied
+     * @param {Object} remoteData - Backend copy the conflict was resolved against
+     */
+    async saveResolution(employee, remoteData) {
+        const store = await this.open();
+        await store.put({ ...employee.toObject(), _local: true, _base: remoteData });
+    }
+
+    /**
+     * Persist an employee deletion
+     * @param {string} id - Employee ID
+     */
+    async markDeleted(id) {
+        const store = await this.open();
+        await store.put({ id, _deleted: true, deletedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Merge freshly fetched employees with persisted local state and store the result
+     * @param {Array<Employee>} remoteEmployees - Employees from the backend
+     * @returns {Promise<Object>} { employees: merged Employee list, conflicts: unresolved conflicts }
+     */
+    async mergeRemote(remoteEmployees) {
+        const store = await this.open();
+        const persisted = new Map((await store.getAll()).map(record => [record.id, record]));
+        const merged = [];
+        const conflicts = [];
+        const snapshot = [];
+        const seen = new Set();
+
+        remoteEmployees.forEach(employee => {
+            const local = persisted.get(employee.id);
+            const remoteData = employee.toObject();
+            seen.add(employee.id);
+
+            if (local?._deleted) return;
+
+            if (!local?._local) {
+                merged.push(employee);
+                snapshot.push({ ...remoteData, _local: false, _base: remoteData });
+                return;
+            }
+
+            const result = SyncMerger.merge(local._base, this.stripMeta(local), remoteData);
+            merged.push(new Employee(result.merged));
+
+            if (result.conflicts.length > 0) {
+                conflicts.push({
+                    employeeId: employee.id,
+                    name: result.merged.name,
+                    conflicts: result.conflicts,
+                    remote: remoteData
+                });
+            }
+
+            // Keep the old base while a conflict is open so it is detected again next time
+            snapshot.push({
+                ...result.merged,
+                _local: result.hasLocalChanges,
+                _base: result.conflicts.length > 0 ? local._base : remoteData
+            });
+        });
+
+        // Keep employees that only exist locally (created on this device),
+        // forget remote copies the backend no longer returns
+        const staleIds = [];
+        persisted.forEach((record, id) => {
+            if (seen.has(id) || record._deleted) return;
+            if (record._local) {
+                merged.push(new Employee(this.stripMeta(record)));
+            } else {
+                staleIds.push(id);
+            }
+        });
+
+        await store.putMany(snapshot);
+        await Promise.all(staleIds.map(id => store.delete(id)));
+
+        return { employees: merged, conflicts };
+    }
+
+    /**
+     * Remove persistence metadata from a stored record
+     * @param {Object} record - Stored record
+     * @returns {Object} Employee data
+     */
+    stripMeta(record) {
+        const { _local, _deleted, _base, ...data } = record;
+        return data;
+    }
+
+    /**
+     * Remove all persisted employees
+     */
+    async clear() {
+        const store = await this.open();
+        await store.clear();
+    }
+}
@@ -0,0 +1,53 @@
+import { StoreFactory } from '../storage/StoreFactory.js';
+
+/**
+ * Persists organisation and user settings (custom field schema, preferences)
+ * as `{ id: key, value }` records in the 'settings' store.
+ */
+export class SettingsService {
+    constructor(store = null) {
+        this.store = store;
+    }
+
+    /**
+     * Open the underlying store
+     * @returns {Promise<Object>} Opened store
+     */
+    async open() {
+        if (!this.store) {
+            this.store = await StoreFactory.create('settings');
+        }
+        return this.store;
+    }
+
+    /**
+     * Read a setting
+     * @param {string} key - Setting key
+     * @param {*} defaultValue - Value to return when the setting is missing
+     * @returns {Promise<*>} Setting value
+     */
+    async get(key, defaultValue = null) {
+        const store = await this.open();
+        const record = await store.get(key);
+        return record ? record.value : defaultValue;
+    }
+
+    /**
+     * Write a setting
+     * @param {string} key - Setting key
+     * @param {*} value - Setting value (must be structured-cloneable)
+     */
+    async set(key, value) {
+        const store = await this.open();
+        await store.put({ id: key, value });
+    }
+
+    /**
+     * Remove a setting
+     * @param {string} key - Setting key
+     */
+    async remove(key) {
+        const store = await this.open();
+        await store.delete(key);
+    }
+}
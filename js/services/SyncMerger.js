@@ -0,0 +1,95 @@
+/**
+ * Fields that are bookkeeping rather than user data and never conflict
+ */
+const IGNORED_FIELDS = ['id', 'avatar', 'updatedAt', 'version'];
+
+/**
+ * Three-way merge of employee records.
+ *
+ * Compares the local copy and the freshly fetched remote copy against the
+ * last-synced ("base") copy, field by field:
+ *   - only one side changed a field  -> take that side
+ *   - both sides made the same change -> take it
+ *   - both sides changed it differently -> conflict (local value kept until resolved)
+ */
+export class SyncMerger {
+    /**
+     * Compare two field values
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True if equal
+     */
+    static isEqual(a, b) {
+        if (a === b) return true;
+        if (a == null || b == null) return a == b;
+        if (typeof a === 'object' || typeof b === 'object') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return String(a) === String(b);
+    }
+
+    /**
+     * Get the fields to compare for a set of records
+     * @param {...Object} records - Plain employee objects
+     * @returns {Array<string>} Field names
+     */
+    static getFields(...records) {
+        const fields = new Set();
+        records.filter(Boolean).forEach(record => {
+            Object.keys(record).forEach(key => {
+                if (!IGNORED_FIELDS.includes(key) && !key.startsWith('_')) {
+                    fields.add(key);
+                }
+            });
+        });
+        return Array.from(fields);
+    }
+
+    /**
+     * Merge one employee
+     * @param {Object|null} base - Last-synced copy (null if never synced)
+     * @param {Object} local - Local copy
+     * @param {Object} remote - Remote copy
+     * @returns {Object} { merged, conflicts, hasLocalChanges }
+     */
+    static merge(base, local, remote) {
+        // Without a common ancestor there is no way to tell who changed what,
+        // so the local copy wins (e.g. an employee created on this device)
+        if (!base) {
+            const hasLocalChanges = SyncMerger.getFields(local, remote)
+                .some(field => !SyncMerger.isEqual(local[field], remote[field]));
+            return { merged: { ...local }, conflicts: [], hasLocalChanges };
+        }
+
+        const merged = { ...remote };
+        const conflicts = [];
+        let hasLocalChanges = false;
+
+        SyncMerger.getFields(base, local, remote).forEach(field => {
+            const localChanged = !SyncMerger.isEqual(local[field], base[field]);
+            const remoteChanged = !SyncMerger.isEqual(remote[field], base[field]);
+
+            if (!localChanged) {
+                merged[field] = remote[field];
+            } else if (!remoteChanged || SyncMerger.isEqual(local[field], remote[field])) {
+                merged[field] = local[field];
+                hasLocalChanges = hasLocalChanges || !SyncMerger.isEqual(local[field], remote[field]);
+            } else {
+                merged[field] = local[field];
+                hasLocalChanges = true;
+                conflicts.push({
+                    field,
+                    base: base[field],
+                    local: local[field],
+                    remote: remote[field]
+                });
+            }
+        });
+
+        merged.id = local.id;
+        merged.version = Math.max(local.version || 1, remote.version || 1);
+        merged.updatedAt = [local.updatedAt, remote.updatedAt].filter(Boolean).sort().pop();
+
+        return { merged, conflicts, hasLocalChanges };
+    }
+}
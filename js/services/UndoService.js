@@ -0,0 +1,195 @@
+/**
+ * Undo/redo history of employee changes.
+ *
+ * Each command describes one change together with its inverse:
+ *   { label: 'Delete Ann Lee', undo: async () => {...}, redo: async () => {...} }
+ *
+ * DataService pushes a command after every successful add, update,
+ * deactivate, delete, restore and import. Undoing runs the inverse through DataService again,
+ * so the collection, the backend, local persistence and the audit log all
+ * follow. Changes made while a command is being applied are not recorded
+ * themselves, and a new change clears the redo stack.
+ *
+ * Bulk actions record the commands of every employee they change as one
+ * command (see group), so a single undo reverts the whole action.
+ */
+export class UndoService {
+    /**
+     * @param {Object} options - History options
+     * @param {number} options.limit - Number of commands kept (oldest are dropped)
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || 50;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false;
+        this.groupCommands = null;
+        this.observers = [];
+    }
+
+    /**
+     * Add observer for history changes
+     * @param {Function} callback - Callback function
+     */
+    addObserver(callback) {
+        this.observers.push(callback);
+    }
+
+    /**
+     * Remove observer
+     * @param {Function} callback - Callback function to remove
+     */
+    removeObserver(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    /**
+     * Notify all observers of changes
+     */
+    notifyObservers() {
+        this.observers.forEach(callback => callback(this));
+    }
+
+    /**
+     * Record a change that has just been made
+     * @param {Object} command - { label, undo, redo }
+     * @returns {boolean} False if the change was made by undo/redo itself and not recorded
+     */
+    push(command) {
+        if (this.isApplying) return false;
+        if (this.groupCommands) {
+            this.groupCommands.push(command);
+            return true;
+        }
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notifyObservers();
+        return true;
+    }
+
+    /**
+     * Run an action and record the commands it pushes as one command.
+     * Undoing the group undoes its commands newest first; if one fails, the
+     * group stays undoable and the next undo continues where it stopped
+     * (redo works the same way).
+     * @param {string|Function} label - Label, or (commandCount) => label
+     * @param {Function} action - async () => result
+     * @param {Function} wrap - async (run) => run(), wraps undoing and redoing the group
+     * @returns {Promise<*>} The action's result
+     */
+    async group(label, action, wrap = (run) => run()) {
+        if (this.isApplying || this.groupCommands) return action();
+
+        this.groupCommands = [];
+        try {
+            return await action();
+        } finally {
+            const commands = this.groupCommands;
+            this.groupCommands = null;
+            if (commands.length > 0) {
+                this.push(UndoService.createGroupCommand(
+                    typeof label === 'function' ? label(commands.length) : label,
+                    commands,
+                    wrap
+                ));
+            }
+        }
+    }
+
+    /**
+     * Build the command of a group
+     * @param {string} label - Label
+     * @param {Array<Object>} commands - Commands in the order they were made
+     * @param {Function} wrap - async (run) => run()
+     * @returns {Object} { label, undo, redo }
+     */
+    static createGroupCommand(label, commands, wrap) {
+        // Number of commands undone so far, counted from the newest
+        let undone = 0;
+        return {
+            label,
+            undo: () => wrap(async () => {
+                while (undone < commands.length) {
+                    await commands[commands.length - 1 - undone].undo();
+                    undone++;
+                }
+            }),
+            redo: () => wrap(async () => {
+                while (undone > 0) {
+                    await commands[commands.length - undone].redo();
+                    undone--;
+                }
+            })
+        };
+    }
+
+    /**
+     * Check whether there is a change to undo
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo() {
+        return !this.isApplying && this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether there is an undone change to redo
+     * @returns {boolean} True if redo is possible
+     */
+    canRedo() {
+        return !this.isApplying && this.redoStack.length > 0;
+    }
+
+    /**
+     * Undo the most recent change
+     * @returns {Promise<Object|null>} The undone command, or null if there was nothing to undo
+     */
+    async undo() {
+        return this.apply(this.undoStack, this.redoStack, 'undo');
+    }
+
+    /**
+     * Redo the most recently undone change
+     * @returns {Promise<Object|null>} The redone command, or null if there was nothing to redo
+     */
+    async redo() {
+        return this.apply(this.redoStack, this.undoStack, 'redo');
+    }
+
+    /**
+     * Run the top command of one stack and move it to the other.
+     * A command that fails stays where it was.
+     * @param {Array} from - Stack to take the command from
+     * @param {Array} to - Stack to move it to
+     * @param {string} direction - 'undo' or 'redo'
+     * @returns {Promise<Object|null>} The applied command
+     */
+    async apply(from, to, direction) {
+        if (this.isApplying || from.length === 0) return null;
+
+        const command = from[from.length - 1];
+        this.isApplying = true;
+        try {
+            await command[direction]();
+        } finally {
+            this.isApplying = false;
+        }
+
+        from.pop();
+        to.push(command);
+        this.notifyObservers();
+        return command;
+    }
+
+    /**
+     * Forget all recorded changes
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyObservers();
+    }
+}
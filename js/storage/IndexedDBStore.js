@@ -0,0 +1,137 @@
+/**
+ * Database layout shared by every IndexedDB-backed store.
+ * Bump DB_VERSION whenever a store is added to OBJECT_STORES.
+ */
+const DB_NAME = 'employee-management';
+const DB_VERSION = 5;
+const OBJECT_STORES = ['employees', 'outbox', 'apiCache', 'settings', 'audit'];
+
+/**
+ * Promise-based key/value store on top of one IndexedDB object store.
+ * Records are keyed by their `id` property.
+ */
+export class IndexedDBStore {
+    constructor(storeName) {
+        if (!OBJECT_STORES.includes(storeName)) {
+            throw new Error(`Unknown object store: ${storeName}`);
+        }
+        this.storeName = storeName;
+        this.type = 'indexedDB';
+    }
+
+    /**
+     * Check whether IndexedDB is available in this environment
+     * @returns {boolean} IndexedDB support
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open (and upgrade if needed) the shared database connection
+     * @returns {Promise<IDBDatabase>} Database connection
+     */
+    static openDatabase() {
+        if (!IndexedDBStore.dbPromise) {
+            IndexedDBStore.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    OBJECT_STORES.forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name, { keyPath: 'id' });
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+            }).catch(error => {
+                IndexedDBStore.dbPromise = null;
+                throw error;
+            });
+        }
+        return IndexedDBStore.dbPromise;
+    }
+
+    /**
+     * Open the store, making sure the database is reachable
+     * @returns {Promise<IndexedDBStore>} This store
+     */
+    async open() {
+        await IndexedDBStore.openDatabase();
+        return this;
+    }
+
+    /**
+     * Run a request against the object store
+     * @param {string} mode - Transaction mode (readonly, readwrite)
+     * @param {Function} callback - Receives the object store, returns an IDBRequest or nothing
+     * @returns {Promise<*>} Request result once the transaction completes
+     */
+    async withStore(mode, callback) {
+        const db = await IndexedDBStore.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = callback(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    /**
+     * Get all records
+     * @returns {Promise<Array>} Array of records
+     */
+    async getAll() {
+        return await this.withStore('readonly', store => store.getAll());
+    }
+
+    /**
+     * Get a record by ID
+     * @param {string} id - Record ID
+     * @returns {Promise<Object|null>} Record or null
+     */
+    async get(id) {
+        const record = await this.withStore('readonly', store => store.get(id));
+        return record || null;
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {Object} record - Record with an id
+     */
+    async put(record) {
+        await this.withStore('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Insert or replace several records in one transaction
+     * @param {Array} records - Records with ids
+     */
+    async putMany(records) {
+        await this.withStore('readwrite', store => {
+            records.forEach(record => store.put(record));
+        });
+    }
+
+    /**
+     * Delete a record
+     * @param {string} id - Record ID
+     */
+    async delete(id) {
+        await this.withStore('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Delete all records
+     */
+    async clear() {
+        await this.withStore('readwrite', store => store.clear());
+    }
+}
+
+IndexedDBStore.dbPromise = null;
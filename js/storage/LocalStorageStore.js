@@ -0,0 +1,103 @@
+/**
+ * localStorage-backed store with the same interface as IndexedDBStore.
+ * Used as a fallback where IndexedDB is unavailable (private browsing,
+ * old browsers, tests). All records of a store live under a single key.
+ */
+export class LocalStorageStore {
+    constructor(storeName, storage = null) {
+        this.storeName = storeName;
+        this.storageKey = `ems.store.${storeName}`;
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.memory = {};
+        this.type = this.storage ? 'localStorage' : 'memory';
+    }
+
+    /**
+     * Open the store
+     * @returns {Promise<LocalStorageStore>} This store
+     */
+    async open() {
+        return this;
+    }
+
+    /**
+     * Read the record map
+     * @returns {Object} Records keyed by ID
+     */
+    readAll() {
+        if (!this.storage) return this.memory;
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            return raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            console.warn(`Failed to read ${this.storeName} from localStorage:`, error);
+            return {};
+        }
+    }
+
+    /**
+     * Write the record map
+     * @param {Object} records - Records keyed by ID
+     */
+    writeAll(records) {
+        if (!this.storage) {
+            this.memory = records;
+            return;
+        }
+        this.storage.setItem(this.storageKey, JSON.stringify(records));
+    }
+
+    /**
+     * Get all records
+     * @returns {Promise<Array>} Array of records
+     */
+    async getAll() {
+        return Object.values(this.readAll());
+    }
+
+    /**
+     * Get a record by ID
+     * @param {string} id - Record ID
+     * @returns {Promise<Object|null>} Record or null
+     */
+    async get(id) {
+        return this.readAll()[id] || null;
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {Object} record - Record with an id
+     */
+    async put(record) {
+        await this.putMany([record]);
+    }
+
+    /**
+     * Insert or replace several records
+     * @param {Array} records - Records with ids
+     */
+    async putMany(records) {
+        const all = this.readAll();
+        records.forEach(record => {
+            all[record.id] = record;
+        });
+        this.writeAll(all);
+    }
+
+    /**
+     * Delete a record
+     * @param {string} id - Record ID
+     */
+    async delete(id) {
+        const all = this.readAll();
+        delete all[id];
+        this.writeAll(all);
+    }
+
+    /**
+     * Delete all records
+     */
+    async clear() {
+        this.writeAll({});
+    }
+}
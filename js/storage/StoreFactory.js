@@ -0,0 +1,24 @@
+import { IndexedDBStore } from './IndexedDBStore.js';
+import { LocalStorageStore } from './LocalStorageStore.js';
+
+/**
+ * Creates persistent stores, preferring IndexedDB and falling back to
+ * localStorage when IndexedDB is missing or fails to open.
+ */
+export class StoreFactory {
+    /**
+     * Create and open a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<IndexedDBStore|LocalStorageStore>} Opened store
+     */
+    static async create(storeName) {
+        if (IndexedDBStore.isSupported()) {
+            try {
+                return await new IndexedDBStore(storeName).open();
+            } catch (error) {
+                console.warn(`IndexedDB unavailable for ${storeName}, falling back to localStorage:`, error);
+            }
+        }
+        return await new LocalStorageStore(storeName).open();
+    }
+}
@@ -0,0 +1,155 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Default exchange rates: units of each currency per 1 USD.
+ * Only used until rates are configured; they are not kept up to date.
+ */
+const DEFAULT_RATES = {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    INR: 83.2
+};
+
+/**
+ * Converts amounts between currencies using a locally configured rate table.
+ *
+ * Rates are expressed against a base currency: `rates.EUR = 0.92` means
+ * 1 base unit buys 0.92 EUR. Amounts in currencies without a rate cannot be
+ * converted; `convert` returns null for them so callers can leave them out
+ * of totals instead of silently counting them at the wrong value.
+ */
+export class CurrencyConverter {
+    /**
+     * @param {Object} options - Converter options
+     * @param {string} options.base - Currency the rates are expressed against
+     * @param {Object} options.rates - Units of each currency per 1 base unit
+     * @param {string} options.reportingCurrency - Currency used for sorting and statistics
+     */
+    constructor(options = {}) {
+        this.observers = [];
+        this.configure({
+            base: 'USD',
+            rates: DEFAULT_RATES,
+            ...options
+        });
+    }
+
+    /**
+     * Add observer for configuration changes
+     * @param {Function} callback - Callback function
+     */
+    addObserver(callback) {
+        this.observers.push(callback);
+    }
+
+    /**
+     * Remove observer
+     * @param {Function} callback - Callback function to remove
+     */
+    removeObserver(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    /**
+     * Notify all observers of changes
+     */
+    notifyObservers() {
+        this.observers.forEach(callback => callback(this));
+    }
+
+    /**
+     * Replace the base currency, rate table and reporting currency
+     * @param {Object} options - { base, rates, reportingCurrency }
+     * @throws {ValidationError} If a code or rate is invalid (fieldErrors keyed 'base', 'rate.<CODE>', 'reportingCurrency')
+     */
+    configure(options = {}) {
+        const base = CurrencyConverter.normalizeCode(options.base || this.base || 'USD', 'base');
+        const rates = { [base]: 1 };
+        const fieldErrors = {};
+
+        Object.entries(options.rates || {}).forEach(([code, rate]) => {
+            const normalized = CurrencyConverter.normalizeCode(code, `rate.${code}`);
+            const value = Number(rate);
+            if (normalized !== base && !(value > 0)) {
+                fieldErrors[`rate.${normalized}`] = `Exchange rate for ${normalized} must be a positive number`;
+            }
+            rates[normalized] = normalized === base ? 1 : value;
+        });
+
+        const reportingCurrency = CurrencyConverter.normalizeCode(options.reportingCurrency || base, 'reportingCurrency');
+        if (!rates[reportingCurrency]) {
+            fieldErrors.reportingCurrency = `No exchange rate for the reporting currency ${reportingCurrency}`;
+        }
+
+        if (Object.keys(fieldErrors).length > 0) {
+            throw new ValidationError(fieldErrors);
+        }
+
+        this.base = base;
+        this.rates = rates;
+        this.reportingCurrency = reportingCurrency;
+        this.notifyObservers();
+    }
+
+    /**
+     * Get the configured currency codes
+     * @returns {Array<string>} Currency codes, base first
+     */
+    getCurrencies() {
+        return Object.keys(this.rates);
+    }
+
+    /**
+     * Check whether a currency can be converted
+     * @param {string} code - Currency code
+     * @returns {boolean} True if a rate is configured
+     */
+    hasRate(code) {
+        return Boolean(code && this.rates[code.toUpperCase()]);
+    }
+
+    /**
+     * Convert an amount between currencies
+     * @param {number} amount - Amount
+     * @param {string} from - Source currency
+     * @param {string} to - Target currency (defaults to the reporting currency)
+     * @returns {number|null} Converted amount, or null if either rate is missing
+     */
+    convert(amount, from, to = this.reportingCurrency) {
+        if (amount == null || isNaN(amount)) return null;
+        if (from === to) return Number(amount);
+        if (!this.hasRate(from) || !this.hasRate(to)) return null;
+
+        return (Number(amount) / this.rates[from.toUpperCase()]) * this.rates[to.toUpperCase()];
+    }
+
+    /**
+     * Serialize the configuration (for the settings store)
+     * @returns {Object} { base, rates, reportingCurrency }
+     */
+    toJSON() {
+        return {
+            base: this.base,
+            rates: { ...this.rates },
+            reportingCurrency: this.reportingCurrency
+        };
+    }
+
+    /**
+     * Validate and upper-case a currency code
+     * @param {string} code - Currency code
+     * @param {string} field - Field name to report the error under
+     * @returns {string} Normalized code
+     * @throws {ValidationError} If the code is not three letters
+     */
+    static normalizeCode(code, field = 'currency') {
+        const normalized = String(code || '').trim().toUpperCase();
+        if (!/^[A-Z]{3}$/.test(normalized)) {
+            throw new ValidationError({ [field]: `"${code}" is not a 3-letter currency code` });
+        }
+        return normalized;
+    }
+}
+
+CurrencyConverter.DEFAULT_RATES = DEFAULT_RATES;
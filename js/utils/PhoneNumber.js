@@ -0,0 +1,348 @@
+/**
+ * Numbering rules per region: country calling code, national (trunk)
+ * prefix, length of the national significant number and display formats.
+ * Formats are tried in order; the first whose pattern matches is used.
+ * The rules are deliberately simplified: lengths and area-code checks
+ * catch typos, not every unassigned number.
+ */
+const REGIONS = {
+    US: {
+        name: 'US',
+        code: '1',
+        trunk: '1',
+        lengths: [10, 10],
+        check: nsn => /^[2-9]/.test(nsn) ? null : 'US and Canadian area codes cannot start with 0 or 1',
+        formats: [
+            { pattern: /^(\d{3})(\d{3})(\d{4})$/, national: '($1) $2-$3', international: '$1-$2-$3' }
+        ]
+    },
+    CA: {
+        name: 'Canadian',
+        code: '1',
+        trunk: '1',
+        lengths: [10, 10],
+        check: nsn => /^[2-9]/.test(nsn) ? null : 'US and Canadian area codes cannot start with 0 or 1',
+        formats: [
+            { pattern: /^(\d{3})(\d{3})(\d{4})$/, national: '($1) $2-$3', international: '$1-$2-$3' }
+        ]
+    },
+    GB: {
+        name: 'UK',
+        code: '44',
+        trunk: '0',
+        lengths: [9, 10],
+        formats: [
+            { pattern: /^(2\d)(\d{4})(\d{4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+            { pattern: /^(7\d{3})(\d{6})$/, national: '0$1 $2', international: '$1 $2' },
+            { pattern: /^(\d{4})(\d{5,6})$/, national: '0$1 $2', international: '$1 $2' }
+        ]
+    },
+    DE: {
+        name: 'German',
+        code: '49',
+        trunk: '0',
+        lengths: [7, 11],
+        formats: [
+            { pattern: /^(1[5-7]\d)(\d{7,8})$/, national: '0$1 $2', international: '$1 $2' },
+            { pattern: /^([2-9]0)(\d+)$/, national: '0$1 $2', international: '$1 $2' },
+            { pattern: /^(\d{3})(\d+)$/, national: '0$1 $2', international: '$1 $2' }
+        ]
+    },
+    FR: {
+        name: 'French',
+        code: '33',
+        trunk: '0',
+        lengths: [9, 9],
+        formats: [
+            { pattern: /^(\d)(\d{2})(\d{2})(\d{2})(\d{2})$/, national: '0$1 $2 $3 $4 $5', international: '$1 $2 $3 $4 $5' }
+        ]
+    },
+    ES: {
+        name: 'Spanish',
+        code: '34',
+        trunk: '',
+        lengths: [9, 9],
+        formats: [
+            { pattern: /^(\d{3})(\d{3})(\d{3})$/, national: '$1 $2 $3', international: '$1 $2 $3' }
+        ]
+    },
+    IN: {
+        name: 'Indian',
+        code: '91',
+        trunk: '0',
+        lengths: [10, 10],
+        formats: [
+            { pattern: /^(\d{5})(\d{5})$/, national: '0$1 $2', international: '$1 $2' }
+        ]
+    },
+    AU: {
+        name: 'Australian',
+        code: '61',
+        trunk: '0',
+        lengths: [9, 9],
+        formats: [
+            { pattern: /^(4\d{2})(\d{3})(\d{3})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+            { pattern: /^(\d)(\d{4})(\d{4})$/, national: '(0$1) $2 $3', international: '$1 $2 $3' }
+        ]
+    },
+    JP: {
+        name: 'Japanese',
+        code: '81',
+        trunk: '0',
+        lengths: [9, 10],
+        formats: [
+            { pattern: /^(\d{2})(\d{4})(\d{4})$/, national: '0$1-$2-$3', international: '$1-$2-$3' },
+            { pattern: /^(\d)(\d{4})(\d{4})$/, national: '0$1-$2-$3', international: '$1-$2-$3' }
+        ]
+    }
+};
+
+/**
+ * Region used for each country calling code (the first region listed wins,
+ * so +1 numbers count as US unless the default region is Canada)
+ */
+const CODE_TO_REGION = Object.entries(REGIONS).reduce((map, [region, meta]) => {
+    if (!map[meta.code]) map[meta.code] = region;
+    return map;
+}, {});
+
+/**
+ * Extension written after the number: "x123", "ext. 123", "extension 123",
+ * "#123" or RFC 3966 ";ext=123"
+ */
+const EXTENSION_PATTERN = /^(.*?)\s*(?:;ext=|ext(?:ension)?\.?|x|#)\s*(\d+)\s*$/i;
+
+/**
+ * E.164 allows at most 15 digits including the country code
+ */
+const MAX_E164_DIGITS = 15;
+
+/**
+ * Longest extension accepted
+ */
+const MAX_EXTENSION_DIGITS = 10;
+
+/**
+ * Parses, validates and formats phone numbers.
+ *
+ * Numbers are stored in E.164 (`+17707368031`) with any extension kept
+ * separately (`56442`). Input without a country code is read as a national
+ * number of the default region, which follows the display locale. For
+ * display, numbers from the default region's country code are shown in
+ * national format and all others in international format.
+ */
+export class PhoneNumber {
+    /**
+     * Parse a phone number
+     * @param {string} input - Number as typed, e.g. "1-770-736-8031 x56442" or "+44 20 7946 0958"
+     * @param {string} region - Region for numbers without a country code (defaults to PhoneNumber.defaultRegion)
+     * @returns {Object} { isValid, error, e164, countryCode, region, nationalNumber, extension }
+     */
+    static parse(input, region = PhoneNumber.defaultRegion) {
+        const invalid = (error) => ({
+            isValid: false, error, e164: null, countryCode: null, region: null, nationalNumber: null, extension: ''
+        });
+
+        const raw = String(input ?? '').trim();
+        if (!raw) {
+            return invalid('Phone number is empty');
+        }
+
+        const extensionMatch = raw.match(EXTENSION_PATTERN);
+        const number = extensionMatch ? extensionMatch[1] : raw;
+        const extension = extensionMatch ? extensionMatch[2] : '';
+
+        const invalidCharacters = [...new Set(number.replace(/[\d\s().\-\/+]/g, ''))];
+        if (invalidCharacters.length > 0) {
+            return invalid(`Phone number contains invalid characters: ${invalidCharacters.map(char => `"${char}"`).join(', ')}`);
+        }
+        if (number.lastIndexOf('+') > 0) {
+            return invalid('"+" may only appear once, at the start of the number');
+        }
+        if (extension.length > MAX_EXTENSION_DIGITS) {
+            return invalid(`Extension can have at most ${MAX_EXTENSION_DIGITS} digits`);
+        }
+
+        const defaultMeta = REGIONS[region] || REGIONS.US;
+        let digits = number.replace(/\D/g, '');
+        let international = number.startsWith('+');
+
+        // International dialling prefixes stand in for "+"
+        if (!international && digits.startsWith('00')) {
+            digits = digits.slice(2);
+            international = true;
+        } else if (!international && defaultMeta.code === '1' && digits.startsWith('011')) {
+            digits = digits.slice(3);
+            international = true;
+        }
+
+        if (!digits) {
+            return invalid('Phone number must contain digits');
+        }
+
+        let countryCode;
+        let numberRegion;
+        let nationalNumber;
+
+        if (international) {
+            countryCode = [1, 2, 3].map(length => digits.slice(0, length)).find(code => CODE_TO_REGION[code]);
+            if (!countryCode) {
+                // Without numbering rules for the country only the E.164 limits apply
+                if (digits.length < 8 || digits.length > MAX_E164_DIGITS) {
+                    return invalid(`International numbers need 8 to ${MAX_E164_DIGITS} digits including the country code, got ${digits.length}`);
+                }
+                return {
+                    isValid: true, error: null, e164: `+${digits}`, countryCode: null, region: null, nationalNumber: digits, extension
+                };
+            }
+            numberRegion = REGIONS[region]?.code === countryCode ? region : CODE_TO_REGION[countryCode];
+            nationalNumber = digits.slice(countryCode.length);
+        } else {
+            numberRegion = REGIONS[region] ? region : 'US';
+            countryCode = defaultMeta.code;
+            nationalNumber = digits;
+            if (defaultMeta.trunk && nationalNumber.startsWith(defaultMeta.trunk)
+                && PhoneNumber.hasValidLength(defaultMeta, nationalNumber.length - defaultMeta.trunk.length)) {
+                nationalNumber = nationalNumber.slice(defaultMeta.trunk.length);
+            }
+        }
+
+        const meta = REGIONS[numberRegion];
+        const [min, max] = meta.lengths;
+        if (!PhoneNumber.hasValidLength(meta, nationalNumber.length)) {
+            const expected = min === max ? `${min}` : `${min} to ${max}`;
+            const prefix = meta.trunk ? `+${meta.code} (or the leading ${meta.trunk})` : `+${meta.code}`;
+            return invalid(
+                `Too ${nationalNumber.length < min ? 'short' : 'long'} for a ${meta.name} phone number: ` +
+                `expected ${expected} digits after ${prefix}, got ${nationalNumber.length}`
+            );
+        }
+
+        const checkError = meta.check ? meta.check(nationalNumber) : null;
+        if (checkError) {
+            return invalid(checkError);
+        }
+
+        return {
+            isValid: true,
+            error: null,
+            e164: `+${countryCode}${nationalNumber}`,
+            countryCode,
+            region: numberRegion,
+            nationalNumber,
+            extension
+        };
+    }
+
+    /**
+     * Check a national significant number length against a region's rules
+     * @param {Object} meta - Region rules
+     * @param {number} length - Number of digits
+     * @returns {boolean} True if the length is allowed
+     */
+    static hasValidLength(meta, length) {
+        return length >= meta.lengths[0] && length <= meta.lengths[1]
+            && meta.code.length + length <= MAX_E164_DIGITS;
+    }
+
+    /**
+     * Get the error message for a phone number
+     * @param {string} input - Phone number
+     * @param {string} region - Region for numbers without a country code
+     * @returns {string|null} Error message, or null if the number is valid
+     */
+    static validate(input, region = PhoneNumber.defaultRegion) {
+        return PhoneNumber.parse(input, region).error;
+    }
+
+    /**
+     * Normalize a phone number for storage
+     * @param {string} input - Phone number as typed
+     * @param {string} region - Region for numbers without a country code
+     * @returns {Object} { phone, extension }; invalid numbers are returned unchanged so validation can report them
+     */
+    static normalize(input, region = PhoneNumber.defaultRegion) {
+        const parsed = PhoneNumber.parse(input, region);
+        return parsed.isValid
+            ? { phone: parsed.e164, extension: parsed.extension }
+            : { phone: String(input ?? '').trim(), extension: '' };
+    }
+
+    /**
+     * Format a phone number for display
+     * @param {string} phone - Phone number (normally E.164)
+     * @param {Object} options - Format options
+     * @param {string} options.extension - Extension to append
+     * @param {string} options.region - Viewer's region (defaults to PhoneNumber.defaultRegion)
+     * @param {string} options.style - 'national' or 'international' (default: national for the viewer's country code)
+     * @returns {string} Formatted number, or the input if it cannot be parsed
+     */
+    static format(phone, options = {}) {
+        if (!phone) return '';
+        const region = options.region || PhoneNumber.defaultRegion;
+        const parsed = PhoneNumber.parse(phone, region);
+        if (!parsed.isValid) return String(phone);
+
+        const extension = options.extension || parsed.extension;
+        let text = parsed.e164;
+
+        if (parsed.region) {
+            const meta = REGIONS[parsed.region];
+            const style = options.style || (REGIONS[region]?.code === meta.code ? 'national' : 'international');
+            const rule = meta.formats.find(format => format.pattern.test(parsed.nationalNumber));
+            const grouped = rule ? parsed.nationalNumber.replace(rule.pattern, rule[style]) : parsed.nationalNumber;
+            text = style === 'national' ? grouped : `+${meta.code} ${grouped}`;
+        }
+
+        return extension ? `${text} ext. ${extension}` : text;
+    }
+
+    /**
+     * Build a tel: link target (RFC 3966)
+     * @param {string} phone - Phone number (normally E.164)
+     * @param {string} extension - Extension
+     * @returns {string} tel: URI
+     */
+    static toTelUri(phone, extension = '') {
+        const parsed = PhoneNumber.parse(phone);
+        if (!parsed.isValid) {
+            return `tel:${String(phone || '').replace(/[^\d+]/g, '')}`;
+        }
+        const ext = extension || parsed.extension;
+        return `tel:${parsed.e164}${ext ? `;ext=${ext}` : ''}`;
+    }
+
+    /**
+     * Get the region of a locale if phone rules exist for it
+     * @param {string} locale - BCP 47 locale, e.g. 'en-GB'
+     * @returns {string|null} Region code, e.g. 'GB'
+     */
+    static regionFromLocale(locale) {
+        try {
+            const region = new Intl.Locale(locale).maximize().region;
+            return REGIONS[region] ? region : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Set the region used for numbers without a country code
+     * @param {string} region - Region code; unsupported regions fall back to US
+     * @returns {string} Region in use
+     */
+    static setDefaultRegion(region) {
+        PhoneNumber.defaultRegion = REGIONS[region] ? region : 'US';
+        return PhoneNumber.defaultRegion;
+    }
+
+    /**
+     * Get the regions with numbering rules
+     * @returns {Array<string>} Region codes
+     */
+    static getRegions() {
+        return Object.keys(REGIONS);
+    }
+}
+
+PhoneNumber.defaultRegion = 'US';
@@ -0,0 +1,58 @@
+/**
+ * Small deterministic pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence, which keeps generated
+ * demo data stable across reloads.
+ */
+export class SeededRandom {
+    /**
+     * @param {string|number} seed - Seed value; strings are hashed
+     */
+    constructor(seed) {
+        this.state = SeededRandom.hash(String(seed));
+    }
+
+    /**
+     * Hash a string into a 32-bit unsigned integer (FNV-1a)
+     * @param {string} value - String to hash
+     * @returns {number} 32-bit hash
+     */
+    static hash(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1)
+     * @returns {number} Pseudo-random float
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [min, max]
+     * @param {number} min - Lower bound (inclusive)
+     * @param {number} max - Upper bound (inclusive)
+     * @returns {number} Pseudo-random integer
+     */
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Pick an element from an array
+     * @param {Array} items - Items to pick from
+     * @returns {*} Picked item (undefined for empty arrays)
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * Application error classes.
+ *
+ * Everything thrown on purpose by the API, models and services extends
+ * AppError, so callers can branch with instanceof instead of parsing
+ * messages. Errors that relate to specific form fields expose them through
+ * `fieldErrors` ({ fieldName: message }).
+ */
+
+/**
+ * Base class for all application errors
+ */
+export class AppError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = options.code || 'APP_ERROR';
+        this.cause = options.cause;
+        this.fieldErrors = options.fieldErrors || {};
+    }
+
+    /**
+     * Check whether the error relates to specific fields
+     * @returns {boolean} True if fieldErrors is non-empty
+     */
+    hasFieldErrors() {
+        return Object.keys(this.fieldErrors).length > 0;
+    }
+}
+
+/**
+ * The request never got a response (offline, DNS, CORS, connection reset...)
+ */
+export class NetworkError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { code: 'NETWORK_ERROR', ...options });
+        this.url = options.url || null;
+    }
+}
+
+/**
+ * The request took longer than its timeout
+ */
+export class TimeoutError extends NetworkError {
+    constructor(message, options = {}) {
+        super(message, { code: 'TIMEOUT', ...options });
+        this.timeout = options.timeout || null;
+    }
+}
+
+/**
+ * The request was cancelled by the caller or superseded by a newer one.
+ * Named 'AbortError' to match the DOMException thrown by fetch.
+ */
+export class AbortError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { code: 'ABORTED', ...options });
+        this.name = 'AbortError';
+        this.url = options.url || null;
+    }
+}
+
+/**
+ * The server answered with a non-2xx status
+ */
+export class HttpError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { code: 'HTTP_ERROR', ...options });
+        this.status = options.status || 0;
+        this.statusText = options.statusText || '';
+        this.url = options.url || null;
+        this.body = options.body ?? null;
+    }
+
+    /**
+     * Check whether the failure is on the server side (5xx)
+     * @returns {boolean} True for server errors
+     */
+    isServerError() {
+        return this.status >= 500;
+    }
+}
+
+/**
+ * The requested employee does not exist (locally or on the server)
+ */
+export class NotFoundError extends HttpError {
+    constructor(message = 'Employee not found', options = {}) {
+        super(message, { status: 404, statusText: 'Not Found', ...options, code: 'NOT_FOUND' });
+        this.resourceId = options.resourceId ?? null;
+    }
+}
+
+/**
+ * The change clashes with existing data, e.g. a duplicate email
+ */
+export class ConflictError extends HttpError {
+    constructor(message, options = {}) {
+        const fieldErrors = options.field ? { [options.field]: message } : options.fieldErrors;
+        super(message, { status: 409, statusText: 'Conflict', ...options, fieldErrors, code: 'CONFLICT' });
+        this.field = options.field || null;
+    }
+}
+
+/**
+ * The data failed validation. `errors` lists every message,
+ * `fieldErrors` maps each offending field to its first message.
+ */
+export class ValidationError extends AppError {
+    constructor(fieldErrors = {}, options = {}) {
+        const errors = options.errors || Object.values(fieldErrors);
+        super(options.message || errors.join(', ') || 'Validation failed', {
+            ...options,
+            code: 'VALIDATION_ERROR',
+            fieldErrors
+        });
+        this.errors = errors;
+        this.status = options.status || 422;
+    }
+
+    /**
+     * Create from an Employee.validate() result
+     * @param {Object} validation - Validation result
+     * @returns {ValidationError} Validation error
+     */
+    static fromValidation(validation) {
+        return new ValidationError(validation.fieldErrors, { errors: validation.errors });
+    }
+}
+
+/**
+ * Build the most specific error for an unsuccessful HTTP response
+ * @param {Object} details - Response details
+ * @param {number} details.status - HTTP status code
+ * @param {string} details.statusText - HTTP status text
+ * @param {string} details.url - Request URL
+ * @param {*} details.body - Parsed response body, if any
+ * @returns {HttpError|ValidationError} Error instance
+ */
+export function createHttpError({ status, statusText = '', url = null, body = null }) {
+    const message = body?.message || `HTTP Error: ${status} ${statusText}`.trim();
+    const options = { status, statusText, url, body };
+
+    if (status === 404) {
+        return new NotFoundError(message, options);
+    }
+    if (status === 409) {
+        return new ConflictError(message, { ...options, field: body?.field, fieldErrors: body?.errors });
+    }
+    if ((status === 400 || status === 422) && body?.errors && typeof body.errors === 'object' && !Array.isArray(body.errors)) {
+        return new ValidationError(body.errors, { ...options, message });
+    }
+    return new HttpError(message, options);
+}
@@ -1,7 +1,13 @@
+import { PhoneNumber } from './PhoneNumber.js';
+
 /**
- * Utility helper functions
+ * Cached Intl.NumberFormat instances, keyed by locale and currency
  */
+const currencyFormatters = new Map();
 
+/**
+ * Utility helper functions
+ */
 export class Helpers {
     /**
      * Debounce function to limit function calls
@@ -39,32 +45,52 @@ export class Helpers {
     }
 
     /**
-     * Format currency value
+     * Format currency value in the display locale
      * @param {number} value - Numeric value
+     * @param {string} currency - ISO 4217 currency code
+     * @param {string} locale - BCP 47 locale (defaults to Helpers.locale)
      * @returns {string} Formatted currency string
      */
-    static formatCurrency(value) {
-        if (value == null || isNaN(value)) return '$0';
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0
-        }).format(value);
+    static formatCurrency(value, currency = 'USD', locale = Helpers.locale) {
+        if (value == null || isNaN(value)) value = 0;
+
+        // Creating formatters is slow and tables format a lot of salaries
+        const key = `${locale}|${currency}`;
+        if (!currencyFormatters.has(key)) {
+            try {
+                currencyFormatters.set(key, new Intl.NumberFormat(locale, {
+                    style: 'currency',
+                    currency,
+                    minimumFractionDigits: 0,
+                    maximumFractionDigits: 0
+                }));
+            } catch (error) {
+                // Malformed currency code: show the plain number with the code
+                return `${Math.round(value).toLocaleString(locale)} ${currency}`;
+            }
+        }
+        return currencyFormatters.get(key).format(value);
+    }
+
+    /**
+     * Set the locale used to format currencies and dates
+     * @param {string} locale - BCP 47 locale, e.g. 'de-DE'
+     * @returns {string} The locale in use
+     * @throws {RangeError} If the locale is not valid
+     */
+    static setLocale(locale) {
+        const [supported] = Intl.NumberFormat.supportedLocalesOf(locale);
+        Helpers.locale = supported || locale;
+        return Helpers.locale;
     }
 
     /**
-     * Format phone number
+     * Format phone number for display (see PhoneNumber.format)
      * @param {string} phone - Phone number string
      * @returns {string} Formatted phone number
      */
     static formatPhone(phone) {
-        if (!phone) return '';
-        const cleaned = phone.replace(/\D/g, '');
-        if (cleaned.length === 10) {
-            return `(${cleaned.slice(0, 3)}) ${cleaned.slice(3, 6)}-${cleaned.slice(6)}`;
-        }
-        return phone;
+        return PhoneNumber.format(phone);
     }
 
     /**
@@ -78,14 +104,13 @@ export class Helpers {
     }
 
     /**
-     * Validate phone format
+     * Validate phone format (see PhoneNumber.validate for the reason)
      * @param {string} phone - Phone string
      * @returns {boolean} Is valid phone
      */
     static isValidPhone(phone) {
         if (!phone) return true; // Phone is optional
-        const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-        return phoneRegex.test(phone.replace(/\D/g, ''));
+        return PhoneNumber.parse(phone).isValid;
     }
 
     /**
@@ -124,23 +149,97 @@ export class Helpers {
     static objectToCSV(data) {
         if (!data || !data.length) return '';
         
+        const escape = (value) => {
+            if (value == null) value = '';
+            if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
+                value = `"${value.replace(/"/g, '""')}"`;
+            }
+            return value;
+        };
+
         const headers = Object.keys(data[0]);
-        const csvHeaders = headers.join(',');
+        const csvHeaders = headers.map(escape).join(',');
         
         const csvRows = data.map(row => {
-            return headers.map(header => {
-                let value = row[header];
-                if (value == null) value = '';
-                if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
-                    value = `"${value.replace(/"/g, '""')}"`;
-                }
-                return value;
-            }).join(',');
+            return headers.map(header => escape(row[header])).join(',');
         });
         
         return [csvHeaders, ...csvRows].join('\n');
     }
 
+    /**
+     * Parse CSV text (RFC 4180): fields may be quoted, quoted fields may
+     * contain delimiters, line breaks and doubled quotes (""). Accepts
+     * CRLF or LF line endings and a leading byte order mark; blank lines
+     * are skipped.
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Field delimiter
+     * @returns {Array<Array<string>>} Rows of fields
+     * @throws {Error} If a quoted field is not closed or is followed by stray characters
+     */
+    static parseCSV(text, delimiter = ',') {
+        const input = String(text ?? '').replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let i = 0;
+
+        const endField = () => {
+            row.push(field);
+            field = '';
+        };
+        const endRow = () => {
+            endField();
+            // A line with nothing on it is a blank line, not a row with one empty field
+            if (row.length > 1 || row[0] !== '' || quoted) rows.push(row);
+            row = [];
+            quoted = false;
+        };
+
+        while (i < input.length) {
+            const char = input[i];
+
+            if (char === '"' && field === '' && !quoted) {
+                const startLine = line;
+                quoted = true;
+                i++;
+                while (input[i] !== '"' || input[i + 1] === '"') {
+                    if (i >= input.length) {
+                        throw new Error(`Unterminated quoted field starting on line ${startLine}`);
+                    }
+                    if (input[i] === '\n') line++;
+                    field += input[i];
+                    i += input[i] === '"' ? 2 : 1;
+                }
+                i++;
+
+                const next = input[i];
+                if (next !== undefined && next !== delimiter && next !== '\n' && next !== '\r') {
+                    throw new Error(`Unexpected character after a quoted field on line ${line}`);
+                }
+            } else if (char === delimiter) {
+                endField();
+                quoted = false;
+                i++;
+            } else if (char === '\r' || char === '\n') {
+                endRow();
+                i += char === '\r' && input[i + 1] === '\n' ? 2 : 1;
+                line++;
+            } else {
+                field += char;
+                i++;
+            }
+        }
+
+        if (field !== '' || row.length > 0 || quoted) {
+            endRow();
+        }
+
+        return rows;
+    }
+
     /**
      * Download file
      * @param {string} content - File content
@@ -164,8 +263,9 @@ export class Helpers {
      * @param {string} message - Message to show
      * @param {string} type - Toast type (success, error, warning)
      * @param {number} duration - Duration in milliseconds
+     * @param {Object} action - Optional button such as Undo: { label, onClick }
      */
-    static showToast(message, type = 'success', duration = 3000) {
+    static showToast(message, type = 'success', duration = 3000, action = null) {
         const container = document.getElementById('toastContainer');
         if (!container) return;
 
@@ -174,10 +274,18 @@ export class Helpers {
         toast.innerHTML = `
             <div style="display: flex; justify-content: space-between; align-items: center;">
                 <span>${message}</span>
+                ${action ? `<button type="button" class="toast-action">${Helpers.escapeHtml(action.label)}</button>` : ''}
                 <button onclick="this.parentElement.parentElement.remove()" style="background: none; border: none; font-size: 18px; cursor: pointer; margin-left: 12px;">&times;</button>
             </div>
         `;
 
+        if (action) {
+            toast.querySelector('.toast-action').addEventListener('click', () => {
+                toast.remove();
+                action.onClick();
+            });
+        }
+
         container.appendChild(toast);
 
         setTimeout(() => {
@@ -267,6 +375,26 @@ export class Helpers {
         return path.split('.').reduce((current, key) => current?.[key], obj);
     }
 
+    /**
+     * Set nested property value, creating intermediate objects as needed
+     * @param {Object} obj - Object to set value on
+     * @param {string} path - Property path (e.g., 'user.name')
+     * @param {*} value - Value to set
+     * @returns {Object} The same object
+     */
+    static setNestedValue(obj, path, value) {
+        const keys = path.split('.');
+        const lastKey = keys.pop();
+        const target = keys.reduce((current, key) => {
+            if (current[key] == null || typeof current[key] !== 'object') {
+                current[key] = {};
+            }
+            return current[key];
+        }, obj);
+        target[lastKey] = value;
+        return obj;
+    }
+
     /**
      * Capitalize first letter of string
      * @param {string} str - String to capitalize
@@ -286,10 +414,15 @@ export class Helpers {
         if (!date) return '';
         const d = new Date(date);
         if (isNaN(d.getTime())) return '';
-        return d.toLocaleDateString('en-US', {
+        return d.toLocaleDateString(Helpers.locale, {
             year: 'numeric',
             month: 'short',
             day: 'numeric'
         });
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Locale for formatting currencies and dates (see setLocale)
+ */
+Helpers.locale = 'en-US';
@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+/**
+ * Mock REST server for local development and end-to-end testing.
+ *
+ * Implements the /users contract the REST adapters expect, using only Node
+ * built-ins. Records are validated with the app's own Employee model and
+ * persisted to a JSON file, so changes survive restarts.
+ *
+ * Usage:
+ *   node mock-server/server.mjs [--port 3001] [--db mock-server/db.json]
+ *                               [--seed 200] [--latency 0|min-max] [--error-rate 0]
+ *
+ * Routes:
+ *   GET    /health            Health probe
+ *   GET    /users             List; supports _page, _limit, _sort, _order, q,
+ *                             department (repeatable) and <field>=<value> filters.
+ *                             Paginated responses carry X-Total-Count.
+ *   GET    /users/:id         Single record
+ *   POST   /users             Create (201); 422 on invalid data, 409 on duplicate email
+ *   PUT    /users/:id         Update (fields not sent are kept)
+ *   PATCH  /users/:id         Same as PUT
+ *   DELETE /users/:id         Delete
+ *   GET    /__config          Current latency/error settings
+ *   PUT    /__config          Change latency/error settings at runtime
+ *   POST   /__reset           Replace all data with freshly seeded records
+ *
+ * Any request also accepts `_delay=<ms>` (extra latency) and `_status=<code>`
+ * (force an error response) query parameters.
+ *
+ * Point the app at it with, for example:
+ *   window.employeeAppConfig = {
+ *       dataService: {
+ *           adapter: new GenericRestAdapter({
+ *               baseURL: 'http://localhost:3001',
+ *               endpoints: { users: '/users', health: '/health' }
+ *           }),
+ *           paginationMode: 'remote'
+ *       }
+ *   };
+ */
+import http from 'node:http';
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { Employee } from '../js/models/Employee.js';
+import { Helpers } from '../js/utils/helpers.js';
+import { SeededRandom } from '../js/utils/SeededRandom.js';
+
+const SERVER_DIR = dirname(fileURLToPath(import.meta.url));
+
+const FIRST_NAMES = [
+    'Ava', 'Ben', 'Chloe', 'Daniel', 'Elena', 'Farid', 'Grace', 'Hiro', 'Isla', 'Jonas',
+    'Kemi', 'Liam', 'Maya', 'Noah', 'Olivia', 'Priya', 'Quinn', 'Rafael', 'Sofia', 'Tomas'
+];
+const LAST_NAMES = [
+    'Anderson', 'Bauer', 'Chen', 'Dubois', 'Evans', 'Fischer', 'Garcia', 'Haddad', 'Ito', 'Jensen',
+    'Kowalski', 'Lopez', 'Moreau', 'Nakamura', 'Okafor', 'Patel', 'Rossi', 'Silva', 'Tanaka', 'Walsh'
+];
+
+/**
+ * Headers sent with every response so the app can call the server from another origin
+ */
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'X-Total-Count, Retry-After'
+};
+
+/**
+ * Query parameters that control the response rather than filter records
+ */
+const RESERVED_PARAMS = ['_page', '_limit', '_sort', '_order', 'q', 'department', '_delay', '_status'];
+
+/**
+ * Error thrown by route handlers to produce a JSON error response
+ */
+class MockHttpError extends Error {
+    constructor(status, message, body = {}, headers = {}) {
+        super(message);
+        this.status = status;
+        this.body = { message, ...body };
+        this.headers = headers;
+    }
+}
+
+/**
+ * JSON-file backed record store
+ */
+class JsonDatabase {
+    constructor(filePath, seedCount) {
+        this.filePath = filePath;
+        this.seedCount = seedCount;
+        this.users = [];
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load the database file, seeding it when missing
+     */
+    async load() {
+        try {
+            const contents = JSON.parse(await readFile(this.filePath, 'utf8'));
+            this.users = Array.isArray(contents.users) ? contents.users : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Could not read ${this.filePath}, reseeding:`, error.message);
+            }
+            await this.reset();
+        }
+    }
+
+    /**
+     * Replace all records with generated ones
+     */
+    async reset() {
+        this.users = JsonDatabase.generateUsers(this.seedCount);
+        await this.save();
+    }
+
+    /**
+     * Generate deterministic employee records
+     * @param {number} count - Number of records
+     * @returns {Array<Object>} Employee records
+     */
+    static generateUsers(count) {
+        const random = new SeededRandom('mock-server');
+        return Array.from({ length: count }, (_, index) => {
+            const first = random.pick(FIRST_NAMES);
+            const last = random.pick(LAST_NAMES);
+            const id = String(index + 1);
+            return Employee.fromApiData({
+                id,
+                name: `${first} ${last}`,
+                email: `${first}.${last}.${id}@example.com`.toLowerCase(),
+                phone: `555-${String(random.nextInt(100, 999))}-${String(random.nextInt(1000, 9999))}`
+            }).toObject();
+        });
+    }
+
+    /**
+     * Write the database file atomically. Writes are serialized.
+     * @returns {Promise} Write promise
+     */
+    save() {
+        this.writeQueue = this.writeQueue.then(async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await mkdir(dirname(this.filePath), { recursive: true });
+            await writeFile(tempPath, JSON.stringify({ users: this.users }, null, 2));
+            await rename(tempPath, this.filePath);
+        }).catch(error => {
+            console.error('Failed to write database:', error);
+        });
+        return this.writeQueue;
+    }
+
+    /**
+     * Find a record
+     * @param {string} id - Record ID
+     * @returns {Object} Record
+     * @throws {MockHttpError} 404 if missing
+     */
+    find(id) {
+        const user = this.users.find(record => String(record.id) === String(id));
+        if (!user) {
+            throw new MockHttpError(404, `User ${id} not found`);
+        }
+        return user;
+    }
+
+    /**
+     * Make sure no other record uses an email address (trashed records free theirs)
+     * @param {string} email - Email to check
+     * @param {string} excludeId - ID of the record allowed to own it
+     * @throws {MockHttpError} 409 on a duplicate
+     */
+    assertEmailAvailable(email, excludeId = null) {
+        const taken = this.users.some(record =>
+            !record.deletedAt
+            && record.email.toLowerCase() === String(email).toLowerCase()
+            && String(record.id) !== String(excludeId)
+        );
+        if (taken) {
+            throw new MockHttpError(409, 'Employee with this email already exists', {
+                field: 'email',
+                errors: { email: 'Employee with this email already exists' }
+            });
+        }
+    }
+}
+
+/**
+ * Validate an employee and convert it to a stored record
+ * @param {Employee} employee - Employee to validate
+ * @param {Object} previous - Stored record on an update (see Employee.validate)
+ * @returns {Object} Record
+ * @throws {MockHttpError} 422 with field errors
+ */
+function toValidRecord(employee, previous = null) {
+    const validation = employee.validate({ previous });
+    if (!validation.isValid) {
+        throw new MockHttpError(422, validation.errors.join(', '), { errors: validation.fieldErrors });
+    }
+    return employee.toObject();
+}
+
+/**
+ * Apply search, filters, sorting and pagination to the user list
+ * @param {Array<Object>} users - All records
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object} { items, total, paginated }
+ */
+function queryUsers(users, params) {
+    let results = users.map(record => new Employee(record));
+
+    // Employees in the trash are only part of the full, unpaged list
+    const paginated = params.has('_page') || params.has('_limit');
+    if (paginated) {
+        results = results.filter(employee => !employee.isDeleted);
+    }
+
+    const search = params.get('q');
+    if (search) {
+        results = results.filter(employee => employee.matchesSearch(search));
+    }
+
+    const departments = params.getAll('department');
+    if (departments.length > 0) {
+        results = results.filter(employee => departments.includes(employee.department));
+    }
+
+    params.forEach((value, key) => {
+        if (RESERVED_PARAMS.includes(key)) return;
+        results = results.filter(employee => String(employee[key]) === value);
+    });
+
+    const sortField = params.get('_sort');
+    if (sortField) {
+        const direction = params.get('_order') === 'desc' ? 'desc' : 'asc';
+        results = Helpers.sortByProperty(results, Employee.sortKey(sortField), direction);
+    }
+
+    const total = results.length;
+    const page = parseInt(params.get('_page'), 10);
+    const limit = parseInt(params.get('_limit'), 10);
+
+    if (paginated) {
+        const pageSize = isNaN(limit) ? 10 : limit;
+        const start = ((isNaN(page) ? 1 : page) - 1) * pageSize;
+        results = results.slice(start, start + pageSize);
+    }
+
+    return { items: results.map(employee => employee.toObject()), total, paginated };
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<Object>} Parsed body
+ * @throws {MockHttpError} 400 on invalid JSON
+ */
+async function readJsonBody(request) {
+    let raw = '';
+    for await (const chunk of request) {
+        raw += chunk;
+    }
+    if (!raw) return {};
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new MockHttpError(400, 'Request body is not valid JSON');
+    }
+}
+
+/**
+ * Parse a latency option ("200" or "100-400")
+ * @param {string|number|Object} value - Latency option
+ * @returns {Object} { min, max } in ms
+ */
+function parseLatency(value) {
+    if (value && typeof value === 'object') {
+        return { min: Number(value.min) || 0, max: Number(value.max ?? value.min) || 0 };
+    }
+    const [min, max = min] = String(value || 0).split('-').map(Number);
+    return { min: min || 0, max: Math.max(min || 0, max || 0) };
+}
+
+/**
+ * Create the mock server
+ * @param {Object} options - Server options
+ * @param {string} options.dbPath - JSON database path
+ * @param {number} options.seed - Number of records to generate for a new database
+ * @param {string|Object} options.latency - Fixed ("200") or random ("100-400") latency in ms
+ * @param {number} options.errorRate - Share (0-1) of /users requests that fail with a 503
+ * @returns {Promise<http.Server>} Server (not yet listening)
+ */
+export async function createMockServer(options = {}) {
+    const db = new JsonDatabase(resolve(options.dbPath || `${SERVER_DIR}/db.json`), options.seed ?? 200);
+    await db.load();
+
+    const config = {
+        latency: parseLatency(options.latency),
+        errorRate: Number(options.errorRate) || 0
+    };
+
+    const routes = {
+        'GET /health': () => ({ body: { status: 'ok', users: db.users.length } }),
+
+        'GET /__config': () => ({ body: config }),
+
+        'PUT /__config': async ({ request }) => {
+            const changes = await readJsonBody(request);
+            if (changes.latency !== undefined) config.latency = parseLatency(changes.latency);
+            if (changes.errorRate !== undefined) config.errorRate = Number(changes.errorRate) || 0;
+            return { body: config };
+        },
+
+        'POST /__reset': async () => {
+            await db.reset();
+            return { body: { users: db.users.length } };
+        },
+
+        'GET /users': ({ url }) => {
+            const { items, total, paginated } = queryUsers(db.users, url.searchParams);
+            return { body: items, headers: paginated ? { 'X-Total-Count': String(total) } : {} };
+        },
+
+        'GET /users/:id': ({ id }) => ({ body: db.find(id) }),
+
+        'POST /users': async ({ request }) => {
+            const payload = await readJsonBody(request);
+            const record = toValidRecord(new Employee({ ...payload, id: payload.id ? String(payload.id) : undefined }));
+
+            if (db.users.some(user => String(user.id) === record.id)) {
+                throw new MockHttpError(409, `User ${record.id} already exists`, { field: 'id' });
+            }
+            db.assertEmailAvailable(record.email);
+
+            db.users.push(record);
+            await db.save();
+            return { status: 201, body: record };
+        },
+
+        'PUT /users/:id': async ({ request, id }) => {
+            const existing = db.find(id);
+            const payload = await readJsonBody(request);
+            const employee = new Employee(existing);
+            employee.update(payload);
+            const record = toValidRecord(employee, existing);
+
+            db.assertEmailAvailable(record.email, id);
+            db.users[db.users.indexOf(existing)] = record;
+            await db.save();
+            return { body: record };
+        },
+
+        'DELETE /users/:id': async ({ id }) => {
+            const existing = db.find(id);
+            db.users.splice(db.users.indexOf(existing), 1);
+            await db.save();
+            return { body: {} };
+        }
+    };
+    routes['PATCH /users/:id'] = routes['PUT /users/:id'];
+
+    /**
+     * Find the handler for a request
+     * @param {string} method - HTTP method
+     * @param {string} pathname - Request path
+     * @returns {Object|null} { handler, id }
+     */
+    const matchRoute = (method, pathname) => {
+        const path = pathname.replace(/\/+$/, '') || '/';
+        if (routes[`${method} ${path}`]) {
+            return { handler: routes[`${method} ${path}`] };
+        }
+
+        const match = path.match(/^\/users\/([^/]+)$/);
+        if (match && routes[`${method} /users/:id`]) {
+            return { handler: routes[`${method} /users/:id`], id: decodeURIComponent(match[1]) };
+        }
+
+        const knownPath = Object.keys(routes).some(route => route.endsWith(` ${path}`)) || match;
+        if (knownPath) {
+            throw new MockHttpError(405, `Method ${method} not allowed on ${path}`);
+        }
+        return null;
+    };
+
+    const send = (response, status, body, headers = {}) => {
+        response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json', ...headers });
+        response.end(body === null ? '' : JSON.stringify(body));
+    };
+
+    return http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const started = Date.now();
+        let status = 500;
+
+        try {
+            if (request.method === 'OPTIONS') {
+                status = 204;
+                send(response, status, null);
+                return;
+            }
+
+            const route = matchRoute(request.method, url.pathname);
+            if (!route) {
+                throw new MockHttpError(404, `No route for ${url.pathname}`);
+            }
+
+            // Latency and error injection apply to the data routes only
+            if (url.pathname.startsWith('/users')) {
+                const { min, max } = config.latency;
+                const delay = min + Math.random() * (max - min) + (Number(url.searchParams.get('_delay')) || 0);
+                if (delay > 0) {
+                    await new Promise(done => setTimeout(done, delay));
+                }
+
+                const forcedStatus = parseInt(url.searchParams.get('_status'), 10);
+                if (forcedStatus >= 400) {
+                    throw new MockHttpError(forcedStatus, `Injected ${forcedStatus} error`);
+                }
+                if (Math.random() < config.errorRate) {
+                    throw new MockHttpError(503, 'Injected random failure', {}, { 'Retry-After': '1' });
+                }
+            }
+
+            const result = await route.handler({ request, url, id: route.id });
+            status = result.status || 200;
+            send(response, status, result.body, result.headers);
+        } catch (error) {
+            status = error instanceof MockHttpError ? error.status : 500;
+            if (!(error instanceof MockHttpError)) {
+                console.error('Unhandled error:', error);
+            }
+            send(response, status, error.body || { message: 'Internal server error' }, error.headers);
+        } finally {
+            console.log(`${request.method} ${request.url} -> ${status} (${Date.now() - started}ms)`);
+        }
+    });
+}
+
+// Start the server when run directly
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: process.env.PORT || '3001' },
+            db: { type: 'string' },
+            seed: { type: 'string', default: '200' },
+            latency: { type: 'string', default: '0' },
+            'error-rate': { type: 'string', default: '0' }
+        }
+    });
+
+    const server = await createMockServer({
+        dbPath: values.db,
+        seed: parseInt(values.seed, 10),
+        latency: values.latency,
+        errorRate: values['error-rate']
+    });
+
+    server.listen(parseInt(values.port, 10), () => {
+        console.log(`Mock employee API listening on http://localhost:${values.port}`);
+    });
+}